@@ -0,0 +1,27 @@
+/**
+ * ESLint Configuration (npm run lint)
+ * ESLint's recommended rules for the CommonJS sources and tests, run on Node.
+ */
+
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  {
+    ignores: ['node_modules/', 'data/', 'logs/'],
+  },
+  js.configs.recommended,
+  {
+    files: ['**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: { ...globals.node },
+    },
+    rules: {
+      // Unused parameters document callback signatures (e.g. Express error handlers);
+      // rest siblings drop keys from a copy (const { custId, ...filters } = req.query)
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }],
+    },
+  },
+];
@@ -10,6 +10,30 @@
 // Load environment variables from .env file into process.env
 require('dotenv').config();
 
+/**
+ * Read a rate limit from the environment
+ * @param {string} name - Variable prefix, e.g. 'RATE_LIMIT_GUEST' (reads _PER_MINUTE and _BURST)
+ * @param {number} perMinute - Default requests per minute (bucket refill rate)
+ * @param {number} burst - Default burst size (bucket capacity)
+ * @returns {{perMinute: number, burst: number}} Limit
+ */
+const rateLimitFromEnv = (name, perMinute, burst) => ({
+  perMinute: Number(process.env[`${name}_PER_MINUTE`]) || perMinute,
+  burst: Number(process.env[`${name}_BURST`]) || burst,
+});
+
+/**
+ * Parse TRUST_PROXY into an Express 'trust proxy' setting
+ * 'true'/'false', a hop count, or a list of addresses/subnets (e.g. 'loopback, 10.0.0.0/8').
+ * @param {string} [value] - Raw setting
+ * @returns {boolean|number|string} Setting for app.set('trust proxy')
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
 /**
  * Configuration object containing all application settings
  * @type {Object}
@@ -22,6 +46,15 @@ module.exports = {
    */
   port: process.env.PORT || 3001,
 
+  /**
+   * Which proxies in front of the API to trust for the client IP (X-Forwarded-For)
+   * Set when running behind a load balancer, or every client shares the proxy's IP
+   * for rate limiting and login throttling.
+   * @type {boolean|number|string}
+   * @default false
+   */
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+
   /**
    * Database configuration for Sequelize ORM
    * @type {Object}
@@ -56,9 +89,17 @@ module.exports = {
    * Authentication and JWT (JSON Web Token) configuration
    * @type {Object}
    * @property {string} jwtSecret - Secret key used to sign and verify JWT tokens (REQUIRED in production)
-   * @property {string} jwtExpiresIn - Token expiration time (e.g., '7d', '24h', '30m')
+   * @property {string} jwtExpiresIn - Access token expiration time (e.g., '15m', '1h')
    * @property {string} jwtIssuer - JWT issuer claim identifying who issued the token
    * @property {string} jwtAudience - JWT audience claim identifying intended recipients
+   * @property {number} refreshTokenTtlDays - Lifetime of refresh tokens in days
+   * @property {number} inviteTtlHours - Lifetime of staff/admin invitations in hours
+   * @property {number} passwordResetTtlMinutes - Lifetime of password reset links in minutes
+   * @property {number} emailVerifyTtlHours - Lifetime of email verification links in hours
+   * @property {boolean} requireVerifiedEmail - Refuse logins until the account's email is verified
+   * @property {string} twoFactorIssuer - Service name shown in authenticator apps
+   * @property {string} twoFactorKey - Key that encrypts stored TOTP secrets and signs login challenges
+   * @property {number} twoFactorChallengeMinutes - Time to enter the code after the password
    */
   auth: {
     /** 
@@ -69,12 +110,13 @@ module.exports = {
     jwtSecret: process.env.JWT_SECRET,
     
     /** 
-     * JWT expiration time
-     * Accepts time strings like '7d' (7 days), '24h' (24 hours), '30m' (30 minutes)
+     * Access token (JWT) expiration time
+     * Accepts time strings like '15m' (15 minutes), '1h' (1 hour)
+     * Kept short because clients renew it with a refresh token
      * @type {string}
-     * @default '7d'
+     * @default '15m'
      */
-    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
     
     /** 
      * JWT issuer claim - identifies the principal that issued the token
@@ -89,5 +131,462 @@ module.exports = {
      * @default 'photostore-users'
      */
     jwtAudience: process.env.JWT_AUDIENCE || 'photostore-users',
+
+    /** 
+     * Refresh token lifetime in days
+     * Each refresh rotates the token; reuse of a rotated token revokes the whole session
+     * @type {number}
+     * @default 30
+     */
+    refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+
+    /** 
+     * Invitation lifetime in hours
+     * Staff and admin registration requires an unused, unexpired invitation
+     * @type {number}
+     * @default 72
+     */
+    inviteTtlHours: Number(process.env.INVITE_TTL_HOURS) || 72,
+
+    /**
+     * Password reset link lifetime in minutes
+     * @type {number}
+     * @default 60
+     */
+    passwordResetTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+
+    /**
+     * Email verification link lifetime in hours
+     * @type {number}
+     * @default 48
+     */
+    emailVerifyTtlHours: Number(process.env.EMAIL_VERIFY_TTL_HOURS) || 48,
+
+    /**
+     * Block login (and skip issuing tokens at registration) until the email is verified
+     * @type {boolean}
+     * @default false
+     */
+    requireVerifiedEmail: process.env.REQUIRE_VERIFIED_EMAIL === 'true',
+
+    /**
+     * Issuer label of TOTP entries in authenticator apps
+     * @type {string}
+     * @default 'PhotoStore'
+     */
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'PhotoStore',
+
+    /**
+     * Encryption key for TOTP secrets at rest and login challenge tokens (never JWT_SECRET)
+     * WARNING: Changing it makes enrolled authenticators unusable; the server refuses to start
+     * in production without TWO_FACTOR_KEY
+     */
+    twoFactorKey: process.env.TWO_FACTOR_KEY,
+
+    /**
+     * Lifetime of the challenge token returned by the password step, in minutes
+     * @type {number}
+     * @default 5
+     */
+    twoFactorChallengeMinutes: Number(process.env.TWO_FACTOR_CHALLENGE_MINUTES) || 5,
+  },
+
+  /**
+   * Brute-force protection for login (see services/loginThrottle.js)
+   * Failed logins are counted per IP and per email; a counter is forgotten
+   * after windowMinutes without failures.
+   * @type {Object}
+   * @property {string} store - Counter store (see src/throttle; 'memory' is per process)
+   * @property {number} windowMinutes - Quiet period after which failures are forgotten
+   * @property {number} ipMaxFailures - Failures from one IP before it is refused
+   * @property {number} delayAfter - Failures for one email before delays start
+   * @property {number} delayBaseSeconds - First delay; doubles with every further failure
+   * @property {number} delayMaxSeconds - Longest delay between attempts
+   * @property {number} lockoutThreshold - Failures for one email that lock the account
+   * @property {number} lockoutMinutes - How long a locked account stays locked
+   */
+  loginThrottle: {
+    /** Counter store (default: 'memory') */
+    store: process.env.LOGIN_THROTTLE_STORE || 'memory',
+
+    /**
+     * Failures are forgotten after this many minutes without one
+     * @type {number}
+     * @default 15
+     */
+    windowMinutes: Number(process.env.LOGIN_WINDOW_MINUTES) || 15,
+
+    /**
+     * Failed logins allowed from one IP address
+     * @type {number}
+     * @default 20
+     */
+    ipMaxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+
+    /**
+     * Failed logins for an email before each attempt has to wait
+     * @type {number}
+     * @default 3
+     */
+    delayAfter: Number(process.env.LOGIN_DELAY_AFTER) || 3,
+
+    /**
+     * First delay in seconds, doubled after every further failure
+     * @type {number}
+     * @default 1
+     */
+    delayBaseSeconds: Number(process.env.LOGIN_DELAY_BASE_SECONDS) || 1,
+
+    /**
+     * Cap on the delay in seconds
+     * @type {number}
+     * @default 60
+     */
+    delayMaxSeconds: Number(process.env.LOGIN_DELAY_MAX_SECONDS) || 60,
+
+    /**
+     * Failed logins for an email that lock the account
+     * @type {number}
+     * @default 10
+     */
+    lockoutThreshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+
+    /**
+     * Lockout duration in minutes (admins can unlock earlier)
+     * @type {number}
+     * @default 15
+     */
+    lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  },
+
+  /**
+   * API rate limiting (see middleware/rateLimit.js)
+   * Each client has a token bucket per route group: it holds `burst` requests
+   * and refills at `perMinute`. Logged-in users are limited by account and
+   * role, guests by IP. Roles a group leaves out use the default group's limit.
+   * @type {Object}
+   * @property {boolean} enabled - Turn rate limiting on or off
+   * @property {string} store - Bucket store (see src/throttle; 'memory' is per process)
+   * @property {Object} groups - Route group → { paths, limits: role → { perMinute, burst } };
+   *   'guest' is the limit for requests without a valid token
+   * @property {string[]} exempt - Path prefixes that are never limited
+   */
+  rateLimit: {
+    /** Rate limiting on (default: true; RATE_LIMIT_ENABLED=false turns it off) */
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+    /** Bucket store (default: 'memory') */
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+
+    groups: {
+      /** Every route not in another group */
+      default: {
+        paths: [],
+        limits: {
+          guest: rateLimitFromEnv('RATE_LIMIT_GUEST', 60, 30),
+          customer: rateLimitFromEnv('RATE_LIMIT_CUSTOMER', 120, 60),
+          staff: rateLimitFromEnv('RATE_LIMIT_STAFF', 600, 200),
+          admin: rateLimitFromEnv('RATE_LIMIT_ADMIN', 600, 200),
+        },
+      },
+
+      /** Registration, login, password reset and session routes */
+      auth: {
+        paths: ['/api/v1/auth'],
+        limits: {
+          guest: rateLimitFromEnv('RATE_LIMIT_AUTH', 20, 10),
+          customer: rateLimitFromEnv('RATE_LIMIT_AUTH', 20, 10),
+        },
+      },
+
+      /** Signed download links of purchased photos (full-size files) */
+      downloads: {
+        paths: ['/api/v1/downloads'],
+        limits: {
+          guest: rateLimitFromEnv('RATE_LIMIT_DOWNLOADS', 20, 10),
+          customer: rateLimitFromEnv('RATE_LIMIT_DOWNLOADS', 20, 10),
+        },
+      },
+    },
+
+    /** Payment provider webhooks: deliveries are signed and retried by the provider */
+    exempt: ['/api/v1/payments/webhook'],
+  },
+
+  /**
+   * Outgoing email (see src/mail)
+   * @type {Object}
+   * @property {string} transport - 'console' (log), 'file' (write .eml files) or 'smtp'
+   * @property {string} from - Sender address
+   * @property {string} appUrl - Base URL of the storefront; links in emails point there
+   * @property {string} fileDir - Directory used by the file transport
+   * @property {Object} smtp - SMTP server settings (host, port, secure, user, pass)
+   */
+  mail: {
+    /** Mail transport (default: 'console') */
+    transport: process.env.MAIL_TRANSPORT || 'console',
+
+    /** Sender address (default: 'PhotoStore <no-reply@photostore.local>') */
+    from: process.env.MAIL_FROM || 'PhotoStore <no-reply@photostore.local>',
+
+    /** Storefront base URL, e.g. https://shop.example.com (default: 'http://localhost:3000') */
+    appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+
+    /** Directory for the file transport (default: './data/mail') */
+    fileDir: process.env.MAIL_FILE_DIR || './data/mail',
+
+    smtp: {
+      /** SMTP host (required for the smtp transport) */
+      host: process.env.SMTP_HOST,
+
+      /**
+       * SMTP port
+       * @type {number}
+       * @default 587
+       */
+      port: Number(process.env.SMTP_PORT) || 587,
+
+      /** Use TLS from the start (port 465); otherwise STARTTLS is used when offered */
+      secure: process.env.SMTP_SECURE === 'true',
+
+      /** SMTP credentials (omit both for servers without authentication) */
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  },
+
+  /**
+   * File storage configuration (product images)
+   * @type {Object}
+   * @property {string} driver - Storage adapter name (see src/storage; 'local' writes to disk)
+   * @property {string} localRoot - Directory used by the local adapter
+   */
+  storage: {
+    /** Storage adapter (default: 'local') */
+    driver: process.env.STORAGE_DRIVER || 'local',
+
+    /** Root directory for the local adapter (default: './data/uploads') */
+    localRoot: process.env.STORAGE_LOCAL_ROOT || './data/uploads',
+  },
+
+  /**
+   * Image upload limits
+   * @type {Object}
+   * @property {number} maxBytes - Largest accepted upload per file, in bytes
+   * @property {number} maxFiles - Most files accepted in one upload request
+   */
+  uploads: {
+    /**
+     * Maximum size of one uploaded image in megabytes
+     * @type {number}
+     * @default 25
+     */
+    maxBytes: (Number(process.env.UPLOAD_MAX_MB) || 25) * 1024 * 1024,
+
+    /**
+     * Maximum number of images per upload request
+     * @type {number}
+     * @default 10
+     */
+    maxFiles: Number(process.env.UPLOAD_MAX_FILES) || 10,
+  },
+
+  /**
+   * Watermarked previews of digital products
+   * @type {Object}
+   * @property {string} text - Text tiled across public renditions
+   * @property {number} maxSize - Longest edge of watermarked renditions, in pixels
+   */
+  watermark: {
+    /** Watermark text (default: 'PhotoStore preview') */
+    text: process.env.WATERMARK_TEXT || 'PhotoStore preview',
+
+    /**
+     * Longest edge of watermarked previews
+     * @type {number}
+     * @default 800
+     */
+    maxSize: Number(process.env.WATERMARK_MAX_SIZE) || 800,
+  },
+
+  /**
+   * Signed download links for purchased digital products
+   * @type {Object}
+   * @property {string} secret - HMAC key for signing download URLs
+   * @property {number} linkTtlMinutes - How long an issued link stays valid
+   * @property {number} maxDownloads - Downloads allowed per purchased item
+   */
+  downloads: {
+    /**
+     * HMAC key for download URLs (falls back to JWT_SECRET)
+     * WARNING: Set DOWNLOAD_URL_SECRET or JWT_SECRET in production
+     */
+    secret: process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET,
+
+    /**
+     * Download link lifetime in minutes
+     * @type {number}
+     * @default 15
+     */
+    linkTtlMinutes: Number(process.env.DOWNLOAD_LINK_TTL_MINUTES) || 15,
+
+    /**
+     * Downloads allowed per purchased digital item
+     * @type {number}
+     * @default 5
+     */
+    maxDownloads: Number(process.env.DOWNLOAD_MAX_COUNT) || 5,
+  },
+
+  /**
+   * Shopping carts
+   * @type {Object}
+   * @property {number} guestTtlDays - Days a guest cart is kept after its last change
+   */
+  cart: {
+    /**
+     * Guest cart lifetime in days (customer carts do not expire)
+     * @type {number}
+     * @default 30
+     */
+    guestTtlDays: Number(process.env.GUEST_CART_TTL_DAYS) || 30,
+  },
+
+  /**
+   * Inventory and stock reservations
+   * @type {Object}
+   * @property {number} reservationMinutes - How long a pending order holds its stock
+   * @property {number} sweepIntervalSeconds - How often expired reservations are released
+   * @property {number} reorderLevel - Default low-stock threshold (per item override: reorderLevel)
+   */
+  inventory: {
+    /**
+     * Stock reservation lifetime for pending orders, in minutes
+     * Unpaid orders are cancelled and their stock released afterwards.
+     * @type {number}
+     * @default 30
+     */
+    reservationMinutes: Number(process.env.RESERVATION_MINUTES) || 30,
+
+    /**
+     * Interval of the expired-reservation sweep, in seconds
+     * @type {number}
+     * @default 60
+     */
+    sweepIntervalSeconds: Number(process.env.RESERVATION_SWEEP_SECONDS) || 60,
+
+    /**
+     * Stock level below which a product or variant is reported as low
+     * @type {number}
+     * @default 5
+     */
+    reorderLevel: Number(process.env.REORDER_LEVEL) || 5,
+  },
+
+  /**
+   * Sales tax
+   * Rates and inclusive/exclusive pricing are per region (TaxRule, managed via /api/v1/tax-rules).
+   * @type {Object}
+   * @property {string|null} defaultCountry - Country taxed when an order has no shipping address
+   */
+  tax: {
+    /**
+     * ISO 3166-1 alpha-2 country used for orders without an address (digital-only orders)
+     * Unset: such orders are not taxed.
+     * @type {string|null}
+     */
+    defaultCountry: process.env.TAX_DEFAULT_COUNTRY ? process.env.TAX_DEFAULT_COUNTRY.toUpperCase() : null,
+  },
+
+  /**
+   * Customer returns
+   * @type {Object}
+   * @property {number} windowDays - Days after delivery during which items can be returned
+   */
+  returns: {
+    /**
+     * Return window in days, counted from delivery
+     * @type {number}
+     * @default 30
+     */
+    windowDays: Number(process.env.RETURN_WINDOW_DAYS) || 30,
+  },
+
+  /**
+   * Deleted records (customers, products, orders are soft-deleted)
+   * @type {Object}
+   * @property {number} retentionDays - Days a deleted record can be restored before it is purged
+   * @property {number} purgeIntervalHours - How often records past retention are purged
+   */
+  trash: {
+    /**
+     * Retention of deleted records in days
+     * @type {number}
+     * @default 90
+     */
+    retentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 90,
+
+    /**
+     * Interval of the purge, in hours
+     * @type {number}
+     * @default 24
+     */
+    purgeIntervalHours: Number(process.env.TRASH_PURGE_HOURS) || 24,
+  },
+
+  /**
+   * Online payments (see src/payments)
+   * @type {Object}
+   * @property {string} provider - Payment provider ('mock' is built in and works offline; not in production)
+   * @property {string} currency - ISO 4217 currency code charged for orders
+   * @property {string} captureMode - 'automatic' or 'manual' (staff capture authorized payments)
+   * @property {string} webhookSecret - HMAC key for verifying webhook deliveries (REQUIRED)
+   * @property {number} webhookToleranceSeconds - Maximum age of a webhook signature
+   * @property {boolean} mockEvents - Enable POST /payments/mock/events (development only)
+   */
+  payments: {
+    /**
+     * Payment provider name
+     * WARNING: The server refuses to start with 'mock' when NODE_ENV=production
+     * @type {string}
+     * @default 'mock'
+     */
+    provider: process.env.PAYMENT_PROVIDER || 'mock',
+
+    /**
+     * Currency for payment intents (lowercase ISO code)
+     * @type {string}
+     * @default 'usd'
+     */
+    currency: (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase(),
+
+    /**
+     * 'automatic': payments are captured when the customer pays;
+     * 'manual': they are only authorized until staff capture them
+     * @type {string}
+     * @default 'automatic'
+     */
+    captureMode: process.env.PAYMENT_CAPTURE_MODE === 'manual' ? 'manual' : 'automatic',
+
+    /**
+     * HMAC key shared with the provider for webhook signatures
+     * WARNING: Required; the server refuses to start without PAYMENT_WEBHOOK_SECRET
+     */
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+
+    /**
+     * Webhook signatures older than this are rejected (replay protection), in seconds
+     * @type {number}
+     * @default 300
+     */
+    webhookToleranceSeconds: Number(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 300,
+
+    /**
+     * Let staff simulate provider events with the mock provider (never in production)
+     * WARNING: A simulated 'payment.succeeded' marks the order paid without taking money
+     * @type {boolean}
+     * @default false
+     */
+    mockEvents: process.env.PAYMENT_MOCK_EVENTS === 'true',
   },
-};
\ No newline at end of file
+};
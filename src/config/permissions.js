@@ -0,0 +1,59 @@
+/**
+ * Permission Configuration
+ *
+ * Catalog of named permissions and the default role → permission mapping.
+ * The live mapping is stored in the RolePermission table; these defaults are
+ * written by migration 007 when that table is empty. Admins change the
+ * mapping at runtime through /api/v1/permissions.
+ *
+ * @module permissions
+ */
+
+/**
+ * Every permission the API checks, with a short description
+ * @type {Object<string, string>}
+ */
+const PERMISSIONS = {
+  'products:read':      'List all products, including back-office views',
+  'products:write':     'Create and update products',
+  'products:delete':    'Delete products (they can be restored until purged)',
+  'inventory:read':     'View the stock ledger and low-stock report',
+  'inventory:write':    'Post stock receipts and adjustments',
+  'coupons:manage':     'Create, update and delete coupons and view their usage',
+  'pricing:manage':     'Manage tax rules and shipping methods',
+  'orders:read':        'View any customer\'s orders and their history',
+  'orders:write':       'Change order status',
+  'orders:refund':      'Refund orders and payments',
+  'returns:manage':     'View customer returns and approve or reject them',
+  'customers:read':     'View any customer profile',
+  'customers:write':    'Create customers and update any customer profile',
+  'customers:delete':   'Delete customers and their orders (they can be restored until purged)',
+  'trash:manage':       'List and restore deleted customers, products and orders',
+  'invitations:manage': 'Invite staff and admins, list and revoke invitations',
+  'permissions:manage': 'View and change role permissions',
+  'logins:manage':      'View failed login attempts and account security state, unlock locked accounts',
+  'twofactor:manage':   'Require two-factor authentication per role and reset it for accounts',
+  'audit:read':         'Browse and export the audit log of privileged changes',
+};
+
+/**
+ * Default permissions per role (mirrors the original staff/admin split)
+ * @type {Object<string, string[]>}
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  customer: [],
+  staff: [
+    'products:read',
+    'inventory:read',
+    'inventory:write',
+    'orders:read',
+    'orders:write',
+    'orders:refund',
+    'returns:manage',
+    'customers:read',
+    'customers:write',
+  ],
+  admin: Object.keys(PERMISSIONS),
+};
+
+module.exports = { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS };
@@ -0,0 +1,37 @@
+/**
+ * API Error Module
+ * Error type thrown by service functions when a request cannot be fulfilled.
+ * Routers catch it and translate it into an HTTP response with the given status.
+ */
+
+/**
+ * Error carrying an HTTP status code
+ * @extends Error
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} message - Client-facing error message
+   * @param {Object} [details] - Optional extra data included in the response body
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an ApiError as a JSON response
+ * @param {Object} res - Express response object
+ * @param {ApiError} err - Error to send
+ * @returns {Object} Express response
+ */
+function sendApiError(res, err) {
+  const body = { msg: err.message };
+  if (err.details) body.details = err.details;
+  return res.status(err.status).json(body);
+}
+
+module.exports = { ApiError, sendApiError };
@@ -0,0 +1,31 @@
+/**
+ * Console Mail Transport
+ * Logs each message (recipient, subject and text body) instead of sending
+ * it. For local development: links in the text body can be copied from the log.
+ */
+
+const crypto = require('node:crypto');
+const logger = require('../logger');
+
+/**
+ * Create a console mail transport
+ * @returns {Object} Mail transport (send)
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    /**
+     * Log a message
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Promise<{id: string}>} Generated message id
+     */
+    async send({ to, subject, text }) {
+      const id = crypto.randomUUID();
+      logger.info(`Mail to ${to}: ${subject}\n${text}`, { messageId: id });
+      return { id };
+    },
+  };
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,41 @@
+/**
+ * File Mail Transport
+ * Writes each message as a complete .eml file (open it in any mail client)
+ * instead of sending it. For local development and manual testing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Create a file mail transport
+ * @param {Object} options
+ * @param {string} options.dir - Directory the .eml files are written to
+ * @param {string} options.from - Sender address
+ * @returns {Object} Mail transport (send)
+ */
+function createFileTransport({ dir, from }) {
+  const base = path.resolve(dir);
+  // Builds the raw message without delivering it
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+
+    /**
+     * Write a message to <dir>/<timestamp>-<id>.eml
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Promise<{id: string}>} Message-ID of the written message
+     */
+    async send({ to, subject, text, html }) {
+      const info = await builder.sendMail({ from, to, subject, text, html });
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+      await fs.promises.mkdir(base, { recursive: true });
+      await fs.promises.writeFile(path.join(base, name), info.message);
+      return { id: info.messageId };
+    },
+  };
+}
+
+module.exports = { createFileTransport };
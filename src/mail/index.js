@@ -0,0 +1,56 @@
+/**
+ * Mail Transports
+ * Pluggable delivery of outgoing email. The transport is chosen by
+ * config.mail.transport; every transport implements the same interface:
+ *
+ *   send({ to, subject, text, html })
+ *                              Deliver one message → { id }
+ *
+ * 'console' logs messages and 'file' writes them as .eml files, for local
+ * use; 'smtp' delivers through a mail server. Messages are built from the
+ * templates in ./templates (see ./templates.js).
+ *
+ * To add a transport (e.g. an email API), implement the interface and register it in DRIVERS.
+ */
+
+const config = require('../config/config');
+const { createConsoleTransport } = require('./console');
+const { createFileTransport } = require('./file');
+const { createSmtpTransport } = require('./smtp');
+const { renderTemplate } = require('./templates');
+
+/** Transport factories by name */
+const DRIVERS = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({ dir: config.mail.fileDir, from: config.mail.from }),
+  smtp: () => createSmtpTransport({ ...config.mail.smtp, from: config.mail.from }),
+};
+
+let instance = null;
+
+/**
+ * Get the configured mail transport (created on first use)
+ * @returns {Object} Mail transport
+ * @throws {Error} If the configured transport is unknown
+ */
+function getMailer() {
+  if (!instance) {
+    const factory = DRIVERS[config.mail.transport];
+    if (!factory) throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    instance = factory();
+  }
+  return instance;
+}
+
+/**
+ * Render a template and send it
+ * @param {string} to - Recipient address
+ * @param {string} template - Template name (see ./templates.js)
+ * @param {Object} vars - Values for the template placeholders
+ * @returns {Promise<{id: string}>} Transport's message id
+ */
+function sendMail(to, template, vars) {
+  return getMailer().send({ to, ...renderTemplate(template, { appUrl: config.mail.appUrl, ...vars }) });
+}
+
+module.exports = { getMailer, sendMail };
@@ -0,0 +1,44 @@
+/**
+ * SMTP Mail Transport
+ * Delivers messages through an SMTP server (nodemailer).
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP mail transport
+ * @param {Object} options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - TLS from the start (otherwise STARTTLS when offered)
+ * @param {string} [options.user] - Username (omit for servers without authentication)
+ * @param {string} [options.pass] - Password
+ * @param {string} options.from - Sender address
+ * @returns {Object} Mail transport (send)
+ * @throws {Error} If no host is configured
+ */
+function createSmtpTransport({ host, port, secure, user, pass, from }) {
+  if (!host) throw new Error('SMTP_HOST must be set for the smtp mail transport');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+
+    /**
+     * Send a message
+     * @param {Object} message - { to, subject, text, html }
+     * @returns {Promise<{id: string}>} Message-ID assigned to the message
+     */
+    async send({ to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { id: info.messageId };
+    },
+  };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,65 @@
+/**
+ * Email Templates
+ * Each template is a pair of files in ./templates, <name>.txt and
+ * <name>.html, with {{placeholder}} values filled in by renderTemplate.
+ * Values are HTML-escaped in the HTML part. Subjects are listed in TEMPLATES.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Subject line of each template */
+const TEMPLATES = {
+  passwordReset: { subject: 'Reset your PhotoStore password' },
+  verifyEmail:   { subject: 'Confirm your email address' },
+};
+
+/** Template files read so far: file name → contents */
+const cache = new Map();
+
+/**
+ * Read a template file (cached after the first read)
+ * @param {string} file - File name in ./templates
+ * @returns {string} Contents
+ */
+function readTemplate(file) {
+  if (!cache.has(file)) cache.set(file, fs.readFileSync(path.join(__dirname, 'templates', file), 'utf8'));
+  return cache.get(file);
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/**
+ * Fill in {{placeholders}}; unknown placeholders become empty
+ * @param {string} source - Template text
+ * @param {Object} vars - Placeholder values
+ * @param {Function} [encode] - Applied to each value
+ * @returns {string} Rendered text
+ */
+const fill = (source, vars, encode = String) =>
+  source.replace(/\{\{\s*(\w+)\s*\}\}/g, (_m, key) => (vars[key] == null ? '' : encode(vars[key])));
+
+/**
+ * Render a template
+ * @param {string} name - Template name (a key of TEMPLATES)
+ * @param {Object} vars - Placeholder values
+ * @returns {{subject: string, text: string, html: string}} Message parts
+ * @throws {Error} If the template is unknown
+ */
+function renderTemplate(name, vars) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return {
+    subject: fill(template.subject, vars),
+    text: fill(readTemplate(`${name}.txt`), vars),
+    html: fill(readTemplate(`${name}.html`), vars, escapeHtml),
+  };
+}
+
+module.exports = { TEMPLATES, renderTemplate };
@@ -1,6 +1,7 @@
 /**
  * JWT Authentication Middleware
- * Validates JWT tokens from Authorization header or x-auth-token header.
+ * Validates JWT tokens from Authorization header or x-auth-token header,
+ * then rejects tokens that were revoked server-side (logout, session revocation).
  * Attaches decoded user to req.user if valid.
  * 
  * @param {Object} req - Express request object
@@ -12,8 +13,9 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../logger');
 const config = require('../config/config');
+const { isRevoked } = require('../services/tokens');
 
-module.exports = function auth(req, res, next) {
+module.exports = async function auth(req, res, next) {
   // Extract token from Authorization header (Bearer token format)
   const authHeader = req.headers.authorization || '';
   const [scheme, bearerToken] = authHeader.split(' ');
@@ -30,9 +32,10 @@ module.exports = function auth(req, res, next) {
     return res.status(401).json({ msg: 'No token supplied, authorization denied' });
   }
 
+  let decoded;
   try {
     // Verify and decode the JWT token
-    const decoded = jwt.verify(
+    decoded = jwt.verify(
       token,
       config.auth?.jwtSecret || process.env.JWT_SECRET || 'dev_secret_change_me',
       {
@@ -41,18 +44,30 @@ module.exports = function auth(req, res, next) {
         algorithms: ['HS512'], // Only allow HS512 algorithm
       }
     );
-    
-    // Attach user data to request (supports both decoded.user and decoded directly)
-    req.user = decoded.user || decoded;
-    
-    // Attach token to request for potential later use
-    req.token = token;
-    
-    // Proceed to next middleware
-    return next();
   } catch (err) {
     // Token is invalid or expired
     logger?.http?.('Auth failed: invalid token', { reason: err.message });
     return res.status(401).json({ msg: 'Token is not valid' });
   }
-};
\ No newline at end of file
+
+  try {
+    // Reject tokens revoked by logout or session revocation
+    if (await isRevoked(decoded)) {
+      logger?.http?.('Auth failed: token revoked', { jti: decoded.jti });
+      return res.status(401).json({ msg: 'Token has been revoked' });
+    }
+  } catch (err) {
+    logger.error('Auth revocation check failed', { reason: err.message });
+    return res.status(500).json({ msg: 'Server error' });
+  }
+
+  // Attach user data to request (supports both decoded.user and decoded directly)
+  req.user = decoded.user || decoded;
+
+  // Attach token and its claims (jti, fam, exp) to request for potential later use
+  req.token = token;
+  req.tokenClaims = decoded;
+
+  // Proceed to next middleware
+  return next();
+};
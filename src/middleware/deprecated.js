@@ -0,0 +1,21 @@
+/**
+ * Deprecation Middleware
+ * Marks a route as deprecated without changing its behaviour: sets the
+ * Deprecation header and a Link header pointing at the replacement route.
+ *
+ * @example
+ * router.get('/old', deprecated((req) => '/api/v1/things?sort=name'), handler);
+ *
+ * @param {Function} successor - (req) => URL of the replacement for this request
+ * @returns {Function} Express middleware function
+ */
+
+function deprecated(successor) {
+  return (req, res, next) => {
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${successor(req)}>; rel="successor-version"`);
+    next();
+  };
+}
+
+module.exports = deprecated;
@@ -0,0 +1,21 @@
+/**
+ * Optional Authentication Middleware
+ * Authenticates like auth.js when credentials are sent (an invalid token is
+ * still rejected with 401), otherwise continues without req.user so the
+ * route can serve guests.
+ *
+ * @example
+ * router.get('/', optionalAuth, handler); // handler checks req.user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+
+const auth = require('./auth');
+
+module.exports = function optionalAuth(req, res, next) {
+  if (req.headers.authorization || req.header('x-auth-token')) return auth(req, res, next);
+  return next();
+};
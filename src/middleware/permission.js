@@ -0,0 +1,39 @@
+/**
+ * Permission Authorization Middleware
+ * Restricts access to users whose role grants every listed permission.
+ * The role → permission mapping is configurable (see config/permissions.js).
+ * Must be used after auth middleware.
+ *
+ * @example
+ * router.post('/', [auth, requirePermission('products:write')], handler);
+ *
+ * @param {...string} required - Permission names that must all be granted
+ * @returns {Function} Express middleware function
+ */
+
+const { permissionsFor } = require('../services/permissions');
+
+function requirePermission(...required) {
+  return async (req, res, next) => {
+    // Get user role (supports both req.user.role and req.user.user.role)
+    const role = req.user?.role ?? req.user?.user?.role;
+
+    // Check if user exists
+    if (!role) return res.status(401).json({ msg: 'Unauthenticated: user missing' });
+
+    try {
+      const granted = await permissionsFor(role);
+      const missing = required.filter((p) => !granted.has(p));
+
+      // Deny access if any permission is missing
+      if (missing.length) return res.status(403).json({ msg: 'Access denied', missing });
+
+      return next();
+    } catch (err) {
+      console.error('permission check error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  };
+}
+
+module.exports = requirePermission;
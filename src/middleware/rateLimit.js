@@ -0,0 +1,107 @@
+/**
+ * Rate Limit Middleware
+ * Token-bucket rate limiting for every API request (see config.rateLimit).
+ * A client is the account behind a valid access token, or the IP address for
+ * guests; it gets one bucket per route group, sized by its role. The token's
+ * signature is all that is checked here: revoked tokens are still rejected
+ * by the auth middleware on the route.
+ *
+ * Responses carry RateLimit-Limit (burst size), RateLimit-Remaining,
+ * RateLimit-Reset (seconds until the bucket is full again) and
+ * RateLimit-Policy (`<burst>;w=<seconds to refill it>`). A request with an
+ * empty bucket is refused with 429 and Retry-After.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+
+const config = require('../config/config');
+const logger = require('../logger');
+const { getThrottleStore } = require('../throttle');
+const { verifyAccessToken } = require('../services/tokens');
+
+const { enabled, store: storeName, groups, exempt } = config.rateLimit;
+
+/**
+ * Check whether a path is a prefix or below it
+ * @param {string} path - Request path
+ * @param {string} prefix - Path prefix, e.g. '/api/v1/auth'
+ * @returns {boolean} True if the path falls under the prefix
+ */
+const underPath = (path, prefix) => path === prefix || path.startsWith(`${prefix}/`);
+
+/** Group paths, longest (most specific) first */
+const GROUP_PATHS = Object.entries(groups)
+  .flatMap(([name, group]) => group.paths.map((prefix) => ({ name, prefix })))
+  .sort((a, b) => b.prefix.length - a.prefix.length);
+
+/**
+ * Find the route group a request path belongs to
+ * @param {string} path - Request path
+ * @returns {string} Group name ('default' if no group claims the path)
+ */
+const groupOf = (path) => GROUP_PATHS.find((g) => underPath(path, g.prefix))?.name ?? 'default';
+
+/**
+ * Identify the client a request is counted against
+ * @param {Object} req - Express request
+ * @returns {{key: string, role: string}} Bucket owner and the role whose limits apply
+ */
+function clientOf(req) {
+  const [scheme, bearerToken] = (req.headers.authorization || '').split(' ');
+  const token = (scheme === 'Bearer' && bearerToken) ? bearerToken : req.header('x-auth-token');
+
+  if (token) {
+    try {
+      const claims = verifyAccessToken(token);
+      const user = claims.user || claims;
+      const accountId = user.accountId ?? claims.sub;
+      if (accountId) return { key: `account:${accountId}`, role: user.role };
+    } catch {
+      // Invalid or expired: counted as a guest; the route's auth middleware rejects it
+    }
+  }
+  return { key: `ip:${req.ip}`, role: 'guest' };
+}
+
+/**
+ * Limit for a role in a route group
+ * @param {string} group - Group name
+ * @param {string} role - Client role ('guest' without a token)
+ * @returns {{perMinute: number, burst: number}} Limit
+ */
+const limitFor = (group, role) =>
+  groups[group].limits[role] ?? groups.default.limits[role] ?? groups.default.limits.guest;
+
+module.exports = async function rateLimit(req, res, next) {
+  if (!enabled || exempt.some((prefix) => underPath(req.path, prefix))) return next();
+
+  let result;
+  let limit;
+  try {
+    const group = groupOf(req.path);
+    const client = clientOf(req);
+    limit = limitFor(group, client.role);
+    result = await getThrottleStore(storeName).take(`rate:${group}:${client.key}`, {
+      capacity: limit.burst,
+      refillPerSecond: limit.perMinute / 60,
+    });
+  } catch (err) {
+    // A failing store must not take the API down with it
+    logger.error('Rate limit check failed', { reason: err.message });
+    return next();
+  }
+
+  res.set({
+    'RateLimit-Limit': String(limit.burst),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+    'RateLimit-Policy': `${limit.burst};w=${Math.ceil((limit.burst / limit.perMinute) * 60)}`,
+  });
+  if (result.allowed) return next();
+
+  res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+  return res.status(429).json({ msg: 'Too many requests, try again later' });
+};
@@ -0,0 +1,24 @@
+/**
+ * Request ID Middleware
+ * Gives every request an id for tying log lines and audit events to it.
+ * A well-formed X-Request-Id sent by the client (or a proxy in front of the
+ * API) is kept; otherwise a new UUID is generated. The id is set on req.id
+ * and echoed in the X-Request-Id response header.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+
+const crypto = require('crypto');
+
+/** Accepted incoming ids: short, printable, no spaces */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+module.exports = function requestId(req, res, next) {
+  const incoming = req.header('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  return next();
+};
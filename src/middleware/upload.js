@@ -0,0 +1,49 @@
+/**
+ * Image Upload Middleware
+ * Parses multipart/form-data uploads into memory (req.files) with the size
+ * and count limits from config.uploads. Limit violations are answered with
+ * JSON errors instead of reaching the error handler.
+ * File contents are validated later by their magic bytes (see services/images.js).
+ *
+ * @example
+ * router.post('/', [auth, requirePermission('products:write')], uploadImages('images'), handler);
+ *
+ * @param {string} [field='images'] - Multipart field carrying the files
+ * @returns {Function} Express middleware function
+ */
+
+const multer = require('multer');
+const config = require('../config/config');
+
+function uploadImages(field = 'images') {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.uploads.maxBytes, files: config.uploads.maxFiles },
+  }).array(field, config.uploads.maxFiles);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+
+      if (err instanceof multer.MulterError) {
+        // Reject oversized files with 413, other limit/field errors with 400
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          const maxMb = config.uploads.maxBytes / (1024 * 1024);
+          return res.status(413).json({ msg: `Image exceeds the ${maxMb} MB limit`, file: err.field });
+        }
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({
+            msg: `Upload up to ${config.uploads.maxFiles} images in the "${field}" field`,
+          });
+        }
+        return res.status(400).json({ msg: err.message });
+      }
+
+      // Malformed multipart bodies
+      console.error('upload error:', err);
+      return res.status(400).json({ msg: 'Invalid multipart upload' });
+    });
+  };
+}
+
+module.exports = uploadImages;
@@ -0,0 +1,55 @@
+/**
+ * Migration 001: Initial schema
+ * Products, customers, staff, admins and orders as first shipped.
+ * Skips tables that an earlier sequelize.sync() already created.
+ */
+
+const { createTableIfMissing, timestamps } = require('./helpers');
+
+/** Columns shared by the original Customer/Staff/Admin tables */
+const userColumns = (Sequelize, idColumn, role) => ({
+  [idColumn]: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+  name:       { type: Sequelize.STRING, allowNull: false },
+  email:      { type: Sequelize.STRING, allowNull: false, unique: true },
+  password:   { type: Sequelize.STRING, allowNull: false },
+  role:       { type: Sequelize.STRING, defaultValue: role },
+  ...timestamps(),
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'Products', {
+      prodId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      name:   { type: Sequelize.STRING, allowNull: false },
+      price:  { type: Sequelize.DECIMAL(10, 2) },
+      stock:  { type: Sequelize.INTEGER },
+      ...timestamps(),
+    });
+
+    await createTableIfMissing(queryInterface, 'Customers', userColumns(Sequelize, 'custId', 'customer'));
+    await createTableIfMissing(queryInterface, 'Staffs', userColumns(Sequelize, 'staffId', 'staff'));
+    await createTableIfMissing(queryInterface, 'Admins', userColumns(Sequelize, 'adminId', 'admin'));
+
+    await createTableIfMissing(queryInterface, 'Orders', {
+      orderId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      custId:  {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Customers', key: 'custId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      status:  { type: Sequelize.STRING, defaultValue: 'pending' },
+      total:   { type: Sequelize.DECIMAL(10, 2) },
+      ...timestamps(),
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('Orders');
+    await queryInterface.dropTable('Admins');
+    await queryInterface.dropTable('Staffs');
+    await queryInterface.dropTable('Customers');
+    await queryInterface.dropTable('Products');
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Migration 002: Order line items
+ * One row per product in an order, with the unit price captured at checkout.
+ */
+
+const { createTableIfMissing, timestamps } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'OrderItems', {
+      orderItemId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      orderId:     {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Orders', key: 'orderId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      prodId:      {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Products', key: 'prodId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION', // Products that were ordered cannot be deleted
+      },
+      quantity:    { type: Sequelize.INTEGER, allowNull: false },
+      unitPrice:   { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      ...timestamps(),
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('OrderItems');
+  },
+};
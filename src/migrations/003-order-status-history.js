@@ -0,0 +1,31 @@
+/**
+ * Migration 003: Order status history
+ * Append-only log of order status changes.
+ */
+
+const { createTableIfMissing, timestamps } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'OrderStatusHistory', {
+      historyId:     { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      orderId:       {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Orders', key: 'orderId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      fromStatus:    { type: Sequelize.STRING },
+      toStatus:      { type: Sequelize.STRING, allowNull: false },
+      changedBy:     { type: Sequelize.INTEGER },
+      changedByRole: { type: Sequelize.STRING },
+      note:          { type: Sequelize.STRING(500) },
+      ...timestamps({ updatedAt: false }),
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('OrderStatusHistory');
+  },
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 004: Refresh tokens and revoked access tokens
+ */
+
+const { createTableIfMissing, addIndexIfMissing, timestamps } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'RefreshTokens', {
+      tokenId:    { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      tokenHash:  { type: Sequelize.STRING(64), allowNull: false, unique: true },
+      family:     { type: Sequelize.STRING(36), allowNull: false },
+      userId:     { type: Sequelize.INTEGER, allowNull: false },
+      role:       { type: Sequelize.STRING, allowNull: false },
+      expiresAt:  { type: Sequelize.DATE, allowNull: false },
+      usedAt:     { type: Sequelize.DATE },
+      revokedAt:  { type: Sequelize.DATE },
+      replacedBy: { type: Sequelize.INTEGER },
+      ...timestamps(),
+    });
+    // Same index names sequelize.sync() generates, so synced databases are recognised
+    await addIndexIfMissing(queryInterface, 'RefreshTokens', ['family'], { name: 'refresh_tokens_family' });
+    await addIndexIfMissing(queryInterface, 'RefreshTokens', ['userId', 'role'], { name: 'refresh_tokens_user_id_role' });
+
+    await createTableIfMissing(queryInterface, 'RevokedTokens', {
+      jti:       { type: Sequelize.STRING(36), primaryKey: true },
+      expiresAt: { type: Sequelize.DATE, allowNull: false },
+      ...timestamps({ updatedAt: false }),
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('RevokedTokens');
+    await queryInterface.dropTable('RefreshTokens');
+  },
+};
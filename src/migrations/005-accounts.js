@@ -0,0 +1,198 @@
+/**
+ * Migration 005: Unified accounts
+ * Moves users from the legacy Customer/Staff/Admin tables onto
+ * Account + AccountRole.
+ *
+ * 1. Creates Accounts and AccountRoles
+ * 2. Makes Customers.password nullable and links Customers to Accounts
+ * 3. Creates one Account per email; an email found in several tables becomes
+ *    one account holding several roles, but only when the rows share the
+ *    same password hash. Customers are copied first and keep their
+ *    credentials: a staff or admin row with the same email and a different
+ *    password is not merged (anyone could register as admin before
+ *    invitations existed) and is logged for an operator to resolve.
+ * 4. Re-keys existing refresh tokens from role-specific ids to accountIds
+ *
+ * Written with plain queries rather than models so later model changes
+ * cannot alter what this migration does.
+ */
+
+const { QueryTypes } = require('sequelize');
+const logger = require('../logger');
+const {
+  createTableIfMissing,
+  addColumnIfMissing,
+  addIndexIfMissing,
+  removeColumnIfExists,
+  withoutForeignKeys,
+  timestamps,
+} = require('./helpers');
+
+/** Legacy tables, customers first so an account's credentials are the customer's */
+const LEGACY_SOURCES = [
+  { role: 'customer', table: 'Customers', key: 'custId' },
+  { role: 'staff', table: 'Staffs', key: 'staffId' },
+  { role: 'admin', table: 'Admins', key: 'adminId' },
+];
+
+/**
+ * Create accounts and role assignments for legacy rows
+ * Rows whose email already belongs to an account with another password are
+ * skipped and reported.
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} transaction - Active transaction
+ * @returns {Promise<Array<{table: string, id: number, email: string}>>} Skipped rows
+ */
+async function copyLegacyUsers(sequelize, transaction) {
+  const select = (sql, replacements) =>
+    sequelize.query(sql, { type: QueryTypes.SELECT, replacements, transaction });
+  const qi = sequelize.getQueryInterface();
+  const conflicts = [];
+
+  for (const { role, table, key } of LEGACY_SOURCES) {
+    const rows = await select(`SELECT * FROM ${table}`);
+
+    for (const row of rows) {
+      const email = String(row.email).trim().toLowerCase();
+      const now = new Date();
+
+      let [account] = await select('SELECT accountId, password FROM Accounts WHERE email = ?', [email]);
+
+      // Same email, different password: possibly someone else's row, so never merge it
+      const linked = role === 'customer' && row.accountId === account?.accountId;
+      if (account && row.password && row.password !== account.password && !linked) {
+        conflicts.push({ table, id: row[key], email });
+        continue;
+      }
+
+      if (!account) {
+        // Customers created after the identity change have no legacy password
+        if (!row.password) continue;
+        await qi.bulkInsert('Accounts', [
+          { name: row.name, email, password: row.password, createdAt: now, updatedAt: now },
+        ], { transaction });
+        [account] = await select('SELECT accountId, password FROM Accounts WHERE email = ?', [email]);
+      }
+
+      const [held] = await select(
+        'SELECT accountRoleId FROM AccountRoles WHERE accountId = ? AND role = ?',
+        [account.accountId, role]
+      );
+      if (!held) {
+        await qi.bulkInsert('AccountRoles', [
+          { accountId: account.accountId, role, createdAt: now, updatedAt: now },
+        ], { transaction });
+      }
+
+      if (role === 'customer' && !row.accountId) {
+        await qi.bulkUpdate('Customers', { accountId: account.accountId }, { [key]: row[key] }, { transaction });
+      }
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Re-key refresh tokens issued before accounts existed
+ * Tokens whose user cannot be matched, or was not merged, are revoked.
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} transaction - Active transaction
+ * @param {Array<{table: string, id: number}>} conflicts - Rows skipped by copyLegacyUsers
+ * @returns {Promise<void>}
+ */
+async function rekeyRefreshTokens(sequelize, transaction, conflicts) {
+  const select = (sql, replacements) =>
+    sequelize.query(sql, { type: QueryTypes.SELECT, replacements, transaction });
+  const qi = sequelize.getQueryInterface();
+
+  const tokens = await select('SELECT tokenId, userId, role FROM RefreshTokens WHERE revokedAt IS NULL');
+  for (const token of tokens) {
+    const source = LEGACY_SOURCES.find((s) => s.role === token.role);
+    const skipped = conflicts.some((c) => c.table === source?.table && String(c.id) === String(token.userId));
+    const [legacy] = source && !skipped
+      ? await select(`SELECT email FROM ${source.table} WHERE ${source.key} = ?`, [token.userId])
+      : [];
+    const [account] = legacy
+      ? await select('SELECT accountId FROM Accounts WHERE email = ?', [String(legacy.email).toLowerCase()])
+      : [];
+
+    const change = account ? { userId: account.accountId } : { revokedAt: new Date() };
+    await qi.bulkUpdate('RefreshTokens', change, { tokenId: token.tokenId }, { transaction });
+  }
+}
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const { sequelize } = queryInterface;
+
+    // Databases that ran the old boot-time identity migration already hold accounts
+    const firstRun = await createTableIfMissing(queryInterface, 'Accounts', {
+      accountId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      name:      { type: Sequelize.STRING, allowNull: false },
+      email:     { type: Sequelize.STRING, allowNull: false, unique: true },
+      password:  { type: Sequelize.STRING, allowNull: false },
+      ...timestamps(),
+    });
+
+    await createTableIfMissing(queryInterface, 'AccountRoles', {
+      accountRoleId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      accountId:     {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Accounts', key: 'accountId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      role:          { type: Sequelize.STRING, allowNull: false },
+      ...timestamps(),
+    });
+    await addIndexIfMissing(queryInterface, 'AccountRoles', ['accountId', 'role'], {
+      unique: true,
+      name: 'account_roles_account_id_role',
+    });
+
+    const columns = await queryInterface.describeTable('Customers');
+    await withoutForeignKeys(queryInterface, async () => {
+      // Change before adding so the rebuilt table keeps the new column's reference
+      if (columns.password.allowNull === false) {
+        await queryInterface.changeColumn('Customers', 'password', { type: Sequelize.STRING, allowNull: true });
+      }
+      await addColumnIfMissing(queryInterface, 'Customers', 'accountId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'Accounts', key: 'accountId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      });
+    });
+    await addIndexIfMissing(queryInterface, 'Customers', ['accountId'], {
+      unique: true,
+      name: 'customers_account_id',
+    });
+
+    const conflicts = await sequelize.transaction(async (transaction) => {
+      const skipped = await copyLegacyUsers(sequelize, transaction);
+      // Refresh tokens hold role-specific ids only until accounts first exist
+      if (firstRun) await rekeyRefreshTokens(sequelize, transaction, skipped);
+      return skipped;
+    });
+
+    for (const { table, id, email } of conflicts) {
+      logger.warn(
+        `Not merged: ${table} row ${id} has the email ${email} of an existing account with a different `
+        + 'password. Grant its role to the account, or give the row another email, by hand.'
+      );
+    }
+  },
+
+  async down(queryInterface) {
+    // Legacy tables still hold every pre-account user; customers registered
+    // since then lose their login, so roll back only with a backup at hand.
+    await withoutForeignKeys(queryInterface, async () => {
+      await queryInterface.removeIndex('Customers', 'customers_account_id').catch(() => {});
+      await removeColumnIfExists(queryInterface, 'Customers', 'accountId');
+    });
+    await queryInterface.dropTable('AccountRoles');
+    await queryInterface.dropTable('Accounts');
+  },
+};
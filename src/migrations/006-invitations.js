@@ -0,0 +1,25 @@
+/**
+ * Migration 006: Staff/admin invitations
+ */
+
+const { createTableIfMissing, timestamps } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'Invitations', {
+      inviteId:   { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      tokenHash:  { type: Sequelize.STRING(64), allowNull: false, unique: true },
+      email:      { type: Sequelize.STRING, allowNull: false },
+      role:       { type: Sequelize.STRING, allowNull: false },
+      expiresAt:  { type: Sequelize.DATE, allowNull: false },
+      usedAt:     { type: Sequelize.DATE },
+      createdBy:  { type: Sequelize.INTEGER },
+      acceptedBy: { type: Sequelize.INTEGER },
+      ...timestamps(),
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('Invitations');
+  },
+};
@@ -0,0 +1,59 @@
+/**
+ * Migration 007: Role permissions
+ * Creates RolePermissions and writes the default mapping of the time when
+ * the table is empty. Permissions added since are granted by the migrations
+ * that introduced them.
+ */
+
+const { QueryTypes } = require('sequelize');
+const { createTableIfMissing, addIndexIfMissing, timestamps, grantPermissions } = require('./helpers');
+
+const STAFF_PERMISSIONS = [
+  'products:read',
+  'orders:read',
+  'orders:write',
+  'orders:refund',
+  'customers:read',
+  'customers:write',
+];
+
+/** Default mapping when permissions were introduced ('orders:delete' is removed by 017) */
+const GRANTS = {
+  staff: STAFF_PERMISSIONS,
+  admin: [
+    ...STAFF_PERMISSIONS,
+    'products:write',
+    'products:delete',
+    'orders:delete',
+    'customers:delete',
+    'invitations:manage',
+    'permissions:manage',
+  ],
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'RolePermissions', {
+      rolePermissionId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      role:             { type: Sequelize.STRING, allowNull: false },
+      permission:       { type: Sequelize.STRING(100), allowNull: false },
+      ...timestamps(),
+    });
+    await addIndexIfMissing(queryInterface, 'RolePermissions', ['role', 'permission'], {
+      unique: true,
+      name: 'role_permissions_role_permission',
+    });
+
+    const [{ count }] = await queryInterface.sequelize.query(
+      'SELECT COUNT(*) AS count FROM RolePermissions',
+      { type: QueryTypes.SELECT }
+    );
+    if (Number(count) > 0) return;
+
+    await grantPermissions(queryInterface, GRANTS);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('RolePermissions');
+  },
+};
@@ -0,0 +1,21 @@
+/**
+ * Migration 008: Customer address and phone
+ * Registration already accepted these fields; they are now stored.
+ */
+
+const { addColumnIfMissing, removeColumnIfExists, withoutForeignKeys } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'Customers', 'address', { type: Sequelize.STRING(120) });
+    await addColumnIfMissing(queryInterface, 'Customers', 'phone', { type: Sequelize.STRING(40) });
+  },
+
+  async down(queryInterface) {
+    // SQLite drops a column by rebuilding the table; keep Orders intact
+    await withoutForeignKeys(queryInterface, async () => {
+      await removeColumnIfExists(queryInterface, 'Customers', 'phone');
+      await removeColumnIfExists(queryInterface, 'Customers', 'address');
+    });
+  },
+};
@@ -0,0 +1,86 @@
+/**
+ * Migration 009: Product catalog
+ * Categories, product ↔ category links, product variants (size, finish,
+ * framing) and the variant ordered on each order line.
+ */
+
+const {
+  createTableIfMissing,
+  addColumnIfMissing,
+  addIndexIfMissing,
+  removeColumnIfExists,
+  withoutForeignKeys,
+  timestamps,
+} = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'Categories', {
+      categoryId:  { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      name:        { type: Sequelize.STRING(60), allowNull: false, unique: true },
+      slug:        { type: Sequelize.STRING(80), allowNull: false, unique: true },
+      description: { type: Sequelize.STRING(500) },
+      ...timestamps(),
+    });
+
+    await createTableIfMissing(queryInterface, 'ProductCategories', {
+      prodId:     {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        references: { model: 'Products', key: 'prodId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      categoryId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        references: { model: 'Categories', key: 'categoryId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      ...timestamps(),
+    });
+    await addIndexIfMissing(queryInterface, 'ProductCategories', ['categoryId'], {
+      name: 'product_categories_category_id',
+    });
+
+    await createTableIfMissing(queryInterface, 'ProductVariants', {
+      variantId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      prodId:    {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Products', key: 'prodId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      sku:       { type: Sequelize.STRING(64), allowNull: false, unique: true },
+      size:      { type: Sequelize.STRING(30) },
+      finish:    { type: Sequelize.STRING(30) },
+      framed:    { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      price:     { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      stock:     { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      ...timestamps(),
+    });
+    await addIndexIfMissing(queryInterface, 'ProductVariants', ['prodId'], {
+      name: 'product_variants_prod_id',
+    });
+
+    await addColumnIfMissing(queryInterface, 'OrderItems', 'variantId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'ProductVariants', key: 'variantId' },
+      onUpdate: 'CASCADE',
+      onDelete: 'NO ACTION', // Variants that were ordered cannot be deleted
+    });
+  },
+
+  async down(queryInterface) {
+    // SQLite drops a column by rebuilding the table; keep order items intact
+    await withoutForeignKeys(queryInterface, async () => {
+      await removeColumnIfExists(queryInterface, 'OrderItems', 'variantId');
+    });
+    await queryInterface.dropTable('ProductVariants');
+    await queryInterface.dropTable('ProductCategories');
+    await queryInterface.dropTable('Categories');
+  },
+};
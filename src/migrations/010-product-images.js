@@ -0,0 +1,37 @@
+/**
+ * Migration 010: Product image galleries
+ */
+
+const { createTableIfMissing, addIndexIfMissing, timestamps } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'ProductImages', {
+      imageId:     { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      prodId:      {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Products', key: 'prodId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      position:    { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      altText:     { type: Sequelize.STRING(200) },
+      contentType: { type: Sequelize.STRING(50), allowNull: false },
+      width:       { type: Sequelize.INTEGER },
+      height:      { type: Sequelize.INTEGER },
+      bytes:       { type: Sequelize.INTEGER },
+      originalKey: { type: Sequelize.STRING(255), allowNull: false },
+      thumbKey:    { type: Sequelize.STRING(255), allowNull: false },
+      previewKey:  { type: Sequelize.STRING(255), allowNull: false },
+      ...timestamps(),
+    });
+    await addIndexIfMissing(queryInterface, 'ProductImages', ['prodId', 'position'], {
+      name: 'product_images_prod_id_position',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ProductImages');
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration 011: Digital products
+ * Products get a type (physical or digital); order lines count the downloads
+ * used against the per-purchase cap.
+ */
+
+const { addColumnIfMissing, removeColumnIfExists, withoutForeignKeys } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'Products', 'type', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'physical',
+    });
+    await addColumnIfMissing(queryInterface, 'OrderItems', 'downloads', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+  },
+
+  async down(queryInterface) {
+    // SQLite drops a column by rebuilding the table; keep referencing rows intact
+    await withoutForeignKeys(queryInterface, async () => {
+      await removeColumnIfExists(queryInterface, 'OrderItems', 'downloads');
+      await removeColumnIfExists(queryInterface, 'Products', 'type');
+    });
+  },
+};
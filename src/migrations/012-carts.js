@@ -0,0 +1,54 @@
+/**
+ * Migration 012: Server-side shopping carts
+ */
+
+const { createTableIfMissing, addIndexIfMissing, timestamps } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'Carts', {
+      cartId:    { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      custId:    {
+        type: Sequelize.INTEGER,
+        unique: true,
+        references: { model: 'Customers', key: 'custId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      tokenHash: { type: Sequelize.STRING(64), unique: true },
+      ...timestamps(),
+    });
+
+    await createTableIfMissing(queryInterface, 'CartItems', {
+      cartItemId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      cartId:     {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Carts', key: 'cartId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      prodId:     {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Products', key: 'prodId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      variantId:  {
+        type: Sequelize.INTEGER,
+        references: { model: 'ProductVariants', key: 'variantId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      quantity:   { type: Sequelize.INTEGER, allowNull: false },
+      ...timestamps(),
+    });
+    await addIndexIfMissing(queryInterface, 'CartItems', ['cartId'], { name: 'cart_items_cart_id' });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('CartItems');
+    await queryInterface.dropTable('Carts');
+  },
+};
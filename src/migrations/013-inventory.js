@@ -0,0 +1,103 @@
+/**
+ * Migration 013: Inventory ledger and stock reservations
+ * Creates InventoryMovements and records each product's and variant's current
+ * stock as an opening balance, so the ledger sums to the stock on hand from
+ * the start. Adds reorder levels, order reservation expiry, and the inventory
+ * permissions for the roles that hold them by default.
+ */
+
+const { QueryTypes } = require('sequelize');
+const {
+  createTableIfMissing,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  withoutForeignKeys,
+  timestamps,
+  grantPermissions,
+} = require('./helpers');
+
+const NEW_PERMISSIONS = ['inventory:read', 'inventory:write'];
+
+/** Stock is viewed and posted by staff as well as admins */
+const GRANTS = {
+  staff: NEW_PERMISSIONS,
+  admin: NEW_PERMISSIONS,
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const created = await createTableIfMissing(queryInterface, 'InventoryMovements', {
+      movementId:    { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      prodId:        {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Products', key: 'prodId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      variantId:     {
+        type: Sequelize.INTEGER,
+        references: { model: 'ProductVariants', key: 'variantId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      type:          { type: Sequelize.STRING(20), allowNull: false },
+      quantity:      { type: Sequelize.INTEGER, allowNull: false },
+      orderId:       {
+        type: Sequelize.INTEGER,
+        references: { model: 'Orders', key: 'orderId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      reason:        { type: Sequelize.STRING(500) },
+      createdBy:     { type: Sequelize.INTEGER },
+      createdByRole: { type: Sequelize.STRING },
+      ...timestamps({ updatedAt: false }),
+    });
+    await addIndexIfMissing(queryInterface, 'InventoryMovements', ['prodId', 'variantId'], {
+      name: 'inventory_movements_prod_id_variant_id',
+    });
+    await addIndexIfMissing(queryInterface, 'InventoryMovements', ['orderId'], {
+      name: 'inventory_movements_order_id',
+    });
+
+    await addColumnIfMissing(queryInterface, 'Products', 'reorderLevel', { type: Sequelize.INTEGER });
+    await addColumnIfMissing(queryInterface, 'ProductVariants', 'reorderLevel', { type: Sequelize.INTEGER });
+    await addColumnIfMissing(queryInterface, 'Orders', 'reservedUntil', { type: Sequelize.DATE });
+
+    // Opening balances: current stock becomes the first movement
+    if (created) {
+      const now = new Date();
+      const products = await queryInterface.sequelize.query(
+        `SELECT prodId, stock FROM Products
+         WHERE type = 'physical' AND stock IS NOT NULL AND stock <> 0
+           AND prodId NOT IN (SELECT prodId FROM ProductVariants)`,
+        { type: QueryTypes.SELECT }
+      );
+      const variants = await queryInterface.sequelize.query(
+        'SELECT prodId, variantId, stock FROM ProductVariants WHERE stock <> 0',
+        { type: QueryTypes.SELECT }
+      );
+      const rows = [
+        ...products.map((p) => ({ prodId: p.prodId, variantId: null, quantity: p.stock })),
+        ...variants.map((v) => ({ prodId: v.prodId, variantId: v.variantId, quantity: v.stock })),
+      ].map((r) => ({ ...r, type: 'adjustment', reason: 'Opening balance', createdAt: now }));
+      if (rows.length) await queryInterface.bulkInsert('InventoryMovements', rows);
+    }
+
+    await grantPermissions(queryInterface, GRANTS);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('RolePermissions', { permission: NEW_PERMISSIONS });
+    await queryInterface.dropTable('InventoryMovements');
+
+    // SQLite drops a column by rebuilding the table; keep referencing rows intact
+    await withoutForeignKeys(queryInterface, async () => {
+      await removeColumnIfExists(queryInterface, 'Orders', 'reservedUntil');
+      await removeColumnIfExists(queryInterface, 'ProductVariants', 'reorderLevel');
+      await removeColumnIfExists(queryInterface, 'Products', 'reorderLevel');
+    });
+  },
+};
@@ -0,0 +1,92 @@
+/**
+ * Migration 014: Coupons and order discounts
+ * Creates coupons with their product/category restrictions, the discount
+ * lines recorded on orders, coupons applied to carts, and grants the coupon
+ * permission to the roles that hold it by default.
+ */
+
+const { createTableIfMissing, addIndexIfMissing, timestamps, grantPermissions } = require('./helpers');
+
+const NEW_PERMISSIONS = ['coupons:manage'];
+
+/** Coupons are managed by admins */
+const GRANTS = { admin: NEW_PERMISSIONS };
+
+/**
+ * Foreign key column definition
+ * @param {Object} Sequelize - Sequelize constructor (for types)
+ * @param {string} model - Referenced table
+ * @param {string} key - Referenced column
+ * @param {Object} [options] - Extra column options (e.g. primaryKey, allowNull)
+ * @param {string} [onDelete='CASCADE'] - Delete rule
+ * @returns {Object} Column definition
+ */
+const reference = (Sequelize, model, key, options = {}, onDelete = 'CASCADE') => ({
+  type: Sequelize.INTEGER,
+  ...options,
+  references: { model, key },
+  onUpdate: 'CASCADE',
+  onDelete,
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'Coupons', {
+      couponId:      { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      code:          { type: Sequelize.STRING(40), allowNull: false, unique: true },
+      description:   { type: Sequelize.STRING(200) },
+      type:          { type: Sequelize.STRING(20), allowNull: false },
+      value:         { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      minOrderValue: { type: Sequelize.DECIMAL(10, 2) },
+      startsAt:      { type: Sequelize.DATE },
+      endsAt:        { type: Sequelize.DATE },
+      maxUses:       { type: Sequelize.INTEGER },
+      maxUsesPerCustomer: { type: Sequelize.INTEGER },
+      timesUsed:     { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      stackable:     { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      active:        { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      ...timestamps(),
+    });
+
+    await createTableIfMissing(queryInterface, 'CouponProducts', {
+      couponId: reference(Sequelize, 'Coupons', 'couponId', { primaryKey: true }),
+      prodId:   reference(Sequelize, 'Products', 'prodId', { primaryKey: true }),
+      ...timestamps(),
+    });
+
+    await createTableIfMissing(queryInterface, 'CouponCategories', {
+      couponId:   reference(Sequelize, 'Coupons', 'couponId', { primaryKey: true }),
+      categoryId: reference(Sequelize, 'Categories', 'categoryId', { primaryKey: true }),
+      ...timestamps(),
+    });
+
+    await createTableIfMissing(queryInterface, 'OrderDiscounts', {
+      orderDiscountId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      orderId:     reference(Sequelize, 'Orders', 'orderId', { allowNull: false }),
+      couponId:    reference(Sequelize, 'Coupons', 'couponId', {}, 'SET NULL'),
+      code:        { type: Sequelize.STRING(40), allowNull: false },
+      description: { type: Sequelize.STRING(200) },
+      amount:      { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      ...timestamps({ updatedAt: false }),
+    });
+    await addIndexIfMissing(queryInterface, 'OrderDiscounts', ['orderId'], { name: 'order_discounts_order_id' });
+    await addIndexIfMissing(queryInterface, 'OrderDiscounts', ['couponId'], { name: 'order_discounts_coupon_id' });
+
+    await createTableIfMissing(queryInterface, 'CartCoupons', {
+      cartId:   reference(Sequelize, 'Carts', 'cartId', { primaryKey: true }),
+      couponId: reference(Sequelize, 'Coupons', 'couponId', { primaryKey: true }),
+      ...timestamps(),
+    });
+
+    await grantPermissions(queryInterface, GRANTS);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('RolePermissions', { permission: NEW_PERMISSIONS });
+    await queryInterface.dropTable('CartCoupons');
+    await queryInterface.dropTable('OrderDiscounts');
+    await queryInterface.dropTable('CouponCategories');
+    await queryInterface.dropTable('CouponProducts');
+    await queryInterface.dropTable('Coupons');
+  },
+};
@@ -0,0 +1,125 @@
+/**
+ * Migration 015: Tax, shipping and order price breakdown
+ * Creates tax rules, shipping methods and order shipping addresses, adds
+ * product/variant weights, and splits order totals into subtotal, discount,
+ * shipping and tax. Existing orders had neither shipping nor tax, so their
+ * subtotal is rebuilt from their lines and their discount from their
+ * discount lines. Grants the pricing permission to the roles that hold it
+ * by default.
+ */
+
+const {
+  createTableIfMissing,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  withoutForeignKeys,
+  timestamps,
+  grantPermissions,
+} = require('./helpers');
+
+const NEW_PERMISSIONS = ['pricing:manage'];
+
+/** Tax rules and shipping methods are managed by admins */
+const GRANTS = { admin: NEW_PERMISSIONS };
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'TaxRules', {
+      taxRuleId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      name:      { type: Sequelize.STRING(60), allowNull: false },
+      country:   { type: Sequelize.STRING(2), allowNull: false },
+      region:    { type: Sequelize.STRING(60) },
+      rate:      { type: Sequelize.DECIMAL(6, 3), allowNull: false },
+      inclusive: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      appliesToShipping: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      active:    { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      ...timestamps(),
+    });
+    await addIndexIfMissing(queryInterface, 'TaxRules', ['country', 'region'], { name: 'tax_rules_country_region' });
+
+    await createTableIfMissing(queryInterface, 'ShippingMethods', {
+      shippingMethodId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      name:        { type: Sequelize.STRING(60), allowNull: false, unique: true },
+      description: { type: Sequelize.STRING(200) },
+      rateType:    { type: Sequelize.STRING(20), allowNull: false },
+      baseRate:    { type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      rate:        { type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      freeOver:    { type: Sequelize.DECIMAL(10, 2) },
+      countries:   { type: Sequelize.STRING(500) },
+      active:      { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+      ...timestamps(),
+    });
+
+    await createTableIfMissing(queryInterface, 'OrderAddresses', {
+      orderId:    {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        references: { model: 'Orders', key: 'orderId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name:       { type: Sequelize.STRING(100), allowNull: false },
+      line1:      { type: Sequelize.STRING(120), allowNull: false },
+      line2:      { type: Sequelize.STRING(120) },
+      city:       { type: Sequelize.STRING(60), allowNull: false },
+      region:     { type: Sequelize.STRING(60) },
+      postalCode: { type: Sequelize.STRING(20) },
+      country:    { type: Sequelize.STRING(2), allowNull: false },
+      phone:      { type: Sequelize.STRING(40) },
+      ...timestamps({ updatedAt: false }),
+    });
+
+    await addColumnIfMissing(queryInterface, 'Products', 'weight', { type: Sequelize.INTEGER });
+    await addColumnIfMissing(queryInterface, 'ProductVariants', 'weight', { type: Sequelize.INTEGER });
+
+    const added = await addColumnIfMissing(queryInterface, 'Orders', 'subtotal', { type: Sequelize.DECIMAL(10, 2) });
+    await addColumnIfMissing(queryInterface, 'Orders', 'discount', { type: Sequelize.DECIMAL(10, 2) });
+    await addColumnIfMissing(queryInterface, 'Orders', 'shipping', { type: Sequelize.DECIMAL(10, 2) });
+    await addColumnIfMissing(queryInterface, 'Orders', 'tax', { type: Sequelize.DECIMAL(10, 2) });
+    await addColumnIfMissing(queryInterface, 'Orders', 'taxRate', { type: Sequelize.DECIMAL(6, 3) });
+    await addColumnIfMissing(queryInterface, 'Orders', 'taxInclusive', { type: Sequelize.BOOLEAN });
+    await addColumnIfMissing(queryInterface, 'Orders', 'shippingMethodId', {
+      type: Sequelize.INTEGER,
+      references: { model: 'ShippingMethods', key: 'shippingMethodId' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+
+    // Break down existing totals: no shipping or tax was ever charged
+    if (added) {
+      await queryInterface.sequelize.query(
+        `UPDATE Orders SET
+           subtotal = COALESCE((SELECT SUM(i.quantity * i.unitPrice) FROM OrderItems i
+                                WHERE i.orderId = Orders.orderId), total),
+           discount = COALESCE((SELECT SUM(d.amount) FROM OrderDiscounts d
+                                WHERE d.orderId = Orders.orderId), 0),
+           shipping = 0,
+           tax = 0`
+      );
+    }
+
+    await grantPermissions(queryInterface, GRANTS);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('RolePermissions', { permission: NEW_PERMISSIONS });
+
+    // SQLite drops a column by rebuilding the table; keep referencing rows intact
+    await withoutForeignKeys(queryInterface, async () => {
+      await removeColumnIfExists(queryInterface, 'Orders', 'shippingMethodId');
+      await removeColumnIfExists(queryInterface, 'Orders', 'taxInclusive');
+      await removeColumnIfExists(queryInterface, 'Orders', 'taxRate');
+      await removeColumnIfExists(queryInterface, 'Orders', 'tax');
+      await removeColumnIfExists(queryInterface, 'Orders', 'shipping');
+      await removeColumnIfExists(queryInterface, 'Orders', 'discount');
+      await removeColumnIfExists(queryInterface, 'Orders', 'subtotal');
+      await removeColumnIfExists(queryInterface, 'ProductVariants', 'weight');
+      await removeColumnIfExists(queryInterface, 'Products', 'weight');
+    });
+
+    await queryInterface.dropTable('OrderAddresses');
+    await queryInterface.dropTable('ShippingMethods');
+    await queryInterface.dropTable('TaxRules');
+  },
+};
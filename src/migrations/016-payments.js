@@ -0,0 +1,79 @@
+/**
+ * Migration 016: Payments
+ * Creates order payments, their refunds, and the record of webhook events
+ * already handled (so duplicate deliveries are not applied twice).
+ */
+
+const { createTableIfMissing, addIndexIfMissing, timestamps } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'Payments', {
+      paymentId:      { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      orderId:        {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Orders', key: 'orderId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      provider:       { type: Sequelize.STRING(30), allowNull: false },
+      providerRef:    { type: Sequelize.STRING(100), allowNull: false },
+      clientSecret:   { type: Sequelize.STRING(200) },
+      status:         { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'requires_payment' },
+      captureMode:    { type: Sequelize.STRING(10), allowNull: false },
+      amount:         { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      amountRefunded: { type: Sequelize.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      currency:       { type: Sequelize.STRING(3), allowNull: false },
+      failureReason:  { type: Sequelize.STRING(200) },
+      ...timestamps(),
+    });
+    await addIndexIfMissing(queryInterface, 'Payments', ['provider', 'providerRef'], {
+      name: 'payments_provider_provider_ref',
+      unique: true,
+    });
+    await addIndexIfMissing(queryInterface, 'Payments', ['orderId'], { name: 'payments_order_id' });
+
+    await createTableIfMissing(queryInterface, 'PaymentRefunds', {
+      paymentRefundId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      paymentId:     {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Payments', key: 'paymentId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      providerRef:   { type: Sequelize.STRING(100), allowNull: false },
+      amount:        { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+      reason:        { type: Sequelize.STRING(500) },
+      createdBy:     { type: Sequelize.INTEGER },
+      createdByRole: { type: Sequelize.STRING },
+      ...timestamps({ updatedAt: false }),
+    });
+
+    await createTableIfMissing(queryInterface, 'PaymentEvents', {
+      paymentEventId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      provider:  { type: Sequelize.STRING(30), allowNull: false },
+      eventId:   { type: Sequelize.STRING(100), allowNull: false },
+      type:      { type: Sequelize.STRING(60), allowNull: false },
+      paymentId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'Payments', key: 'paymentId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      outcome:   { type: Sequelize.STRING(20), allowNull: false },
+      ...timestamps({ updatedAt: false }),
+    });
+    await addIndexIfMissing(queryInterface, 'PaymentEvents', ['provider', 'eventId'], {
+      name: 'payment_events_provider_event_id',
+      unique: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('PaymentEvents');
+    await queryInterface.dropTable('PaymentRefunds');
+    await queryInterface.dropTable('Payments');
+  },
+};
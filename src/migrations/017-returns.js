@@ -0,0 +1,127 @@
+/**
+ * Migration 017: Returns and order refunds
+ * Creates customer returns and their lines, tracks the amount refunded per
+ * order and the units returned per order line, and swaps the order delete
+ * permission (orders are now cancelled instead) for the returns permission.
+ *
+ * Existing refunds are carried over: orders already marked refunded were
+ * refunded in full, others keep what their payments refunded.
+ */
+
+const {
+  createTableIfMissing,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  withoutForeignKeys,
+  timestamps,
+  grantPermissions,
+} = require('./helpers');
+
+const NEW_PERMISSIONS = ['returns:manage'];
+
+/** Returns are handled by staff as well as admins */
+const GRANTS = {
+  staff: NEW_PERMISSIONS,
+  admin: NEW_PERMISSIONS,
+};
+const REMOVED_PERMISSIONS = ['orders:delete'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'Returns', {
+      returnId:      { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      orderId:       {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Orders', key: 'orderId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      custId:        { type: Sequelize.INTEGER, allowNull: false },
+      status:        { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'requested' },
+      reason:        { type: Sequelize.STRING(500), allowNull: false },
+      note:          { type: Sequelize.STRING(500) },
+      restocked:     { type: Sequelize.BOOLEAN },
+      refundAmount:  { type: Sequelize.DECIMAL(10, 2) },
+      paymentRefundId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'PaymentRefunds', key: 'paymentRefundId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      decidedBy:     { type: Sequelize.INTEGER },
+      decidedByRole: { type: Sequelize.STRING },
+      decidedAt:     { type: Sequelize.DATE },
+      ...timestamps(),
+    });
+    await addIndexIfMissing(queryInterface, 'Returns', ['orderId'], { name: 'returns_order_id' });
+    await addIndexIfMissing(queryInterface, 'Returns', ['status'], { name: 'returns_status' });
+
+    await createTableIfMissing(queryInterface, 'ReturnItems', {
+      returnItemId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      returnId:     {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Returns', key: 'returnId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      orderItemId:  {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'OrderItems', key: 'orderItemId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      quantity:     { type: Sequelize.INTEGER, allowNull: false },
+      ...timestamps({ updatedAt: false }),
+    });
+    await addIndexIfMissing(queryInterface, 'ReturnItems', ['returnId'], { name: 'return_items_return_id' });
+
+    await addColumnIfMissing(queryInterface, 'OrderItems', 'returned', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+    const added = await addColumnIfMissing(queryInterface, 'Orders', 'amountRefunded', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    // Carry over refunds made before they were tracked per order
+    if (added) {
+      await queryInterface.sequelize.query(
+        `UPDATE Orders SET amountRefunded = CASE
+           WHEN status = 'refunded' THEN COALESCE(total, 0)
+           ELSE COALESCE((SELECT SUM(p.amountRefunded) FROM Payments p WHERE p.orderId = Orders.orderId), 0)
+         END`
+      );
+    }
+
+    // Orders are cancelled rather than deleted now
+    await queryInterface.bulkDelete('RolePermissions', { permission: REMOVED_PERMISSIONS });
+
+    await grantPermissions(queryInterface, GRANTS);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('RolePermissions', { permission: NEW_PERMISSIONS });
+
+    // Only admins could delete orders by default
+    const now = new Date();
+    await queryInterface.bulkInsert('RolePermissions', REMOVED_PERMISSIONS.map((permission) => ({
+      role: 'admin', permission, createdAt: now, updatedAt: now,
+    })));
+
+    // SQLite drops a column by rebuilding the table; keep referencing rows intact
+    await withoutForeignKeys(queryInterface, async () => {
+      await removeColumnIfExists(queryInterface, 'Orders', 'amountRefunded');
+      await removeColumnIfExists(queryInterface, 'OrderItems', 'returned');
+    });
+
+    await queryInterface.dropTable('ReturnItems');
+    await queryInterface.dropTable('Returns');
+  },
+};
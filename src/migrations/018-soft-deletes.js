@@ -0,0 +1,49 @@
+/**
+ * Migration 018: Soft deletes
+ * Adds deletedAt to customers, products and orders so deleting them only
+ * hides them (Sequelize paranoid models) until they are restored or purged,
+ * and grants the permission to list and restore deleted records.
+ *
+ * Rolling back drops the column, so records deleted in the meantime come back.
+ */
+
+const {
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  withoutForeignKeys,
+  grantPermissions,
+} = require('./helpers');
+
+const NEW_PERMISSIONS = ['trash:manage'];
+
+/** Only admins list and restore deleted records */
+const GRANTS = { admin: NEW_PERMISSIONS };
+
+/** Tables that are soft-deleted */
+const TABLES = ['Customers', 'Products', 'Orders'];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const table of TABLES) {
+      await addColumnIfMissing(queryInterface, table, 'deletedAt', { type: Sequelize.DATE });
+      await addIndexIfMissing(queryInterface, table, ['deletedAt'], { name: `${table.toLowerCase()}_deleted_at` });
+    }
+
+    await grantPermissions(queryInterface, GRANTS);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('RolePermissions', { permission: NEW_PERMISSIONS });
+
+    // SQLite drops a column by rebuilding the table; keep referencing rows intact
+    await withoutForeignKeys(queryInterface, async () => {
+      for (const table of [...TABLES].reverse()) {
+        const name = `${table.toLowerCase()}_deleted_at`;
+        const indexes = await queryInterface.showIndex(table);
+        if (indexes.some((i) => i.name === name)) await queryInterface.removeIndex(table, name);
+        await removeColumnIfExists(queryInterface, table, 'deletedAt');
+      }
+    });
+  },
+};
@@ -0,0 +1,41 @@
+/**
+ * Migration 019: Audit log
+ * Creates the log of changes made through privileged routes and grants the
+ * permission to browse and export it to the roles that hold it by default.
+ */
+
+const { createTableIfMissing, addIndexIfMissing, timestamps, grantPermissions } = require('./helpers');
+
+const NEW_PERMISSIONS = ['audit:read'];
+
+/** Only admins read the audit log */
+const GRANTS = { admin: NEW_PERMISSIONS };
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'AuditEvents', {
+      auditEventId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      actorId:   { type: Sequelize.INTEGER },
+      actorRole: { type: Sequelize.STRING },
+      action:    { type: Sequelize.STRING(20), allowNull: false },
+      entity:    { type: Sequelize.STRING(40), allowNull: false },
+      entityId:  { type: Sequelize.STRING(64) },
+      changes:   { type: Sequelize.TEXT },
+      requestId: { type: Sequelize.STRING(100) },
+      ip:        { type: Sequelize.STRING(64) },
+      ...timestamps({ updatedAt: false }),
+    });
+    await addIndexIfMissing(queryInterface, 'AuditEvents', ['entity', 'entityId'], {
+      name: 'audit_events_entity_entity_id',
+    });
+    await addIndexIfMissing(queryInterface, 'AuditEvents', ['actorId'], { name: 'audit_events_actor_id' });
+    await addIndexIfMissing(queryInterface, 'AuditEvents', ['createdAt'], { name: 'audit_events_created_at' });
+
+    await grantPermissions(queryInterface, GRANTS);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('RolePermissions', { permission: NEW_PERMISSIONS });
+    await queryInterface.dropTable('AuditEvents');
+  },
+};
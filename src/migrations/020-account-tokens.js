@@ -0,0 +1,50 @@
+/**
+ * Migration 020: Password reset and email verification
+ * Creates the single-use tokens emailed to account owners and records when
+ * an account's email was verified. Existing accounts count as verified, so
+ * turning on REQUIRE_VERIFIED_EMAIL does not lock anyone out.
+ */
+
+const {
+  createTableIfMissing,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  withoutForeignKeys,
+  timestamps,
+} = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const added = await addColumnIfMissing(queryInterface, 'Accounts', 'emailVerifiedAt', { type: Sequelize.DATE });
+    if (added) await queryInterface.sequelize.query('UPDATE Accounts SET emailVerifiedAt = createdAt');
+
+    await createTableIfMissing(queryInterface, 'AccountTokens', {
+      accountTokenId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      accountId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Accounts', key: 'accountId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      purpose:   { type: Sequelize.STRING(20), allowNull: false },
+      tokenHash: { type: Sequelize.STRING(64), allowNull: false, unique: true },
+      email:     { type: Sequelize.STRING, allowNull: false },
+      expiresAt: { type: Sequelize.DATE, allowNull: false },
+      usedAt:    { type: Sequelize.DATE },
+      ...timestamps({ updatedAt: false }),
+    });
+    await addIndexIfMissing(queryInterface, 'AccountTokens', ['accountId', 'purpose'], {
+      name: 'account_tokens_account_id_purpose',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('AccountTokens');
+
+    // SQLite drops a column by rebuilding the table; keep referencing rows intact
+    await withoutForeignKeys(queryInterface, () =>
+      removeColumnIfExists(queryInterface, 'Accounts', 'emailVerifiedAt'));
+  },
+};
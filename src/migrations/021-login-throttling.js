@@ -0,0 +1,55 @@
+/**
+ * Migration 021: Login throttling and lockout
+ * Records failed logins and when an account is locked until, and grants the
+ * permission to review failed logins and unlock accounts to the roles that
+ * hold it by default.
+ */
+
+const {
+  createTableIfMissing,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  withoutForeignKeys,
+  timestamps,
+  grantPermissions,
+} = require('./helpers');
+
+const NEW_PERMISSIONS = ['logins:manage'];
+
+/** Only admins review failed logins and unlock accounts */
+const GRANTS = { admin: NEW_PERMISSIONS };
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'Accounts', 'lockedUntil', { type: Sequelize.DATE });
+
+    await createTableIfMissing(queryInterface, 'LoginAttempts', {
+      loginAttemptId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      email:     { type: Sequelize.STRING, allowNull: false },
+      accountId: {
+        type: Sequelize.INTEGER,
+        references: { model: 'Accounts', key: 'accountId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      ip:        { type: Sequelize.STRING(64) },
+      requestId: { type: Sequelize.STRING(100) },
+      ...timestamps({ updatedAt: false }),
+    });
+    await addIndexIfMissing(queryInterface, 'LoginAttempts', ['email'], { name: 'login_attempts_email' });
+    await addIndexIfMissing(queryInterface, 'LoginAttempts', ['accountId'], { name: 'login_attempts_account_id' });
+    await addIndexIfMissing(queryInterface, 'LoginAttempts', ['createdAt'], { name: 'login_attempts_created_at' });
+
+    await grantPermissions(queryInterface, GRANTS);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('RolePermissions', { permission: NEW_PERMISSIONS });
+    await queryInterface.dropTable('LoginAttempts');
+
+    // SQLite drops a column by rebuilding the table; keep referencing rows intact
+    await withoutForeignKeys(queryInterface, () =>
+      removeColumnIfExists(queryInterface, 'Accounts', 'lockedUntil'));
+  },
+};
@@ -0,0 +1,65 @@
+/**
+ * Migration 022: Two-factor authentication
+ * Adds TOTP enrolment to accounts, creates recovery codes and per-role
+ * security policies (whether a role must use two-factor authentication), and
+ * grants the permission to manage them to the roles that hold it by default.
+ */
+
+const {
+  createTableIfMissing,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  withoutForeignKeys,
+  timestamps,
+  grantPermissions,
+} = require('./helpers');
+
+const NEW_PERMISSIONS = ['twofactor:manage'];
+
+/** Only admins manage two-factor policies */
+const GRANTS = { admin: NEW_PERMISSIONS };
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'Accounts', 'totpSecret', { type: Sequelize.STRING(255) });
+    await addColumnIfMissing(queryInterface, 'Accounts', 'totpEnabledAt', { type: Sequelize.DATE });
+    await addColumnIfMissing(queryInterface, 'Accounts', 'totpLastStep', { type: Sequelize.INTEGER });
+
+    await createTableIfMissing(queryInterface, 'RecoveryCodes', {
+      recoveryCodeId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+      accountId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Accounts', key: 'accountId' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      codeHash: { type: Sequelize.STRING(64), allowNull: false },
+      usedAt:   { type: Sequelize.DATE },
+      ...timestamps({ updatedAt: false }),
+    });
+    await addIndexIfMissing(queryInterface, 'RecoveryCodes', ['accountId'], { name: 'recovery_codes_account_id' });
+
+    await createTableIfMissing(queryInterface, 'RolePolicies', {
+      role:             { type: Sequelize.STRING, primaryKey: true },
+      requireTwoFactor: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      ...timestamps(),
+    });
+
+    await grantPermissions(queryInterface, GRANTS);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('RolePermissions', { permission: NEW_PERMISSIONS });
+    await queryInterface.dropTable('RolePolicies');
+    await queryInterface.dropTable('RecoveryCodes');
+
+    // SQLite drops a column by rebuilding the table; keep referencing rows intact
+    await withoutForeignKeys(queryInterface, async () => {
+      await removeColumnIfExists(queryInterface, 'Accounts', 'totpLastStep');
+      await removeColumnIfExists(queryInterface, 'Accounts', 'totpEnabledAt');
+      await removeColumnIfExists(queryInterface, 'Accounts', 'totpSecret');
+    });
+  },
+};
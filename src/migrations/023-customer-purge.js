@@ -0,0 +1,22 @@
+/**
+ * Migration 023: Purged customers
+ * Purging a deleted customer now erases their personal data but keeps the
+ * row, so their orders, payments and refunds stay on the books. purgedAt
+ * records when that happened; purged customers cannot be restored.
+ *
+ * Rolling back drops the column: purged customers stay anonymised but look
+ * like any other deleted customer again.
+ */
+
+const { addColumnIfMissing, removeColumnIfExists, withoutForeignKeys } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'Customers', 'purgedAt', { type: Sequelize.DATE });
+  },
+
+  async down(queryInterface) {
+    // SQLite drops a column by rebuilding the table; keep the customers' orders intact
+    await withoutForeignKeys(queryInterface, () => removeColumnIfExists(queryInterface, 'Customers', 'purgedAt'));
+  },
+};
@@ -0,0 +1,89 @@
+/**
+ * Migration 024: Pending refunds
+ * Refunds are recorded as pending inside the database transaction and only
+ * sent to the payment provider once it has committed, so a PaymentRefund
+ * has no provider reference until it is settled. Refunds made before this
+ * migration went through the provider first and are marked succeeded.
+ *
+ * SQLite cannot relax NOT NULL in place, and changeColumn's rebuild loses the
+ * CASCADE rules of the paymentId reference, so the table is rebuilt from its
+ * full definition there.
+ *
+ * Rolling back drops the failed refunds (they gave nothing back) and the
+ * status column; pending refunds left unsettled keep an empty reference.
+ */
+
+const { addColumnIfMissing, columnExists, removeColumnIfExists, withoutForeignKeys, timestamps } = require('./helpers');
+
+/** Columns copied as they are when the table is rebuilt */
+const KEPT_COLUMNS = ['paymentRefundId', 'paymentId', 'providerRef', 'amount', 'reason', 'createdBy', 'createdByRole', 'createdAt'];
+
+/**
+ * PaymentRefunds columns (as in migration 016 plus the changes below)
+ * @param {Object} Sequelize - Sequelize library
+ * @param {Object} options
+ * @param {boolean} options.pending - Refunds may be pending: nullable providerRef and a status
+ * @returns {Object} Column definitions
+ */
+const columns = (Sequelize, { pending }) => ({
+  paymentRefundId: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+  paymentId:     {
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    references: { model: 'Payments', key: 'paymentId' },
+    onUpdate: 'CASCADE',
+    onDelete: 'CASCADE',
+  },
+  providerRef:   { type: Sequelize.STRING(100), allowNull: pending },
+  ...(pending && { status: { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'succeeded' } }),
+  amount:        { type: Sequelize.DECIMAL(10, 2), allowNull: false },
+  reason:        { type: Sequelize.STRING(500) },
+  createdBy:     { type: Sequelize.INTEGER },
+  createdByRole: { type: Sequelize.STRING },
+  ...timestamps({ updatedAt: false }),
+});
+
+/**
+ * Recreate PaymentRefunds with new columns, keeping its rows (SQLite)
+ * @param {Object} qi - Sequelize QueryInterface
+ * @param {Object} attributes - New column definitions
+ * @returns {Promise<void>}
+ */
+async function rebuild(qi, attributes) {
+  const list = KEPT_COLUMNS.map((c) => `"${c}"`).join(', ');
+  await withoutForeignKeys(qi, async () => {
+    await qi.createTable('PaymentRefunds_rebuild', attributes);
+    await qi.sequelize.query(`INSERT INTO "PaymentRefunds_rebuild" (${list}) SELECT ${list} FROM "PaymentRefunds"`);
+    await qi.dropTable('PaymentRefunds');
+    await qi.renameTable('PaymentRefunds_rebuild', 'PaymentRefunds');
+  });
+}
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    if (await columnExists(queryInterface, 'PaymentRefunds', 'status')) return;
+
+    if (queryInterface.sequelize.getDialect() === 'sqlite') {
+      await rebuild(queryInterface, columns(Sequelize, { pending: true }));
+      return;
+    }
+    await queryInterface.changeColumn('PaymentRefunds', 'providerRef', { type: Sequelize.STRING(100), allowNull: true });
+    await addColumnIfMissing(queryInterface, 'PaymentRefunds', 'status', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'succeeded',
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('PaymentRefunds', { status: 'failed' });
+    await queryInterface.bulkUpdate('PaymentRefunds', { providerRef: '' }, { providerRef: null });
+
+    if (queryInterface.sequelize.getDialect() === 'sqlite') {
+      await rebuild(queryInterface, columns(Sequelize, { pending: false }));
+      return;
+    }
+    await removeColumnIfExists(queryInterface, 'PaymentRefunds', 'status');
+    await queryInterface.changeColumn('PaymentRefunds', 'providerRef', { type: Sequelize.STRING(100), allowNull: false });
+  },
+};
@@ -0,0 +1,153 @@
+/**
+ * Migration Helpers
+ * Idempotent schema operations shared by the migration files.
+ *
+ * Databases created before migrations existed were built by sequelize.sync(),
+ * so any table or column may already be present. The early migrations use
+ * these guards so they can be applied to such a database without failing.
+ */
+
+const { DataTypes, QueryTypes } = require('sequelize');
+
+/**
+ * Check whether a table exists
+ * @param {Object} qi - Sequelize QueryInterface
+ * @param {string} table - Table name
+ * @returns {Promise<boolean>} True if present
+ */
+async function tableExists(qi, table) {
+  const tables = await qi.showAllTables();
+  return tables.map((t) => (typeof t === 'string' ? t : t.tableName)).includes(table);
+}
+
+/**
+ * Create a table unless it already exists
+ * @param {Object} qi - Sequelize QueryInterface
+ * @param {string} table - Table name
+ * @param {Object} attributes - Column definitions
+ * @param {Object} [options] - Options passed to createTable
+ * @returns {Promise<boolean>} True if the table was created
+ */
+async function createTableIfMissing(qi, table, attributes, options) {
+  if (await tableExists(qi, table)) return false;
+  await qi.createTable(table, attributes, options);
+  return true;
+}
+
+/**
+ * Check whether a column exists
+ * @param {Object} qi - Sequelize QueryInterface
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>} True if present
+ */
+async function columnExists(qi, table, column) {
+  const columns = await qi.describeTable(table);
+  return Object.prototype.hasOwnProperty.call(columns, column);
+}
+
+/**
+ * Add a column unless it already exists
+ * @param {Object} qi - Sequelize QueryInterface
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {Object} definition - Column definition
+ * @returns {Promise<boolean>} True if the column was added
+ */
+async function addColumnIfMissing(qi, table, column, definition) {
+  if (await columnExists(qi, table, column)) return false;
+  await qi.addColumn(table, column, definition);
+  return true;
+}
+
+/**
+ * Remove a column if it exists
+ * @param {Object} qi - Sequelize QueryInterface
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>} True if the column was removed
+ */
+async function removeColumnIfExists(qi, table, column) {
+  if (!(await columnExists(qi, table, column))) return false;
+  await qi.removeColumn(table, column);
+  return true;
+}
+
+/**
+ * Add an index unless one with the same name exists
+ * @param {Object} qi - Sequelize QueryInterface
+ * @param {string} table - Table name
+ * @param {string[]} fields - Indexed columns
+ * @param {Object} options - Index options; `name` is required
+ * @returns {Promise<boolean>} True if the index was added
+ */
+async function addIndexIfMissing(qi, table, fields, options) {
+  const indexes = await qi.showIndex(table);
+  if (indexes.some((i) => i.name === options.name)) return false;
+  await qi.addIndex(table, fields, options);
+  return true;
+}
+
+/**
+ * Run schema changes with foreign key enforcement switched off (SQLite only)
+ * SQLite rebuilds a table to change or remove a column; with foreign keys on,
+ * dropping the old table would cascade into every table referencing it.
+ * @param {Object} qi - Sequelize QueryInterface
+ * @param {Function} fn - Async callback performing the changes
+ * @returns {Promise<*>} Result of fn
+ */
+async function withoutForeignKeys(qi, fn) {
+  const isSqlite = qi.sequelize.getDialect() === 'sqlite';
+  if (isSqlite) await qi.sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    return await fn();
+  } finally {
+    if (isSqlite) await qi.sequelize.query('PRAGMA foreign_keys = ON');
+  }
+}
+
+/**
+ * Standard createdAt/updatedAt columns as written by Sequelize models
+ * @param {Object} [options] - Set `updatedAt: false` for append-only tables
+ * @returns {Object} Column definitions
+ */
+function timestamps({ updatedAt = true } = {}) {
+  const columns = { createdAt: { type: DataTypes.DATE, allowNull: false } };
+  if (updatedAt) columns.updatedAt = { type: DataTypes.DATE, allowNull: false };
+  return columns;
+}
+
+/**
+ * Grant permissions to roles, skipping grants that already exist
+ * Each migration lists its own grants: reading config/permissions.js here
+ * would make an old migration grant whatever the current defaults are.
+ * @param {Object} qi - Sequelize QueryInterface
+ * @param {Object<string, string[]>} grants - Permission names by role
+ * @returns {Promise<void>}
+ */
+async function grantPermissions(qi, grants) {
+  const now = new Date();
+  for (const [role, permissions] of Object.entries(grants)) {
+    for (const permission of permissions) {
+      const [{ count }] = await qi.sequelize.query(
+        'SELECT COUNT(*) AS count FROM RolePermissions WHERE role = ? AND permission = ?',
+        { replacements: [role, permission], type: QueryTypes.SELECT }
+      );
+      if (Number(count) === 0) {
+        await qi.bulkInsert('RolePermissions', [{ role, permission, createdAt: now, updatedAt: now }]);
+      }
+    }
+  }
+}
+
+module.exports = {
+  tableExists,
+  createTableIfMissing,
+  columnExists,
+  addColumnIfMissing,
+  removeColumnIfExists,
+  addIndexIfMissing,
+  withoutForeignKeys,
+  timestamps,
+  grantPermissions,
+};
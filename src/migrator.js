@@ -0,0 +1,134 @@
+/**
+ * Database Migrator
+ * Applies the versioned schema migrations in src/migrations and records each
+ * applied migration in the SequelizeMeta table (same layout as sequelize-cli).
+ *
+ * A migration file is named NNN-description.js and exports
+ * `up(queryInterface, Sequelize)` and `down(queryInterface, Sequelize)`.
+ * Migrations run in file-name order, one at a time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, DataTypes, QueryTypes } = require('sequelize');
+
+const db = require('./models');
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const META_TABLE = 'SequelizeMeta';
+const MIGRATION_FILE = /^\d{3}-[\w-]+\.js$/;
+
+const qi = db.sequelize.getQueryInterface();
+
+/**
+ * Create the migrations table on first use
+ * @returns {Promise<void>}
+ */
+async function ensureMetaTable() {
+  const tables = (await qi.showAllTables()).map((t) => (typeof t === 'string' ? t : t.tableName));
+  if (tables.includes(META_TABLE)) return;
+  await qi.createTable(META_TABLE, {
+    name: { type: DataTypes.STRING, allowNull: false, primaryKey: true },
+  });
+}
+
+/**
+ * List migration files shipped with the code
+ * @returns {string[]} Migration names in run order
+ */
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR).filter((f) => MIGRATION_FILE.test(f)).sort();
+}
+
+/**
+ * List migrations recorded as applied
+ * @returns {Promise<string[]>} Migration names in run order
+ */
+async function listExecuted() {
+  await ensureMetaTable();
+  const rows = await db.sequelize.query(
+    `SELECT name FROM ${META_TABLE} ORDER BY name`,
+    { type: QueryTypes.SELECT }
+  );
+  return rows.map((r) => r.name);
+}
+
+/**
+ * List migrations not yet applied
+ * @returns {Promise<string[]>} Pending migration names in run order
+ */
+async function pending() {
+  const executed = new Set(await listExecuted());
+  return listMigrations().filter((name) => !executed.has(name));
+}
+
+/**
+ * Show every migration and whether it has been applied
+ * Applied migrations whose file no longer exists are included and flagged.
+ * @returns {Promise<Array<{name: string, executed: boolean, missing: boolean}>>} Migration status
+ */
+async function status() {
+  const files = listMigrations();
+  const executed = await listExecuted();
+  const names = [...new Set([...files, ...executed])].sort();
+  return names.map((name) => ({
+    name,
+    executed: executed.includes(name),
+    missing: !files.includes(name),
+  }));
+}
+
+/**
+ * Load a migration module
+ * @param {string} name - Migration file name
+ * @returns {{up: Function, down: Function}} Migration
+ */
+function load(name) {
+  const file = path.join(MIGRATIONS_DIR, name);
+  if (!fs.existsSync(file)) throw new Error(`Migration file not found: ${name}`);
+  return require(file);
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} [options]
+ * @param {string} [options.to] - Stop after this migration (inclusive)
+ * @returns {Promise<string[]>} Names of applied migrations
+ */
+async function up({ to } = {}) {
+  const todo = await pending();
+  if (to && !todo.includes(to)) throw new Error(`Migration ${to} is not pending`);
+
+  const applied = [];
+  for (const name of todo) {
+    await load(name).up(qi, Sequelize);
+    await qi.bulkInsert(META_TABLE, [{ name }]);
+    logger.info(`Migration applied: ${name}`);
+    applied.push(name);
+    if (name === to) break;
+  }
+  return applied;
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - Number of migrations to roll back
+ * @returns {Promise<string[]>} Names of rolled back migrations
+ */
+async function down({ steps = 1 } = {}) {
+  const executed = await listExecuted();
+  const todo = executed.slice(-steps).reverse();
+
+  const reverted = [];
+  for (const name of todo) {
+    await load(name).down(qi, Sequelize);
+    await qi.bulkDelete(META_TABLE, { name });
+    logger.info(`Migration rolled back: ${name}`);
+    reverted.push(name);
+  }
+  return reverted;
+}
+
+module.exports = { up, down, status, pending };
@@ -0,0 +1,12 @@
+/**
+ * Account Token Purposes
+ * Single-use links emailed to the owner of an account:
+ *
+ *   password_reset : choose a new password without the old one
+ *   email_verify   : confirm the account's email address
+ */
+
+/** All valid account token purposes */
+const ACCOUNT_TOKEN_PURPOSES = ['password_reset', 'email_verify'];
+
+module.exports = { ACCOUNT_TOKEN_PURPOSES };
@@ -0,0 +1,17 @@
+/**
+ * Audit Actions
+ * What a privileged request did to a record, as kept in the audit log:
+ *
+ *   create  : record added (after holds its fields)
+ *   update  : record changed (before/after hold only the changed fields)
+ *   delete  : record removed or soft-deleted (before holds its fields)
+ *   restore : soft-deleted record brought back
+ */
+
+/** All valid audit actions */
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+/** Fields never copied into the audit log */
+const AUDIT_REDACTED_FIELDS = ['password', 'tokenHash', 'clientSecret', 'token', 'totpSecret', 'codeHash'];
+
+module.exports = { AUDIT_ACTIONS, AUDIT_REDACTED_FIELDS };
@@ -0,0 +1,18 @@
+/**
+ * Coupon Definitions
+ *
+ *   percentage : value is a percentage (0-100] of the eligible items
+ *   fixed      : value is an amount off the eligible items
+ *
+ * Percentage coupons are applied before fixed-amount ones, each to what is
+ * left of the eligible items after the coupons before it, so an order can
+ * never be discounted below zero.
+ */
+
+/** All valid coupon types */
+const COUPON_TYPES = ['percentage', 'fixed'];
+
+/** Most coupon codes one order or cart may use */
+const MAX_COUPONS_PER_ORDER = 5;
+
+module.exports = { COUPON_TYPES, MAX_COUPONS_PER_ORDER };
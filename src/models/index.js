@@ -7,6 +7,16 @@ const { Sequelize, DataTypes } = require('sequelize');
 const config = require('../config/config');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const { ORDER_STATUSES } = require('./orderStatus');
+const { ROLES } = require('./roles');
+const { PRODUCT_TYPES } = require('./productTypes');
+const { MOVEMENT_TYPES } = require('./inventory');
+const { COUPON_TYPES } = require('./coupons');
+const { SHIPPING_RATE_TYPES } = require('./shipping');
+const { PAYMENT_STATUSES, REFUND_STATUSES } = require('./payments');
+const { RETURN_STATUSES } = require('./returns');
+const { AUDIT_ACTIONS } = require('./audit');
+const { ACCOUNT_TOKEN_PURPOSES } = require('./accountTokens');
 
 // Initialize Sequelize with database configuration
 const sequelize = new Sequelize(
@@ -25,33 +35,167 @@ const sequelize = new Sequelize(
 
 /**
  * Product Model
- * Represents items available for purchase
+ * Represents items available for purchase: a physical print, or a digital
+ * photo whose full-resolution file is downloaded after payment.
+ * Deleting a product only sets deletedAt (paranoid): it leaves the catalog
+ * but stays on past orders until purged (see services/trash.js).
  */
 sequelize.define('Product', {
   prodId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
   name:   { type: DataTypes.STRING, allowNull: false },
+  type:   {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'physical',
+    validate: { isIn: [PRODUCT_TYPES] }, // See ./productTypes.js
+  },
   price:  { type: DataTypes.DECIMAL(10, 2) }, // Stores prices with 2 decimal places
-  stock:  { type: DataTypes.INTEGER },
+  stock:  { type: DataTypes.INTEGER },        // Sum of inventory movements; not tracked for digital products
+  reorderLevel: { type: DataTypes.INTEGER },  // Low-stock threshold (null: config.inventory.reorderLevel)
+  weight: { type: DataTypes.INTEGER },        // Shipping weight in grams (physical products)
+}, {
+  paranoid: true, // Soft delete: default queries skip rows with deletedAt set
+});
+
+/**
+ * ProductVariant Model
+ * A purchasable option of a product (print size, paper/finish, framed or not)
+ * with its own SKU, price and stock. Products with variants are ordered and
+ * stocked per variant; products without variants use their own price/stock.
+ */
+sequelize.define('ProductVariant', {
+  variantId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  prodId:    { type: DataTypes.INTEGER, allowNull: false },
+  sku:       { type: DataTypes.STRING(64), allowNull: false, unique: true },
+  size:      { type: DataTypes.STRING(30) },                 // e.g. '8x10', 'A3'
+  finish:    { type: DataTypes.STRING(30) },                 // Paper/finish, e.g. 'matte', 'canvas'
+  framed:    { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  price:     { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  stock:     { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Sum of inventory movements
+  reorderLevel: { type: DataTypes.INTEGER }, // Low-stock threshold (null: config.inventory.reorderLevel)
+  weight:    { type: DataTypes.INTEGER },    // Shipping weight in grams (null: the product's weight)
+});
+
+/**
+ * ProductImage Model
+ * One photo in a product's gallery (ordered by position). The original upload
+ * and its derived renditions live in file storage under the stored keys;
+ * only the renditions are served publicly.
+ */
+sequelize.define('ProductImage', {
+  imageId:     { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  prodId:      { type: DataTypes.INTEGER, allowNull: false },
+  position:    { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Gallery order, 0 first
+  altText:     { type: DataTypes.STRING(200) },
+  contentType: { type: DataTypes.STRING(50), allowNull: false },  // Detected type of the original
+  width:       { type: DataTypes.INTEGER },
+  height:      { type: DataTypes.INTEGER },
+  bytes:       { type: DataTypes.INTEGER },
+  originalKey: { type: DataTypes.STRING(255), allowNull: false },
+  thumbKey:    { type: DataTypes.STRING(255), allowNull: false },
+  previewKey:  { type: DataTypes.STRING(255), allowNull: false },
+  urls: {
+    // Public rendition URLs (see routes/images.js)
+    type: DataTypes.VIRTUAL,
+    get() {
+      const base = `/api/v1/products/${this.get('prodId')}/images/${this.get('imageId')}`;
+      return { thumb: `${base}/thumb`, preview: `${base}/preview` };
+    },
+  },
+}, {
+  // Storage keys are internal; load them with ProductImage.scope('withKeys')
+  defaultScope: { attributes: { exclude: ['originalKey', 'thumbKey', 'previewKey'] } },
+  scopes: { withKeys: {} },
+});
+
+/**
+ * Category Model
+ * Category or collection used to group products (e.g. 'Landscapes').
+ * A product can belong to any number of categories.
+ */
+sequelize.define('Category', {
+  categoryId:  { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  name:        { type: DataTypes.STRING(60), allowNull: false, unique: true },
+  slug:        { type: DataTypes.STRING(80), allowNull: false, unique: true }, // URL-friendly name
+  description: { type: DataTypes.STRING(500) },
+}, {
+  tableName: 'Categories',
+});
+
+/**
+ * ProductCategory Model
+ * Join table between products and categories.
+ */
+sequelize.define('ProductCategory', {
+  prodId:     { type: DataTypes.INTEGER, primaryKey: true },
+  categoryId: { type: DataTypes.INTEGER, primaryKey: true },
+}, {
+  tableName: 'ProductCategories',
+});
+
+/**
+ * Account Model
+ * Single login identity shared by all roles. An email maps to exactly one account;
+ * the roles an account holds are listed in AccountRole.
+ * emailVerifiedAt is set once the owner follows a verification (or reset) link.
+ * lockedUntil is set when too many logins fail (see services/loginThrottle.js).
+ * totpSecret (encrypted) is pending until totpEnabledAt is set (see services/twoFactor.js).
+ */
+sequelize.define('Account', {
+  accountId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  name:      { type: DataTypes.STRING, allowNull: false },
+  email:     { type: DataTypes.STRING, allowNull: false, unique: true },
+  password:  { type: DataTypes.STRING, allowNull: false },
+  emailVerifiedAt: { type: DataTypes.DATE }, // Null until the email address is confirmed
+  lockedUntil:     { type: DataTypes.DATE }, // Logins are refused until then
+  totpSecret:      { type: DataTypes.STRING(255) }, // Encrypted TOTP secret
+  totpEnabledAt:   { type: DataTypes.DATE },    // Null while 2FA is off (or set up but unconfirmed)
+  totpLastStep:    { type: DataTypes.INTEGER }, // Time step of the last accepted code (no reuse)
+}, {
+  // Exclude password and TOTP secret from query results by default for security
+  defaultScope: { attributes: { exclude: ['password', 'totpSecret'] } },
+});
+
+/**
+ * AccountRole Model
+ * Role assignment for an account ('customer', 'staff' or 'admin').
+ */
+sequelize.define('AccountRole', {
+  accountRoleId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  accountId:     { type: DataTypes.INTEGER, allowNull: false },
+  role:          { type: DataTypes.STRING, allowNull: false, validate: { isIn: [ROLES] } },
+}, {
+  indexes: [{ unique: true, fields: ['accountId', 'role'] }],
 });
 
 /**
  * Customer Model
- * Represents registered customers who can place orders
+ * Customer profile for accounts holding the 'customer' role; orders reference custId.
+ * Login credentials live on the linked Account; password is a legacy column
+ * kept only for rows created before accounts existed.
+ * Deleted customers are soft-deleted (paranoid) together with their orders;
+ * once purged, the row stays with its personal data erased (purgedAt set).
  */
 sequelize.define('Customer', {
-  custId:   { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
-  name:     { type: DataTypes.STRING, allowNull: false },
-  email:    { type: DataTypes.STRING, allowNull: false, unique: true },
-  password: { type: DataTypes.STRING, allowNull: false },
-  role:     { type: DataTypes.STRING, defaultValue: 'customer' },
+  custId:    { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  accountId: { type: DataTypes.INTEGER, unique: true },
+  name:      { type: DataTypes.STRING, allowNull: false },
+  email:     { type: DataTypes.STRING, allowNull: false, unique: true },
+  password:  { type: DataTypes.STRING }, // Legacy: credentials now live on Account
+  role:      { type: DataTypes.STRING, defaultValue: 'customer' },
+  address:   { type: DataTypes.STRING(120) },
+  phone:     { type: DataTypes.STRING(40) },
+  purgedAt:  { type: DataTypes.DATE }, // Personal data erased (see services/trash.js); cannot be restored
 }, {
   // Exclude password field from query results by default for security
   defaultScope: { attributes: { exclude: ['password'] } },
+  paranoid: true, // Soft delete: default queries skip rows with deletedAt set
 });
 
 /**
- * Staff Model
- * Represents staff members with elevated permissions
+ * Staff Model (legacy)
+ * Pre-account staff table. Read only by the accounts migration; new staff
+ * are Accounts with the 'staff' role.
  */
 sequelize.define('Staff', {
   staffId:  { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
@@ -65,8 +209,9 @@ sequelize.define('Staff', {
 });
 
 /**
- * Admin Model
- * Represents administrators with full system access
+ * Admin Model (legacy)
+ * Pre-account admin table. Read only by the accounts migration; new admins
+ * are Accounts with the 'admin' role.
  */
 sequelize.define('Admin', {
   adminId:  { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
@@ -81,22 +226,623 @@ sequelize.define('Admin', {
 
 /**
  * Order Model
- * Represents customer purchase orders
+ * Represents customer purchase orders.
+ * total = subtotal - discount + shipping, plus tax when prices exclude it
+ * (with inclusive pricing the tax is already part of the item prices).
+ * amountRefunded is what has been given back so far; it never exceeds total.
+ * Orders are never deleted on their own (they are cancelled); they are
+ * soft-deleted and restored with their customer.
  */
 sequelize.define('Order', {
   orderId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
   custId:  { type: DataTypes.INTEGER, allowNull: false },
-  status:  { type: DataTypes.STRING, defaultValue: 'pending' },
+  status:  {
+    type: DataTypes.STRING,
+    defaultValue: 'pending',
+    validate: { isIn: [ORDER_STATUSES] }, // See ./orderStatus.js for allowed transitions
+  },
+  subtotal: { type: DataTypes.DECIMAL(10, 2) }, // Sum of the line items
+  discount: { type: DataTypes.DECIMAL(10, 2) }, // Sum of the OrderDiscount lines
+  shipping: { type: DataTypes.DECIMAL(10, 2) },
+  tax:      { type: DataTypes.DECIMAL(10, 2) },
+  taxRate:  { type: DataTypes.DECIMAL(6, 3) },  // Percentage applied (null: untaxed)
+  taxInclusive: { type: DataTypes.BOOLEAN },    // True if item prices already included the tax
   total:   { type: DataTypes.DECIMAL(10, 2) }, // Order total with 2 decimal places
+  amountRefunded: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 }, // Returns + refunds
+  shippingMethodId: { type: DataTypes.INTEGER }, // Null for orders that are not shipped
+  reservedUntil: { type: DataTypes.DATE },     // Pending orders are cancelled after this (stock reservation)
+}, {
+  paranoid: true, // Soft delete: default queries skip rows with deletedAt set
+});
+
+/**
+ * OrderAddress Model
+ * Shipping address of an order, copied at checkout so later changes to the
+ * customer's details do not alter it. Orders of digital products only may have none.
+ */
+sequelize.define('OrderAddress', {
+  orderId:    { type: DataTypes.INTEGER, primaryKey: true },
+  name:       { type: DataTypes.STRING(100), allowNull: false },
+  line1:      { type: DataTypes.STRING(120), allowNull: false },
+  line2:      { type: DataTypes.STRING(120) },
+  city:       { type: DataTypes.STRING(60), allowNull: false },
+  region:     { type: DataTypes.STRING(60) },             // State/province/county
+  postalCode: { type: DataTypes.STRING(20) },
+  country:    { type: DataTypes.STRING(2), allowNull: false }, // ISO 3166-1 alpha-2, upper case
+  phone:      { type: DataTypes.STRING(40) },
+}, {
+  updatedAt: false,
+});
+
+/**
+ * TaxRule Model
+ * Tax rate for a country, or for one region of it. The most specific active
+ * rule for the destination applies. Inclusive rules mean catalog prices
+ * already contain the tax; exclusive rules add it on top.
+ */
+sequelize.define('TaxRule', {
+  taxRuleId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  name:      { type: DataTypes.STRING(60), allowNull: false },   // e.g. 'UK VAT'
+  country:   { type: DataTypes.STRING(2), allowNull: false },    // ISO 3166-1 alpha-2, upper case
+  region:    { type: DataTypes.STRING(60) },                     // Null: the whole country
+  rate:      { type: DataTypes.DECIMAL(6, 3), allowNull: false }, // Percentage, e.g. 20.000
+  inclusive: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  appliesToShipping: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+  active:    { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+});
+
+/**
+ * ShippingMethod Model
+ * A way of shipping physical items, priced by rateType (see ./shipping.js).
+ * countries limits the destinations it is offered for (null: everywhere).
+ */
+sequelize.define('ShippingMethod', {
+  shippingMethodId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  name:        { type: DataTypes.STRING(60), allowNull: false, unique: true },
+  description: { type: DataTypes.STRING(200) },
+  rateType:    {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [SHIPPING_RATE_TYPES] },            // See ./shipping.js
+  },
+  baseRate:    { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+  rate:        { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 }, // Per kg or per item
+  freeOver:    { type: DataTypes.DECIMAL(10, 2) },        // Free from this discounted item total (null: never)
+  countries:   {
+    // Stored as 'GB,IE'; read and written as an array of ISO codes (null: all countries)
+    type: DataTypes.STRING(500),
+    get() {
+      const raw = this.getDataValue('countries');
+      return raw ? raw.split(',') : null;
+    },
+    set(list) {
+      this.setDataValue('countries', list?.length ? list.join(',') : null);
+    },
+  },
+  active:      { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+});
+
+/**
+ * Payment Model
+ * One attempt to pay for an order through the payment provider (see src/payments).
+ * providerRef is the provider's id for the payment intent. The amount is
+ * copied from the order total when the intent is created.
+ */
+sequelize.define('Payment', {
+  paymentId:      { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  orderId:        { type: DataTypes.INTEGER, allowNull: false },
+  provider:       { type: DataTypes.STRING(30), allowNull: false },  // e.g. 'mock'
+  providerRef:    { type: DataTypes.STRING(100), allowNull: false }, // Provider's payment intent id
+  clientSecret:   { type: DataTypes.STRING(200) },                   // Lets the customer's browser complete the payment
+  status:         {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'requires_payment',
+    validate: { isIn: [PAYMENT_STATUSES] },                          // See ./payments.js
+  },
+  captureMode:    { type: DataTypes.STRING(10), allowNull: false },  // 'automatic' or 'manual'
+  amount:         { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  amountRefunded: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+  currency:       { type: DataTypes.STRING(3), allowNull: false },
+  failureReason:  { type: DataTypes.STRING(200) },
+}, {
+  // The client secret is only handed to the paying customer
+  defaultScope: { attributes: { exclude: ['clientSecret'] } },
+  indexes: [{ unique: true, fields: ['provider', 'providerRef'] }],
+});
+
+/**
+ * PaymentRefund Model
+ * Money given back from a payment; a payment may be refunded in several parts.
+ * Recorded as pending before the provider is asked (see ./payments.js).
+ */
+sequelize.define('PaymentRefund', {
+  paymentRefundId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  paymentId:     { type: DataTypes.INTEGER, allowNull: false },
+  providerRef:   { type: DataTypes.STRING(100) },                   // Provider's refund id (null until settled)
+  status:        {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: { isIn: [REFUND_STATUSES] },                           // See ./payments.js
+  },
+  amount:        { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+  reason:        { type: DataTypes.STRING(500) },
+  createdBy:     { type: DataTypes.INTEGER },                       // Account that issued it (null: system)
+  createdByRole: { type: DataTypes.STRING },
+}, {
+  updatedAt: false,
+});
+
+/**
+ * PaymentEvent Model
+ * Webhook deliveries already handled, keyed by the provider's event id.
+ * Providers retry and may deliver an event more than once; a delivery whose
+ * event is already recorded is acknowledged without being applied again.
+ */
+sequelize.define('PaymentEvent', {
+  paymentEventId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  provider:  { type: DataTypes.STRING(30), allowNull: false },
+  eventId:   { type: DataTypes.STRING(100), allowNull: false },
+  type:      { type: DataTypes.STRING(60), allowNull: false },   // e.g. 'payment.succeeded'
+  paymentId: { type: DataTypes.INTEGER },                        // Null if the payment is unknown
+  outcome:   { type: DataTypes.STRING(20), allowNull: false },   // 'applied' or 'ignored'
+}, {
+  updatedAt: false,
+  indexes: [{ unique: true, fields: ['provider', 'eventId'] }],
+});
+
+/**
+ * OrderItem Model
+ * Represents a single product line within an order.
+ * unitPrice is copied from the product at checkout so later price changes
+ * do not alter historical orders.
+ */
+sequelize.define('OrderItem', {
+  orderItemId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  orderId:     { type: DataTypes.INTEGER, allowNull: false },
+  prodId:      { type: DataTypes.INTEGER, allowNull: false },
+  variantId:   { type: DataTypes.INTEGER },                   // Set when a specific variant was ordered
+  quantity:    { type: DataTypes.INTEGER, allowNull: false },
+  unitPrice:   { type: DataTypes.DECIMAL(10, 2), allowNull: false }, // Price at time of purchase
+  downloads:   { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Digital file downloads used
+  returned:    { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Units taken back by approved returns
+});
+
+/**
+ * Return Model
+ * A customer's request to send back items of a delivered order (an RMA).
+ * Staff approve it, restocking the items and refunding refundAmount, or
+ * reject it. See ./returns.js for the statuses.
+ */
+sequelize.define('Return', {
+  returnId:      { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  orderId:       { type: DataTypes.INTEGER, allowNull: false },
+  custId:        { type: DataTypes.INTEGER, allowNull: false },
+  status:        {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'requested',
+    validate: { isIn: [RETURN_STATUSES] },                       // See ./returns.js
+  },
+  reason:        { type: DataTypes.STRING(500), allowNull: false }, // Customer's reason
+  note:          { type: DataTypes.STRING(500) },                // Staff note on the decision
+  restocked:     { type: DataTypes.BOOLEAN },                    // Items put back in stock (null until approved)
+  refundAmount:  { type: DataTypes.DECIMAL(10, 2) },             // Refunded on approval
+  paymentRefundId: { type: DataTypes.INTEGER },                  // Provider refund (null: refunded offline)
+  decidedBy:     { type: DataTypes.INTEGER },                    // Account that approved or rejected it
+  decidedByRole: { type: DataTypes.STRING },
+  decidedAt:     { type: DataTypes.DATE },
+});
+
+/**
+ * ReturnItem Model
+ * Quantity of one order line being sent back.
+ */
+sequelize.define('ReturnItem', {
+  returnItemId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  returnId:     { type: DataTypes.INTEGER, allowNull: false },
+  orderItemId:  { type: DataTypes.INTEGER, allowNull: false },
+  quantity:     { type: DataTypes.INTEGER, allowNull: false },
+}, {
+  updatedAt: false,
+});
+
+/**
+ * Coupon Model
+ * Discount code redeemable at checkout. Optional rules: a minimum order value,
+ * a validity window, global and per-customer usage limits, and restriction to
+ * some products and/or categories (CouponProduct, CouponCategory). A coupon
+ * that is not stackable cannot be combined with any other coupon.
+ */
+sequelize.define('Coupon', {
+  couponId:      { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  code:          { type: DataTypes.STRING(40), allowNull: false, unique: true }, // Stored upper case
+  description:   { type: DataTypes.STRING(200) },
+  type:          {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [COUPON_TYPES] },                  // See ./coupons.js
+  },
+  value:         { type: DataTypes.DECIMAL(10, 2), allowNull: false }, // Percentage or amount off
+  minOrderValue: { type: DataTypes.DECIMAL(10, 2) },     // Order subtotal needed to use the coupon
+  startsAt:      { type: DataTypes.DATE },               // Valid from (null: immediately)
+  endsAt:        { type: DataTypes.DATE },               // Valid until (null: no end)
+  maxUses:       { type: DataTypes.INTEGER },            // Orders that may use it in total (null: unlimited)
+  maxUsesPerCustomer: { type: DataTypes.INTEGER },       // Orders per customer (null: unlimited)
+  timesUsed:     { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Orders using it, cancelled excluded
+  stackable:     { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+  active:        { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+});
+
+/**
+ * CouponProduct Model
+ * Products a coupon is restricted to (join table).
+ */
+sequelize.define('CouponProduct', {
+  couponId: { type: DataTypes.INTEGER, primaryKey: true },
+  prodId:   { type: DataTypes.INTEGER, primaryKey: true },
+});
+
+/**
+ * CouponCategory Model
+ * Categories a coupon is restricted to (join table).
+ */
+sequelize.define('CouponCategory', {
+  couponId:   { type: DataTypes.INTEGER, primaryKey: true },
+  categoryId: { type: DataTypes.INTEGER, primaryKey: true },
+}, {
+  tableName: 'CouponCategories',
+});
+
+/**
+ * OrderDiscount Model
+ * One discount applied to an order. The code and amount are copied at
+ * checkout, so the order's discount stays explainable (sum of these
+ * amounts) even if the coupon is later changed or deleted.
+ */
+sequelize.define('OrderDiscount', {
+  orderDiscountId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  orderId:     { type: DataTypes.INTEGER, allowNull: false },
+  couponId:    { type: DataTypes.INTEGER },               // Null once the coupon is deleted
+  code:        { type: DataTypes.STRING(40), allowNull: false },
+  description: { type: DataTypes.STRING(200) },
+  amount:      { type: DataTypes.DECIMAL(10, 2), allowNull: false }, // Amount taken off the order
+}, {
+  updatedAt: false, // Discount lines are never edited
+});
+
+/**
+ * InventoryMovement Model
+ * Append-only stock ledger. Each row is a signed quantity change for a
+ * product (variantId null) or one of its variants; the sum of the rows is the
+ * stock on hand, which is cached in Product.stock / ProductVariant.stock.
+ */
+sequelize.define('InventoryMovement', {
+  movementId:    { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  prodId:        { type: DataTypes.INTEGER, allowNull: false },
+  variantId:     { type: DataTypes.INTEGER },            // Set for variant stock
+  type:          {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [MOVEMENT_TYPES] },                // See ./inventory.js
+  },
+  quantity:      { type: DataTypes.INTEGER, allowNull: false }, // Signed change in stock
+  orderId:       { type: DataTypes.INTEGER },            // Order behind sale/reservation/release/return rows
+  reason:        { type: DataTypes.STRING(500) },
+  createdBy:     { type: DataTypes.INTEGER },            // accountId of the user, null for system changes
+  createdByRole: { type: DataTypes.STRING },
+}, {
+  updatedAt: false, // Movements are never edited
+});
+
+/**
+ * Cart Model
+ * Server-side shopping basket. A cart belongs either to a customer (one each)
+ * or to a guest identified by an opaque token, of which only a hash is stored.
+ */
+sequelize.define('Cart', {
+  cartId:    { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  custId:    { type: DataTypes.INTEGER, unique: true },       // Set for customer carts
+  tokenHash: { type: DataTypes.STRING(64), unique: true },    // SHA-256 of the guest cart token
+});
+
+/**
+ * CartItem Model
+ * One line of a cart: a product, or a specific variant of it, and a quantity.
+ * Prices are not stored; the cart is always priced from the current catalog.
+ */
+sequelize.define('CartItem', {
+  cartItemId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  cartId:     { type: DataTypes.INTEGER, allowNull: false },
+  prodId:     { type: DataTypes.INTEGER, allowNull: false },
+  variantId:  { type: DataTypes.INTEGER },
+  quantity:   { type: DataTypes.INTEGER, allowNull: false },
+});
+
+/**
+ * CartCoupon Model
+ * Coupon codes applied to a cart (join table); redeemed at cart checkout.
+ */
+sequelize.define('CartCoupon', {
+  cartId:   { type: DataTypes.INTEGER, primaryKey: true },
+  couponId: { type: DataTypes.INTEGER, primaryKey: true },
+});
+
+/**
+ * OrderStatusHistory Model
+ * Append-only record of every order status change and who made it.
+ * fromStatus is null for the initial 'pending' entry written at checkout.
+ */
+sequelize.define('OrderStatusHistory', {
+  historyId:     { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  orderId:       { type: DataTypes.INTEGER, allowNull: false },
+  fromStatus:    { type: DataTypes.STRING },
+  toStatus:      { type: DataTypes.STRING, allowNull: false },
+  changedBy:     { type: DataTypes.INTEGER },                  // ID of the user who made the change
+  changedByRole: { type: DataTypes.STRING },                   // Role of that user (customer/staff/admin)
+  note:          { type: DataTypes.STRING(500) },
+}, {
+  tableName: 'OrderStatusHistory',
+  updatedAt: false, // History rows are never modified
+});
+
+/**
+ * RefreshToken Model
+ * Server-side record of an issued refresh token (only its SHA-256 hash is stored).
+ * Tokens issued from one login share a family; rotating a token marks it used
+ * and issues a successor in the same family.
+ */
+sequelize.define('RefreshToken', {
+  tokenId:    { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  tokenHash:  { type: DataTypes.STRING(64), allowNull: false, unique: true },
+  family:     { type: DataTypes.STRING(36), allowNull: false }, // Session id shared by rotated tokens
+  userId:     { type: DataTypes.INTEGER, allowNull: false },   // accountId of the session owner
+  role:       { type: DataTypes.STRING, allowNull: false },    // Role the session was opened with
+  expiresAt:  { type: DataTypes.DATE, allowNull: false },
+  usedAt:     { type: DataTypes.DATE },    // Set when rotated; presenting it again is reuse
+  revokedAt:  { type: DataTypes.DATE },    // Set on logout or reuse detection
+  replacedBy: { type: DataTypes.INTEGER }, // tokenId of the successor token
+}, {
+  indexes: [{ fields: ['family'] }, { fields: ['userId', 'role'] }],
+});
+
+/**
+ * Invitation Model
+ * Single-use, expiring invitation to register a staff or admin account.
+ * Only the SHA-256 hash of the invite token is stored.
+ */
+sequelize.define('Invitation', {
+  inviteId:   { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  tokenHash:  { type: DataTypes.STRING(64), allowNull: false, unique: true },
+  email:      { type: DataTypes.STRING, allowNull: false },
+  role:       { type: DataTypes.STRING, allowNull: false, validate: { isIn: [['staff', 'admin']] } },
+  expiresAt:  { type: DataTypes.DATE, allowNull: false },
+  usedAt:     { type: DataTypes.DATE },
+  createdBy:  { type: DataTypes.INTEGER }, // accountId of the inviting admin
+  acceptedBy: { type: DataTypes.INTEGER }, // accountId that used the invitation
+}, {
+  // Never return the token hash from queries by default
+  defaultScope: { attributes: { exclude: ['tokenHash'] } },
+});
+
+/**
+ * AccountToken Model
+ * Single-use, expiring link emailed to an account owner: a password reset
+ * or an email verification (see ./accountTokens.js).
+ * Only the SHA-256 hash of the token is stored.
+ */
+sequelize.define('AccountToken', {
+  accountTokenId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  accountId: { type: DataTypes.INTEGER, allowNull: false },
+  purpose:   {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [ACCOUNT_TOKEN_PURPOSES] },            // See ./accountTokens.js
+  },
+  tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+  email:     { type: DataTypes.STRING, allowNull: false },   // Address the link was sent to
+  expiresAt: { type: DataTypes.DATE, allowNull: false },
+  usedAt:    { type: DataTypes.DATE },
+}, {
+  updatedAt: false,
+  // Never return the token hash from queries by default
+  defaultScope: { attributes: { exclude: ['tokenHash'] } },
+  indexes: [{ fields: ['accountId', 'purpose'] }],
+});
+
+/**
+ * RecoveryCode Model
+ * Single-use code that replaces a TOTP code when the authenticator is lost.
+ * Only the SHA-256 hash of the code is stored.
+ */
+sequelize.define('RecoveryCode', {
+  recoveryCodeId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  accountId: { type: DataTypes.INTEGER, allowNull: false },
+  codeHash:  { type: DataTypes.STRING(64), allowNull: false },
+  usedAt:    { type: DataTypes.DATE },
+}, {
+  updatedAt: false,
+  // Never return the code hash from queries by default
+  defaultScope: { attributes: { exclude: ['codeHash'] } },
+  indexes: [{ fields: ['accountId'] }],
+});
+
+/**
+ * RolePolicy Model
+ * Security settings per role; roles without a row use the defaults.
+ * requireTwoFactor makes accounts acting as the role log in with a TOTP code.
+ */
+sequelize.define('RolePolicy', {
+  role:             { type: DataTypes.STRING, primaryKey: true, validate: { isIn: [ROLES] } },
+  requireTwoFactor: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+});
+
+/**
+ * RolePermission Model
+ * Grants a named permission (e.g. 'products:write') to a role.
+ * Defaults come from config/permissions.js; admins edit them at runtime.
+ */
+sequelize.define('RolePermission', {
+  rolePermissionId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  role:             { type: DataTypes.STRING, allowNull: false },
+  permission:       { type: DataTypes.STRING(100), allowNull: false },
+}, {
+  indexes: [{ unique: true, fields: ['role', 'permission'] }],
+});
+
+/**
+ * RevokedToken Model
+ * Denylist of access token ids (jti) revoked before their natural expiry.
+ */
+sequelize.define('RevokedToken', {
+  jti:       { type: DataTypes.STRING(36), primaryKey: true },
+  expiresAt: { type: DataTypes.DATE, allowNull: false }, // Row can be pruned after this
+}, {
+  updatedAt: false,
+});
+
+/**
+ * AuditEvent Model
+ * One create, update, delete or restore made through a privileged route:
+ * who made it (actorId is the accountId), from where, and what changed.
+ * Rows are only ever added.
+ */
+sequelize.define('AuditEvent', {
+  auditEventId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  actorId:   { type: DataTypes.INTEGER },                      // Null if the change was not made by a user
+  actorRole: { type: DataTypes.STRING },
+  action:    {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: { isIn: [AUDIT_ACTIONS] },                       // See ./audit.js
+  },
+  entity:    { type: DataTypes.STRING(40), allowNull: false }, // Model name, e.g. 'Product'
+  entityId:  { type: DataTypes.STRING(64) },                   // Primary key; composite keys joined with ':'
+  changes:   {
+    // Stored as JSON text; read and written as { before, after }
+    type: DataTypes.TEXT,
+    get() {
+      const raw = this.getDataValue('changes');
+      return raw ? JSON.parse(raw) : null;
+    },
+    set(value) {
+      this.setDataValue('changes', value == null ? null : JSON.stringify(value));
+    },
+  },
+  requestId: { type: DataTypes.STRING(100) },                  // X-Request-Id of the request that made it
+  ip:        { type: DataTypes.STRING(64) },
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['entity', 'entityId'] },
+    { fields: ['actorId'] },
+    { fields: ['createdAt'] },
+  ],
+});
+
+/**
+ * LoginAttempt Model
+ * A failed login: the email tried (whether or not it has an account), the
+ * matching account if any, and where the attempt came from.
+ */
+sequelize.define('LoginAttempt', {
+  loginAttemptId: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  email:     { type: DataTypes.STRING, allowNull: false },
+  accountId: { type: DataTypes.INTEGER },                      // Null for unknown emails
+  ip:        { type: DataTypes.STRING(64) },
+  requestId: { type: DataTypes.STRING(100) },
+}, {
+  updatedAt: false,
+  indexes: [{ fields: ['email'] }, { fields: ['accountId'] }, { fields: ['createdAt'] }],
 });
 
 // --- Associations ---
 // Define relationships between models
-const { Customer, Order, Product, Staff, Admin } = sequelize.models;
+const {
+  Account, AccountRole, Customer, Order, OrderItem, OrderStatusHistory, Product, Staff, Admin,
+  RefreshToken, RevokedToken, Invitation, RolePermission, ProductVariant, Category, ProductCategory,
+  ProductImage, Cart, CartItem, InventoryMovement, Coupon, CouponProduct, CouponCategory, OrderDiscount,
+  CartCoupon, OrderAddress, TaxRule, ShippingMethod, Payment, PaymentRefund, PaymentEvent, Return, ReturnItem,
+  AuditEvent, AccountToken, LoginAttempt, RecoveryCode, RolePolicy,
+} = sequelize.models;
+
+// One account holds one or more roles, and at most one customer profile
+Account.hasMany(AccountRole, { foreignKey: 'accountId' });
+AccountRole.belongsTo(Account, { foreignKey: 'accountId' });
+Account.hasOne(Customer, { foreignKey: 'accountId' });
+Customer.belongsTo(Account, { foreignKey: 'accountId' });
+Account.hasMany(AccountToken, { foreignKey: 'accountId' });
+AccountToken.belongsTo(Account, { foreignKey: 'accountId' });
+Account.hasMany(LoginAttempt, { foreignKey: 'accountId' });
+LoginAttempt.belongsTo(Account, { foreignKey: 'accountId' });
+Account.hasMany(RecoveryCode, { foreignKey: 'accountId' });
+RecoveryCode.belongsTo(Account, { foreignKey: 'accountId' });
 
 // One customer can have many orders
 Customer.hasMany(Order, { foreignKey: 'custId' });
 
+// One product has many variants; products and categories are many-to-many
+Product.hasMany(ProductVariant, { foreignKey: 'prodId' });
+ProductVariant.belongsTo(Product, { foreignKey: 'prodId' });
+Product.belongsToMany(Category, { through: ProductCategory, foreignKey: 'prodId', otherKey: 'categoryId' });
+Category.belongsToMany(Product, { through: ProductCategory, foreignKey: 'categoryId', otherKey: 'prodId' });
+
+// One product has an ordered gallery of images
+Product.hasMany(ProductImage, { foreignKey: 'prodId' });
+ProductImage.belongsTo(Product, { foreignKey: 'prodId' });
+
+// One order has many line items, each referencing a product (and optionally a variant)
+Order.hasMany(OrderItem, { foreignKey: 'orderId' });
+OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
+OrderItem.belongsTo(Product, { foreignKey: 'prodId' });
+OrderItem.belongsTo(ProductVariant, { foreignKey: 'variantId' });
+
+// Coupons may be restricted to products and/or categories; orders record the discounts applied
+Coupon.belongsToMany(Product, { through: CouponProduct, foreignKey: 'couponId', otherKey: 'prodId' });
+Coupon.belongsToMany(Category, { through: CouponCategory, foreignKey: 'couponId', otherKey: 'categoryId' });
+Order.hasMany(OrderDiscount, { foreignKey: 'orderId' });
+OrderDiscount.belongsTo(Order, { foreignKey: 'orderId' });
+OrderDiscount.belongsTo(Coupon, { foreignKey: 'couponId' });
+
+// An order has at most one shipping address and is shipped by one method
+Order.hasOne(OrderAddress, { foreignKey: 'orderId' });
+OrderAddress.belongsTo(Order, { foreignKey: 'orderId' });
+Order.belongsTo(ShippingMethod, { foreignKey: 'shippingMethodId' });
+
+// An order may take several payment attempts; a payment may be refunded in parts
+Order.hasMany(Payment, { foreignKey: 'orderId' });
+Payment.belongsTo(Order, { foreignKey: 'orderId' });
+Payment.hasMany(PaymentRefund, { foreignKey: 'paymentId' });
+PaymentRefund.belongsTo(Payment, { foreignKey: 'paymentId' });
+PaymentEvent.belongsTo(Payment, { foreignKey: 'paymentId' });
+
+// Customers return items of an order; a return lists order lines and may be refunded through a payment
+Order.hasMany(Return, { foreignKey: 'orderId' });
+Return.belongsTo(Order, { foreignKey: 'orderId' });
+Return.hasMany(ReturnItem, { foreignKey: 'returnId' });
+ReturnItem.belongsTo(Return, { foreignKey: 'returnId' });
+ReturnItem.belongsTo(OrderItem, { foreignKey: 'orderItemId' });
+Return.belongsTo(PaymentRefund, { foreignKey: 'paymentRefundId' });
+
+// One order has many status history entries
+Order.hasMany(OrderStatusHistory, { foreignKey: 'orderId' });
+
+// Inventory movements belong to a product (and optionally a variant or an order)
+Product.hasMany(InventoryMovement, { foreignKey: 'prodId' });
+InventoryMovement.belongsTo(Product, { foreignKey: 'prodId' });
+InventoryMovement.belongsTo(ProductVariant, { foreignKey: 'variantId' });
+InventoryMovement.belongsTo(Order, { foreignKey: 'orderId' });
+
+// A customer has at most one cart; each cart line references a product (and optionally a variant)
+Customer.hasOne(Cart, { foreignKey: 'custId' });
+Cart.belongsTo(Customer, { foreignKey: 'custId' });
+Cart.hasMany(CartItem, { foreignKey: 'cartId' });
+CartItem.belongsTo(Cart, { foreignKey: 'cartId' });
+CartItem.belongsTo(Product, { foreignKey: 'prodId' });
+CartItem.belongsTo(ProductVariant, { foreignKey: 'variantId' });
+Cart.belongsToMany(Coupon, { through: CartCoupon, foreignKey: 'cartId', otherKey: 'couponId' });
+
 // --- Instance Methods ---
 
 /**
@@ -127,10 +873,43 @@ Customer.prototype.hashPwd = async function(password){
 const db = {};
 db.sequelize = sequelize; // Sequelize instance
 db.Sequelize = Sequelize; // Sequelize constructor
+db.Account  = Account;
+db.AccountRole = AccountRole;
 db.Customer = Customer;
 db.Order    = Order;
+db.OrderItem = OrderItem;
+db.OrderStatusHistory = OrderStatusHistory;
 db.Product  = Product;
+db.ProductVariant = ProductVariant;
+db.Category = Category;
+db.ProductCategory = ProductCategory;
+db.ProductImage = ProductImage;
+db.Cart     = Cart;
+db.CartItem = CartItem;
+db.InventoryMovement = InventoryMovement;
+db.Coupon   = Coupon;
+db.CouponProduct = CouponProduct;
+db.CouponCategory = CouponCategory;
+db.OrderDiscount = OrderDiscount;
+db.CartCoupon = CartCoupon;
+db.OrderAddress = OrderAddress;
+db.TaxRule  = TaxRule;
+db.ShippingMethod = ShippingMethod;
+db.Payment  = Payment;
+db.PaymentRefund = PaymentRefund;
+db.PaymentEvent = PaymentEvent;
+db.Return   = Return;
+db.ReturnItem = ReturnItem;
 db.Staff    = Staff;
 db.Admin    = Admin;
+db.RefreshToken = RefreshToken;
+db.RevokedToken = RevokedToken;
+db.Invitation = Invitation;
+db.RolePermission = RolePermission;
+db.AuditEvent = AuditEvent;
+db.AccountToken = AccountToken;
+db.LoginAttempt = LoginAttempt;
+db.RecoveryCode = RecoveryCode;
+db.RolePolicy = RolePolicy;
 
 module.exports = db;
\ No newline at end of file
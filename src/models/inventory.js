@@ -0,0 +1,20 @@
+/**
+ * Inventory Movement Types
+ * Every stock change is recorded as a signed movement; the sum of a
+ * product's (or variant's) movements is its stock on hand.
+ *
+ *   receipt     : stock received (+)
+ *   sale        : reserved stock sold when an order is paid (-)
+ *   return      : stock back from a cancelled or refunded paid order, or a customer return (+)
+ *   adjustment  : manual correction with a reason, e.g. stocktake or damage (+/-)
+ *   reservation : stock held for a pending order (-)
+ *   release     : held stock given back, on payment (before the sale) or cancellation (+)
+ */
+
+/** All valid movement types */
+const MOVEMENT_TYPES = ['receipt', 'sale', 'return', 'adjustment', 'reservation', 'release'];
+
+/** Movement types staff may post by hand (the others follow the order lifecycle) */
+const MANUAL_MOVEMENT_TYPES = ['receipt', 'adjustment'];
+
+module.exports = { MOVEMENT_TYPES, MANUAL_MOVEMENT_TYPES };
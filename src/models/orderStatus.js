@@ -0,0 +1,55 @@
+/**
+ * Order Lifecycle Definition
+ * Lists every order status and the transitions allowed between them.
+ *
+ *   pending → paid → processing → shipped → delivered
+ *   cancelled : allowed until the order is paid
+ *   refunded  : allowed once the order has been paid (paid orders are refunded, not cancelled,
+ *               so the money taken goes back through refunds)
+ */
+
+/** All valid order statuses */
+const ORDER_STATUSES = [
+  'pending',
+  'paid',
+  'processing',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'refunded',
+];
+
+/**
+ * Allowed transitions, keyed by current status
+ * Terminal statuses (cancelled, refunded) map to an empty list.
+ * @type {Object<string, string[]>}
+ */
+const ORDER_TRANSITIONS = {
+  pending:    ['paid', 'cancelled'],
+  paid:       ['processing', 'refunded'],
+  processing: ['shipped', 'refunded'],
+  shipped:    ['delivered', 'refunded'],
+  delivered:  ['refunded'],
+  cancelled:  [],
+  refunded:   [],
+};
+
+/** Statuses in which the order has been paid for and not cancelled or refunded */
+const PAID_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+/**
+ * Paid statuses in which the goods are still in stock: refunding the order from one of
+ * them puts its items back (see services/inventory.js). Shipped goods only come back
+ * through approved returns.
+ */
+const UNSHIPPED_STATUSES = ['paid', 'processing'];
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+module.exports = { ORDER_STATUSES, ORDER_TRANSITIONS, PAID_STATUSES, UNSHIPPED_STATUSES, canTransition };
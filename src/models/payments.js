@@ -0,0 +1,59 @@
+/**
+ * Payment Statuses
+ * Lifecycle of a payment taken for an order through the payment provider:
+ *
+ *   requires_payment   : intent created, waiting for the customer to pay
+ *   authorized         : funds held, waiting for staff to capture (manual capture)
+ *   succeeded          : money taken; the order is marked paid
+ *   failed             : the customer's payment was declined (they may try again)
+ *   cancelled          : intent abandoned, e.g. the order was cancelled
+ *   partially_refunded : part of a succeeded payment was given back
+ *   refunded           : all of it was given back
+ *
+ * Refunds of a payment (PaymentRefund) are recorded as pending, then sent to
+ * the provider once the database change has committed (services/refunds.js):
+ *
+ *   pending   : counted against the payment and order, not yet confirmed by the provider
+ *   succeeded : the provider gave the money back
+ *   failed    : the provider refused; the amount no longer counts as refunded
+ */
+
+/** All valid payment statuses */
+const PAYMENT_STATUSES = [
+  'requires_payment',
+  'authorized',
+  'succeeded',
+  'failed',
+  'cancelled',
+  'partially_refunded',
+  'refunded',
+];
+
+/** Statuses in which a payment can still go through (and can be cancelled) */
+const OPEN_PAYMENT_STATUSES = ['requires_payment', 'authorized'];
+
+/** Statuses in which money has been taken and can be refunded */
+const REFUNDABLE_PAYMENT_STATUSES = ['succeeded', 'partially_refunded'];
+
+/** All valid refund statuses */
+const REFUND_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * Webhook event types acted on, and the payment status each one sets
+ * Other event types are acknowledged and recorded but change nothing.
+ * @type {Object<string, string>}
+ */
+const WEBHOOK_EVENTS = {
+  'payment.authorized': 'authorized',
+  'payment.succeeded':  'succeeded',
+  'payment.failed':     'failed',
+  'payment.cancelled':  'cancelled',
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  OPEN_PAYMENT_STATUSES,
+  REFUNDABLE_PAYMENT_STATUSES,
+  REFUND_STATUSES,
+  WEBHOOK_EVENTS,
+};
@@ -0,0 +1,12 @@
+/**
+ * Product Type Definitions
+ *
+ *   physical : prints shipped to the customer; stock is tracked
+ *   digital  : full-resolution file downloaded after payment; no stock,
+ *              public renditions are watermarked
+ */
+
+/** All valid product types */
+const PRODUCT_TYPES = ['physical', 'digital'];
+
+module.exports = { PRODUCT_TYPES };
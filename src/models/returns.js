@@ -0,0 +1,16 @@
+/**
+ * Return Statuses
+ * A customer asks to send back items of a delivered order; staff decide:
+ *
+ *   requested : waiting for a decision
+ *   approved  : items taken back (restocked unless damaged) and refunded
+ *   rejected  : nothing returned or refunded
+ */
+
+/** All valid return statuses */
+const RETURN_STATUSES = ['requested', 'approved', 'rejected'];
+
+/** Order statuses whose items can be returned */
+const RETURNABLE_ORDER_STATUSES = ['delivered'];
+
+module.exports = { RETURN_STATUSES, RETURNABLE_ORDER_STATUSES };
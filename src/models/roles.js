@@ -0,0 +1,17 @@
+/**
+ * Role Definitions
+ * Roles an account can hold, from least to most privileged.
+ */
+
+/** All valid roles, ordered by privilege (lowest first) */
+const ROLES = ['customer', 'staff', 'admin'];
+
+/**
+ * Pick the most privileged role from a list
+ * @param {string[]} roles - Roles held by an account
+ * @returns {string|null} Highest role, or null if the list is empty
+ */
+const highestRole = (roles) =>
+  [...roles].sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0] ?? null;
+
+module.exports = { ROLES, highestRole };
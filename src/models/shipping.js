@@ -0,0 +1,16 @@
+/**
+ * Shipping Rate Types
+ * How a shipping method prices the physical items of an order:
+ *
+ *   flat     : baseRate per order
+ *   weight   : baseRate + rate per started kilogram of the items
+ *   quantity : baseRate + rate per item
+ *
+ * Any method can be free once the discounted item total reaches freeOver.
+ * Orders of digital products only are not shipped.
+ */
+
+/** All valid shipping rate types */
+const SHIPPING_RATE_TYPES = ['flat', 'weight', 'quantity'];
+
+module.exports = { SHIPPING_RATE_TYPES };
@@ -0,0 +1,36 @@
+/**
+ * Sortable Fields
+ * Per-model whitelist of columns that list endpoints accept in ?sort=.
+ * Only indexed or cheap-to-sort columns belong here; anything else is rejected
+ * by validation before it reaches the database.
+ */
+
+/** @type {Object<string, string[]>} Model name → sortable attributes */
+const SORT_FIELDS = {
+  Product: ['prodId', 'name', 'price', 'stock', 'createdAt', 'updatedAt'],
+  Customer: ['custId', 'name', 'email', 'createdAt', 'updatedAt'],
+  Order: ['orderId', 'custId', 'status', 'total', 'createdAt', 'updatedAt'],
+  InventoryMovement: ['movementId', 'prodId', 'type', 'quantity', 'createdAt'],
+  Coupon: ['couponId', 'code', 'endsAt', 'timesUsed', 'createdAt', 'updatedAt'],
+  TaxRule: ['taxRuleId', 'country', 'rate', 'createdAt', 'updatedAt'],
+  ShippingMethod: ['shippingMethodId', 'name', 'baseRate', 'createdAt', 'updatedAt'],
+  Payment: ['paymentId', 'orderId', 'status', 'amount', 'createdAt', 'updatedAt'],
+  Return: ['returnId', 'orderId', 'custId', 'status', 'refundAmount', 'createdAt', 'decidedAt'],
+  AuditEvent: ['auditEventId', 'actorId', 'entity', 'action', 'createdAt'],
+  LoginAttempt: ['loginAttemptId', 'email', 'accountId', 'createdAt'],
+};
+
+/**
+ * Parse a sort expression such as '-price,name'
+ * A leading '-' sorts that field descending; fields are applied in order.
+ * @param {string} expr - Comma-separated field list
+ * @returns {Array<[string, string]>} Sequelize order, e.g. [['price', 'DESC'], ['name', 'ASC']]
+ */
+const parseSort = (expr) =>
+  String(expr)
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => (part.startsWith('-') ? [part.slice(1), 'DESC'] : [part.replace(/^\+/, ''), 'ASC']));
+
+module.exports = { SORT_FIELDS, parseSort };
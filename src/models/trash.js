@@ -0,0 +1,20 @@
+/**
+ * Deleted Record Types
+ * Customers, products and orders are soft-deleted: they keep their rows
+ * (deletedAt set) until restored or purged.
+ *
+ *   customers : deleted with all their orders; purging erases their personal data
+ *   products  : taken out of the catalog and carts; past orders still show them
+ *   orders    : only deleted (and restored) with their customer; never purged
+ */
+
+/** Record types listed by /api/v1/trash */
+const TRASH_TYPES = ['customers', 'products', 'orders'];
+
+/** Record types restored on their own */
+const RESTORABLE_TRASH_TYPES = ['customers', 'products'];
+
+/** Order statuses a customer may be deleted in (nothing left to fulfil) */
+const CLOSED_ORDER_STATUSES = ['delivered', 'cancelled', 'refunded'];
+
+module.exports = { TRASH_TYPES, RESTORABLE_TRASH_TYPES, CLOSED_ORDER_STATUSES };
@@ -6,6 +6,18 @@
 
 const morgan = require('morgan');
 const logger = require('./logger');
+const { actorOf } = require('./services/actor');
+
+/**
+ * Label the authenticated user for the log line
+ * @param {Object} [user] - Decoded JWT payload (req.user)
+ * @returns {string|undefined} 'role:accountId', or undefined for guests
+ */
+function actorLabel(user) {
+  if (!user) return undefined;
+  const { id, role } = actorOf(user);
+  return `${role}:${id}`;
+}
 
 /**
  * Morgan middleware with custom JSON format
@@ -23,7 +35,9 @@ const morganMiddleware = morgan(
       response_time: Number.parseFloat(tokens['response-time'](req, res)), // Response time (ms)
       response_time_ms: tokens['response-time'](req, res) + ' ms',  // Response time formatted
       remote_address: tokens['remote-addr'](req, res),              // Client IP address
-      remote_user: tokens['remote-user'](req, res),                 // Authenticated user (if any)
+      remote_user: tokens['remote-user'](req, res),                 // Basic auth user (if any)
+      user: actorLabel(req.user),                                   // Token holder as 'role:accountId' (if any)
+      request_id: req.id,                                           // X-Request-Id (see middleware/requestId.js)
       date: tokens.date(req, res),                                  // Request timestamp
       http_version: tokens['http-version'](req, res),               // HTTP protocol version
       user_agent: tokens['user-agent'](req, res),                   // Client browser/tool
@@ -0,0 +1,69 @@
+/**
+ * Payment Providers
+ * Pluggable payment gateway used to take payment for orders. The provider is
+ * chosen by config.payments.provider; every provider implements the same
+ * interface (amounts are integer cents):
+ *
+ *   createIntent({ amountCents, currency, orderId, captureMode })
+ *                              Start a payment → { ref, status, clientSecret }
+ *   capture(ref, amountCents)  Take an authorized payment → { status }
+ *   cancel(ref)                Abandon an unpaid intent → { status }
+ *   refund(ref, amountCents, { reason })
+ *                              Give money back → { ref, status }
+ *   parseWebhook(rawBody, headers)
+ *                              Verify a webhook delivery and read its event
+ *                              → { id, type, ref, failureReason }
+ *
+ * Statuses are those of models/payments.js. parseWebhook throws an ApiError
+ * (400) for deliveries whose signature does not verify.
+ *
+ * The server creates the provider before it starts listening, so a missing
+ * PAYMENT_WEBHOOK_SECRET, or the mock provider in production, stops it there.
+ *
+ * To add a gateway (e.g. Stripe), implement the interface and register it in DRIVERS.
+ */
+
+const config = require('../config/config');
+const { createMockProvider } = require('./mock');
+
+/**
+ * Webhook signing key of the configured provider
+ * @returns {string} config.payments.webhookSecret
+ * @throws {Error} If PAYMENT_WEBHOOK_SECRET is not set
+ */
+function webhookSecret() {
+  if (!config.payments.webhookSecret) throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  return config.payments.webhookSecret;
+}
+
+/** Provider factories by name */
+const DRIVERS = {
+  mock: () => {
+    // It marks orders paid without taking money
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The mock payment provider cannot be used in production; set PAYMENT_PROVIDER');
+    }
+    return createMockProvider({
+      webhookSecret: webhookSecret(),
+      toleranceSeconds: config.payments.webhookToleranceSeconds,
+    });
+  },
+};
+
+let instance = null;
+
+/**
+ * Get the configured payment provider (created on first use)
+ * @returns {Object} Payment provider
+ * @throws {Error} If the configured provider is unknown or cannot run with this configuration
+ */
+function getPaymentProvider() {
+  if (!instance) {
+    const factory = DRIVERS[config.payments.provider];
+    if (!factory) throw new Error(`Unknown payment provider: ${config.payments.provider}`);
+    instance = factory();
+  }
+  return instance;
+}
+
+module.exports = { getPaymentProvider };
@@ -0,0 +1,143 @@
+/**
+ * Mock Payment Provider
+ * Offline stand-in for a payment gateway, for development and tests. It
+ * keeps no state of its own: intents and refunds get random ids and always
+ * succeed, and payment outcomes are driven by webhook events built with
+ * buildWebhook (see POST /api/v1/payments/mock/events).
+ *
+ * Webhooks are signed like most gateways do: the X-Payment-Signature header
+ * holds 't=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">'.
+ */
+
+const crypto = require('node:crypto');
+const { ApiError } = require('../errors');
+
+/** Header carrying the webhook signature */
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+/**
+ * Random provider id with a prefix, e.g. 'mock_pi_3f9c…'
+ * @param {string} prefix - Id prefix
+ * @returns {string} Id
+ */
+const randomRef = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Create the mock provider
+ * @param {Object} options
+ * @param {string} options.webhookSecret - HMAC key for webhook signatures
+ * @param {number} options.toleranceSeconds - Maximum age of a signature
+ * @returns {Object} Payment provider (see ./index.js), plus buildWebhook
+ */
+function createMockProvider({ webhookSecret, toleranceSeconds }) {
+  /**
+   * Sign a webhook body
+   * @param {number} timestamp - Unix seconds
+   * @param {string|Buffer} rawBody - Exact request body
+   * @returns {string} Hex signature
+   */
+  const sign = (timestamp, rawBody) =>
+    crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.`).update(rawBody).digest('hex');
+
+  return {
+    name: 'mock',
+
+    /**
+     * Start a payment
+     * @param {Object} intent
+     * @param {number} intent.amountCents - Amount to take
+     * @param {string} intent.currency - Currency code
+     * @param {number} intent.orderId - Order being paid
+     * @param {string} intent.captureMode - 'automatic' or 'manual'
+     * @returns {Promise<{ref: string, status: string, clientSecret: string}>} New intent
+     */
+    async createIntent() {
+      const ref = randomRef('mock_pi');
+      return { ref, status: 'requires_payment', clientSecret: `${ref}_secret_${crypto.randomBytes(8).toString('hex')}` };
+    },
+
+    /**
+     * Capture an authorized payment
+     * @returns {Promise<{status: string}>} New status
+     */
+    async capture() {
+      return { status: 'succeeded' };
+    },
+
+    /**
+     * Cancel an unpaid intent
+     * @returns {Promise<{status: string}>} New status
+     */
+    async cancel() {
+      return { status: 'cancelled' };
+    },
+
+    /**
+     * Refund (part of) a captured payment
+     * @returns {Promise<{ref: string, status: string}>} Refund id and status
+     */
+    async refund() {
+      return { ref: randomRef('mock_re'), status: 'succeeded' };
+    },
+
+    /**
+     * Verify a webhook delivery and read its event
+     * @param {Buffer|string} rawBody - Exact request body
+     * @param {Object} headers - Request headers (lower-case names)
+     * @returns {{id: string, type: string, ref: string, failureReason: string|null}} Event
+     * @throws {ApiError} 400 if the signature is missing, wrong or too old, or the body is malformed
+     */
+    parseWebhook(rawBody, headers) {
+      const parts = Object.fromEntries(
+        String(headers[SIGNATURE_HEADER] || '').split(',').map((p) => p.trim().split('='))
+      );
+      const timestamp = Number(parts.t);
+      if (!rawBody || !timestamp || !parts.v1) throw new ApiError(400, 'Missing webhook signature');
+      if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+        throw new ApiError(400, 'Webhook signature has expired');
+      }
+
+      const expected = Buffer.from(sign(timestamp, rawBody), 'hex');
+      const given = Buffer.from(String(parts.v1), 'hex');
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        throw new ApiError(400, 'Invalid webhook signature');
+      }
+
+      let event;
+      try {
+        event = JSON.parse(rawBody.toString('utf8'));
+      } catch {
+        throw new ApiError(400, 'Malformed webhook body');
+      }
+      if (!event?.id || !event.type || !event.data?.ref) throw new ApiError(400, 'Malformed webhook body');
+      return {
+        id: String(event.id),
+        type: String(event.type),
+        ref: String(event.data.ref),
+        failureReason: event.data.failureReason ?? null,
+      };
+    },
+
+    /**
+     * Build a signed webhook delivery, as the gateway would send it
+     * @param {string} type - Event type, e.g. 'payment.succeeded'
+     * @param {string} ref - Payment intent id
+     * @param {Object} [options]
+     * @param {string} [options.eventId] - Event id (random if omitted; reuse one to simulate a redelivery)
+     * @param {string} [options.failureReason] - Decline reason for 'payment.failed'
+     * @returns {{headers: Object, body: string}} Delivery to POST to the webhook route
+     */
+    buildWebhook(type, ref, { eventId, failureReason } = {}) {
+      const body = JSON.stringify({
+        id: eventId || randomRef('mock_evt'),
+        type,
+        created: Math.floor(Date.now() / 1000),
+        data: { ref, ...(failureReason ? { failureReason } : {}) },
+      });
+      const timestamp = Math.floor(Date.now() / 1000);
+      return { headers: { 'X-Payment-Signature': `t=${timestamp},v1=${sign(timestamp, body)}` }, body };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,227 @@
+/**
+ * Account Security Routes
+ * Review failed logins and lift lockouts (see services/loginThrottle.js), and
+ * manage two-factor authentication (see services/twoFactor.js).
+ *
+ * Routes:
+ * - GET /login-attempts           : List failed logins, newest first, paginated and filtered (logins:manage)
+ * - GET /locked                   : List accounts that are currently locked (logins:manage)
+ * - GET /two-factor/roles         : Two-factor requirement of every role (twofactor:manage)
+ * - PUT /two-factor/roles/:role   : Require two-factor authentication for a role, or stop (twofactor:manage)
+ * - GET /:id                      : Security state of an account (logins:manage)
+ * - POST /:id/unlock              : Unlock an account and forget its failed logins (logins:manage)
+ * - POST /:id/two-factor/reset    : Remove an account's two-factor authentication (twofactor:manage)
+ */
+
+const express = require('express');
+const { Op } = require('sequelize');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { buildWhere, dateRange, findPage } = require('../services/query');
+const { unlockAccount } = require('../services/loginThrottle');
+const {
+  listRolePolicies,
+  setRoleTwoFactor,
+  twoFactorStatus,
+  resetTwoFactor,
+} = require('../services/twoFactor');
+const { loadAccount, rolesOf } = require('../services/accounts');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+const { Account, LoginAttempt } = db.sequelize.models;
+
+// Every route here needs a logged-in user; permissions are checked per route
+router.use(auth);
+
+/**
+ * Whitelisted list filters: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const LOGIN_ATTEMPT_FILTERS = {
+  email: (v) => ({ email: v }),
+  accountId: (v) => ({ accountId: v }),
+  ip: (v) => ({ ip: v }),
+  ...dateRange('createdAt'),
+};
+
+// ---------- Routes ----------
+
+/**
+ * GET /api/v1/accounts/login-attempts
+ * List failed logins, newest first
+ * Query: limit, offset | cursor, sort, email, accountId, ip, from, to (ISO dates)
+ */
+router.get(
+  '/login-attempts',
+  requirePermission('logins:manage'),
+  validate(schemas.loginAttemptListQuery, { source: 'query' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/accounts/login-attempts');
+
+      const page = await findPage(LoginAttempt, {
+        where: buildWhere(LOGIN_ATTEMPT_FILTERS, req.query),
+        order: req.query.sort ?? [['loginAttemptId', 'DESC']],
+      }, req.query);
+      return res.status(200).json(page);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('accounts:loginAttempts error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/accounts/locked
+ * List accounts locked after too many failed logins, soonest unlock first
+ */
+router.get('/locked', requirePermission('logins:manage'), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/accounts/locked');
+
+    const accounts = await Account.findAll({
+      where: { lockedUntil: { [Op.gt]: new Date() } },
+      attributes: ['accountId', 'name', 'email', 'lockedUntil'],
+      order: [['lockedUntil', 'ASC']],
+    });
+    return res.status(200).json(accounts);
+  } catch (err) {
+    console.error('accounts:locked error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/v1/accounts/two-factor/roles
+ * Whether each role must log in with two-factor authentication
+ */
+router.get('/two-factor/roles', requirePermission('twofactor:manage'), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/accounts/two-factor/roles');
+    return res.status(200).json(await listRolePolicies());
+  } catch (err) {
+    console.error('accounts:twoFactorRoles error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/v1/accounts/two-factor/roles/:role
+ * Require (or stop requiring) two-factor authentication for a role
+ * Applies from the role's next login; accounts without it set it up then.
+ * Body: { requireTwoFactor }
+ */
+router.put(
+  '/two-factor/roles/:role',
+  requirePermission('twofactor:manage'),
+  validate(schemas.roleParam, { source: 'params' }),
+  validate(schemas.rolePolicyUpdate),
+  async (req, res) => {
+    try {
+      console.log('[PUT] /api/v1/accounts/two-factor/roles/:role');
+
+      const { before, after } = await setRoleTwoFactor(req.params.role, req.body.requireTwoFactor);
+      await recordAudit(req, 'update', 'RolePolicy', req.params.role, { before, after });
+      return res.status(200).json(after);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('accounts:twoFactorRole error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/accounts/:id
+ * Security state of an account: roles, email verification, lockout and two-factor authentication
+ */
+router.get(
+  '/:id',
+  requirePermission('logins:manage'),
+  validate(schemas.idParam, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/accounts/:id');
+
+      const account = await loadAccount(Number(req.params.id));
+      if (!account) throw new ApiError(404, 'Account not found');
+
+      return res.status(200).json({
+        accountId: account.accountId,
+        name: account.name,
+        email: account.email,
+        roles: rolesOf(account),
+        emailVerifiedAt: account.emailVerifiedAt,
+        lockedUntil: account.lockedUntil,
+        twoFactor: await twoFactorStatus(account.accountId),
+      });
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('accounts:get error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/accounts/:id/unlock
+ * Lift an account's lockout and clear its failed login count
+ * Failed logins already recorded stay in the list.
+ */
+router.post(
+  '/:id/unlock',
+  requirePermission('logins:manage'),
+  validate(schemas.idParam, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/accounts/:id/unlock');
+
+      const { before, account } = await unlockAccount(Number(req.params.id));
+      await recordAudit(req, 'update', 'Account', account.accountId, { before, after: { lockedUntil: null } });
+      return res.status(200).json({
+        accountId: account.accountId,
+        name: account.name,
+        email: account.email,
+        lockedUntil: account.lockedUntil,
+      });
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('accounts:unlock error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/accounts/:id/two-factor/reset
+ * Remove an account's two-factor authentication, e.g. after its owner lost their device
+ * Clears the secret and recovery codes; the owner sets it up again.
+ */
+router.post(
+  '/:id/two-factor/reset',
+  requirePermission('twofactor:manage'),
+  validate(schemas.idParam, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/accounts/:id/two-factor/reset');
+
+      const accountId = Number(req.params.id);
+      const before = await resetTwoFactor(accountId);
+      await recordAudit(req, 'update', 'Account', accountId, { before, after: { twoFactorEnabled: false } });
+      return res.status(200).json(await twoFactorStatus(accountId));
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('accounts:twoFactorReset error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * Audit Event Routes
+ * Browse and export the log of changes made through privileged routes
+ * (see services/audit.js). Events are only ever added.
+ *
+ * Routes:
+ * - GET /          : List audit events, newest first, paginated and filtered (audit:read)
+ * - GET /export    : Download matching events as JSON lines, oldest first (audit:read)
+ */
+
+const { once } = require('node:events');
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { buildWhere, dateRange, findPage } = require('../services/query');
+const { exportAuditEvents } = require('../services/audit');
+
+const router = express.Router();
+const { AuditEvent } = db.sequelize.models;
+
+// Every route here is admin-only
+router.use(auth, requirePermission('audit:read'));
+
+/**
+ * Whitelisted filters, shared by the list and the export: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const AUDIT_FILTERS = {
+  actorId: (v) => ({ actorId: v }),
+  actorRole: (v) => ({ actorRole: v }),
+  action: (v) => ({ action: v }),
+  entity: (v) => ({ entity: v }),
+  entityId: (v) => ({ entityId: v }),
+  requestId: (v) => ({ requestId: v }),
+  ...dateRange('createdAt'),
+};
+
+// ---------- Routes ----------
+
+/**
+ * GET /api/v1/audit-events
+ * List audit events, newest first
+ * Query: limit, offset | cursor, sort, actorId, actorRole, action, entity, entityId, requestId,
+ *        from, to (ISO dates)
+ */
+router.get('/', validate(schemas.auditListQuery, { source: 'query' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/audit-events');
+
+    const page = await findPage(AuditEvent, {
+      where: buildWhere(AUDIT_FILTERS, req.query),
+      order: req.query.sort ?? [['auditEventId', 'DESC']],
+    }, req.query);
+    return res.status(200).json(page);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('auditEvents:list error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/v1/audit-events/export
+ * Download every matching event as JSON lines (one event per line), oldest first
+ * Query: the list filters (no pagination or sort)
+ */
+router.get('/export', validate(schemas.auditExportQuery, { source: 'query' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/audit-events/export');
+
+    res.status(200).set({
+      'Content-Type': 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="audit-events-${new Date().toISOString().slice(0, 10)}.jsonl"`,
+    });
+    for await (const event of exportAuditEvents(buildWhere(AUDIT_FILTERS, req.query))) {
+      // Wait for slow clients instead of buffering the whole log
+      if (!res.write(`${JSON.stringify(event)}\n`)) await once(res, 'drain');
+    }
+    return res.end();
+  } catch (err) {
+    console.error('auditEvents:export error:', err);
+    if (!res.headersSent) return res.status(500).json({ msg: 'Server error' });
+    // Cut the download short so a partial export is not mistaken for a complete one
+    return res.destroy(err);
+  }
+});
+
+module.exports = router;
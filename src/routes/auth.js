@@ -1,44 +1,74 @@
 /**
- * Authentication Routes (Customer, Staff, Admin)
- * Handles registration and login for all user roles.
+ * Authentication Routes
+ * Handles registration and login for the unified Account model, plus session
+ * management (refresh token rotation and logout).
  * Uses centralized Joi validation + bcrypt + JWT.
+ *
+ * POST /login resolves the role from the account. The role-specific
+ * /customer, /staff and /admin routes remain for existing clients.
+ * Staff and admin registration requires an invitation (see routes/invitations.js).
+ *
+ * Password resets and email verification work by emailed, single-use links
+ * (see services/emailTokens.js). With REQUIRE_VERIFIED_EMAIL=true, new
+ * customers get no tokens at registration and cannot log in until they have
+ * confirmed their email.
+ *
+ * Logins are throttled against password guessing (see services/loginThrottle.js):
+ * after repeated failures for an IP or email, attempts are refused with 429
+ * and a Retry-After header, and the account is eventually locked.
+ *
+ * Accounts with two-factor authentication, or logging in as a role that
+ * requires it, log in in two steps (see services/twoFactor.js): the password
+ * step answers { twoFactorRequired, challengeToken } instead of tokens, and
+ * POST /login/two-factor exchanges the challenge and a TOTP or recovery code
+ * for them. If the role requires it but the account has not set it up yet
+ * (setupRequired), the challenge token is used to enrol through
+ * /two-factor/setup and /two-factor/enable, which then starts the session.
  */
 
 const express = require('express');
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
-const db = require('../models');
+const auth = require('../middleware/auth');
+const {
+  authenticate,
+  registerAccount,
+  toTokenUser,
+  loadAccount,
+  rolesOf,
+} = require('../services/accounts');
+const { acceptInvitation } = require('../services/invitations');
+const { mergeGuestCart } = require('../services/cart');
+const { issueTokens, rotateRefreshToken, logout, logoutAll } = require('../services/tokens');
+const {
+  sendVerificationEmail,
+  resendVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+} = require('../services/emailTokens');
+const {
+  loginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('../services/loginThrottle');
+const {
+  isTwoFactorRequired,
+  twoFactorStatus,
+  startSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  issueChallenge,
+  readChallenge,
+} = require('../services/twoFactor');
+const { recordAudit } = require('../services/audit');
+const config = require('../config/config');
+const { ApiError } = require('../errors');
 
 // Import centralized validator and validation schemas
 const { validate, schemas } = require('../validation/validation');
 
 const router = express.Router();
-const { Customer, Staff, Admin } = db.sequelize.models;
-
-// ---------- JWT Configuration ----------
-const JWT_SECRET     = process.env.JWT_SECRET     || 'dev_secret_change_me';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
-const JWT_ISSUER     = process.env.JWT_ISSUER     || 'photostore-api';
-const JWT_AUDIENCE   = process.env.JWT_AUDIENCE   || 'photostore-users';
-
-/**
- * Generate JWT token with standard claims
- * @param {Object} payload - Data to include in token
- * @param {Object} options - Additional options
- * @param {string} [options.subject] - Subject claim (user ID)
- * @returns {string} Signed JWT token
- */
-function signToken(payload, { subject } = {}) {
-  return jwt.sign({ ...payload }, JWT_SECRET, {
-    algorithm: 'HS512',
-    expiresIn: JWT_EXPIRES_IN,
-    issuer: JWT_ISSUER,
-    audience: JWT_AUDIENCE,
-    jwtid: uuidv4(), // Unique token ID
-    subject: subject ? String(subject) : undefined,
-  });
-}
 
 /**
  * Send standardized server error response
@@ -52,187 +82,267 @@ const serverError = (res, label, err) => {
   return res.status(500).json({ errors: [{ msg: 'Server Error' }] });
 };
 
-// ======================================================
-// ===================  CUSTOMER  =======================
-// ======================================================
+/**
+ * Send an ApiError in this router's { errors: [{ msg }] } format
+ * @param {Object} res - Express response object
+ * @param {ApiError} err - Error to send
+ * @returns {Object} Express response
+ */
+const apiError = (res, err) => res.status(err.status).json({ errors: [{ msg: err.message }] });
+
+/** Reply to link requests, whether or not the email has an account */
+const LINK_SENT_MSG = 'If the email belongs to an account, a link has been sent to it';
 
 /**
- * POST /customer/register
- * Register a new customer account
+ * Refuse a login attempt while its IP or email is throttled or locked
+ * Responds 429 with Retry-After (seconds); the message does not say which limit was hit.
+ * @param {Object} req - Express request (body already validated)
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
  */
-router.post(
-  '/customer/register',
-  validate(schemas.authCustomerRegister), // Validate request body
-  async (req, res) => {
+const throttleLogin = async (req, res, next) => {
+  try {
+    const retryAfter = await loginRetryAfter(req.ip, req.body.email);
+    if (!retryAfter) return next();
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ errors: [{ msg: 'Too many failed login attempts, try again later' }] });
+  } catch (err) {
+    return serverError(res, 'login throttle', err);
+  }
+};
+
+/**
+ * Load the account a login challenge was issued for
+ * It may have been deleted, or lost the role, since the password step.
+ * @param {{accountId: number, role: string}} challenge - Decoded challenge (see readChallenge)
+ * @returns {Promise<Object>} Account with its roles and customer profile
+ * @throws {ApiError} 401 if the account is gone or no longer holds the role
+ */
+async function loadChallengeAccount({ accountId, role }) {
+  const account = await loadAccount(accountId);
+  if (!account || !rolesOf(account).includes(role)) throw new ApiError(401, 'Invalid or expired challenge');
+  return account;
+}
+
+/**
+ * Accept either an access token or a login challenge (body.challengeToken)
+ * A challenge sets req.challenge ({ accountId, role, cartToken }) and a req.user
+ * naming the account, so changes are attributed to it.
+ * @param {Object} req - Express request (body already validated)
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const authOrChallenge = async (req, res, next) => {
+  if (!req.body.challengeToken) return auth(req, res, next);
+  try {
+    req.challenge = readChallenge(req.body.challengeToken);
+    await loadChallengeAccount(req.challenge);
+    req.user = { accountId: req.challenge.accountId, role: req.challenge.role };
+    return next();
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, 'two-factor challenge', err);
+  }
+};
+
+/**
+ * Issue session tokens and merge a guest cart into the customer's cart
+ * @param {Object} account - Authenticated account
+ * @param {string} role - Role the session acts as
+ * @param {string} [cartToken] - Guest cart token to merge
+ * @returns {Promise<Object>} Response body: tokens and user (plus cartMerged when a cart was given)
+ */
+async function startSession(account, role, cartToken) {
+  // Issue access + refresh tokens (starts a new session)
+  const user = toTokenUser(account, role);
+  const tokens = await issueTokens(user);
+
+  let cartMerged = false;
+  if (cartToken && user.role === 'customer' && user.custId) {
     try {
-      const { name, email, address, phone, password } = req.body;
-
-      // Check if customer already exists
-      const existing = await Customer.findOne({ where: { email } });
-      if (existing)
-        return res.status(409).json({ errors: [{ msg: 'User already registered' }] });
-
-      // Hash password before storing
-      const hashed = await bcrypt.hash(password, 10);
-      
-      // Create new customer
-      const cust = await Customer.create({
-        name,
-        email,
-        address: address ?? null,
-        phone: phone ?? null,
-        password: hashed,
-        role: 'customer',
-      });
-
-      // Build user object for token
-      const user = {
-        custId: cust.custId,
-        staffId: null,
-        adminId: null,
-        name: cust.name,
-        email: cust.email,
-        role: 'customer',
-      };
-      
-      // Generate JWT token
-      const token = signToken({ user }, { subject: String(cust.custId) });
-      return res.status(201).json({ token, user });
+      cartMerged = await mergeGuestCart(cartToken, user.custId);
     } catch (err) {
-      return serverError(res, 'customer/register', err);
+      // The login itself succeeded; the guest cart stays available
+      console.error('cart merge error:', err);
     }
   }
-);
+  return cartToken ? { ...tokens, user, cartMerged } : { ...tokens, user };
+}
+
+// ---------- Handler Factories ----------
 
 /**
- * POST /customer/login
- * Authenticate customer and return JWT token
+ * Build a registration handler that creates an account with the given role
+ * @param {string} role - Role assigned to the new account
+ * @returns {Function} Express route handler
  */
-router.post(
-  '/customer/login',
-  validate(schemas.authCustomerLogin), // Validate request body
-  async (req, res) => {
-    try {
-      const { email, password } = req.body;
-
-      // Find customer (bypass default scope to get password field)
-      const customer = await Customer.scope(null).findOne({ where: { email } });
-      if (!customer)
-        return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
-
-      // Verify password
-      const ok = await bcrypt.compare(password, customer.password);
-      if (!ok)
-        return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
-
-      // Build user object for token
-      const user = {
-        custId: customer.custId,
-        staffId: null,
-        adminId: null,
-        name: customer.name,
-        email: customer.email,
-        role: customer.role || 'customer',
-      };
-      
-      // Generate JWT token
-      const token = signToken({ user }, { subject: String(customer.custId) });
-      return res.status(200).json({ token, user });
-    } catch (err) {
-      return serverError(res, 'customer/login', err);
+const registerAs = (role) => async (req, res) => {
+  try {
+    const { name, email, address, phone, password } = req.body;
+
+    // Create account, role assignment and (for customers) the customer profile
+    const account = await registerAccount({ name, email, password, role, address, phone });
+    await sendVerificationEmail(account);
+
+    // Without a verified email the account cannot log in yet
+    const user = toTokenUser(account, role);
+    if (config.auth.requireVerifiedEmail) {
+      return res.status(201).json({ user, verificationRequired: true });
     }
+
+    // Issue access + refresh tokens (starts a new session)
+    const tokens = await issueTokens(user);
+    return res.status(201).json({ ...tokens, user });
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, `${role}/register`, err);
   }
-);
+};
+
+/**
+ * Build a registration handler for elevated roles that redeems an invitation
+ * @param {string} role - Role granted by the invitation ('staff' or 'admin')
+ * @returns {Function} Express route handler
+ */
+const registerWithInvite = (role) => async (req, res) => {
+  try {
+    // Validates and consumes the invitation, then creates or promotes the account
+    const account = await acceptInvitation(role, req.body);
+
+    // Issue access + refresh tokens (starts a new session)
+    const user = toTokenUser(account, role);
+    const tokens = await issueTokens(user);
+    return res.status(201).json({ ...tokens, user });
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, `${role}/register`, err);
+  }
+};
+
+/**
+ * Build a login handler
+ * @param {string} [role] - Role the login is restricted to; when omitted the
+ *   role comes from the request body or the account's highest role
+ * @returns {Function} Express route handler
+ */
+const loginAs = (role) => async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Verify credentials and resolve the session role
+    const result = await authenticate(email, password, role ?? req.body.role);
+
+    // Guest cart to move into the customer's cart (body.cartToken or X-Cart-Token header)
+    const cartToken = req.body.cartToken ?? req.header('x-cart-token');
+
+    // Second step needed: failures are only cleared once the login completes
+    const enabled = Boolean(result.account.totpEnabledAt);
+    if (enabled || await isTwoFactorRequired(result.role)) {
+      const challenge = issueChallenge(result.account, result.role, { cartToken });
+      return res.status(200).json({ twoFactorRequired: true, setupRequired: !enabled, ...challenge });
+    }
+
+    await recordLoginSuccess(email);
+    return res.status(200).json(await startSession(result.account, result.role, cartToken));
+  } catch (err) {
+    if (err instanceof ApiError) {
+      // Wrong password (or a role the account does not hold) counts towards throttling
+      if (err.status === 400) {
+        try {
+          await recordLoginFailure({ ip: req.ip, email: req.body.email, requestId: req.id });
+        } catch (recordErr) {
+          console.error('login failure record error:', recordErr);
+        }
+      }
+      return apiError(res, err);
+    }
+    return serverError(res, `${role ?? 'account'}/login`, err);
+  }
+};
 
 // ======================================================
-// ====================  STAFF  =========================
+// ===================  ACCOUNT  ========================
 // ======================================================
 
 /**
- * POST /staff/register
- * Register a new staff account
+ * POST /login
+ * Authenticate any account and return JWT tokens.
+ * Optional body.role picks which held role to act as (defaults to the highest).
  */
-router.post(
-  '/staff/register',
-  validate(schemas.authStaffRegister), // Validate request body
-  async (req, res) => {
+router.post('/login', validate(schemas.authLogin), throttleLogin, loginAs());
+
+/**
+ * POST /login/two-factor
+ * Second login step: exchange the challenge token and a TOTP code (or an
+ * unused recovery code) for JWT tokens. Wrong codes count as failed logins.
+ * A challenge whose account was deleted (or lost the role) meanwhile is refused with 401.
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post('/login/two-factor', validate(schemas.authTwoFactorLogin), async (req, res) => {
+  try {
+    const challenge = readChallenge(req.body.challengeToken);
+    const { accountId, role, cartToken } = challenge;
+    const account = await loadChallengeAccount(challenge);
+
+    const retryAfter = await loginRetryAfter(req.ip, account.email);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ errors: [{ msg: 'Too many failed login attempts, try again later' }] });
+    }
+
+    let factor;
     try {
-      const { name, email, password } = req.body;
-
-      // Check if staff already exists
-      const existing = await Staff.findOne({ where: { email } });
-      if (existing)
-        return res.status(409).json({ errors: [{ msg: 'User already registered' }] });
-
-      // Hash password before storing
-      const hashed = await bcrypt.hash(password, 10);
-      
-      // Create new staff member
-      const staff = await Staff.create({
-        name,
-        email,
-        password: hashed,
-        role: 'staff',
-      });
-
-      // Build user object for token
-      const user = {
-        custId: null,
-        staffId: staff.staffId,
-        adminId: null,
-        name: staff.name,
-        email: staff.email,
-        role: 'staff',
-      };
-      
-      // Generate JWT token
-      const token = signToken({ user }, { subject: String(staff.staffId) });
-      return res.status(201).json({ token, user });
+      factor = await verifySecondFactor(accountId, req.body);
     } catch (err) {
-      return serverError(res, 'staff/register', err);
+      if (err instanceof ApiError && err.status === 400) {
+        await recordLoginFailure({ ip: req.ip, email: account.email, requestId: req.id });
+      }
+      throw err;
     }
+
+    await recordLoginSuccess(account.email);
+    const body = await startSession(account, role, cartToken);
+    if (factor.method === 'recovery') body.recoveryCodesLeft = factor.recoveryCodesLeft;
+    return res.status(200).json(body);
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, 'login/two-factor', err);
   }
-);
+});
+
+// ======================================================
+// ===================  CUSTOMER  =======================
+// ======================================================
+
+/**
+ * POST /customer/register
+ * Register a new customer account
+ */
+router.post('/customer/register', validate(schemas.authCustomerRegister), registerAs('customer'));
+
+/**
+ * POST /customer/login
+ * Authenticate as customer and return JWT tokens
+ * Optional body.cartToken (or X-Cart-Token header) merges a guest cart into the customer's cart.
+ */
+router.post('/customer/login', validate(schemas.authCustomerLogin), throttleLogin, loginAs('customer'));
+
+// ======================================================
+// ====================  STAFF  =========================
+// ======================================================
+
+/**
+ * POST /staff/register
+ * Register a staff account using an invitation (body.inviteToken)
+ */
+router.post('/staff/register', validate(schemas.authStaffRegister), registerWithInvite('staff'));
 
 /**
  * POST /staff/login
- * Authenticate staff and return JWT token
+ * Authenticate as staff and return JWT tokens
  */
-router.post(
-  '/staff/login',
-  validate(schemas.authStaffLogin), // Validate request body
-  async (req, res) => {
-    try {
-      const { email, password } = req.body;
-
-      // Find staff (bypass default scope to get password field)
-      const staff = await Staff.scope(null).findOne({ where: { email } });
-      if (!staff)
-        return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
-
-      // Verify password
-      const ok = await bcrypt.compare(password, staff.password);
-      if (!ok)
-        return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
-
-      // Build user object for token
-      const user = {
-        custId: null,
-        staffId: staff.staffId,
-        adminId: null,
-        name: staff.name,
-        email: staff.email,
-        role: 'staff',
-      };
-      
-      // Generate JWT token
-      const token = signToken({ user }, { subject: String(staff.staffId) });
-      return res.status(200).json({ token, user });
-    } catch (err) {
-      return serverError(res, 'staff/login', err);
-    }
-  }
-);
+router.post('/staff/login', validate(schemas.authStaffLogin), throttleLogin, loginAs('staff'));
 
 // ======================================================
 // =====================  ADMIN  ========================
@@ -240,88 +350,225 @@ router.post(
 
 /**
  * POST /admin/register
- * Register a new admin account
+ * Register an admin account using an invitation (body.inviteToken)
+ */
+router.post('/admin/register', validate(schemas.authAdminRegister), registerWithInvite('admin'));
+
+/**
+ * POST /admin/login
+ * Authenticate as admin and return JWT tokens
+ */
+router.post('/admin/login', validate(schemas.authAdminLogin), throttleLogin, loginAs('admin'));
+
+// ======================================================
+// ============  PASSWORD & VERIFICATION  ===============
+// ======================================================
+
+/**
+ * POST /forgot-password
+ * Email a password reset link. Always answers 202 so it does not reveal which emails have accounts.
+ * Body: { email }
+ */
+router.post('/forgot-password', validate(schemas.authForgotPassword), async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email);
+    return res.status(202).json({ msg: LINK_SENT_MSG });
+  } catch (err) {
+    return serverError(res, 'forgot-password', err);
+  }
+});
+
+/**
+ * POST /reset-password
+ * Set a new password with the token from a reset link. Logs out every session of the account.
+ * Body: { token, password }
+ */
+router.post('/reset-password', validate(schemas.authResetPassword), async (req, res) => {
+  try {
+    await resetPassword(req.body.token, req.body.password);
+    return res.status(200).json({ msg: 'Password has been reset; please log in' });
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, 'reset-password', err);
+  }
+});
+
+/**
+ * POST /verify-email
+ * Confirm an email address with the token from a verification link
+ * Body: { token }
+ */
+router.post('/verify-email', validate(schemas.authVerifyEmail), async (req, res) => {
+  try {
+    await verifyEmail(req.body.token);
+    return res.status(200).json({ msg: 'Email address verified' });
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, 'verify-email', err);
+  }
+});
+
+/**
+ * POST /resend-verification
+ * Email a new verification link to an unverified account. Always answers 202.
+ * Body: { email }
+ */
+router.post('/resend-verification', validate(schemas.authResendVerification), async (req, res) => {
+  try {
+    await resendVerification(req.body.email);
+    return res.status(202).json({ msg: LINK_SENT_MSG });
+  } catch (err) {
+    return serverError(res, 'resend-verification', err);
+  }
+});
+
+// ======================================================
+// =================  TWO-FACTOR  =======================
+// ======================================================
+
+/**
+ * GET /two-factor
+ * Two-factor state of the current account
+ */
+router.get('/two-factor', auth, async (req, res) => {
+  try {
+    return res.status(200).json(await twoFactorStatus(req.user.accountId));
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, 'two-factor', err);
+  }
+});
+
+/**
+ * POST /two-factor/setup
+ * Start enrolment: returns the secret, its otpauth:// URI and a QR code (PNG data URL)
+ * for an authenticator app. Requires an access token, or the challenge token of a
+ * login whose role requires two-factor authentication (setupRequired).
+ * Body: { challengeToken? }
+ */
+router.post('/two-factor/setup', validate(schemas.twoFactorSetup), authOrChallenge, async (req, res) => {
+  try {
+    return res.status(200).json(await startSetup(req.user.accountId));
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, 'two-factor/setup', err);
+  }
+});
+
+/**
+ * POST /two-factor/enable
+ * Finish enrolment with a code from the app. Returns the recovery codes, which are
+ * not shown again; with a challenge token it also completes the login (JWT tokens).
+ * Body: { code, challengeToken? }
+ */
+router.post('/two-factor/enable', validate(schemas.twoFactorEnable), authOrChallenge, async (req, res) => {
+  try {
+    const { accountId } = req.user;
+    const recoveryCodes = await enableTwoFactor(accountId, req.body.code);
+    await recordAudit(req, 'update', 'Account', accountId, {
+      before: { twoFactorEnabled: false },
+      after: { twoFactorEnabled: true },
+    });
+
+    if (!req.challenge) return res.status(200).json({ recoveryCodes });
+
+    const account = await loadChallengeAccount(req.challenge);
+    await recordLoginSuccess(account.email);
+    const session = await startSession(account, req.challenge.role, req.challenge.cartToken);
+    return res.status(200).json({ ...session, recoveryCodes });
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, 'two-factor/enable', err);
+  }
+});
+
+/**
+ * POST /two-factor/disable
+ * Turn two-factor authentication off (not allowed while a role of the account requires it)
+ * Body: { code } or { recoveryCode }
+ */
+router.post('/two-factor/disable', auth, validate(schemas.twoFactorDisable), async (req, res) => {
+  try {
+    await disableTwoFactor(req.user.accountId, req.body);
+    await recordAudit(req, 'update', 'Account', req.user.accountId, {
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false },
+    });
+    return res.status(204).send();
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, 'two-factor/disable', err);
+  }
+});
+
+/**
+ * POST /two-factor/recovery-codes
+ * Replace the recovery codes with new ones (the old ones stop working)
+ * Body: { code }
+ */
+router.post('/two-factor/recovery-codes', auth, validate(schemas.twoFactorRecoveryCodes), async (req, res) => {
+  try {
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.accountId, req.body.code);
+    return res.status(200).json({ recoveryCodes });
+  } catch (err) {
+    if (err instanceof ApiError) return apiError(res, err);
+    return serverError(res, 'two-factor/recovery-codes', err);
+  }
+});
+
+// ======================================================
+// ===================  SESSIONS  =======================
+// ======================================================
+
+/**
+ * POST /refresh
+ * Exchange a refresh token for a new access + refresh token pair.
+ * The presented refresh token is single-use; reusing it revokes the session.
  */
 router.post(
-  '/admin/register',
-  validate(schemas.authAdminRegister), // Validate request body
+  '/refresh',
+  validate(schemas.authRefresh), // Validate request body
   async (req, res) => {
     try {
-      const { name, email, password } = req.body;
-
-      // Check if admin already exists
-      const existing = await Admin.findOne({ where: { email } });
-      if (existing)
-        return res.status(409).json({ errors: [{ msg: 'Admin already registered' }] });
-
-      // Hash password before storing
-      const hashed = await bcrypt.hash(password, 10);
-      
-      // Create new admin
-      const admin = await Admin.create({
-        name,
-        email,
-        password: hashed,
-        role: 'admin',
-      });
-
-      // Build user object for token
-      const user = {
-        custId: null,
-        staffId: null,
-        adminId: admin.adminId,
-        name: admin.name,
-        email: admin.email,
-        role: 'admin',
-      };
-      
-      // Generate JWT token
-      const token = signToken({ user }, { subject: String(admin.adminId) });
-      return res.status(201).json({ token, user });
+      const { token, refreshToken, user } = await rotateRefreshToken(req.body.refreshToken);
+      return res.status(200).json({ token, refreshToken, user });
     } catch (err) {
-      return serverError(res, 'admin/register', err);
+      if (err instanceof ApiError) return apiError(res, err);
+      return serverError(res, 'refresh', err);
     }
   }
 );
 
 /**
- * POST /admin/login
- * Authenticate admin and return JWT token
+ * POST /logout
+ * Revoke the current access token and its session (refresh token family).
+ * Optionally accepts a refreshToken in the body to revoke as well.
  */
 router.post(
-  '/admin/login',
-  validate(schemas.authAdminLogin), // Validate request body
+  '/logout',
+  auth,
+  validate(schemas.authLogout), // Validate request body
   async (req, res) => {
     try {
-      const { email, password } = req.body;
-
-      // Find admin (bypass default scope to get password field)
-      const admin = await Admin.scope(null).findOne({ where: { email } });
-      if (!admin)
-        return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
-
-      // Verify password
-      const ok = await bcrypt.compare(password, admin.password);
-      if (!ok)
-        return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
-
-      // Build user object for token
-      const user = {
-        custId: null,
-        staffId: null,
-        adminId: admin.adminId,
-        name: admin.name,
-        email: admin.email,
-        role: admin.role || 'admin',
-      };
-      
-      // Generate JWT token
-      const token = signToken({ user }, { subject: String(admin.adminId) });
-      return res.status(200).json({ token, user });
+      await logout(req.tokenClaims, req.body.refreshToken);
+      return res.status(204).send();
     } catch (err) {
-      return serverError(res, 'admin/login', err);
+      return serverError(res, 'logout', err);
     }
   }
 );
 
-module.exports = router;
\ No newline at end of file
+/**
+ * POST /logout-all
+ * Revoke every session of the current user (all devices).
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await logoutAll(req.tokenClaims);
+    return res.status(204).send();
+  } catch (err) {
+    return serverError(res, 'logout-all', err);
+  }
+});
+
+module.exports = router;
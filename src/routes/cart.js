@@ -0,0 +1,247 @@
+/**
+ * Cart Routes
+ * Server-side shopping cart for the logged-in customer, or for a guest
+ * identified by the X-Cart-Token header.
+ *
+ * A guest's first POST /items creates a cart and returns its token in the
+ * X-Cart-Token response header (and as cartToken in the body). Send it back
+ * on later requests, and with /auth/customer/login to merge it into the
+ * customer's cart.
+ *
+ * Routes:
+ * - GET /                  : View cart with live prices and stock warnings (customer or guest)
+ * - POST /items            : Add a product/variant (customer or guest)
+ * - PUT /items/:itemId     : Change a line's quantity (customer or guest)
+ * - DELETE /items/:itemId  : Remove a line (customer or guest)
+ * - DELETE /               : Empty the cart (customer or guest)
+ * - POST /coupons          : Apply a coupon code (customer or guest)
+ * - DELETE /coupons/:code  : Remove a coupon code (customer or guest)
+ * - POST /checkout         : Place an order from the cart (customer)
+ */
+
+const express = require('express');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { actorOf } = require('../services/actor');
+const cartService = require('../services/cart');
+
+const router = express.Router();
+
+/** Request/response header carrying the guest cart token */
+const CART_TOKEN_HEADER = 'X-Cart-Token';
+
+// ---------- Helper Functions ----------
+
+/**
+ * Find the cart for this request
+ * Logged-in customers get their own cart; guests are identified by X-Cart-Token.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object (receives X-Cart-Token for new guest carts)
+ * @param {Object} [options]
+ * @param {boolean} [options.create=false] - Create a guest cart when no token is sent
+ * @returns {Promise<{cart: Object|null, token?: string}>} Cart (null for a guest without one) and new token
+ * @throws {ApiError} 403 for logged-in non-customers, 404 for unknown or expired guest tokens
+ */
+async function cartFor(req, res, { create = false } = {}) {
+  if (req.user) {
+    const custId = req.user.custId ?? req.user.user?.custId;
+    if (!custId) throw new ApiError(403, 'Only customers have a cart');
+    return { cart: await cartService.customerCart(Number(custId)) };
+  }
+
+  const token = req.header(CART_TOKEN_HEADER);
+  if (token) {
+    const cart = await cartService.findGuestCart(token);
+    if (!cart) throw new ApiError(404, 'Cart not found or expired');
+    return { cart };
+  }
+
+  if (!create) return { cart: null };
+  const created = await cartService.createGuestCart();
+  res.set(CART_TOKEN_HEADER, created.token);
+  return created;
+}
+
+// ---------- Routes ----------
+
+/**
+ * GET /api/v1/cart
+ * View the cart priced from the current catalog, with stock warnings (customer or guest)
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/cart');
+
+    const { cart } = await cartFor(req, res);
+    const view = cart ? await cartService.viewCart(cart) : cartService.emptyCartView();
+    return res.status(200).json(view);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('cart:view error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/v1/cart/items
+ * Add a product (or one of its variants) to the cart (customer or guest)
+ * Body: { prodId | variantId, quantity }
+ */
+router.post('/items', optionalAuth, validate(schemas.cartItemAdd), async (req, res) => {
+  try {
+    console.log('[POST] /api/v1/cart/items');
+
+    const { cart, token } = await cartFor(req, res, { create: true });
+    const view = await cartService.addItem(cart, req.body);
+    return res.status(201).json(token ? { ...view, cartToken: token } : view);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('cart:add error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/v1/cart/items/:itemId
+ * Change the quantity of a cart line (customer or guest)
+ * Body: { quantity }
+ */
+router.put(
+  '/items/:itemId',
+  optionalAuth,
+  validate(schemas.cartItemParams, { source: 'params' }),
+  validate(schemas.cartItemUpdate),
+  async (req, res) => {
+    try {
+      console.log('[PUT] /api/v1/cart/items/:itemId');
+
+      const { cart } = await cartFor(req, res);
+      if (!cart) return res.status(404).json({ msg: 'Cart item not found' });
+
+      const view = await cartService.updateItem(cart, req.params.itemId, req.body.quantity);
+      return res.status(200).json(view);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('cart:update error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/cart/items/:itemId
+ * Remove a line from the cart (customer or guest)
+ */
+router.delete(
+  '/items/:itemId',
+  optionalAuth,
+  validate(schemas.cartItemParams, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[DELETE] /api/v1/cart/items/:itemId');
+
+      const { cart } = await cartFor(req, res);
+      if (!cart) return res.status(404).json({ msg: 'Cart item not found' });
+
+      const view = await cartService.removeItem(cart, req.params.itemId);
+      return res.status(200).json(view);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('cart:remove error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/cart
+ * Remove every line from the cart (customer or guest)
+ */
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    console.log('[DELETE] /api/v1/cart');
+
+    const { cart } = await cartFor(req, res);
+    const view = cart ? await cartService.clearCart(cart) : cartService.emptyCartView();
+    return res.status(200).json(view);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('cart:clear error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/v1/cart/coupons
+ * Apply a coupon code to the cart; it must be usable on the cart as it is now (customer or guest)
+ * Body: { code }
+ */
+router.post('/coupons', optionalAuth, validate(schemas.cartCouponAdd), async (req, res) => {
+  try {
+    console.log('[POST] /api/v1/cart/coupons');
+
+    const { cart } = await cartFor(req, res);
+    if (!cart) return res.status(400).json({ msg: 'Cart is empty' });
+
+    const view = await cartService.addCoupon(cart, req.body.code);
+    return res.status(200).json(view);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('cart:coupon:add error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/v1/cart/coupons/:code
+ * Remove a coupon code from the cart (customer or guest)
+ */
+router.delete(
+  '/coupons/:code',
+  optionalAuth,
+  validate(schemas.cartCouponParams, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[DELETE] /api/v1/cart/coupons/:code');
+
+      const { cart } = await cartFor(req, res);
+      if (!cart) return res.status(404).json({ msg: 'Coupon is not applied to this cart' });
+
+      const view = await cartService.removeCoupon(cart, req.params.code);
+      return res.status(200).json(view);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('cart:coupon:remove error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/cart/checkout
+ * Place an order from the logged-in customer's cart and empty it
+ * Same stock, coupon, shipping and tax rules as POST /api/v1/orders; the cart's coupons are redeemed.
+ * Body: { shippingMethodId?, address? } (both required when the cart holds physical items)
+ */
+router.post('/checkout', auth, validate(schemas.cartCheckout), async (req, res) => {
+  try {
+    console.log('[POST] /api/v1/cart/checkout');
+
+    // Only customer accounts can place orders
+    const custId = req.user?.custId ?? req.user?.user?.custId;
+    if (!custId) return res.status(403).json({ msg: 'Only customers can place orders' });
+
+    const order = await cartService.checkoutCart(Number(custId), actorOf(req.user), req.body);
+    return res.status(201).json(order);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('cart:checkout error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+/**
+ * Category Routes
+ * Manages product categories/collections. Mounted under /api/v1/products/categories.
+ *
+ * Routes:
+ * - GET /            : List categories (public)
+ * - GET /:id         : Get category with its products (public)
+ * - POST /           : Create category (products:write)
+ * - PUT /:id         : Update category (products:write)
+ * - DELETE /:id      : Delete category; products are kept (products:delete)
+ */
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { slugify } = require('../services/catalog');
+const { recordAudit, snapshot } = require('../services/audit');
+
+const router = express.Router();
+const { Category, Product } = db.sequelize.models;
+
+/** Message for duplicate category names/slugs */
+const DUPLICATE_MSG = 'Category name or slug already exists';
+
+// ---------- Routes ----------
+
+/**
+ * GET /api/v1/products/categories
+ * List all categories by name (public route)
+ */
+router.get('/', async (_req, res) => {
+  try {
+    console.log('[GET] /api/v1/products/categories');
+
+    const categories = await Category.findAll({ order: [['name', 'ASC']] });
+    return res.status(200).json(categories);
+  } catch (err) {
+    console.error('categories:list error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/v1/products/categories/:id
+ * Get a category and the products in it (public route)
+ */
+router.get('/:id', validate(schemas.idParam, { source: 'params' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/products/categories/:id');
+
+    const category = await Category.findByPk(Number(req.params.id), {
+      include: [{ model: Product, through: { attributes: [] } }],
+      order: [[Product, 'prodId', 'ASC']],
+    });
+    if (!category) return res.status(404).json({ msg: 'Category not found' });
+
+    return res.status(200).json(category);
+  } catch (err) {
+    console.error('categories:get error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/v1/products/categories
+ * Create category (requires products:write)
+ */
+router.post('/', [auth, requirePermission('products:write')], validate(schemas.categoryCreate), async (req, res) => {
+  try {
+    console.log('[POST] /api/v1/products/categories');
+
+    const { name, slug, description } = req.body;
+    const created = await Category.create({ name, slug: slug || slugify(name), description });
+    await recordAudit(req, 'create', 'Category', created.categoryId, { after: created });
+    return res.status(201).json(created);
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') return res.status(409).json({ msg: DUPLICATE_MSG });
+    console.error('categories:create error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/v1/products/categories/:id
+ * Update category (requires products:write)
+ */
+router.put(
+  '/:id',
+  [auth, requirePermission('products:write')],
+  validate(schemas.idParam, { source: 'params' }),
+  validate(schemas.categoryUpdate),
+  async (req, res) => {
+    try {
+      console.log('[PUT] /api/v1/products/categories/:id');
+
+      const category = await Category.findByPk(Number(req.params.id));
+      if (!category) return res.status(404).json({ msg: 'Category not found' });
+
+      const before = snapshot(category);
+      await category.update(req.body);
+      await recordAudit(req, 'update', 'Category', category.categoryId, { before, after: category });
+      return res.status(200).json(category);
+    } catch (err) {
+      if (err.name === 'SequelizeUniqueConstraintError') return res.status(409).json({ msg: DUPLICATE_MSG });
+      console.error('categories:update error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/products/categories/:id
+ * Delete category (requires products:delete)
+ * Products in the category are not deleted, only unlinked.
+ */
+router.delete(
+  '/:id',
+  [auth, requirePermission('products:delete')],
+  validate(schemas.idParam, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[DELETE] /api/v1/products/categories/:id');
+
+      const category = await Category.findByPk(Number(req.params.id));
+      if (!category) return res.status(404).json({ msg: 'Category not found' });
+
+      await category.destroy();
+      await recordAudit(req, 'delete', 'Category', category.categoryId, { before: category });
+
+      return res.status(204).send();
+    } catch (err) {
+      console.error('categories:delete error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,207 @@
+/**
+ * Coupon Routes
+ * Manages discount codes and checks codes against a prospective order.
+ * Coupons are redeemed by POST /orders (couponCodes) and cart checkout
+ * (see services/coupons.js for the discount rules).
+ *
+ * Routes:
+ * - POST /validate   : Price a prospective order with coupon codes (public; logged-in customers get
+ *                      their per-customer limits checked)
+ * - GET /            : List coupons, paginated and filtered (coupons:manage)
+ * - GET /:id         : Get coupon with its product/category restrictions (coupons:manage)
+ * - POST /           : Create coupon (coupons:manage)
+ * - PUT /:id         : Update coupon (coupons:manage)
+ * - DELETE /:id      : Delete coupon; orders keep their discount lines (coupons:manage)
+ */
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { buildWhere, textSearch, findPage } = require('../services/query');
+const { quoteOrder } = require('../services/checkout');
+const { findCoupon, createCoupon, updateCoupon } = require('../services/coupons');
+const { recordAudit, snapshot } = require('../services/audit');
+
+const router = express.Router();
+const { Coupon } = db.sequelize.models;
+
+/** Message for duplicate coupon codes */
+const DUPLICATE_MSG = 'Coupon code already exists';
+
+/**
+ * Whitelisted list filters: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const COUPON_FILTERS = {
+  q: textSearch(['code', 'description']),
+  active: (v) => ({ active: v }),
+};
+
+/**
+ * Coupon as recorded in the audit log: its own fields and its restrictions
+ * @param {Object|null} coupon - Coupon loaded by findCoupon
+ * @returns {Object|null} Plain snapshot
+ */
+const auditState = (coupon) => coupon && {
+  ...snapshot(coupon),
+  productIds: coupon.Products.map((p) => p.prodId),
+  categoryIds: coupon.Categories.map((c) => c.categoryId),
+};
+
+// ---------- Routes ----------
+
+/**
+ * POST /api/v1/coupons/validate
+ * Check coupon codes against a prospective order and show the discounts (public route)
+ * Body: { items: [{ prodId | variantId, quantity }], couponCodes: ['CODE'] }
+ */
+router.post('/validate', optionalAuth, validate(schemas.couponValidate), async (req, res) => {
+  try {
+    console.log('[POST] /api/v1/coupons/validate');
+
+    const custId = req.user?.custId ?? req.user?.user?.custId;
+    const { items, couponCodes } = req.body;
+    const quote = await quoteOrder(items, { couponCodes, custId: custId ? Number(custId) : null });
+    return res.status(200).json(quote);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('coupons:validate error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/v1/coupons
+ * List coupons (requires coupons:manage)
+ * Query: limit, offset | cursor, sort, q (code/description), active
+ */
+router.get(
+  '/',
+  [auth, requirePermission('coupons:manage')],
+  validate(schemas.couponListQuery, { source: 'query' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/coupons');
+
+      const page = await findPage(Coupon, {
+        where: buildWhere(COUPON_FILTERS, req.query),
+        order: req.query.sort ?? [['couponId', 'DESC']],
+      }, req.query);
+      return res.status(200).json(page);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('coupons:list error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/coupons/:id
+ * Get a coupon with the products and categories it is restricted to (requires coupons:manage)
+ */
+router.get(
+  '/:id',
+  [auth, requirePermission('coupons:manage')],
+  validate(schemas.idParam, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/coupons/:id');
+
+      const coupon = await findCoupon(Number(req.params.id));
+      if (!coupon) return res.status(404).json({ msg: 'Coupon not found' });
+
+      return res.status(200).json(coupon);
+    } catch (err) {
+      console.error('coupons:get error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/coupons
+ * Create a coupon (requires coupons:manage)
+ * Body: { code, type, value, description?, minOrderValue?, startsAt?, endsAt?, maxUses?,
+ *         maxUsesPerCustomer?, stackable?, active?, productIds?, categoryIds? }
+ */
+router.post('/', [auth, requirePermission('coupons:manage')], validate(schemas.couponCreate), async (req, res) => {
+  try {
+    console.log('[POST] /api/v1/coupons');
+
+    const coupon = await createCoupon(req.body);
+    await recordAudit(req, 'create', 'Coupon', coupon.couponId, { after: auditState(coupon) });
+    return res.status(201).json(coupon);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    if (err.name === 'SequelizeUniqueConstraintError') return res.status(409).json({ msg: DUPLICATE_MSG });
+    console.error('coupons:create error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/v1/coupons/:id
+ * Update a coupon; productIds/categoryIds replace its restrictions (requires coupons:manage)
+ */
+router.put(
+  '/:id',
+  [auth, requirePermission('coupons:manage')],
+  validate(schemas.idParam, { source: 'params' }),
+  validate(schemas.couponUpdate),
+  async (req, res) => {
+    try {
+      console.log('[PUT] /api/v1/coupons/:id');
+
+      const id = Number(req.params.id);
+      const before = auditState(await findCoupon(id));
+      const coupon = await updateCoupon(id, req.body);
+      if (!coupon) return res.status(404).json({ msg: 'Coupon not found' });
+
+      await recordAudit(req, 'update', 'Coupon', id, { before, after: auditState(coupon) });
+
+      return res.status(200).json(coupon);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      if (err.name === 'SequelizeUniqueConstraintError') return res.status(409).json({ msg: DUPLICATE_MSG });
+      console.error('coupons:update error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/coupons/:id
+ * Delete a coupon (requires coupons:manage)
+ * Orders that used it keep their discount lines (code and amount); carts lose it.
+ * To stop a coupon being used while keeping its history, set active to false instead.
+ */
+router.delete(
+  '/:id',
+  [auth, requirePermission('coupons:manage')],
+  validate(schemas.idParam, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[DELETE] /api/v1/coupons/:id');
+
+      const coupon = await findCoupon(Number(req.params.id));
+      if (!coupon) return res.status(404).json({ msg: 'Coupon not found' });
+
+      await coupon.destroy();
+      await recordAudit(req, 'delete', 'Coupon', coupon.couponId, { before: auditState(coupon) });
+
+      return res.status(204).send();
+    } catch (err) {
+      console.error('coupons:delete error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -3,11 +3,15 @@
  * Manages customer accounts with role-based access control
  * 
  * Routes:
- * - GET /            : List all customers (staff/admin only)
- * - GET /:id         : Get single customer (self OR staff/admin)
- * - POST /           : Create customer (staff/admin only)
- * - PUT /:id         : Update customer (self OR staff/admin)
- * - DELETE /:id      : Delete customer (admin only)
+ * - GET /            : List customers, paginated and sorted, with name/email search (customers:read)
+ * - GET /:id         : Get single customer (self OR customers:read)
+ * - POST /           : Create customer (customers:write)
+ * - PUT /:id         : Update customer (self OR customers:write)
+ * - DELETE /:id      : Delete customer with their orders; restorable via /trash (customers:delete)
+ *
+ * Customers are profiles attached to an Account; login name, email and
+ * password changes are mirrored onto the account. A new email has to be
+ * confirmed again: a verification link is sent to it.
  */
 
 const express = require('express');
@@ -15,14 +19,20 @@ const bcrypt = require('bcrypt');
 
 const db = require('../models');
 const auth = require('../middleware/auth');
-const staff = require('../middleware/staff');
-const admin = require('../middleware/admin');
+const requirePermission = require('../middleware/permission');
 
 // Import centralized validator and validation schemas
 const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { registerAccount } = require('../services/accounts');
+const { sendVerificationEmail } = require('../services/emailTokens');
+const { hasPermission } = require('../services/permissions');
+const { buildWhere, textSearch, findPage } = require('../services/query');
+const { deleteCustomer } = require('../services/trash');
+const { recordAudit, snapshot } = require('../services/audit');
 
 const router = express.Router();
-const { Customer } = db.sequelize.models;
+const { Account, Customer } = db.sequelize.models;
 
 // ---------- Helper Functions ----------
 
@@ -37,24 +47,36 @@ const toId = (v) => {
 };
 
 /**
- * Authorization middleware: allow user to access own data OR specific roles
- * @param {...string} roles - Allowed roles (e.g., 'staff', 'admin')
+ * Whitelisted list filters: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const CUSTOMER_FILTERS = {
+  q: textSearch(['name', 'email']),
+};
+
+/**
+ * Authorization middleware: allow user to access own data OR users with a permission
+ * @param {string} permission - Permission that grants access to any customer (e.g., 'customers:read')
  * @returns {Function} Express middleware function
  */
-const allowSelfOrRole = (...roles) => {
-  return (req, res, next) => {
+const allowSelfOrPermission = (permission) => {
+  return async (req, res, next) => {
     const reqId = toId(req.params.id);
     const user = req.user; // Set by auth middleware
     
-    // Extract role and custId (supports different JWT payload shapes)
-    const role = user?.role || user?.user?.role;
+    // Extract custId (supports different JWT payload shapes)
     const custId = user?.custId ?? user?.user?.custId;
 
     // Allow if user is accessing their own data
     if (reqId && custId && reqId === Number(custId)) return next();
     
-    // Allow if user has one of the specified roles
-    if (role && roles.includes(role)) return next();
+    try {
+      // Allow if user's role grants the permission
+      if (await hasPermission(user, permission)) return next();
+    } catch (err) {
+      console.error('customers:permission error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
     
     // Deny access otherwise
     return res.status(403).json({ msg: 'Forbidden' });
@@ -65,27 +87,35 @@ const allowSelfOrRole = (...roles) => {
 
 /**
  * GET /api/v1/customers
- * List all customers (staff/admin only)
+ * List customers (requires customers:read)
+ * Query: limit, offset | cursor, sort (e.g. name,-createdAt), q (matches name or email)
  */
-router.get('/', [auth, staff], async (_req, res) => {
-  try {
-    // Get all customers, exclude password field
-    const rows = await Customer.findAll({
-      attributes: { exclude: ['password'] },
-      order: [['custId', 'ASC']],
-    });
-    return res.status(200).json(rows);
-  } catch (err) {
-    console.error('customers:list error:', err);
-    return res.status(500).json({ msg: 'Server error' });
+router.get(
+  '/',
+  [auth, requirePermission('customers:read')],
+  validate(schemas.customerListQuery, { source: 'query' }), // Validate pagination/search
+  async (req, res) => {
+    try {
+      // Page through customers, exclude password field
+      const page = await findPage(Customer, {
+        where: buildWhere(CUSTOMER_FILTERS, req.query),
+        attributes: { exclude: ['password'] },
+        order: req.query.sort ?? [['custId', 'ASC']],
+      }, req.query);
+      return res.status(200).json(page);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('customers:list error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
   }
-});
+);
 
 /**
  * GET /api/v1/customers/:id
- * Get single customer by ID (self OR staff/admin)
+ * Get single customer by ID (self OR customers:read)
  */
-router.get('/:id', auth, allowSelfOrRole('staff', 'admin'), async (req, res) => {
+router.get('/:id', auth, allowSelfOrPermission('customers:read'), async (req, res) => {
   try {
     const id = toId(req.params.id);
     if (!id) return res.status(400).json({ msg: 'Invalid id' });
@@ -103,29 +133,28 @@ router.get('/:id', auth, allowSelfOrRole('staff', 'admin'), async (req, res) =>
 
 /**
  * POST /api/v1/customers
- * Create new customer (staff/admin only)
+ * Create new customer (requires customers:write)
  * Note: Regular users should use /auth/customer/register
+ * The customer is emailed a link to confirm their address.
  */
-router.post('/', [auth, staff], validate(schemas.customerCreate), async (req, res) => {
+router.post('/', [auth, requirePermission('customers:write')], validate(schemas.customerCreate), async (req, res) => {
   try {
     const value = req.body; // Already validated by middleware
-    
-    // Check if email already exists
-    const exists = await Customer.findOne({ where: { email: value.email } });
-    if (exists) return res.status(409).json({ msg: 'Email already registered' });
 
-    // Hash password before storing
-    const hashed = await bcrypt.hash(value.password, 10);
-    
-    // Create customer
-    const created = await Customer.create({ ...value, password: hashed });
-    
-    // Remove password from response
-    const out = created.toJSON();
-    delete out.password;
+    // Create account (password hashed by the service) with the customer role and profile
+    const account = await registerAccount({ ...value, role: 'customer' });
+    await sendVerificationEmail(account);
 
-    return res.status(201).json(out);
+    // Return the customer profile (password excluded by default scope)
+    const created = await Customer.findByPk(account.Customer.custId);
+    await recordAudit(req, 'create', 'Customer', created.custId, { after: created });
+    return res.status(201).json(created);
   } catch (err) {
+    if (err instanceof ApiError) {
+      return err.status === 409
+        ? res.status(409).json({ msg: 'Email already registered' })
+        : sendApiError(res, err);
+    }
     console.error('customers:create error:', err);
     return res.status(500).json({ msg: 'Server error' });
   }
@@ -133,33 +162,61 @@ router.post('/', [auth, staff], validate(schemas.customerCreate), async (req, re
 
 /**
  * PUT /api/v1/customers/:id
- * Update customer (self OR staff/admin)
+ * Update customer (self OR customers:write)
  */
 router.put(
   '/:id',
   auth,
-  allowSelfOrRole('staff', 'admin'),
+  allowSelfOrPermission('customers:write'),
   validate(schemas.customerUpdate),
   async (req, res) => {
     try {
       const id = toId(req.params.id);
       if (!id) return res.status(400).json({ msg: 'Invalid id' });
 
-      const value = { ...req.body }; // Already validated
-      
-      // Hash password if it's being updated
-      if (value.password) {
-        value.password = await bcrypt.hash(value.password, 10);
-      }
-
-      // Update customer
-      const [updated] = await Customer.update(value, { where: { custId: id } });
-      if (!updated) return res.status(404).json({ msg: 'Customer not found' });
+      const { password, ...profile } = req.body; // Already validated
+
+      let before;
+      let reverifyAccountId = null;
+      const found = await db.sequelize.transaction(async (transaction) => {
+        const customer = await Customer.findByPk(id, { transaction });
+        if (!customer) return false;
+        before = snapshot(customer);
+
+        // Update the customer profile
+        await customer.update(profile, { transaction });
+
+        // Mirror login details onto the linked account
+        if (customer.accountId) {
+          const accountChanges = {};
+          if (profile.name) accountChanges.name = profile.name;
+          if (profile.email && profile.email !== before.email) {
+            accountChanges.email = profile.email;
+            accountChanges.emailVerifiedAt = null;
+            reverifyAccountId = customer.accountId;
+          }
+          if (password) accountChanges.password = await bcrypt.hash(password, 10);
+          if (Object.keys(accountChanges).length) {
+            await Account.update(accountChanges, { where: { accountId: customer.accountId }, transaction });
+          }
+        }
+        return true;
+      });
+      if (!found) return res.status(404).json({ msg: 'Customer not found' });
+
+      // Ask the owner to confirm the new email
+      if (reverifyAccountId) await sendVerificationEmail(await Account.findByPk(reverifyAccountId));
 
       // Fetch and return updated customer (without password)
       const fresh = await Customer.findByPk(id, { attributes: { exclude: ['password'] } });
+      // A new password is recorded as changed, never its value (see services/audit.js)
+      const after = password ? { ...snapshot(fresh), password } : fresh;
+      await recordAudit(req, 'update', 'Customer', id, { before, after });
       return res.status(200).json(fresh);
     } catch (err) {
+      if (err.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({ msg: 'Email already registered' });
+      }
       console.error('customers:update error:', err);
       return res.status(500).json({ msg: 'Server error' });
     }
@@ -168,19 +225,21 @@ router.put(
 
 /**
  * DELETE /api/v1/customers/:id
- * Delete customer (admin only)
+ * Delete customer with their orders (requires customers:delete)
+ * The records are soft-deleted: admins can restore them via /api/v1/trash until they are purged.
+ * Customers with orders still in progress cannot be deleted (409).
  */
-router.delete('/:id', [auth, admin], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('customers:delete')], async (req, res) => {
   try {
     const id = toId(req.params.id);
     if (!id) return res.status(400).json({ msg: 'Invalid id' });
 
-    // Delete customer
-    const deleted = await Customer.destroy({ where: { custId: id } });
-    if (!deleted) return res.status(404).json({ msg: 'Customer not found' });
-
+    const before = await Customer.findByPk(id);
+    await deleteCustomer(id);
+    await recordAudit(req, 'delete', 'Customer', id, { before });
     return res.status(204).send();
   } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
     console.error('customers:delete error:', err);
     return res.status(500).json({ msg: 'Server error' });
   }
@@ -0,0 +1,48 @@
+/**
+ * Download Routes
+ * Serves purchased digital photos through signed, expiring links.
+ * Links are issued by GET /api/v1/orders/:id/downloads; the signature in the
+ * link is the credential, so no login is required to follow one.
+ *
+ * Routes:
+ * - GET /:orderId/:prodId?expires=&sig= : Download the full-resolution file (signed link)
+ */
+
+const { pipeline } = require('node:stream/promises');
+const express = require('express');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { redeemDownload } = require('../services/downloads');
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/downloads/:orderId/:prodId
+ * Download a purchased digital photo (signed link; counts against the download allowance)
+ */
+router.get(
+  '/:orderId/:prodId',
+  validate(schemas.downloadParams, { source: 'params' }),
+  validate(schemas.downloadQuery, { source: 'query' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/downloads/:orderId/:prodId');
+
+      const file = await redeemDownload({ ...req.params, ...req.query });
+      res.status(200).set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`,
+        'Cache-Control': 'private, no-store',
+      });
+      await pipeline(file.stream, res);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('downloads:get error:', err);
+      if (!res.headersSent) return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
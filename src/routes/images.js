@@ -0,0 +1,219 @@
+/**
+ * Product Image Routes
+ * Manages a product's ordered photo gallery and serves its renditions.
+ * Mounted under /api/v1/products/:id/images.
+ *
+ * Routes:
+ * - GET /                        : List a product's images in gallery order (public)
+ * - POST /                       : Upload images, multipart field "images" (products:write)
+ * - PUT /order                   : Reorder the gallery (products:write)
+ * - PATCH /:imageId              : Update alt text (products:write)
+ * - DELETE /:imageId             : Remove image and its files (products:write)
+ * - GET /:imageId/original       : Download the uploaded original (products:write)
+ * - GET /:imageId/:rendition     : Serve the thumb or preview rendition (public)
+ */
+
+const { pipeline } = require('node:stream/promises');
+const express = require('express');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const uploadImages = require('../middleware/upload');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const images = require('../services/images');
+const { recordAudit } = require('../services/audit');
+
+// mergeParams exposes the parent product :id
+const router = express.Router({ mergeParams: true });
+
+// ---------- Helper Functions ----------
+
+/**
+ * Stream a stored image file to the response
+ * @param {Object} res - Express response
+ * @param {Object} params - Validated route params (id, imageId)
+ * @param {string} variant - 'thumb', 'preview' or 'original'
+ * @param {string} cacheControl - Cache-Control header value
+ * @returns {Promise<void>}
+ */
+async function sendImage(res, { id, imageId }, variant, cacheControl) {
+  const { stream, contentType } = await images.openImage(id, imageId, variant);
+  res.status(200).set({
+    'Content-Type': contentType,
+    'Cache-Control': cacheControl,
+    // Allow storefronts on other origins to embed the image
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+  });
+  await pipeline(stream, res);
+}
+
+// ---------- Routes ----------
+
+/**
+ * GET /api/v1/products/:id/images
+ * List a product's images in gallery order (public route)
+ */
+router.get('/', validate(schemas.idParam, { source: 'params' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/products/:id/images');
+
+    const list = await images.listProductImages(req.params.id);
+    return res.status(200).json(list);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('images:list error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/v1/products/:id/images
+ * Upload one or more images to the end of the gallery (requires products:write)
+ * Body: multipart/form-data with files in "images" and optional "altText"
+ */
+router.post(
+  '/',
+  [auth, requirePermission('products:write')],
+  validate(schemas.idParam, { source: 'params' }),
+  uploadImages('images'),
+  validate(schemas.imageUpload),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/products/:id/images');
+
+      const created = await images.addProductImages(req.params.id, req.files, req.body);
+      for (const image of created) {
+        await recordAudit(req, 'create', 'ProductImage', image.imageId, { after: image });
+      }
+      return res.status(201).json(created);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('images:upload error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * PUT /api/v1/products/:id/images/order
+ * Reorder the gallery (requires products:write)
+ * Body: { imageIds: [3, 1, 2] } - every image of the product, first image first
+ */
+router.put(
+  '/order',
+  [auth, requirePermission('products:write')],
+  validate(schemas.idParam, { source: 'params' }),
+  validate(schemas.imageOrder),
+  async (req, res) => {
+    try {
+      console.log('[PUT] /api/v1/products/:id/images/order');
+
+      const before = await images.listProductImages(req.params.id);
+      const list = await images.reorderProductImages(req.params.id, req.body.imageIds);
+      await recordAudit(req, 'update', 'Product', req.params.id, {
+        before: { imageIds: before.map((i) => i.imageId) },
+        after: { imageIds: list.map((i) => i.imageId) },
+      });
+      return res.status(200).json(list);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('images:reorder error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/v1/products/:id/images/:imageId
+ * Update an image's alt text (requires products:write)
+ */
+router.patch(
+  '/:imageId',
+  [auth, requirePermission('products:write')],
+  validate(schemas.imageParams, { source: 'params' }),
+  validate(schemas.imageUpdate),
+  async (req, res) => {
+    try {
+      console.log('[PATCH] /api/v1/products/:id/images/:imageId');
+
+      const before = (await images.listProductImages(req.params.id))
+        .find((i) => i.imageId === req.params.imageId);
+      const image = await images.updateProductImage(req.params.id, req.params.imageId, req.body);
+      await recordAudit(req, 'update', 'ProductImage', image.imageId, { before, after: image });
+      return res.status(200).json(image);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('images:update error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/products/:id/images/:imageId
+ * Remove an image from the gallery and delete its files (requires products:write)
+ */
+router.delete(
+  '/:imageId',
+  [auth, requirePermission('products:write')],
+  validate(schemas.imageParams, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[DELETE] /api/v1/products/:id/images/:imageId');
+
+      const image = await images.deleteProductImage(req.params.id, req.params.imageId);
+      await recordAudit(req, 'delete', 'ProductImage', image.imageId, { before: image });
+      return res.status(204).send();
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('images:delete error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/products/:id/images/:imageId/original
+ * Download the original upload (requires products:write)
+ */
+router.get(
+  '/:imageId/original',
+  [auth, requirePermission('products:write')],
+  validate(schemas.imageParams, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/products/:id/images/:imageId/original');
+
+      await sendImage(res, req.params, 'original', 'private, no-store');
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('images:original error:', err);
+      if (!res.headersSent) return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/products/:id/images/:imageId/:rendition
+ * Serve the thumb or preview rendition as WebP (public route)
+ * Rendition files never change (a new upload gets new keys), so they are cacheable.
+ */
+router.get(
+  '/:imageId/:rendition',
+  validate(schemas.renditionParams, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/products/:id/images/:imageId/:rendition');
+
+      await sendImage(res, req.params, req.params.rendition, 'public, max-age=86400');
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('images:rendition error:', err);
+      if (!res.headersSent) return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * Inventory Routes
+ * Stock ledger, manual stock movements and the low-stock report.
+ * Stock levels change only through movements (see services/inventory.js).
+ *
+ * Routes:
+ * - GET /movements   : List stock movements, paginated and filtered (inventory:read)
+ * - POST /movements  : Post a receipt or adjustment with a reason (inventory:write)
+ * - GET /low-stock   : Products and variants below their reorder level (inventory:read)
+ */
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { actorOf } = require('../services/actor');
+const { recordAudit } = require('../services/audit');
+const { buildWhere, dateRange, findPage } = require('../services/query');
+const { postMovement, lowStockReport } = require('../services/inventory');
+
+const router = express.Router();
+const { InventoryMovement } = db.sequelize.models;
+
+/**
+ * Whitelisted list filters: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const MOVEMENT_FILTERS = {
+  prodId: (v) => ({ prodId: v }),
+  variantId: (v) => ({ variantId: v }),
+  type: (v) => ({ type: v }),
+  orderId: (v) => ({ orderId: v }),
+  ...dateRange('createdAt'), // from, to
+};
+
+/**
+ * GET /api/v1/inventory/movements
+ * List stock movements, newest first unless sorted otherwise (requires inventory:read)
+ * Query: limit, offset | cursor, sort, prodId, variantId, type, orderId, from, to (ISO dates)
+ */
+router.get(
+  '/movements',
+  [auth, requirePermission('inventory:read')],
+  validate(schemas.inventoryMovementListQuery, { source: 'query' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/inventory/movements');
+
+      const page = await findPage(InventoryMovement, {
+        where: buildWhere(MOVEMENT_FILTERS, req.query),
+        order: req.query.sort ?? [['movementId', 'DESC']],
+      }, req.query);
+      return res.status(200).json(page);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('inventory:list error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/inventory/movements
+ * Post a stock receipt or manual adjustment (requires inventory:write)
+ * Body: { prodId | variantId, type: 'receipt'|'adjustment', quantity (signed), reason }
+ */
+router.post(
+  '/movements',
+  [auth, requirePermission('inventory:write')],
+  validate(schemas.inventoryMovementCreate),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/inventory/movements');
+
+      const { movement, stock } = await postMovement(req.body, actorOf(req.user));
+      await recordAudit(req, 'create', 'InventoryMovement', movement.movementId, { after: movement });
+      return res.status(201).json({ movement, stock });
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('inventory:post error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/inventory/low-stock
+ * Products and variants whose stock is below their reorder level (requires inventory:read)
+ */
+router.get('/low-stock', [auth, requirePermission('inventory:read')], async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/inventory/low-stock');
+
+    const items = await lowStockReport();
+    return res.status(200).json(items);
+  } catch (err) {
+    console.error('inventory:low-stock error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+module.exports = router;
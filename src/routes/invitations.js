@@ -0,0 +1,98 @@
+/**
+ * Invitation Routes
+ * Management of staff/admin invitations (requires invitations:manage).
+ * Invitees redeem the token at /auth/staff/register or /auth/admin/register.
+ *
+ * Routes:
+ * - POST /            : Create invitation, returns the token once (invitations:manage)
+ * - GET /             : List invitations (invitations:manage)
+ * - DELETE /:id       : Revoke an unused invitation (invitations:manage)
+ */
+
+const express = require('express');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { createInvitation, listInvitations, revokeInvitation } = require('../services/invitations');
+const { actorOf } = require('../services/actor');
+const { recordAudit } = require('../services/audit');
+const { ApiError, sendApiError } = require('../errors');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+
+const router = express.Router();
+
+// ---------- Routes ----------
+
+/**
+ * POST /api/v1/invitations
+ * Create a single-use invitation for a staff or admin role (invitations:manage)
+ * The raw token is only returned in this response.
+ */
+router.post(
+  '/',
+  [auth, requirePermission('invitations:manage')],
+  validate(schemas.invitationCreate),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/invitations');
+      const { email, role } = req.body;
+
+      const { invitation, token } = await createInvitation({
+        email,
+        role,
+        createdBy: actorOf(req.user).id,
+      });
+      await recordAudit(req, 'create', 'Invitation', invitation.inviteId, { after: invitation });
+      return res.status(201).json({ ...invitation.toJSON(), token });
+    } catch (err) {
+      console.error('invitations:create error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/invitations
+ * List invitations, newest first (invitations:manage)
+ * Query: pending=true to only show unused, unexpired invitations
+ */
+router.get(
+  '/',
+  [auth, requirePermission('invitations:manage')],
+  validate(schemas.invitationListQuery, { source: 'query' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/invitations');
+      const rows = await listInvitations({ pending: req.query.pending });
+      return res.status(200).json(rows);
+    } catch (err) {
+      console.error('invitations:list error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/invitations/:id
+ * Revoke an invitation that has not been used yet (invitations:manage)
+ */
+router.delete(
+  '/:id',
+  [auth, requirePermission('invitations:manage')],
+  validate(schemas.idParam, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[DELETE] /api/v1/invitations/:id');
+      const invitation = await revokeInvitation(Number(req.params.id));
+      await recordAudit(req, 'delete', 'Invitation', invitation.inviteId, { before: invitation });
+      return res.status(204).send();
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('invitations:delete error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
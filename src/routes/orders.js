@@ -3,59 +3,175 @@
  * Manages order operations with parameter and sorting validation
  * 
  * Routes:
- * - GET /                    : List all orders (staff/admin)
- * - GET /:id                 : Get single order (staff/admin)
- * - DELETE /:id              : Delete order (admin only)
- * - GET /o/:field/:dir       : Sort orders by field and direction (staff/admin)
- * - GET /sort/two/:first/:second : Sort by two fields (staff/admin)
+ * - GET /                    : List orders, paginated, sorted and filtered (orders:read)
+ * - GET /mine                : List the logged-in customer's orders (customer)
+ * - GET /:id                 : Get single order (owner OR orders:read)
+ * - POST /quote              : Price a prospective order: discounts, shipping options, tax (public)
+ * - POST /                   : Place an order / checkout (customer)
+ * - PATCH /:id/status        : Change order status (orders:write; refunds also need orders:refund)
+ * - GET /:id/history         : Order status history (owner OR orders:read)
+ * - POST /:id/payments       : Start paying for a pending order (owning customer)
+ * - GET /:id/payments        : Payments taken for the order (owner OR orders:read)
+ * - GET /:id/downloads       : Signed download links for digital items of a paid order (owner OR orders:read)
+ * - POST /:id/returns        : Return items of a delivered order (owning customer)
+ * - GET /:id/returns         : Returns opened for the order (owner OR orders:read)
+ * - DELETE /:id              : Cancel unpaid order (orders:write, deprecated: use PATCH /:id/status)
+ * - GET /o/:field/:dir       : First page of orders sorted by field and direction (orders:read, deprecated: use ?sort=)
+ * - GET /sort/two/:first/:second : First page sorted by two fields (orders:read, deprecated: use ?sort=)
  */
 
 const express = require('express');
 const db = require('../models');
 const auth = require('../middleware/auth');
-const staff = require('../middleware/staff');
-const admin = require('../middleware/admin');
+const optionalAuth = require('../middleware/optionalAuth');
+const requirePermission = require('../middleware/permission');
+const deprecated = require('../middleware/deprecated');
 
 // Import centralized validator and validation schemas
 const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { placeOrder, quoteOrder } = require('../services/checkout');
+const { transitionOrder } = require('../services/orderStatus');
+const { issueDownloadLinks } = require('../services/downloads');
+const { startPayment } = require('../services/payments');
+const { refundOrder } = require('../services/refunds');
+const { RETURN_DETAIL, openReturn } = require('../services/returns');
+const { actorOf } = require('../services/actor');
+const { recordAudit } = require('../services/audit');
+const { hasPermission } = require('../services/permissions');
+const { buildWhere, dateRange, findPage } = require('../services/query');
 
 const router = express.Router();
-const { Order } = db.sequelize.models;
+const {
+  Order, OrderItem, OrderDiscount, OrderAddress, OrderStatusHistory, Payment, PaymentRefund, Return,
+} = db.sequelize.models;
+
+// ---------- Helper Functions ----------
+
+/**
+ * Get the customer id from the decoded token (supports different JWT payload shapes)
+ * @param {Object} user - Decoded JWT payload (req.user)
+ * @returns {number|null} Customer ID or null for non-customers
+ */
+const custIdOf = (user) => {
+  const custId = user?.custId ?? user?.user?.custId;
+  return custId ? Number(custId) : null;
+};
+
+/**
+ * Authorization middleware: allow the customer who owns the order OR users with a permission
+ * Must run after auth and after :id has been validated.
+ * @param {string} permission - Permission that grants access to any order (e.g., 'orders:read')
+ * @returns {Function} Express middleware function
+ */
+const allowOwnerOrPermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      // Allow if user's role grants the permission
+      if (await hasPermission(req.user, permission)) return next();
+
+      // Otherwise the order must belong to the requesting customer
+      const custId = custIdOf(req.user);
+      if (!custId) return res.status(403).json({ msg: 'Forbidden' });
+
+      const order = await Order.findByPk(Number(req.params.id), { attributes: ['orderId', 'custId'] });
+      if (!order) return res.status(404).json({ msg: 'Order not found' });
+      if (Number(order.custId) !== custId) return res.status(403).json({ msg: 'Forbidden' });
+
+      return next();
+    } catch (err) {
+      console.error('Error checking order ownership:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  };
+};
+
+/**
+ * Whitelisted list filters: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const ORDER_FILTERS = {
+  custId: (v) => ({ custId: v }),
+  status: (v) => ({ status: v }),
+  ...dateRange('createdAt'), // from, to
+};
 
 // ---------- Routes ----------
 
 /**
  * GET /api/v1/orders
- * Get all orders (staff/admin only)
+ * List orders (requires orders:read)
+ * Query: limit, offset | cursor, sort (e.g. -total,orderId), custId, status, from, to (ISO dates on createdAt)
  */
-router.get('/', [auth, staff], async (_req, res) => {
-  try {
-    console.log('[GET] /api/v1/orders');
-    
-    // Fetch all orders
-    const orders = await Order.findAll();
-    return res.status(200).json(orders);
-  } catch (err) {
-    console.error('Error getting orders:', err);
-    return res.status(500).json({ msg: 'Server error' });
+router.get(
+  '/',
+  [auth, requirePermission('orders:read')],
+  validate(schemas.orderListQuery, { source: 'query' }), // Validate pagination/filters
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/orders');
+
+      const page = await findPage(Order, {
+        where: buildWhere(ORDER_FILTERS, req.query),
+        order: req.query.sort ?? [['orderId', 'ASC']],
+      }, req.query);
+      return res.status(200).json(page);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('Error getting orders:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
   }
-});
+);
+
+/**
+ * GET /api/v1/orders/mine
+ * List the logged-in customer's orders, newest first unless sorted otherwise
+ * Query: limit, offset | cursor, sort, status, from, to (ISO dates on createdAt)
+ */
+router.get(
+  '/mine',
+  auth,
+  validate(schemas.orderListQuery, { source: 'query' }), // Validate pagination/filters
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/orders/mine');
+
+      const custId = custIdOf(req.user);
+      if (!custId) return res.status(403).json({ msg: 'Only customers have order history' });
+
+      // Always scoped to the requesting customer (a custId filter is ignored)
+      const { custId: _ignored, ...filters } = req.query;
+      const page = await findPage(Order, {
+        where: buildWhere(ORDER_FILTERS, filters, { custId }),
+        include: [OrderItem, OrderDiscount, OrderAddress],
+        order: req.query.sort ?? [['createdAt', 'DESC'], ['orderId', 'DESC']],
+      }, req.query);
+      return res.status(200).json(page);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('Error getting customer orders:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
 
 /**
  * GET /api/v1/orders/:id
- * Get single order by ID (staff/admin only)
+ * Get single order by ID (owning customer OR orders:read)
  */
 router.get(
   '/:id',
-  [auth, staff],
+  auth,
   validate(schemas.orderIdParam, { source: 'params' }), // Validate ID param
+  allowOwnerOrPermission('orders:read'),
   async (req, res) => {
     try {
       console.log('[GET] /api/v1/orders/:id');
       const id = Number(req.params.id);
 
-      // Find order by primary key
-      const order = await Order.findByPk(id);
+      // Find order by primary key, including its line items, discounts and shipping address
+      const order = await Order.findByPk(id, { include: [OrderItem, OrderDiscount, OrderAddress] });
       if (!order) return res.status(404).json({ msg: 'Order not found' });
 
       return res.status(200).json(order);
@@ -66,26 +182,293 @@ router.get(
   }
 );
 
+/**
+ * POST /api/v1/orders/quote
+ * Price a prospective order without placing it (public route; logged-in customers get
+ * their per-customer coupon limits checked)
+ * Lists the shipping options for the address; shipping is priced once a method is chosen.
+ * Body: { items: [{ prodId | variantId, quantity }], couponCodes?, shippingMethodId?, address? }
+ */
+router.post('/quote', optionalAuth, validate(schemas.orderQuote), async (req, res) => {
+  try {
+    console.log('[POST] /api/v1/orders/quote');
+
+    const { items, ...options } = req.body;
+    const quote = await quoteOrder(items, { ...options, custId: custIdOf(req.user) });
+    return res.status(200).json(quote);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('Error quoting order:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/v1/orders
+ * Place an order for the logged-in customer (checkout)
+ * Stock is checked and reserved; the total is computed server-side: items less coupon
+ * discounts, plus shipping and (unless prices include it) tax.
+ * Body: { items: [{ prodId | variantId, quantity }], couponCodes?: ['CODE'],
+ *         shippingMethodId?, address? } (both required when physical items are ordered)
+ */
+router.post('/', auth, validate(schemas.orderCreate), async (req, res) => {
+  try {
+    console.log('[POST] /api/v1/orders');
+
+    // Only customer accounts can place orders
+    const custId = req.user?.custId ?? req.user?.user?.custId;
+    if (!custId) return res.status(403).json({ msg: 'Only customers can place orders' });
+
+    const { items, ...options } = req.body;
+    const order = await placeOrder(Number(custId), items, actorOf(req.user), options);
+    return res.status(201).json(order);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('Error creating order:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * PATCH /api/v1/orders/:id/status
+ * Move an order to a new lifecycle status (requires orders:write, plus orders:refund for refunds)
+ * Illegal transitions are rejected with 409, as is cancelling a paid order (refund it instead);
+ * cancel/refund restocks items.
+ * Refunding gives back whatever of the total has not been refunded yet (see services/refunds.js).
+ */
+router.patch(
+  '/:id/status',
+  [auth, requirePermission('orders:write')],
+  validate(schemas.orderIdParam, { source: 'params' }), // Validate ID param
+  validate(schemas.orderStatusUpdate),                   // Validate new status
+  async (req, res) => {
+    try {
+      console.log('[PATCH] /api/v1/orders/:id/status');
+      const id = Number(req.params.id);
+      const { status, note } = req.body;
+
+      // Refunds are a separate permission from ordinary status changes
+      if (status === 'refunded' && !(await hasPermission(req.user, 'orders:refund'))) {
+        return res.status(403).json({ msg: 'Access denied', missing: ['orders:refund'] });
+      }
+
+      const actor = actorOf(req.user);
+      const before = await Order.findByPk(id);
+      const order = status === 'refunded'
+        ? await refundOrder(id, { note, actor })
+        : await transitionOrder(id, status, { actor, note });
+      await recordAudit(req, 'update', 'Order', id, { before, after: order });
+      return res.status(200).json(order);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('Error updating order status:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/orders/:id/history
+ * List status changes for an order, oldest first (owning customer OR orders:read)
+ */
+router.get(
+  '/:id/history',
+  auth,
+  validate(schemas.orderIdParam, { source: 'params' }), // Validate ID param
+  allowOwnerOrPermission('orders:read'),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/orders/:id/history');
+      const id = Number(req.params.id);
+
+      const order = await Order.findByPk(id);
+      if (!order) return res.status(404).json({ msg: 'Order not found' });
+
+      const history = await OrderStatusHistory.findAll({
+        where: { orderId: id },
+        order: [['historyId', 'ASC']],
+      });
+      return res.status(200).json(history);
+    } catch (err) {
+      console.error('Error getting order history:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/orders/:id/payments
+ * Start paying for a pending order (owning customer only)
+ * Returns the payment with the clientSecret used to complete it with the provider;
+ * a payment already in progress is returned again (200) instead of starting another (201).
+ * The order becomes paid when the provider reports the payment succeeded (webhook).
+ */
+router.post(
+  '/:id/payments',
+  auth,
+  validate(schemas.orderIdParam, { source: 'params' }), // Validate ID param
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/orders/:id/payments');
+      const id = Number(req.params.id);
+
+      // Only the customer who placed the order pays for it
+      const custId = custIdOf(req.user);
+      if (!custId) return res.status(403).json({ msg: 'Only customers can pay for orders' });
+      const order = await Order.findByPk(id, { attributes: ['orderId', 'custId'] });
+      if (!order) return res.status(404).json({ msg: 'Order not found' });
+      if (Number(order.custId) !== custId) return res.status(403).json({ msg: 'Forbidden' });
+
+      const { payment, created } = await startPayment(id);
+      return res.status(created ? 201 : 200).json(payment);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('Error starting payment:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/orders/:id/payments
+ * List the payments taken for an order with their refunds, oldest first (owning customer OR orders:read)
+ */
+router.get(
+  '/:id/payments',
+  auth,
+  validate(schemas.orderIdParam, { source: 'params' }), // Validate ID param
+  allowOwnerOrPermission('orders:read'),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/orders/:id/payments');
+      const id = Number(req.params.id);
+
+      const order = await Order.findByPk(id, { attributes: ['orderId'] });
+      if (!order) return res.status(404).json({ msg: 'Order not found' });
+
+      const payments = await Payment.findAll({
+        where: { orderId: id },
+        include: [PaymentRefund],
+        order: [['paymentId', 'ASC']],
+      });
+      return res.status(200).json(payments);
+    } catch (err) {
+      console.error('Error getting order payments:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/orders/:id/downloads
+ * Issue signed, time-limited download links for the digital items of a paid order
+ * (owning customer OR orders:read)
+ */
+router.get(
+  '/:id/downloads',
+  auth,
+  validate(schemas.orderIdParam, { source: 'params' }), // Validate ID param
+  allowOwnerOrPermission('orders:read'),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/orders/:id/downloads');
+
+      const links = await issueDownloadLinks(Number(req.params.id));
+      return res.status(200).json(links);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('Error issuing download links:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/orders/:id/returns
+ * Open a return for items of a delivered order (owning customer only)
+ * Staff approve or reject it under /api/v1/returns.
+ * Body: { items: [{ orderItemId, quantity }], reason }
+ */
+router.post(
+  '/:id/returns',
+  auth,
+  validate(schemas.orderIdParam, { source: 'params' }), // Validate ID param
+  validate(schemas.returnCreate),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/orders/:id/returns');
+      const id = Number(req.params.id);
+
+      // Only the customer who placed the order returns its items
+      const custId = custIdOf(req.user);
+      if (!custId) return res.status(403).json({ msg: 'Only customers can return items' });
+      const order = await Order.findByPk(id, { attributes: ['orderId', 'custId'] });
+      if (!order) return res.status(404).json({ msg: 'Order not found' });
+      if (Number(order.custId) !== custId) return res.status(403).json({ msg: 'Forbidden' });
+
+      const ret = await openReturn(id, req.body);
+      return res.status(201).json(ret);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('Error opening return:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/orders/:id/returns
+ * List the returns opened for an order with their lines, oldest first (owning customer OR orders:read)
+ */
+router.get(
+  '/:id/returns',
+  auth,
+  validate(schemas.orderIdParam, { source: 'params' }), // Validate ID param
+  allowOwnerOrPermission('orders:read'),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/orders/:id/returns');
+      const id = Number(req.params.id);
+
+      const order = await Order.findByPk(id, { attributes: ['orderId'] });
+      if (!order) return res.status(404).json({ msg: 'Order not found' });
+
+      const returns = await Return.findAll({
+        where: { orderId: id },
+        include: RETURN_DETAIL,
+        order: [['returnId', 'ASC']],
+      });
+      return res.status(200).json(returns);
+    } catch (err) {
+      console.error('Error getting order returns:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
 /**
  * DELETE /api/v1/orders/:id
- * Delete order by ID (admin only)
+ * Cancel an order (requires orders:write; deprecated: use PATCH /api/v1/orders/:id/status)
+ * Orders are no longer deleted, so their payments, refunds and history are kept.
+ * A paid order is refused with 409: refunding it takes PATCH .../status to 'refunded' (orders:refund).
  */
 router.delete(
   '/:id',
-  [auth, admin],
+  [auth, requirePermission('orders:write')],
   validate(schemas.orderIdParam, { source: 'params' }), // Validate ID param
+  deprecated((req) => `/api/v1/orders/${req.params.id}/status`),
   async (req, res) => {
     try {
       console.log('[DELETE] /api/v1/orders/:id');
       const id = Number(req.params.id);
 
-      // Delete order
-      const deleted = await Order.destroy({ where: { orderId: id } });
-      if (!deleted) return res.status(404).json({ msg: 'Order not found' });
-
-      return res.status(204).send();
+      const before = await Order.findByPk(id);
+      const order = await transitionOrder(id, 'cancelled', { actor: actorOf(req.user), note: 'Cancelled via DELETE' });
+      await recordAudit(req, 'update', 'Order', id, { before, after: order });
+      return res.status(200).json(order);
     } catch (err) {
-      console.error('Error deleting order:', err);
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('Error cancelling order:', err);
       return res.status(500).json({ msg: 'Server error' });
     }
   }
@@ -93,14 +476,16 @@ router.delete(
 
 /**
  * GET /api/v1/orders/o/:field/:dir
- * Sort orders by a single field and direction (staff/admin only)
+ * First page of orders sorted by a single field and direction (requires orders:read)
+ * @deprecated Use GET /api/v1/orders?sort=field or ?sort=-field
  * @param {string} field - Field name to sort by (e.g., 'status', 'total')
  * @param {string} dir - Sort direction ('asc' or 'desc')
  */
 router.get(
   '/o/:field/:dir',
-  [auth, staff],
+  [auth, requirePermission('orders:read')],
   validate(schemas.orderSortParams, { source: 'params' }), // Validate sort params
+  deprecated((req) => `/api/v1/orders?sort=${req.params.dir.toUpperCase() === 'DESC' ? '-' : ''}${req.params.field}`),
   async (req, res) => {
     try {
       console.log('[GET] /api/v1/orders/o/:field/:dir');
@@ -109,9 +494,9 @@ router.get(
       // Normalize direction to uppercase (ASC or DESC)
       const direction = dir.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
 
-      // Fetch orders with sorting
-      const orders = await Order.findAll({ order: [[field, direction]] });
-      return res.status(200).json(orders);
+      // First page only, as the list route would return it
+      const { data } = await findPage(Order, { order: [[field, direction]] });
+      return res.status(200).json(data);
     } catch (err) {
       console.error('Error sorting orders:', err);
       return res.status(500).json({ msg: 'Server error' });
@@ -121,26 +506,25 @@ router.get(
 
 /**
  * GET /api/v1/orders/sort/two/:first/:second
- * Sort orders by two fields (staff/admin only)
+ * First page of orders sorted by two fields (requires orders:read)
  * Both fields sorted in ascending order
+ * @deprecated Use GET /api/v1/orders?sort=first,second
  * @param {string} first - First field to sort by
  * @param {string} second - Second field to sort by
  */
 router.get(
   '/sort/two/:first/:second',
-  [auth, staff],
+  [auth, requirePermission('orders:read')],
   validate(schemas.orderTwoSortParams, { source: 'params' }), // Validate sort params
+  deprecated((req) => `/api/v1/orders?sort=${req.params.first},${req.params.second}`),
   async (req, res) => {
     try {
       const { first, second } = req.params;
       console.log(`[GET] /api/v1/orders/sort/two/${first}/${second}`);
 
-      // Fetch orders with two-level sorting (both ASC)
-      const orders = await Order.findAll({
-        order: [[first, 'ASC'], [second, 'ASC']],
-      });
-
-      return res.status(200).json(orders);
+      // First page only, with two-level sorting (both ASC)
+      const { data } = await findPage(Order, { order: [[first, 'ASC'], [second, 'ASC']] });
+      return res.status(200).json(data);
     } catch (err) {
       console.error('Error in two-field sorting:', err);
       return res.status(500).json({ msg: 'Server error' });
@@ -0,0 +1,222 @@
+/**
+ * Payment Routes
+ * Provider webhooks and staff payment operations. Customers start paying
+ * for an order with POST /orders/:id/payments (see services/payments.js).
+ *
+ * Routes:
+ * - POST /webhook         : Payment provider events (public, verified by HMAC signature)
+ * - POST /mock/events     : Simulate a provider event (orders:write; PAYMENT_MOCK_EVENTS=true only)
+ * - GET /                 : List payments, paginated and filtered (orders:read)
+ * - GET /:id              : Get payment with its refunds (orders:read)
+ * - POST /:id/capture     : Capture an authorized payment (orders:write)
+ * - POST /:id/refunds     : Refund all or part of a payment (orders:refund)
+ */
+
+const express = require('express');
+const db = require('../models');
+const config = require('../config/config');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { getPaymentProvider } = require('../payments');
+const { actorOf } = require('../services/actor');
+const { recordAudit, snapshot } = require('../services/audit');
+const { buildWhere, findPage } = require('../services/query');
+const { capturePayment, handleWebhook } = require('../services/payments');
+const { refundPayment } = require('../services/refunds');
+
+const router = express.Router();
+const { Payment, PaymentRefund } = db.sequelize.models;
+
+/**
+ * Whitelisted list filters: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const PAYMENT_FILTERS = {
+  orderId: (v) => ({ orderId: v }),
+  status: (v) => ({ status: v }),
+};
+
+// ---------- Routes ----------
+
+/**
+ * POST /api/v1/payments/webhook
+ * Receive an event from the payment provider (public route; the signature is checked
+ * against the raw body kept by express.json in server.js)
+ * Redelivered events are acknowledged with duplicate: true and not applied again.
+ * Errors other than a bad signature answer 500 so the provider retries.
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    console.log('[POST] /api/v1/payments/webhook');
+
+    const result = await handleWebhook(req.rawBody, req.headers);
+    return res.status(200).json({ received: true, ...result });
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('payments:webhook error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * Hide the mock event route unless PAYMENT_MOCK_EVENTS=true with the mock provider outside production
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const mockEventsEnabled = (req, res, next) => {
+  const enabled = config.payments.mockEvents
+    && process.env.NODE_ENV !== 'production'
+    && Boolean(getPaymentProvider().buildWebhook);
+  return enabled ? next() : res.status(404).json({ msg: 'Not found' });
+};
+
+/**
+ * POST /api/v1/payments/mock/events
+ * Simulate the provider reporting a payment outcome (requires orders:write and PAYMENT_MOCK_EVENTS=true;
+ * 404 otherwise, and always in production)
+ * Builds and signs the webhook the gateway would send and delivers it to the webhook handler.
+ * The delivery is returned so it can be replayed to POST /webhook.
+ * Recorded in the audit log as an update of the payment, with the event type as mockEvent.
+ * Body: { paymentId, type: 'payment.succeeded' | 'payment.failed' | ..., eventId?, failureReason? }
+ */
+router.post(
+  '/mock/events',
+  mockEventsEnabled,
+  [auth, requirePermission('orders:write')],
+  validate(schemas.mockPaymentEvent),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/payments/mock/events');
+
+      const { paymentId, type, eventId, failureReason } = req.body;
+      const payment = await Payment.findByPk(paymentId);
+      if (!payment) return res.status(404).json({ msg: 'Payment not found' });
+
+      const delivery = getPaymentProvider().buildWebhook(type, payment.providerRef, { eventId, failureReason });
+      const headers = Object.fromEntries(Object.entries(delivery.headers).map(([k, v]) => [k.toLowerCase(), v]));
+      const result = await handleWebhook(delivery.body, headers);
+
+      // Recorded even when the event changed nothing: who simulated what matters on its own
+      const after = await Payment.findByPk(paymentId);
+      await recordAudit(req, 'update', 'Payment', paymentId, {
+        before: payment,
+        after: { ...snapshot(after), mockEvent: type },
+      });
+      return res.status(200).json({ delivery, result });
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('payments:mockEvent error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/payments
+ * List payments (requires orders:read)
+ * Query: limit, offset | cursor, sort, orderId, status
+ */
+router.get(
+  '/',
+  [auth, requirePermission('orders:read')],
+  validate(schemas.paymentListQuery, { source: 'query' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/payments');
+
+      const page = await findPage(Payment, {
+        where: buildWhere(PAYMENT_FILTERS, req.query),
+        order: req.query.sort ?? [['paymentId', 'DESC']],
+      }, req.query);
+      return res.status(200).json(page);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('payments:list error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/payments/:id
+ * Get a payment with its refunds (requires orders:read)
+ */
+router.get(
+  '/:id',
+  [auth, requirePermission('orders:read')],
+  validate(schemas.idParam, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/payments/:id');
+
+      const payment = await Payment.findByPk(Number(req.params.id), { include: [PaymentRefund] });
+      if (!payment) return res.status(404).json({ msg: 'Payment not found' });
+
+      return res.status(200).json(payment);
+    } catch (err) {
+      console.error('payments:get error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/payments/:id/capture
+ * Capture an authorized payment and mark its order paid (requires orders:write)
+ * Only used with PAYMENT_CAPTURE_MODE=manual.
+ */
+router.post(
+  '/:id/capture',
+  [auth, requirePermission('orders:write')],
+  validate(schemas.idParam, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/payments/:id/capture');
+
+      const id = Number(req.params.id);
+      const before = await Payment.findByPk(id);
+      const payment = await capturePayment(id, actorOf(req.user));
+      await recordAudit(req, 'update', 'Payment', id, { before, after: payment });
+      return res.status(200).json(payment);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('payments:capture error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/payments/:id/refunds
+ * Refund all or part of a payment through the provider (requires orders:refund)
+ * Refunds count toward the order's amountRefunded; once it reaches the total the order is refunded.
+ * Body: { amount?, reason? } (amount defaults to everything not yet refunded)
+ */
+router.post(
+  '/:id/refunds',
+  [auth, requirePermission('orders:refund')],
+  validate(schemas.idParam, { source: 'params' }),
+  validate(schemas.paymentRefundCreate),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/payments/:id/refunds');
+
+      const id = Number(req.params.id);
+      const before = await Payment.findByPk(id);
+      const payment = await refundPayment(id, req.body, actorOf(req.user));
+      await recordAudit(req, 'update', 'Payment', id, { before, after: payment });
+      return res.status(201).json(payment);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('payments:refund error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,153 @@
+/**
+ * Permission Routes
+ * View and edit the role → permission mapping (requires permissions:manage).
+ *
+ * Routes:
+ * - GET /                        : Permission catalog and current mapping
+ * - GET /:role                   : Permissions granted to one role
+ * - PUT /:role                   : Replace a role's permissions
+ * - POST /:role                  : Grant one permission to a role
+ * - DELETE /:role/:permission    : Revoke one permission from a role
+ */
+
+const express = require('express');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  permissionsFor,
+  listRolePermissions,
+  setRolePermissions,
+  grantPermission,
+  revokePermission,
+} = require('../services/permissions');
+const { ApiError, sendApiError } = require('../errors');
+const { recordAudit } = require('../services/audit');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+
+const router = express.Router();
+
+// Every route in this router requires permissions:manage
+router.use(auth, requirePermission('permissions:manage'));
+
+/**
+ * Send the permissions of a role
+ * @param {Object} res - Express response object
+ * @param {string} role - Role name
+ * @param {string[]} permissions - Granted permissions
+ * @returns {Object} Express response
+ */
+const sendRole = (res, role, permissions) => res.status(200).json({ role, permissions });
+
+/**
+ * Change the permissions of the role in the URL, record the change and send the result
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} change - (role) => Promise of the permissions now granted
+ * @returns {Promise<Object>} Express response
+ */
+async function changeRole(req, res, change) {
+  const { role } = req.params;
+  const before = [...(await permissionsFor(role))].sort();
+  const permissions = await change(role);
+  await recordAudit(req, 'update', 'RolePermission', role, {
+    before: { permissions: before },
+    after: { permissions },
+  });
+  return sendRole(res, role, permissions);
+}
+
+// ---------- Routes ----------
+
+/**
+ * GET /api/v1/permissions
+ * Return the permission catalog and the current role mapping
+ */
+router.get('/', async (_req, res) => {
+  try {
+    console.log('[GET] /api/v1/permissions');
+    const roles = await listRolePermissions();
+    return res.status(200).json({ permissions: PERMISSIONS, roles });
+  } catch (err) {
+    console.error('permissions:list error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/v1/permissions/:role
+ * Return the permissions granted to a role
+ */
+router.get('/:role', validate(schemas.roleParam, { source: 'params' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/permissions/:role');
+    const { role } = req.params;
+    return sendRole(res, role, [...(await permissionsFor(role))].sort());
+  } catch (err) {
+    console.error('permissions:get error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/v1/permissions/:role
+ * Replace every permission of a role
+ */
+router.put(
+  '/:role',
+  validate(schemas.roleParam, { source: 'params' }),
+  validate(schemas.rolePermissionsSet),
+  async (req, res) => {
+    try {
+      console.log('[PUT] /api/v1/permissions/:role');
+      return await changeRole(req, res, (role) => setRolePermissions(role, req.body.permissions));
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('permissions:set error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/permissions/:role
+ * Grant a single permission to a role
+ */
+router.post(
+  '/:role',
+  validate(schemas.roleParam, { source: 'params' }),
+  validate(schemas.rolePermissionGrant),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/permissions/:role');
+      return await changeRole(req, res, (role) => grantPermission(role, req.body.permission));
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('permissions:grant error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/permissions/:role/:permission
+ * Revoke a single permission from a role
+ */
+router.delete(
+  '/:role/:permission',
+  validate(schemas.rolePermissionParams, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[DELETE] /api/v1/permissions/:role/:permission');
+      return await changeRole(req, res, (role) => revokePermission(role, req.params.permission));
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('permissions:revoke error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -3,26 +3,45 @@
  * Manages product CRUD operations with centralized validation
  * 
  * Routes:
- * - GET /                      : List all products (staff/admin)
- * - GET /:id                   : Get single product (public)
- * - POST /                     : Create product (admin only)
- * - PUT /:id                   : Update product (admin only)
- * - DELETE /:id                : Delete product (admin only)
- * - GET /o/:field/:dir         : Sort products by field and direction (public)
- * - GET /sort/two/:first/:second : Sort by two fields (public)
+ * - GET /                      : List products, paginated, sorted and filtered (public: catalog fields; products:read: all)
+ * - GET /:id                   : Get single product with variants, categories and images (public)
+ * - POST /                     : Create product (products:write)
+ * - PUT /:id                   : Update product (products:write)
+ * - PUT /:id/categories        : Replace a product's categories (products:write)
+ * - DELETE /:id                : Delete product; restorable via /trash (products:delete)
+ * - GET /o/:field/:dir         : First page of products sorted by field and direction (public, deprecated: use ?sort=)
+ * - GET /sort/two/:first/:second : First page sorted by two fields (public, deprecated: use ?sort=)
+ *
+ * Sub-routers:
+ * - /categories                : Category CRUD (see routes/categories.js)
+ * - /:id/variants              : Variant CRUD (see routes/variants.js)
+ * - /:id/images                : Image gallery and renditions (see routes/images.js)
  */
 
 const express = require('express');
+const { Op } = require('sequelize');
 const db = require('../models');
 const auth = require('../middleware/auth');
-const staff = require('../middleware/staff');
-const admin = require('../middleware/admin');
+const optionalAuth = require('../middleware/optionalAuth');
+const requirePermission = require('../middleware/permission');
+const deprecated = require('../middleware/deprecated');
 
 // Import centralized validator and validation schemas
 const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { hasPermission } = require('../services/permissions');
+const { buildWhere, textSearch, findPage } = require('../services/query');
+const { setProductCategories } = require('../services/catalog');
+const { setStockLevel } = require('../services/inventory');
+const { actorOf } = require('../services/actor');
+const { deleteProduct } = require('../services/trash');
+const { recordAudit, snapshot } = require('../services/audit');
+const categoryRoutes = require('./categories');
+const variantRoutes = require('./variants');
+const imageRoutes = require('./images');
 
 const router = express.Router();
-const { Product } = db.sequelize.models;
+const { Product, ProductVariant, ProductImage, Category } = db.sequelize.models;
 
 // ---------- Helper Functions ----------
 
@@ -36,29 +55,117 @@ const toId = (v) => {
   return Number.isInteger(n) && n > 0 ? n : null;
 };
 
+/**
+ * Whitelisted list filters: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const PRODUCT_FILTERS = {
+  q: textSearch(['name']),
+  minPrice: (v) => ({ price: { [Op.gte]: v } }),
+  maxPrice: (v) => ({ price: { [Op.lte]: v } }),
+  // Digital products are never out of stock
+  inStock: (v) => (v
+    ? { [Op.or]: [{ type: 'digital' }, { stock: { [Op.gt]: 0 } }] }
+    : { type: 'physical', [Op.or]: [{ stock: { [Op.lte]: 0 } }, { stock: null }] }),
+  type: (v) => ({ type: v }),
+  categoryId: (v) => ({
+    prodId: {
+      [Op.in]: db.sequelize.literal(`(SELECT prodId FROM ProductCategories WHERE categoryId = ${Number(v)})`),
+    },
+  }),
+};
+
+/**
+ * Fields listed to callers without products:read (stock levels for the shop,
+ * not the back-office ones such as reorderLevel)
+ * @type {string[]}
+ */
+const CATALOG_FIELDS = ['prodId', 'name', 'type', 'price', 'stock', 'weight', 'createdAt', 'updatedAt'];
+
+/**
+ * Products as the caller may see them: every field with products:read,
+ * otherwise the catalog fields only
+ * @param {Object|undefined} user - req.user
+ * @param {Object[]} products - Product instances
+ * @returns {Promise<Object[]>} Products or plain catalog entries
+ */
+async function catalogView(user, products) {
+  if (await hasPermission(user, 'products:read')) return products;
+  return products.map((product) => Object.fromEntries(CATALOG_FIELDS.map((f) => [f, product.get(f)])));
+}
+
+/**
+ * Associations returned with a single product
+ * @type {Array<Object>}
+ */
+const PRODUCT_DETAIL = [
+  { model: ProductVariant },
+  { model: Category, through: { attributes: [] } },
+  { model: ProductImage },
+];
+
+/**
+ * Ordering of a single product's associations (variants by ID, images in gallery order)
+ * @type {Array<Array>}
+ */
+const PRODUCT_DETAIL_ORDER = [
+  [ProductVariant, 'variantId', 'ASC'],
+  [ProductImage, 'position', 'ASC'],
+  [ProductImage, 'imageId', 'ASC'],
+];
+
+/**
+ * Category ids of a product, loaded for its audit snapshot
+ * @type {Array<Object>}
+ */
+const PRODUCT_CATEGORY_IDS = [{ model: Category, attributes: ['categoryId'], through: { attributes: [] } }];
+
+/**
+ * Product as recorded in the audit log: its own fields and its category ids
+ * @param {Object|null} product - Product instance loaded with its categories
+ * @returns {Object|null} Plain snapshot
+ */
+const auditState = (product) =>
+  product && { ...snapshot(product), categoryIds: product.Categories.map((c) => c.categoryId) };
+
+// ---------- Sub-routers ----------
+// Mounted before /:id so 'categories' is not taken for a product id
+
+router.use('/categories', categoryRoutes);
+router.use('/:id/variants', variantRoutes);
+router.use('/:id/images', imageRoutes);
+
 // ---------- Routes ----------
 
 /**
  * GET /api/v1/products
- * List all products (staff/admin only)
- * Note: Remove [auth, staff] middleware to make this route public
+ * List products (public route: catalog fields only unless the caller has products:read)
+ * Query: limit, offset | cursor, sort (e.g. -price,name), q (name search), minPrice, maxPrice, inStock, categoryId, type
  */
-router.get('/', [auth, staff], async (_req, res) => {
-  try {
-    console.log('[GET] /api/v1/products');
-    
-    // Fetch all products ordered by ID
-    const products = await Product.findAll({ order: [['prodId', 'ASC']] });
-    return res.status(200).json(products);
-  } catch (err) {
-    console.error('getAllProducts error:', err);
-    return res.status(500).json({ msg: 'Server error' });
+router.get(
+  '/',
+  optionalAuth,
+  validate(schemas.productListQuery, { source: 'query' }), // Validate pagination/filters
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/products');
+
+      const page = await findPage(Product, {
+        where: buildWhere(PRODUCT_FILTERS, req.query),
+        order: req.query.sort ?? [['prodId', 'ASC']],
+      }, req.query);
+      return res.status(200).json({ ...page, data: await catalogView(req.user, page.data) });
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('getAllProducts error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
   }
-});
+);
 
 /**
  * GET /api/v1/products/:id
- * Get single product by ID (public route)
+ * Get single product by ID with its variants and categories (public route)
  */
 router.get('/:id', async (req, res) => {
   try {
@@ -69,7 +176,10 @@ router.get('/:id', async (req, res) => {
     if (!id) return res.status(400).json({ msg: 'Invalid id' });
 
     // Find product by primary key
-    const product = await Product.findByPk(id);
+    const product = await Product.findByPk(id, {
+      include: PRODUCT_DETAIL,
+      order: PRODUCT_DETAIL_ORDER,
+    });
     if (!product) return res.status(404).json({ msg: 'Product not found' });
 
     return res.status(200).json(product);
@@ -81,16 +191,36 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/v1/products
- * Create new product (admin only)
+ * Create new product (requires products:write)
  */
-router.post('/', [auth, admin], validate(schemas.productCreate), async (req, res) => {
+router.post('/', [auth, requirePermission('products:write')], validate(schemas.productCreate), async (req, res) => {
   try {
     console.log('[POST] /api/v1/products');
     
-    // Create product (body already validated by middleware)
-    const created = await Product.create(req.body);
+    // Create product, its opening stock and its category links (body already validated by middleware)
+    const { categoryIds, stock, ...fields } = req.body;
+    const prodId = await db.sequelize.transaction(async (transaction) => {
+      const product = await Product.create(
+        { ...fields, stock: fields.type === 'digital' ? null : 0 },
+        { transaction }
+      );
+      if (fields.type !== 'digital' && stock) {
+        await setStockLevel(
+          { prodId: product.prodId },
+          stock,
+          { type: 'receipt', reason: 'Initial stock', actor: actorOf(req.user) },
+          transaction
+        );
+      }
+      if (categoryIds) await setProductCategories(product.prodId, categoryIds, transaction);
+      return product.prodId;
+    });
+
+    const created = await Product.findByPk(prodId, { include: PRODUCT_DETAIL, order: PRODUCT_DETAIL_ORDER });
+    await recordAudit(req, 'create', 'Product', prodId, { after: auditState(created) });
     return res.status(201).json(created);
   } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
     console.error('addProduct error:', err);
     return res.status(500).json({ msg: 'Server error' });
   }
@@ -98,11 +228,11 @@ router.post('/', [auth, admin], validate(schemas.productCreate), async (req, res
 
 /**
  * PUT /api/v1/products/:id
- * Update existing product (admin only)
+ * Update existing product (requires products:write)
  */
 router.put(
   '/:id',
-  [auth, admin],
+  [auth, requirePermission('products:write')],
   validate(schemas.productUpdate),
   async (req, res) => {
     try {
@@ -112,25 +242,91 @@ router.put(
       const id = toId(req.params.id);
       if (!id) return res.status(400).json({ msg: 'Invalid id' });
 
-      // Update product
-      const [updated] = await Product.update(req.body, { where: { prodId: id } });
-      if (!updated) return res.status(404).json({ msg: 'Product not found' });
+      // Update product and, if given, its stock level and category links
+      const { categoryIds, stock, ...fields } = req.body;
+      const before = auditState(await Product.findByPk(id, { include: PRODUCT_CATEGORY_IDS }));
+      const found = await db.sequelize.transaction(async (transaction) => {
+        const product = await Product.findByPk(id, { transaction });
+        if (!product) return false;
+        const variantCount = await ProductVariant.count({ where: { prodId: id }, transaction });
+        if (fields.type === 'digital' && variantCount) {
+          throw new ApiError(400, 'Digital products cannot have variants; delete the variants first');
+        }
+        if (Object.keys(fields).length) await product.update(fields, { transaction });
+
+        // Stock changes go through the inventory ledger as an adjustment
+        if (stock !== undefined) {
+          if (product.type === 'digital') throw new ApiError(400, 'Digital products have no stock');
+          if (variantCount) throw new ApiError(400, 'Stock of this product is tracked per variant');
+          await setStockLevel(
+            { prodId: id },
+            stock,
+            { reason: 'Stock set by product update', actor: actorOf(req.user) },
+            transaction
+          );
+        }
+        if (categoryIds) await setProductCategories(id, categoryIds, transaction);
+        return true;
+      });
+      if (!found) return res.status(404).json({ msg: 'Product not found' });
 
       // Fetch and return updated product
-      const fresh = await Product.findByPk(id);
+      const fresh = await Product.findByPk(id, { include: PRODUCT_DETAIL, order: PRODUCT_DETAIL_ORDER });
+      await recordAudit(req, 'update', 'Product', id, { before, after: auditState(fresh) });
       return res.status(200).json(fresh);
     } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
       console.error('updateProduct error:', err);
       return res.status(500).json({ msg: 'Server error' });
     }
   }
 );
 
+/**
+ * PUT /api/v1/products/:id/categories
+ * Replace the categories a product belongs to (requires products:write)
+ * Body: { categoryIds: [1, 2] } - an empty list removes the product from all categories
+ */
+router.put(
+  '/:id/categories',
+  [auth, requirePermission('products:write')],
+  validate(schemas.idParam, { source: 'params' }),
+  validate(schemas.productCategoriesSet),
+  async (req, res) => {
+    try {
+      console.log('[PUT] /api/v1/products/:id/categories');
+      const id = Number(req.params.id);
+
+      const product = await Product.findByPk(id, { attributes: ['prodId'], include: PRODUCT_CATEGORY_IDS });
+      if (!product) return res.status(404).json({ msg: 'Product not found' });
+
+      await db.sequelize.transaction((transaction) =>
+        setProductCategories(id, req.body.categoryIds, transaction));
+
+      const categories = await Category.findAll({
+        include: [{ model: Product, where: { prodId: id }, attributes: [], through: { attributes: [] } }],
+        order: [['name', 'ASC']],
+      });
+      await recordAudit(req, 'update', 'Product', id, {
+        before: auditState(product),
+        after: { prodId: id, categoryIds: categories.map((c) => c.categoryId) },
+      });
+      return res.status(200).json(categories);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('setProductCategories error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
 /**
  * DELETE /api/v1/products/:id
- * Delete product (admin only)
+ * Delete product (requires products:delete)
+ * The product is soft-deleted: it leaves the catalog and carts, past orders keep showing it,
+ * and admins can restore it via /api/v1/trash. Its image files are removed when it is purged.
  */
-router.delete('/:id', [auth, admin], async (req, res) => {
+router.delete('/:id', [auth, requirePermission('products:delete')], async (req, res) => {
   try {
     console.log('[DELETE] /api/v1/products/:id');
     
@@ -138,12 +334,12 @@ router.delete('/:id', [auth, admin], async (req, res) => {
     const id = toId(req.params.id);
     if (!id) return res.status(400).json({ msg: 'Invalid id' });
 
-    // Delete product
-    const deleted = await Product.destroy({ where: { prodId: id } });
-    if (!deleted) return res.status(404).json({ msg: 'Product not found' });
-
+    const before = auditState(await Product.findByPk(id, { include: PRODUCT_CATEGORY_IDS }));
+    await deleteProduct(id);
+    await recordAudit(req, 'delete', 'Product', id, { before });
     return res.status(204).send();
   } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
     console.error('deleteProduct error:', err);
     return res.status(500).json({ msg: 'Server error' });
   }
@@ -151,44 +347,54 @@ router.delete('/:id', [auth, admin], async (req, res) => {
 
 /**
  * GET /api/v1/products/o/:field/:dir
- * Sort products by field and direction (public route)
+ * First page of products sorted by field and direction (public route, as GET /)
+ * @deprecated Use GET /api/v1/products?sort=field or ?sort=-field
  * @param {string} field - Field name to sort by (e.g., 'name', 'price')
  * @param {string} dir - Sort direction ('asc' or 'desc')
  */
-router.get('/o/:field/:dir', validate(schemas.orderSortParams, { source: 'params' }), async (req, res) => {
-  console.log('/api/v1/products/o/:field/:dir - GET');
-  const { field, dir } = req.params;
-  
-  try {
-    // Normalize direction to uppercase (ASC or DESC)
-    const direction = dir.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-    
-    // Fetch products with sorting
-    const list = await Product.findAll({ order: [[field, direction]] });
-    return res.status(200).json(list);
-  } catch (err) {
-    console.error('products:order error', err);
-    return res.status(500).json({ msg: 'Server error' });
+router.get(
+  '/o/:field/:dir',
+  optionalAuth,
+  validate(schemas.productSortParams, { source: 'params' }),
+  deprecated((req) => `/api/v1/products?sort=${req.params.dir.toUpperCase() === 'DESC' ? '-' : ''}${req.params.field}`),
+  async (req, res) => {
+    console.log('/api/v1/products/o/:field/:dir - GET');
+    const { field, dir } = req.params;
+
+    try {
+      // Normalize direction to uppercase (ASC or DESC)
+      const direction = dir.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+      // First page only, as the list route would return it
+      const { data } = await findPage(Product, { order: [[field, direction]] });
+      return res.status(200).json(await catalogView(req.user, data));
+    } catch (err) {
+      console.error('products:order error', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
   }
-});
+);
 
 /**
  * GET /api/v1/products/sort/two/:first/:second
- * Sort products by two fields (public route)
+ * First page of products sorted by two fields (public route, as GET /)
  * Both fields sorted in ascending order
+ * @deprecated Use GET /api/v1/products?sort=first,second
  * @param {string} first - First field to sort by
  * @param {string} second - Second field to sort by
  */
 router.get(
   '/sort/two/:first/:second',
-  validate(schemas.orderTwoSortParams, { source: 'params' }),
+  optionalAuth,
+  validate(schemas.productTwoSortParams, { source: 'params' }),
+  deprecated((req) => `/api/v1/products?sort=${req.params.first},${req.params.second}`),
   async (req, res) => {
     try {
       const { first, second } = req.params;
       
-      // Fetch products with two-level sorting (both ASC)
-      const rows = await Product.findAll({ order: [[first, 'ASC'], [second, 'ASC']] });
-      return res.status(200).json(rows);
+      // First page only, with two-level sorting (both ASC)
+      const { data } = await findPage(Product, { order: [[first, 'ASC'], [second, 'ASC']] });
+      return res.status(200).json(await catalogView(req.user, data));
     } catch (err) {
       console.error('products:two-field sort error:', err);
       return res.status(500).json({ msg: 'Server error' });
@@ -0,0 +1,137 @@
+/**
+ * Return Routes
+ * Staff review of customer returns. Customers open returns with
+ * POST /orders/:id/returns (see services/returns.js for the rules and the
+ * suggested refund).
+ *
+ * Routes:
+ * - GET /              : List returns, paginated and filtered (returns:manage)
+ * - GET /:id           : Get return with its lines (returns:manage)
+ * - POST /:id/approve  : Approve: restock the items and refund the order (returns:manage)
+ * - POST /:id/reject   : Reject with a note for the customer (returns:manage)
+ */
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { actorOf } = require('../services/actor');
+const { recordAudit } = require('../services/audit');
+const { buildWhere, findPage } = require('../services/query');
+const { findReturn, approveReturn, rejectReturn } = require('../services/returns');
+
+const router = express.Router();
+const { Return } = db.sequelize.models;
+
+/**
+ * Whitelisted list filters: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const RETURN_FILTERS = {
+  orderId: (v) => ({ orderId: v }),
+  custId: (v) => ({ custId: v }),
+  status: (v) => ({ status: v }),
+};
+
+// Every route here is staff-only
+router.use(auth, requirePermission('returns:manage'));
+
+// ---------- Routes ----------
+
+/**
+ * GET /api/v1/returns
+ * List returns, newest first by default
+ * Query: limit, offset | cursor, sort, orderId, custId, status
+ */
+router.get('/', validate(schemas.returnListQuery, { source: 'query' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/returns');
+
+    const page = await findPage(Return, {
+      where: buildWhere(RETURN_FILTERS, req.query),
+      order: req.query.sort ?? [['returnId', 'DESC']],
+    }, req.query);
+    return res.status(200).json(page);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('returns:list error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/v1/returns/:id
+ * Get a return with its lines
+ */
+router.get('/:id', validate(schemas.idParam, { source: 'params' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/returns/:id');
+
+    const ret = await findReturn(Number(req.params.id));
+    if (!ret) return res.status(404).json({ msg: 'Return not found' });
+
+    return res.status(200).json(ret);
+  } catch (err) {
+    console.error('returns:get error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/v1/returns/:id/approve
+ * Approve a requested return: the items go back in stock (unless restock is false) and the
+ * order is refunded the suggested amount, or refundAmount when given (0 refunds nothing)
+ * Body: { refundAmount?, restock?, note? }
+ */
+router.post(
+  '/:id/approve',
+  validate(schemas.idParam, { source: 'params' }),
+  validate(schemas.returnApprove),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/returns/:id/approve');
+
+      const id = Number(req.params.id);
+      const before = await Return.findByPk(id);
+      const ret = await approveReturn(id, req.body, actorOf(req.user));
+      await recordAudit(req, 'update', 'Return', id, { before, after: ret });
+      return res.status(200).json(ret);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('returns:approve error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/returns/:id/reject
+ * Reject a requested return
+ * Body: { note }
+ */
+router.post(
+  '/:id/reject',
+  validate(schemas.idParam, { source: 'params' }),
+  validate(schemas.returnReject),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/returns/:id/reject');
+
+      const id = Number(req.params.id);
+      const before = await Return.findByPk(id);
+      const ret = await rejectReturn(id, req.body, actorOf(req.user));
+      await recordAudit(req, 'update', 'Return', id, { before, after: ret });
+      return res.status(200).json(ret);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('returns:reject error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+/**
+ * Shipping Method Routes
+ * Manages the ways physical items can be shipped and what they cost (see
+ * services/pricing.js for the rate types). Customers choose one at checkout.
+ *
+ * Routes:
+ * - GET /            : List shipping methods (public: active ones; pricing:manage: all, filterable)
+ * - GET /:id         : Get shipping method (public if active, otherwise pricing:manage)
+ * - POST /           : Create shipping method (pricing:manage)
+ * - PUT /:id         : Update shipping method (pricing:manage)
+ * - DELETE /:id      : Delete shipping method; orders keep their shipping charge (pricing:manage)
+ */
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { hasPermission } = require('../services/permissions');
+const { buildWhere, findPage } = require('../services/query');
+const { recordAudit, snapshot } = require('../services/audit');
+
+const router = express.Router();
+const { ShippingMethod } = db.sequelize.models;
+
+/** Message for duplicate method names */
+const DUPLICATE_MSG = 'Shipping method name already exists';
+
+/**
+ * Whitelisted list filters: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const SHIPPING_METHOD_FILTERS = {
+  active: (v) => ({ active: v }),
+};
+
+// ---------- Routes ----------
+
+/**
+ * GET /api/v1/shipping-methods
+ * List shipping methods (public route: only active methods unless the caller has pricing:manage)
+ * Query: limit, offset | cursor, sort, active
+ */
+router.get(
+  '/',
+  optionalAuth,
+  validate(schemas.shippingMethodListQuery, { source: 'query' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/shipping-methods');
+
+      const manager = await hasPermission(req.user, 'pricing:manage');
+      const page = await findPage(ShippingMethod, {
+        where: buildWhere(SHIPPING_METHOD_FILTERS, req.query, manager ? {} : { active: true }),
+        order: req.query.sort ?? [['shippingMethodId', 'ASC']],
+      }, req.query);
+      return res.status(200).json(page);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('shippingMethods:list error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/v1/shipping-methods/:id
+ * Get a shipping method (inactive methods only with pricing:manage)
+ */
+router.get('/:id', optionalAuth, validate(schemas.idParam, { source: 'params' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/shipping-methods/:id');
+
+    const method = await ShippingMethod.findByPk(Number(req.params.id));
+    if (!method || (!method.active && !(await hasPermission(req.user, 'pricing:manage')))) {
+      return res.status(404).json({ msg: 'Shipping method not found' });
+    }
+
+    return res.status(200).json(method);
+  } catch (err) {
+    console.error('shippingMethods:get error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/v1/shipping-methods
+ * Create a shipping method (requires pricing:manage)
+ * Body: { name, rateType, baseRate?, rate?, freeOver?, countries?: ['GB'], description?, active? }
+ */
+router.post(
+  '/',
+  [auth, requirePermission('pricing:manage')],
+  validate(schemas.shippingMethodCreate),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/shipping-methods');
+
+      const method = await ShippingMethod.create(req.body);
+      await recordAudit(req, 'create', 'ShippingMethod', method.shippingMethodId, { after: method });
+      return res.status(201).json(method);
+    } catch (err) {
+      if (err.name === 'SequelizeUniqueConstraintError') return res.status(409).json({ msg: DUPLICATE_MSG });
+      console.error('shippingMethods:create error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * PUT /api/v1/shipping-methods/:id
+ * Update a shipping method (requires pricing:manage)
+ * Orders already placed keep the shipping they were charged.
+ */
+router.put(
+  '/:id',
+  [auth, requirePermission('pricing:manage')],
+  validate(schemas.idParam, { source: 'params' }),
+  validate(schemas.shippingMethodUpdate),
+  async (req, res) => {
+    try {
+      console.log('[PUT] /api/v1/shipping-methods/:id');
+
+      const method = await ShippingMethod.findByPk(Number(req.params.id));
+      if (!method) return res.status(404).json({ msg: 'Shipping method not found' });
+
+      const before = snapshot(method);
+      await method.update(req.body);
+      await recordAudit(req, 'update', 'ShippingMethod', method.shippingMethodId, { before, after: method });
+      return res.status(200).json(method);
+    } catch (err) {
+      if (err.name === 'SequelizeUniqueConstraintError') return res.status(409).json({ msg: DUPLICATE_MSG });
+      console.error('shippingMethods:update error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/shipping-methods/:id
+ * Delete a shipping method (requires pricing:manage)
+ * Orders that used it keep their shipping charge; to stop offering it while keeping
+ * the link, set active to false instead.
+ */
+router.delete(
+  '/:id',
+  [auth, requirePermission('pricing:manage')],
+  validate(schemas.idParam, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[DELETE] /api/v1/shipping-methods/:id');
+
+      const method = await ShippingMethod.findByPk(Number(req.params.id));
+      if (!method) return res.status(404).json({ msg: 'Shipping method not found' });
+
+      await method.destroy();
+      await recordAudit(req, 'delete', 'ShippingMethod', method.shippingMethodId, { before: method });
+
+      return res.status(204).send();
+    } catch (err) {
+      console.error('shippingMethods:delete error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
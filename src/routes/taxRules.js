@@ -0,0 +1,180 @@
+/**
+ * Tax Rule Routes
+ * Manages the tax rates charged on orders by destination. A rule covers a
+ * whole country, or one region within it; the regional rule wins where both
+ * exist (see services/pricing.js).
+ *
+ * Routes:
+ * - GET /            : List tax rules, paginated and filtered (pricing:manage)
+ * - GET /:id         : Get tax rule (pricing:manage)
+ * - POST /           : Create tax rule (pricing:manage)
+ * - PUT /:id         : Update tax rule (pricing:manage)
+ * - DELETE /:id      : Delete tax rule; orders keep the rate they were charged (pricing:manage)
+ */
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { buildWhere, findPage } = require('../services/query');
+const { recordAudit, snapshot } = require('../services/audit');
+
+const router = express.Router();
+const { TaxRule } = db.sequelize.models;
+
+/** Message for a second rule covering the same destination */
+const DUPLICATE_MSG = 'A tax rule already exists for this country and region';
+
+/**
+ * Whitelisted list filters: query key → where fragment
+ * @type {Object<string, Function>}
+ */
+const TAX_RULE_FILTERS = {
+  country: (v) => ({ country: v }),
+  active: (v) => ({ active: v }),
+};
+
+// ---------- Helper Functions ----------
+
+/**
+ * Reject a rule whose destination is already covered by another rule
+ * Regions are compared case-insensitively, as they are when pricing.
+ * @param {{country: string, region: string|null}} rule - Destination to check
+ * @param {number} [exceptId] - Rule being updated
+ * @throws {ApiError} 409 if another rule covers the destination
+ */
+async function assertUniqueDestination({ country, region }, exceptId) {
+  const rules = await TaxRule.findAll({ where: { country }, attributes: ['taxRuleId', 'region'] });
+  const wanted = region ? region.toUpperCase() : null;
+  const clash = rules.find((r) => r.taxRuleId !== exceptId && (r.region ? r.region.toUpperCase() : null) === wanted);
+  if (clash) throw new ApiError(409, DUPLICATE_MSG, { taxRuleId: clash.taxRuleId });
+}
+
+// ---------- Routes ----------
+
+// Every route in this router requires pricing:manage
+router.use(auth, requirePermission('pricing:manage'));
+
+/**
+ * GET /api/v1/tax-rules
+ * List tax rules
+ * Query: limit, offset | cursor, sort, country, active
+ */
+router.get('/', validate(schemas.taxRuleListQuery, { source: 'query' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/tax-rules');
+
+    const page = await findPage(TaxRule, {
+      where: buildWhere(TAX_RULE_FILTERS, req.query),
+      order: req.query.sort ?? [['country', 'ASC'], ['taxRuleId', 'ASC']],
+    }, req.query);
+    return res.status(200).json(page);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('taxRules:list error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/v1/tax-rules/:id
+ * Get a tax rule
+ */
+router.get('/:id', validate(schemas.idParam, { source: 'params' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/tax-rules/:id');
+
+    const rule = await TaxRule.findByPk(Number(req.params.id));
+    if (!rule) return res.status(404).json({ msg: 'Tax rule not found' });
+
+    return res.status(200).json(rule);
+  } catch (err) {
+    console.error('taxRules:get error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/v1/tax-rules
+ * Create a tax rule
+ * Body: { name, country, rate, region?, inclusive?, appliesToShipping?, active? }
+ */
+router.post('/', validate(schemas.taxRuleCreate), async (req, res) => {
+  try {
+    console.log('[POST] /api/v1/tax-rules');
+
+    const fields = { ...req.body, region: req.body.region || null };
+    await assertUniqueDestination(fields);
+
+    const rule = await TaxRule.create(fields);
+    await recordAudit(req, 'create', 'TaxRule', rule.taxRuleId, { after: rule });
+    return res.status(201).json(rule);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error('taxRules:create error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/v1/tax-rules/:id
+ * Update a tax rule; orders already placed keep the rate they were charged
+ */
+router.put(
+  '/:id',
+  validate(schemas.idParam, { source: 'params' }),
+  validate(schemas.taxRuleUpdate),
+  async (req, res) => {
+    try {
+      console.log('[PUT] /api/v1/tax-rules/:id');
+
+      const rule = await TaxRule.findByPk(Number(req.params.id));
+      if (!rule) return res.status(404).json({ msg: 'Tax rule not found' });
+
+      const fields = { ...req.body };
+      if ('region' in fields) fields.region = fields.region || null;
+      if ('country' in fields || 'region' in fields) {
+        await assertUniqueDestination(
+          { country: fields.country ?? rule.country, region: 'region' in fields ? fields.region : rule.region },
+          rule.taxRuleId
+        );
+      }
+
+      const before = snapshot(rule);
+      await rule.update(fields);
+      await recordAudit(req, 'update', 'TaxRule', rule.taxRuleId, { before, after: rule });
+      return res.status(200).json(rule);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('taxRules:update error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/tax-rules/:id
+ * Delete a tax rule; orders already placed keep the rate they were charged
+ */
+router.delete('/:id', validate(schemas.idParam, { source: 'params' }), async (req, res) => {
+  try {
+    console.log('[DELETE] /api/v1/tax-rules/:id');
+
+    const rule = await TaxRule.findByPk(Number(req.params.id));
+    if (!rule) return res.status(404).json({ msg: 'Tax rule not found' });
+
+    await rule.destroy();
+    await recordAudit(req, 'delete', 'TaxRule', rule.taxRuleId, { before: rule });
+
+    return res.status(204).send();
+  } catch (err) {
+    console.error('taxRules:delete error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+module.exports = router;
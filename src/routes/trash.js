@@ -0,0 +1,75 @@
+/**
+ * Trash Routes
+ * Deleted customers, products and orders (see services/trash.js). Records
+ * stay restorable for config.trash.retentionDays, then they are purged.
+ *
+ * Routes:
+ * - GET /:type               : List deleted customers, products or orders (trash:manage)
+ * - POST /:type/:id/restore  : Restore a deleted customer (with their orders) or product (trash:manage)
+ */
+
+const express = require('express');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { listDeleted, restoreRecord } = require('../services/trash');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(auth, requirePermission('trash:manage'));
+
+// ---------- Routes ----------
+
+/**
+ * GET /api/v1/trash/:type
+ * List deleted records, most recently deleted first; each shows when it will be purged (purgeAfter,
+ * null for orders, which are kept). Purged customers are not listed.
+ * Query: limit, offset | cursor
+ */
+router.get(
+  '/:type',
+  validate(schemas.trashTypeParam, { source: 'params' }),
+  validate(schemas.trashListQuery, { source: 'query' }),
+  async (req, res) => {
+    try {
+      console.log('[GET] /api/v1/trash/:type');
+
+      const page = await listDeleted(req.params.type, req.query);
+      return res.status(200).json(page);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('trash:list error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/v1/trash/:type/:id/restore
+ * Restore a deleted customer or product; a customer gets back their orders and customer role
+ */
+router.post(
+  '/:type/:id/restore',
+  validate(schemas.trashRestoreParams, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/trash/:type/:id/restore');
+
+      const id = Number(req.params.id);
+      const record = await restoreRecord(req.params.type, id);
+      await recordAudit(req, 'restore', record.constructor.name, id, { after: record });
+      return res.status(200).json(record);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      console.error('trash:restore error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
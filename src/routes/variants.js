@@ -0,0 +1,204 @@
+/**
+ * Product Variant Routes
+ * Manages the purchasable variants of a product (print size, finish, framing),
+ * each with its own SKU, price and stock. Mounted under /api/v1/products/:id/variants.
+ *
+ * Routes:
+ * - GET /                : List a product's variants (public)
+ * - GET /:variantId      : Get single variant (public)
+ * - POST /               : Create variant (products:write)
+ * - PUT /:variantId      : Update variant (products:write)
+ * - DELETE /:variantId   : Delete variant (products:delete)
+ */
+
+const express = require('express');
+const db = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/permission');
+
+// Import centralized validator and validation schemas
+const { validate, schemas } = require('../validation/validation');
+const { ApiError, sendApiError } = require('../errors');
+const { setStockLevel } = require('../services/inventory');
+const { actorOf } = require('../services/actor');
+const { recordAudit, snapshot } = require('../services/audit');
+
+// mergeParams exposes the parent product :id
+const router = express.Router({ mergeParams: true });
+const { Product, ProductVariant } = db.sequelize.models;
+
+/** Message for duplicate SKUs */
+const DUPLICATE_SKU_MSG = 'SKU already exists';
+
+// ---------- Helper Functions ----------
+
+/**
+ * Find a variant belonging to the product in the URL
+ * @param {Object} params - Validated route params (id, variantId)
+ * @returns {Promise<Object|null>} Variant, or null if missing or its product is deleted
+ */
+const findVariant = ({ id, variantId }) =>
+  ProductVariant.findOne({
+    where: { variantId, prodId: id },
+    include: [{ model: Product, attributes: [], required: true }],
+  });
+
+// ---------- Routes ----------
+
+/**
+ * GET /api/v1/products/:id/variants
+ * List a product's variants (public route)
+ */
+router.get('/', validate(schemas.idParam, { source: 'params' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/products/:id/variants');
+
+    const product = await Product.findByPk(req.params.id, { attributes: ['prodId'] });
+    if (!product) return res.status(404).json({ msg: 'Product not found' });
+
+    const variants = await ProductVariant.findAll({
+      where: { prodId: req.params.id },
+      order: [['variantId', 'ASC']],
+    });
+    return res.status(200).json(variants);
+  } catch (err) {
+    console.error('variants:list error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/v1/products/:id/variants/:variantId
+ * Get single variant (public route)
+ */
+router.get('/:variantId', validate(schemas.variantParams, { source: 'params' }), async (req, res) => {
+  try {
+    console.log('[GET] /api/v1/products/:id/variants/:variantId');
+
+    const variant = await findVariant(req.params);
+    if (!variant) return res.status(404).json({ msg: 'Variant not found' });
+
+    return res.status(200).json(variant);
+  } catch (err) {
+    console.error('variants:get error:', err);
+    return res.status(500).json({ msg: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/v1/products/:id/variants
+ * Create variant (requires products:write)
+ */
+router.post(
+  '/',
+  [auth, requirePermission('products:write')],
+  validate(schemas.idParam, { source: 'params' }),
+  validate(schemas.variantCreate),
+  async (req, res) => {
+    try {
+      console.log('[POST] /api/v1/products/:id/variants');
+
+      const product = await Product.findByPk(req.params.id, { attributes: ['prodId', 'type'] });
+      if (!product) return res.status(404).json({ msg: 'Product not found' });
+      // Variants are print options; digital products are sold as a single download
+      if (product.type === 'digital') return res.status(400).json({ msg: 'Digital products cannot have variants' });
+
+      // Create with no stock; the opening stock is recorded in the inventory ledger
+      const { stock, ...fields } = req.body;
+      const variantId = await db.sequelize.transaction(async (transaction) => {
+        const variant = await ProductVariant.create({ ...fields, prodId: product.prodId, stock: 0 }, { transaction });
+        if (stock) {
+          await setStockLevel(
+            { prodId: product.prodId, variantId: variant.variantId },
+            stock,
+            { type: 'receipt', reason: 'Initial stock', actor: actorOf(req.user) },
+            transaction
+          );
+        }
+        return variant.variantId;
+      });
+
+      const created = await ProductVariant.findByPk(variantId);
+      await recordAudit(req, 'create', 'ProductVariant', variantId, { after: created });
+      return res.status(201).json(created);
+    } catch (err) {
+      if (err.name === 'SequelizeUniqueConstraintError') return res.status(409).json({ msg: DUPLICATE_SKU_MSG });
+      console.error('variants:create error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * PUT /api/v1/products/:id/variants/:variantId
+ * Update variant (requires products:write)
+ */
+router.put(
+  '/:variantId',
+  [auth, requirePermission('products:write')],
+  validate(schemas.variantParams, { source: 'params' }),
+  validate(schemas.variantUpdate),
+  async (req, res) => {
+    try {
+      console.log('[PUT] /api/v1/products/:id/variants/:variantId');
+
+      const variant = await findVariant(req.params);
+      if (!variant) return res.status(404).json({ msg: 'Variant not found' });
+
+      // Stock changes go through the inventory ledger as an adjustment
+      const { stock, ...fields } = req.body;
+      const before = snapshot(variant);
+      await db.sequelize.transaction(async (transaction) => {
+        if (Object.keys(fields).length) await variant.update(fields, { transaction });
+        if (stock !== undefined) {
+          await setStockLevel(
+            { prodId: variant.prodId, variantId: variant.variantId },
+            stock,
+            { reason: 'Stock set by variant update', actor: actorOf(req.user) },
+            transaction
+          );
+        }
+      });
+
+      await variant.reload();
+      await recordAudit(req, 'update', 'ProductVariant', variant.variantId, { before, after: variant });
+      return res.status(200).json(variant);
+    } catch (err) {
+      if (err instanceof ApiError) return sendApiError(res, err);
+      if (err.name === 'SequelizeUniqueConstraintError') return res.status(409).json({ msg: DUPLICATE_SKU_MSG });
+      console.error('variants:update error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/v1/products/:id/variants/:variantId
+ * Delete variant (requires products:delete)
+ */
+router.delete(
+  '/:variantId',
+  [auth, requirePermission('products:delete')],
+  validate(schemas.variantParams, { source: 'params' }),
+  async (req, res) => {
+    try {
+      console.log('[DELETE] /api/v1/products/:id/variants/:variantId');
+
+      const variant = await findVariant(req.params);
+      if (!variant) return res.status(404).json({ msg: 'Variant not found' });
+
+      await variant.destroy();
+      await recordAudit(req, 'delete', 'ProductVariant', variant.variantId, { before: variant });
+      return res.status(204).send();
+    } catch (err) {
+      // Variants referenced by order line items cannot be removed
+      if (err.name === 'SequelizeForeignKeyConstraintError') {
+        return res.status(409).json({ msg: 'Variant is referenced by existing orders' });
+      }
+      console.error('variants:delete error:', err);
+      return res.status(500).json({ msg: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * Bootstrap Admin Script
+ * Creates the very first admin account. Admin registration otherwise needs an
+ * invitation from an existing admin, so this is how a new installation starts.
+ *
+ * Usage:
+ *   ADMIN_PASSWORD='S3cret!pass' npm run seed:admin -- --email admin@example.com --name "Site Admin"
+ *
+ * Options (each can also be given as an environment variable):
+ *   --email     ADMIN_EMAIL      Admin email (required)
+ *   --name      ADMIN_NAME       Display name (default: 'Admin')
+ *   --password  ADMIN_PASSWORD   Password; prefer the env var so it stays out of shell history
+ *
+ * Refuses to run when an admin already exists. If the email already belongs to
+ * an account, that account is granted the admin role instead.
+ */
+
+const db = require('../models');
+const { schemas, Joi } = require('../validation/validation');
+const { registerAccount } = require('../services/accounts');
+const migrator = require('../migrator');
+
+const { Account, AccountRole } = db.sequelize.models;
+
+/**
+ * Parse --key value pairs from the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object<string, string>} Parsed options
+ */
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const m = /^--([a-z]+)$/.exec(argv[i]);
+    if (m) {
+      out[m[1]] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return out;
+}
+
+/** Validation for the bootstrap input (same password rules as registration) */
+const bootstrapSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(60).default('Admin'),
+  email: schemas.invitationCreate.extract('email').required(),
+  password: schemas.authStaffRegister.extract('password').required(),
+});
+
+/**
+ * Create the first admin account
+ * @param {Object} input - name, email, password
+ * @returns {Promise<{accountId: number, email: string, created: boolean}>} Resulting account and whether it was new
+ */
+async function createFirstAdmin(input) {
+  const { value, error } = bootstrapSchema.validate(input, { abortEarly: false });
+  if (error) throw new Error(error.details.map((d) => d.message).join('; '));
+  const email = value.email.toLowerCase();
+
+  return db.sequelize.transaction(async (transaction) => {
+    const admins = await AccountRole.count({ where: { role: 'admin' }, transaction });
+    if (admins > 0) {
+      throw new Error('An admin already exists; invite further admins via POST /api/v1/invitations');
+    }
+
+    // Promote an existing account rather than failing on the unique email
+    const existing = await Account.findOne({ where: { email }, transaction });
+    if (existing) {
+      await AccountRole.findOrCreate({ where: { accountId: existing.accountId, role: 'admin' }, transaction });
+      return { accountId: existing.accountId, email, created: false };
+    }
+
+    const account = await registerAccount({ ...value, email, role: 'admin' }, transaction);
+    return { accountId: account.accountId, email, created: true };
+  });
+}
+
+// Allow running directly: node src/scripts/createAdmin.js --email ...
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const input = {
+    email: args.email ?? process.env.ADMIN_EMAIL,
+    name: args.name ?? process.env.ADMIN_NAME,
+    password: args.password ?? process.env.ADMIN_PASSWORD,
+  };
+
+  migrator
+    .pending()
+    .then((pending) => {
+      if (pending.length) throw new Error('Database has pending migrations; run "npm run migrate" first');
+      return createFirstAdmin(input);
+    })
+    .then(({ accountId, email, created }) => {
+      console.log(created
+        ? `Admin account ${accountId} created for ${email}`
+        : `Existing account ${accountId} (${email}) granted the admin role`);
+    })
+    .catch((err) => {
+      console.error('Admin bootstrap failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.sequelize.close());
+}
+
+module.exports = { createFirstAdmin };
@@ -0,0 +1,74 @@
+/**
+ * Migration CLI
+ * Applies, rolls back and lists schema migrations (see src/migrator.js).
+ *
+ * Usage:
+ *   npm run migrate                       Apply all pending migrations
+ *   npm run migrate -- --to 005-accounts.js   Apply up to and including one migration
+ *   npm run migrate:undo                  Roll back the latest migration
+ *   npm run migrate:undo -- --steps 3     Roll back the latest three
+ *   npm run migrate:status                List migrations and whether they are applied
+ */
+
+const db = require('../models');
+const migrator = require('../migrator');
+
+/**
+ * Parse --key value pairs from the command line
+ * @param {string[]} argv - Arguments after the command
+ * @returns {Object<string, string>} Parsed options
+ */
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const m = /^--([a-z]+)$/.exec(argv[i]);
+    if (m) {
+      out[m[1]] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * Run a migration command
+ * @param {string} command - 'up', 'down' or 'status'
+ * @param {Object<string, string>} args - Parsed options
+ * @returns {Promise<void>}
+ */
+async function run(command, args) {
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.up({ to: args.to });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+      break;
+    }
+    case 'down': {
+      const steps = args.steps ? Number(args.steps) : 1;
+      if (!Number.isInteger(steps) || steps < 1) throw new Error('--steps must be a positive integer');
+      const reverted = await migrator.down({ steps });
+      console.log(reverted.length ? `Rolled back ${reverted.length} migration(s)` : 'No migrations to roll back');
+      break;
+    }
+    case 'status': {
+      for (const { name, executed, missing } of await migrator.status()) {
+        const state = missing ? 'missing' : executed ? 'up' : 'pending';
+        console.log(`${state.padEnd(8)} ${name}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command '${command}' (expected up, down or status)`);
+  }
+}
+
+if (require.main === module) {
+  const [command = 'up', ...rest] = process.argv.slice(2);
+
+  run(command, parseArgs(rest))
+    .catch((err) => {
+      console.error('Migration failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.sequelize.close());
+}
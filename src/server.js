@@ -2,6 +2,9 @@
  * Main Server Entry Point
  * Sets up Express server, configures middleware, mounts routes,
  * and connects to the database using Sequelize
+ *
+ * The server only starts when this file is run directly; tests require it
+ * for the configured app (see test/helpers.js).
  */
 
 const express = require('express');
@@ -11,6 +14,10 @@ const config = require('./config/config');
 
 // Import database and models
 const db = require('./models');
+const migrator = require('./migrator');
+const { expireReservations } = require('./services/orderStatus');
+const { purgeExpired } = require('./services/trash');
+const { getPaymentProvider } = require('./payments');
 
 const helmet = require('helmet');
 // Import route modules
@@ -18,18 +25,40 @@ const productRoutes = require('./routes/products');
 const authRoutes = require('./routes/auth');
 const customerRoutes = require('./routes/customers');
 const orderRoutes = require('./routes/orders');
+const invitationRoutes = require('./routes/invitations');
+const permissionRoutes = require('./routes/permissions');
+const downloadRoutes = require('./routes/downloads');
+const cartRoutes = require('./routes/cart');
+const inventoryRoutes = require('./routes/inventory');
+const couponRoutes = require('./routes/coupons');
+const taxRuleRoutes = require('./routes/taxRules');
+const shippingMethodRoutes = require('./routes/shippingMethods');
+const paymentRoutes = require('./routes/payments');
+const returnRoutes = require('./routes/returns');
+const trashRoutes = require('./routes/trash');
+const auditEventRoutes = require('./routes/auditEvents');
+const accountRoutes = require('./routes/accounts');
 
 // Import logging utilities
 const logger = require('./logger');
 const morganMiddleware = require('./morganMiddleware');
+const requestId = require('./middleware/requestId');
+const rateLimit = require('./middleware/rateLimit');
 
 // Create Express application
 const app = express();
 
+// Take the client IP from X-Forwarded-For only when the proxy is trusted (TRUST_PROXY)
+app.set('trust proxy', config.trustProxy);
+
 // ---------- Global Middleware ----------
 
-// Parse JSON request bodies
-app.use(express.json());
+// Parse JSON request bodies; payment webhooks also keep the raw bytes their signature covers
+app.use(express.json({
+  verify: (req, _res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/payments/webhook')) req.rawBody = buf;
+  },
+}));
 
 // Parse URL-encoded form data
 app.use(express.urlencoded({ extended: true }));
@@ -37,9 +66,15 @@ app.use(express.urlencoded({ extended: true }));
 // Add this after creating the app
 app.use(helmet());
 
+// Tag every request with an id (X-Request-Id) for logs and the audit log
+app.use(requestId);
+
 // Log all HTTP requests using Morgan + Winston
 app.use(morganMiddleware);
 
+// Token-bucket rate limits per client, role and route group (RateLimit-* headers)
+app.use(rateLimit);
+
 
 // ---------- Route Mounting ----------
 // Mount API routes with version prefix
@@ -48,23 +83,66 @@ app.use('/api/v1/products', productRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/customers', customerRoutes);
 app.use('/api/v1/orders', orderRoutes);
+app.use('/api/v1/invitations', invitationRoutes);
+app.use('/api/v1/permissions', permissionRoutes);
+app.use('/api/v1/downloads', downloadRoutes);
+app.use('/api/v1/cart', cartRoutes);
+app.use('/api/v1/inventory', inventoryRoutes);
+app.use('/api/v1/coupons', couponRoutes);
+app.use('/api/v1/tax-rules', taxRuleRoutes);
+app.use('/api/v1/shipping-methods', shippingMethodRoutes);
+app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/returns', returnRoutes);
+app.use('/api/v1/trash', trashRoutes);
+app.use('/api/v1/audit-events', auditEventRoutes);
+app.use('/api/v1/accounts', accountRoutes);
 
 // ---------- Server Startup ----------
 
 /**
- * Start server after database synchronization
- * 1. Sync Sequelize models with database
- * 2. Start Express server on configured port
+ * Start server once the database schema is current
+ * 0. Create the payment provider; throws if it cannot run with this configuration
+ * 1. Check for migrations that have not been applied (see src/migrations)
+ * 2. Refuse to start if any are pending; run `npm run migrate` first
+ * 3. Start Express server on configured port
+ * 4. Periodically cancel unpaid orders whose stock reservation has expired
+ * 5. Periodically purge deleted records past their retention
+ * @returns {Promise<void>}
  */
-db.sequelize
-  .sync() // Synchronize models with database
-  .then(() => {
-    // Start listening for requests
-    app.listen(config.port, () => {
-      logger.info(`✅ Server is running on http://localhost:${config.port}`);
+function start() {
+  getPaymentProvider();
+
+  return migrator
+    .pending()
+    .then((pending) => {
+      if (pending.length) {
+        logger.error(`❌ ${pending.length} pending migration(s): ${pending.join(', ')}. Run "npm run migrate" first.`);
+        process.exitCode = 1;
+        return db.sequelize.close();
+      }
+
+      // Start listening for requests
+      app.listen(config.port, () => {
+        logger.info(`✅ Server is running on http://localhost:${config.port}`);
+      });
+
+      // Release expired stock reservations (unref: never keeps the process alive)
+      setInterval(() => {
+        expireReservations().catch((err) => logger.error('Reservation sweep failed:', err));
+      }, config.inventory.sweepIntervalSeconds * 1000).unref();
+
+      // Purge deleted customers and products past retention
+      setInterval(() => {
+        purgeExpired().catch((err) => logger.error('Trash purge failed:', err));
+      }, config.trash.purgeIntervalHours * 60 * 60 * 1000).unref();
+    })
+    .catch((err) => {
+      // Log database connection errors
+      logger.error('❌ Database check failed:', err);
+      process.exitCode = 1;
     });
-  })
-  .catch((err) => {
-    // Log database connection or sync errors
-    logger.error('❌ Database synchronization failed:', err);
-  });
\ No newline at end of file
+}
+
+if (require.main === module) start();
+
+module.exports = app;
\ No newline at end of file
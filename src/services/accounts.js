@@ -0,0 +1,156 @@
+/**
+ * Account Service
+ * Registration, credential checks and token payloads for the unified Account model.
+ * One account (one email) can hold several roles; a customer profile is attached
+ * when the account holds the 'customer' role.
+ */
+
+const bcrypt = require('bcrypt');
+const db = require('../models');
+const config = require('../config/config');
+const { ApiError } = require('../errors');
+const { highestRole } = require('../models/roles');
+
+const { Account, AccountRole, Customer } = db.sequelize.models;
+
+/**
+ * Load an account with its roles and customer profile
+ * @param {number} accountId - Account ID
+ * @param {Object} [options] - Extra findByPk options (e.g. transaction)
+ * @returns {Promise<Object|null>} Account instance or null
+ */
+const loadAccount = (accountId, options = {}) =>
+  Account.findByPk(accountId, { include: [AccountRole, Customer], ...options });
+
+/**
+ * List the roles held by a loaded account
+ * @param {Object} account - Account instance with AccountRoles included
+ * @returns {string[]} Role names
+ */
+const rolesOf = (account) => (account.AccountRoles || []).map((r) => r.role);
+
+/**
+ * Build the user object embedded in tokens
+ * @param {Object} account - Account instance with AccountRoles and Customer included
+ * @param {string} role - Role the session acts as
+ * @returns {Object} Token user payload
+ */
+function toTokenUser(account, role) {
+  return {
+    accountId: account.accountId,
+    custId: account.Customer?.custId ?? null,
+    name: account.name,
+    email: account.email,
+    role,
+    roles: rolesOf(account),
+  };
+}
+
+/**
+ * Check credentials and resolve the role the session will act as
+ * Without a requested role the account's most privileged role is used.
+ * With config.auth.requireVerifiedEmail, accounts must have confirmed their email.
+ * @param {string} email - Login email (already normalized)
+ * @param {string} password - Plain text password
+ * @param {string} [role] - Role the caller wants to log in as
+ * @returns {Promise<{account: Object, role: string}>} Authenticated account and role
+ * @throws {ApiError} 400 on bad credentials or a role the account does not hold;
+ *   403 if the email must be verified first
+ */
+async function authenticate(email, password, role) {
+  // Bypass default scope to get the password field
+  const account = await Account.scope(null).findOne({
+    where: { email },
+    include: [AccountRole, Customer],
+  });
+  if (!account) throw new ApiError(400, 'Invalid Credentials');
+
+  const ok = await bcrypt.compare(password, account.password);
+  if (!ok) throw new ApiError(400, 'Invalid Credentials');
+
+  const roles = rolesOf(account);
+  const resolved = role ? (roles.includes(role) ? role : null) : highestRole(roles);
+  if (!resolved) throw new ApiError(400, 'Invalid Credentials');
+
+  if (config.auth.requireVerifiedEmail && !account.emailVerifiedAt) {
+    throw new ApiError(403, 'Email address not verified');
+  }
+
+  return { account, role: resolved };
+}
+
+/**
+ * Create a new account holding a single role
+ * Customer accounts also get a customer profile.
+ * @param {Object} data - Account details
+ * @param {string} data.name - Display name
+ * @param {string} data.email - Email (already normalized)
+ * @param {string} data.password - Plain text password
+ * @param {string} data.role - 'customer', 'staff' or 'admin'
+ * @param {string} [data.address] - Customer address
+ * @param {string} [data.phone] - Customer phone
+ * @param {Object} [transaction] - Optional outer transaction
+ * @returns {Promise<Object>} Created account with roles and profile loaded
+ * @throws {ApiError} 409 if the email is already registered
+ */
+async function registerAccount({ name, email, password, role, address, phone }, transaction) {
+  const run = async (t) => {
+    const existing = await Account.findOne({ where: { email }, transaction: t });
+    if (existing) throw new ApiError(409, 'User already registered');
+
+    // Hash password before storing
+    const hashed = await bcrypt.hash(password, 10);
+    const account = await Account.create({ name, email, password: hashed }, { transaction: t });
+    await AccountRole.create({ accountId: account.accountId, role }, { transaction: t });
+
+    if (role === 'customer') {
+      await Customer.create(
+        {
+          accountId: account.accountId,
+          name,
+          email,
+          address: address ?? null,
+          phone: phone ?? null,
+          role: 'customer',
+        },
+        { transaction: t }
+      );
+    }
+
+    return loadAccount(account.accountId, { transaction: t });
+  };
+
+  return transaction ? run(transaction) : db.sequelize.transaction(run);
+}
+
+/**
+ * Resolve the account id behind a decoded token user
+ * Tokens issued before accounts existed carry custId/staffId/adminId instead.
+ * @param {Object} user - Token user payload
+ * @returns {Promise<number|null>} Account ID or null if it cannot be resolved
+ */
+async function resolveAccountId(user) {
+  if (user?.accountId) return Number(user.accountId);
+
+  if (user?.custId) {
+    const customer = await Customer.findByPk(user.custId);
+    if (customer?.accountId) return customer.accountId;
+  }
+
+  // Legacy staff/admin tokens: accounts were merged by email
+  if (user?.email) {
+    const account = await Account.findOne({ where: { email: user.email } });
+    if (account) return account.accountId;
+  }
+
+  return null;
+}
+
+module.exports = {
+  loadAccount,
+  rolesOf,
+  toTokenUser,
+  authenticate,
+  registerAccount,
+  resolveAccountId,
+};
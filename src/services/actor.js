@@ -0,0 +1,21 @@
+/**
+ * Actor Helper
+ * Resolves "who is making this request" from the decoded JWT on req.user.
+ * Used wherever a change needs to be attributed to a user.
+ */
+
+/**
+ * Extract the acting user's id and role from a decoded token payload
+ * Supports both req.user.role and req.user.user.role payload shapes.
+ * The id is the accountId; tokens issued before accounts existed fall back
+ * to their role-specific id (adminId, staffId or custId).
+ * @param {Object} user - Decoded JWT payload (req.user)
+ * @returns {{id: number|null, role: string|null}} Actor id and role
+ */
+function actorOf(user) {
+  const u = user?.user ?? user ?? {};
+  const id = u.accountId ?? u.adminId ?? u.staffId ?? u.custId ?? null;
+  return { id: id == null ? null : Number(id), role: u.role ?? null };
+}
+
+module.exports = { actorOf };
@@ -0,0 +1,137 @@
+/**
+ * Audit Service
+ * Records creates, updates, deletes and restores made through privileged
+ * routes: who made them (from req.user), the request id and IP they came
+ * from, and the record's fields before and after.
+ *
+ * Routes call recordAudit once the change has been saved. Records are
+ * snapshotted as their own columns only (associations, timestamps and
+ * secrets are left out); an update keeps only the fields that changed, and
+ * an update that changed nothing is not recorded. Writing the audit event
+ * never fails the request: errors are logged instead. The log is exported
+ * as JSON lines by exportAuditEvents.
+ */
+
+const { Op, Model } = require('sequelize');
+const db = require('../models');
+const logger = require('../logger');
+const { AUDIT_REDACTED_FIELDS } = require('../models/audit');
+const { actorOf } = require('./actor');
+
+const { AuditEvent } = db.sequelize.models;
+
+/** Columns every table has; they say nothing about the change */
+const SKIPPED_FIELDS = ['createdAt', 'updatedAt'];
+
+/** Value stored in place of a redacted field */
+const REDACTED = '[redacted]';
+
+/** Events read per query when exporting */
+const EXPORT_BATCH_SIZE = 500;
+
+// ---------- Helpers ----------
+
+/**
+ * Copy a record's own fields for the audit log
+ * Only the model's columns are kept, so included associations are left out.
+ * @param {Object|null} record - Model instance or plain object
+ * @returns {Object|null} Plain copy without timestamps
+ */
+function snapshot(record) {
+  if (!record) return null;
+  const fields = record instanceof Model
+    ? Object.keys(record.constructor.getAttributes())
+      .filter((key) => key in record.dataValues)
+      .map((key) => [key, record.get(key)])
+    : Object.entries(record);
+  return Object.fromEntries(fields.filter(([key]) => !SKIPPED_FIELDS.includes(key)));
+}
+
+/**
+ * Hide secrets (password hashes, tokens) while keeping the fact they changed
+ * @param {Object|null} fields - Snapshot
+ * @returns {Object|null} Snapshot with secret values replaced
+ */
+function redact(fields) {
+  if (!fields) return null;
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [key, AUDIT_REDACTED_FIELDS.includes(key) ? REDACTED : value])
+  );
+}
+
+/**
+ * Reduce before/after snapshots of an update to the fields that changed
+ * @param {Object} before - Snapshot before the update
+ * @param {Object} after - Snapshot after the update
+ * @returns {{before: Object, after: Object}} Changed fields only (both empty if nothing changed)
+ */
+function diff(before, after) {
+  const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  const pick = (fields) => Object.fromEntries(changed.filter((k) => k in fields).map((k) => [k, fields[k]]));
+  return { before: pick(before), after: pick(after) };
+}
+
+// ---------- Recording ----------
+
+/**
+ * Record a change made by a request
+ * @param {Object} req - Express request (req.user, req.id and req.ip are recorded)
+ * @param {string} action - 'create', 'update', 'delete' or 'restore' (see models/audit.js)
+ * @param {string} entity - Model name, e.g. 'Product'
+ * @param {number|string} entityId - Primary key of the changed record
+ * @param {Object} [changes]
+ * @param {Object} [changes.before] - Record before the change (instance or plain object)
+ * @param {Object} [changes.after] - Record after the change (instance or plain object)
+ * @returns {Promise<Object|null>} AuditEvent, or null if nothing was recorded
+ */
+async function recordAudit(req, action, entity, entityId, { before, after } = {}) {
+  try {
+    let fields = { before: snapshot(before), after: snapshot(after) };
+    if (action === 'update' && fields.before && fields.after) {
+      fields = diff(fields.before, fields.after);
+      if (!Object.keys(fields.after).length && !Object.keys(fields.before).length) return null;
+    }
+
+    const actor = actorOf(req.user);
+    return await AuditEvent.create({
+      actorId: actor.id,
+      actorRole: actor.role,
+      action,
+      entity,
+      entityId: entityId == null ? null : String(entityId),
+      changes: { before: redact(fields.before), after: redact(fields.after) },
+      requestId: req.id ?? null,
+      ip: req.ip ?? null,
+    });
+  } catch (err) {
+    logger.error(`Could not record audit event (${action} ${entity} ${entityId}): ${err.message}`);
+    return null;
+  }
+}
+
+// ---------- Export ----------
+
+/**
+ * Read matching audit events oldest first, in batches
+ * Pages by auditEventId, so events recorded during the export are picked
+ * up at the end rather than shifting the batches.
+ * @param {Object} where - Sequelize where clause (see routes/auditEvents.js)
+ * @param {number} [batchSize=500] - Events read per query
+ * @returns {AsyncGenerator<Object>} AuditEvent instances
+ */
+async function* exportAuditEvents(where, batchSize = EXPORT_BATCH_SIZE) {
+  let lastId = 0;
+  for (;;) {
+    const batch = await AuditEvent.findAll({
+      where: { [Op.and]: [where, { auditEventId: { [Op.gt]: lastId } }] },
+      order: [['auditEventId', 'ASC']],
+      limit: batchSize,
+    });
+    yield* batch;
+    if (batch.length < batchSize) return;
+    lastId = batch[batch.length - 1].auditEventId;
+  }
+}
+
+module.exports = { recordAudit, snapshot, exportAuditEvents };
@@ -0,0 +1,475 @@
+/**
+ * Cart Service
+ * Server-side shopping carts for customers and guests.
+ *
+ * A guest cart is created on the first item added without logging in and is
+ * identified by an opaque token returned to the client (only its SHA-256 hash
+ * is stored). Logging in as a customer with that token merges the guest cart
+ * into the customer's cart. Carts hold no prices: every view is priced from
+ * the current catalog, and checkout goes through the same stock and total
+ * rules as POST /orders (see services/checkout.js). Coupon codes applied to a
+ * cart are priced on every view and redeemed at checkout.
+ */
+
+const crypto = require('node:crypto');
+const { Op } = require('sequelize');
+
+const config = require('../config/config');
+const db = require('../models');
+const { ApiError } = require('../errors');
+const { createOrder } = require('./checkout');
+const { toCents } = require('./money');
+const { loadCoupons, priceCoupons, discountView, normalizeCode } = require('./coupons');
+const { MAX_COUPONS_PER_ORDER } = require('../models/coupons');
+
+const {
+  Cart, CartItem, CartCoupon, Coupon, Product, ProductVariant, Order, OrderItem, OrderDiscount, OrderAddress,
+} = db.sequelize.models;
+
+/** Largest quantity of one line (mirrors the order line limit) */
+const MAX_LINE_QUANTITY = 100;
+
+/** Most lines a cart may hold (mirrors the order line limit) */
+const MAX_LINES = 50;
+
+/**
+ * Hash a guest cart token for storage and lookup
+ * @param {string} raw - Token as given to the client
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashToken = (raw) => crypto.createHash('sha256').update(raw).digest('hex');
+
+/**
+ * Oldest last-change time of a guest cart that is still valid
+ * @returns {Date} Cutoff
+ */
+const guestCutoff = () => new Date(Date.now() - config.cart.guestTtlDays * 24 * 60 * 60 * 1000);
+
+// ---------- Finding carts ----------
+
+/**
+ * Get a customer's cart, creating it on first use
+ * @param {number} custId - Customer ID
+ * @returns {Promise<Object>} Cart
+ */
+async function customerCart(custId) {
+  const [cart] = await Cart.findOrCreate({ where: { custId } });
+  return cart;
+}
+
+/**
+ * Find an unexpired guest cart by its token
+ * @param {string} token - Guest cart token
+ * @returns {Promise<Object|null>} Cart, or null if unknown or expired
+ */
+async function findGuestCart(token) {
+  const cart = await Cart.findOne({ where: { tokenHash: hashToken(String(token)) } });
+  if (!cart) return null;
+  if (cart.updatedAt < guestCutoff()) {
+    await cart.destroy();
+    return null;
+  }
+  return cart;
+}
+
+/**
+ * Create an empty guest cart
+ * @returns {Promise<{cart: Object, token: string}>} Cart and the token identifying it (shown once)
+ */
+async function createGuestCart() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const cart = await Cart.create({ tokenHash: hashToken(token) });
+  return { cart, token };
+}
+
+/**
+ * Mark a cart as changed (keeps guest carts from expiring while in use)
+ * @param {Object} cart - Cart instance
+ * @param {Object} [transaction] - Active transaction
+ * @returns {Promise<void>}
+ */
+async function touch(cart, transaction) {
+  cart.changed('updatedAt', true);
+  await cart.save({ transaction });
+}
+
+// ---------- Viewing ----------
+
+/**
+ * Price a cart's lines from the current catalog and flag lines that cannot be bought as they are
+ * @param {Object} cart - Cart instance
+ * @returns {Promise<{lines: Object[], priced: Object[], itemCount: number, subtotalCents: number}>} Line views
+ *   (with unitPrice, lineTotal, available, warning), lines for coupon pricing, item count and subtotal
+ */
+async function priceLines(cart) {
+  const items = await CartItem.findAll({
+    where: { cartId: cart.cartId },
+    include: [
+      {
+        model: Product,
+        attributes: ['prodId', 'name', 'type', 'price', 'stock'],
+        include: [{ model: ProductVariant, attributes: ['variantId'] }],
+      },
+      { model: ProductVariant, attributes: ['variantId', 'sku', 'size', 'finish', 'framed', 'price', 'stock'] },
+    ],
+    order: [['cartItemId', 'ASC']],
+  });
+
+  let subtotalCents = 0;
+  let itemCount = 0;
+  const priced = [];
+  const lines = items.map((item) => {
+    const { Product: product, ProductVariant: variant } = item;
+    const source = variant ?? product;
+    const digital = !variant && product.type === 'digital';
+    const available = digital ? null : source.stock ?? 0;
+
+    // Warnings describe what checkout would reject
+    let warning = null;
+    if (!variant && product.ProductVariants.length) warning = 'Choose a variant of this product';
+    else if (!digital && available <= 0) warning = 'Out of stock';
+    else if (!digital && available < item.quantity) warning = `Only ${available} left in stock`;
+
+    const lineCents = toCents(source.price) * item.quantity;
+    subtotalCents += lineCents;
+    itemCount += item.quantity;
+    priced.push({ prodId: item.prodId, lineCents });
+    return {
+      cartItemId: item.cartItemId,
+      prodId: item.prodId,
+      variantId: item.variantId,
+      name: product.name,
+      variant: variant ? { sku: variant.sku, size: variant.size, finish: variant.finish, framed: variant.framed } : null,
+      quantity: item.quantity,
+      unitPrice: Number(source.price),
+      lineTotal: lineCents / 100,
+      available,
+      warning,
+    };
+  });
+
+  return { lines, priced, itemCount, subtotalCents };
+}
+
+/**
+ * Coupon codes applied to a cart
+ * @param {Object} cart - Cart instance
+ * @param {Object} [transaction] - Active transaction
+ * @returns {Promise<string[]>} Codes in the order they were applied
+ */
+async function cartCodes(cart, transaction) {
+  const applied = await CartCoupon.findAll({
+    where: { cartId: cart.cartId },
+    order: [['createdAt', 'ASC'], ['couponId', 'ASC']],
+    transaction,
+  });
+  if (!applied.length) return [];
+
+  const coupons = await Coupon.findAll({
+    where: { couponId: applied.map((a) => a.couponId) },
+    attributes: ['couponId', 'code'],
+    transaction,
+  });
+  const codeOf = new Map(coupons.map((c) => [c.couponId, c.code]));
+  return applied.map((a) => codeOf.get(a.couponId));
+}
+
+/**
+ * Price a cart from the current catalog, with its coupons, and flag what checkout would reject
+ * A coupon that no longer applies is reported in couponWarning and blocks checkout.
+ * @param {Object} cart - Cart instance
+ * @returns {Promise<Object>} Cart view: cartId, items (with unitPrice, lineTotal, available, warning),
+ *   itemCount, subtotal, coupons, discounts, discount, total, couponWarning and canCheckout
+ */
+async function viewCart(cart) {
+  const { lines, priced, itemCount, subtotalCents } = await priceLines(cart);
+  const coupons = await cartCodes(cart);
+
+  let discounts = [];
+  let discountCents = 0;
+  let couponWarning = null;
+  try {
+    ({ discounts, discountCents } = await priceCoupons(coupons, priced, { custId: cart.custId }));
+  } catch (err) {
+    if (!(err instanceof ApiError)) throw err;
+    couponWarning = err.message;
+  }
+
+  return {
+    cartId: cart.cartId,
+    items: lines,
+    itemCount,
+    subtotal: subtotalCents / 100,
+    coupons,
+    discounts: discountView(discounts),
+    discount: discountCents / 100,
+    total: (subtotalCents - discountCents) / 100,
+    couponWarning,
+    canCheckout: lines.length > 0 && lines.every((l) => !l.warning) && !couponWarning,
+  };
+}
+
+/**
+ * View of a cart that does not exist yet (guest without a token)
+ * @returns {Object} Empty cart view
+ */
+const emptyCartView = () => ({
+  cartId: null,
+  items: [],
+  itemCount: 0,
+  subtotal: 0,
+  coupons: [],
+  discounts: [],
+  discount: 0,
+  total: 0,
+  couponWarning: null,
+  canCheckout: false,
+});
+
+// ---------- Changing ----------
+
+/**
+ * Resolve what a cart line refers to
+ * @param {{prodId?: number, variantId?: number}} target - Product or variant
+ * @returns {Promise<{prodId: number, variantId: number|null}>} Line identity
+ * @throws {ApiError} 404 for unknown products/variants, 400 when a product with variants is added by prodId
+ */
+async function resolveTarget({ prodId, variantId }) {
+  if (variantId) {
+    const variant = await ProductVariant.findByPk(variantId, {
+      attributes: ['variantId', 'prodId'],
+      include: [{ model: Product, attributes: [], required: true }], // Not deleted products
+    });
+    if (!variant) throw new ApiError(404, `Variant ${variantId} not found`);
+    return { prodId: variant.prodId, variantId };
+  }
+
+  const product = await Product.findByPk(prodId, {
+    attributes: ['prodId', 'name'],
+    include: [{ model: ProductVariant, attributes: ['variantId'] }],
+  });
+  if (!product) throw new ApiError(404, `Product ${prodId} not found`);
+  if (product.ProductVariants.length) {
+    throw new ApiError(400, `${product.name} is sold in variants; add a variantId`, {
+      prodId,
+      variantIds: product.ProductVariants.map((v) => v.variantId),
+    });
+  }
+  return { prodId, variantId: null };
+}
+
+/**
+ * Add a product or variant to a cart (increases the quantity if already present)
+ * @param {Object} cart - Cart instance
+ * @param {{prodId?: number, variantId?: number, quantity: number}} item - Line to add
+ * @returns {Promise<Object>} Updated cart view
+ * @throws {ApiError} 404/400 for unknown or ambiguous products, 400 when limits are exceeded
+ */
+async function addItem(cart, { prodId, variantId, quantity }) {
+  const target = await resolveTarget({ prodId, variantId });
+
+  await db.sequelize.transaction(async (transaction) => {
+    const existing = await CartItem.findOne({ where: { cartId: cart.cartId, ...target }, transaction });
+    if (existing) {
+      const total = existing.quantity + quantity;
+      if (total > MAX_LINE_QUANTITY) {
+        throw new ApiError(400, `At most ${MAX_LINE_QUANTITY} of one item per cart`, { quantity: existing.quantity });
+      }
+      await existing.update({ quantity: total }, { transaction });
+    } else {
+      if ((await CartItem.count({ where: { cartId: cart.cartId }, transaction })) >= MAX_LINES) {
+        throw new ApiError(400, `A cart can hold at most ${MAX_LINES} different items`);
+      }
+      await CartItem.create({ cartId: cart.cartId, ...target, quantity }, { transaction });
+    }
+    await touch(cart, transaction);
+  });
+
+  return viewCart(cart);
+}
+
+/**
+ * Change the quantity of a cart line
+ * @param {Object} cart - Cart instance
+ * @param {number} cartItemId - Line ID
+ * @param {number} quantity - New quantity
+ * @returns {Promise<Object>} Updated cart view
+ * @throws {ApiError} 404 if the line is not in this cart
+ */
+async function updateItem(cart, cartItemId, quantity) {
+  const [updated] = await CartItem.update({ quantity }, { where: { cartItemId, cartId: cart.cartId } });
+  if (!updated) throw new ApiError(404, 'Cart item not found');
+  await touch(cart);
+  return viewCart(cart);
+}
+
+/**
+ * Remove a line from a cart
+ * @param {Object} cart - Cart instance
+ * @param {number} cartItemId - Line ID
+ * @returns {Promise<Object>} Updated cart view
+ * @throws {ApiError} 404 if the line is not in this cart
+ */
+async function removeItem(cart, cartItemId) {
+  const removed = await CartItem.destroy({ where: { cartItemId, cartId: cart.cartId } });
+  if (!removed) throw new ApiError(404, 'Cart item not found');
+  await touch(cart);
+  return viewCart(cart);
+}
+
+/**
+ * Remove every line and coupon from a cart
+ * @param {Object} cart - Cart instance
+ * @returns {Promise<Object>} Empty cart view
+ */
+async function clearCart(cart) {
+  await db.sequelize.transaction(async (transaction) => {
+    await CartItem.destroy({ where: { cartId: cart.cartId }, transaction });
+    await CartCoupon.destroy({ where: { cartId: cart.cartId }, transaction });
+    await touch(cart, transaction);
+  });
+  return viewCart(cart);
+}
+
+// ---------- Coupons ----------
+
+/**
+ * Apply a coupon code to a cart
+ * The code must be usable, together with the cart's other coupons, on the cart as it is now.
+ * Applying a code that is already on the cart changes nothing.
+ * @param {Object} cart - Cart instance
+ * @param {string} code - Coupon code
+ * @returns {Promise<Object>} Updated cart view
+ * @throws {ApiError} 404 for unknown codes, 400 if the coupon cannot be used on this cart
+ *   or too many are applied, 409 if a usage limit has been reached
+ */
+async function addCoupon(cart, code) {
+  const [coupon] = await loadCoupons([code]);
+  const codes = await cartCodes(cart);
+  if (codes.includes(coupon.code)) return viewCart(cart);
+  if (codes.length >= MAX_COUPONS_PER_ORDER) {
+    throw new ApiError(400, `At most ${MAX_COUPONS_PER_ORDER} coupons per order`);
+  }
+
+  // Reject the code now rather than showing it as a warning
+  const { priced } = await priceLines(cart);
+  await priceCoupons([...codes, coupon.code], priced, { custId: cart.custId });
+
+  await CartCoupon.create({ cartId: cart.cartId, couponId: coupon.couponId });
+  await touch(cart);
+  return viewCart(cart);
+}
+
+/**
+ * Remove a coupon code from a cart
+ * @param {Object} cart - Cart instance
+ * @param {string} code - Coupon code
+ * @returns {Promise<Object>} Updated cart view
+ * @throws {ApiError} 404 if the code is not applied to this cart
+ */
+async function removeCoupon(cart, code) {
+  const coupon = await Coupon.findOne({ where: { code: normalizeCode(code) }, attributes: ['couponId'] });
+  const removed = coupon ? await CartCoupon.destroy({ where: { cartId: cart.cartId, couponId: coupon.couponId } }) : 0;
+  if (!removed) throw new ApiError(404, 'Coupon is not applied to this cart');
+  await touch(cart);
+  return viewCart(cart);
+}
+
+// ---------- Merging ----------
+
+/**
+ * Move a guest cart's lines into a customer's cart, then delete the guest cart
+ * Quantities of lines present in both are added (up to the per-line limit),
+ * and the guest's coupons are added to the customer's. Unknown or expired
+ * tokens are ignored.
+ * @param {string} token - Guest cart token
+ * @param {number} custId - Customer ID
+ * @returns {Promise<boolean>} True if a guest cart was merged
+ */
+async function mergeGuestCart(token, custId) {
+  const guest = await findGuestCart(token);
+  if (!guest) return false;
+  const cart = await customerCart(custId);
+
+  await db.sequelize.transaction(async (transaction) => {
+    const guestItems = await CartItem.findAll({ where: { cartId: guest.cartId }, transaction });
+    for (const item of guestItems) {
+      const existing = await CartItem.findOne({
+        where: { cartId: cart.cartId, prodId: item.prodId, variantId: item.variantId },
+        transaction,
+      });
+      if (existing) {
+        const quantity = Math.min(existing.quantity + item.quantity, MAX_LINE_QUANTITY);
+        await existing.update({ quantity }, { transaction });
+      } else {
+        await item.update({ cartId: cart.cartId }, { transaction });
+      }
+    }
+    const guestCoupons = await CartCoupon.findAll({ where: { cartId: guest.cartId }, transaction });
+    for (const { couponId } of guestCoupons) {
+      await CartCoupon.findOrCreate({ where: { cartId: cart.cartId, couponId }, transaction });
+    }
+    await guest.destroy({ transaction }); // Remaining guest lines cascade
+    await touch(cart, transaction);
+  });
+  return true;
+}
+
+// ---------- Checkout ----------
+
+/**
+ * Turn a customer's cart into an order and empty the cart
+ * Uses the same stock and total rules as POST /orders, in one transaction.
+ * @param {number} custId - Customer ID
+ * @param {{id: number|null, role: string|null}} [actor] - User placing the order (for status history)
+ * @param {Object} [options]
+ * @param {number} [options.shippingMethodId] - Shipping method for physical items
+ * @param {Object} [options.address] - Shipping address for physical items
+ * @returns {Promise<Object>} Created order including its line items, discounts and address
+ * @throws {ApiError} 400 for an empty cart, plus any checkout error (404/400/409)
+ */
+async function checkoutCart(custId, actor, { shippingMethodId, address } = {}) {
+  const cart = await customerCart(custId);
+
+  const orderId = await db.sequelize.transaction(async (transaction) => {
+    const items = await CartItem.findAll({
+      where: { cartId: cart.cartId },
+      order: [['cartItemId', 'ASC']],
+      transaction,
+    });
+    if (!items.length) throw new ApiError(400, 'Cart is empty');
+
+    const lines = items.map((i) => (i.variantId
+      ? { variantId: i.variantId, quantity: i.quantity }
+      : { prodId: i.prodId, quantity: i.quantity }));
+    const couponCodes = await cartCodes(cart, transaction);
+    const id = await createOrder(custId, lines, actor, transaction, { couponCodes, shippingMethodId, address });
+
+    // Remove only the lines that were ordered; the coupons have been used
+    await CartItem.destroy({
+      where: { cartId: cart.cartId, cartItemId: { [Op.in]: items.map((i) => i.cartItemId) } },
+      transaction,
+    });
+    await CartCoupon.destroy({ where: { cartId: cart.cartId }, transaction });
+    await touch(cart, transaction);
+    return id;
+  });
+
+  return Order.findByPk(orderId, { include: [OrderItem, OrderDiscount, OrderAddress] });
+}
+
+module.exports = {
+  customerCart,
+  findGuestCart,
+  createGuestCart,
+  viewCart,
+  emptyCartView,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  addCoupon,
+  removeCoupon,
+  mergeGuestCart,
+  checkoutCart,
+};
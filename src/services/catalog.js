@@ -0,0 +1,50 @@
+/**
+ * Catalog Service
+ * Helpers for product categories shared by the product and category routes.
+ */
+
+const db = require('../models');
+const { ApiError } = require('../errors');
+
+const { Category, ProductCategory } = db.sequelize.models;
+
+/**
+ * Derive a URL-friendly slug from a name
+ * @param {string} name - Display name (e.g. 'Black & White Prints')
+ * @returns {string} Slug (e.g. 'black-white-prints')
+ */
+const slugify = (name) =>
+  String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+
+/**
+ * Replace the categories a product belongs to
+ * @param {number} prodId - Product ID
+ * @param {number[]} categoryIds - Complete new list of category IDs
+ * @param {Object} [transaction] - Active Sequelize transaction
+ * @returns {Promise<void>}
+ * @throws {ApiError} 400 if any category does not exist
+ */
+async function setProductCategories(prodId, categoryIds, transaction) {
+  const found = await Category.findAll({
+    where: { categoryId: categoryIds },
+    attributes: ['categoryId'],
+    transaction,
+  });
+  const known = new Set(found.map((c) => c.categoryId));
+  const unknown = categoryIds.filter((id) => !known.has(id));
+  if (unknown.length) throw new ApiError(400, 'Unknown category', { unknown });
+
+  await ProductCategory.destroy({ where: { prodId }, transaction });
+  await ProductCategory.bulkCreate(
+    categoryIds.map((categoryId) => ({ prodId, categoryId })),
+    { transaction }
+  );
+}
+
+module.exports = { slugify, setProductCategories };
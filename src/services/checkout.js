@@ -0,0 +1,270 @@
+/**
+ * Checkout Service
+ * Turns a list of requested variants/products into an order.
+ * Stock is checked and reserved for the order (see services/inventory.js),
+ * and the order total is computed from current prices, all inside a single
+ * database transaction. Unpaid orders release their reservation when it expires.
+ *
+ * Products with variants are sold per variant (each line names a variantId);
+ * products without variants are sold by prodId from the product's own stock.
+ * Digital products are not stocked; they are delivered as downloads once paid.
+ * Coupon codes are checked and redeemed in the same transaction. Physical
+ * items are shipped to the order's address by the chosen shipping method, and
+ * tax is worked out for that destination (see services/pricing.js). The order
+ * stores the breakdown: subtotal, discount, shipping, tax and total.
+ */
+
+const db = require('../models');
+const { ApiError } = require('../errors');
+const { reserveLine, reservationExpiry } = require('./inventory');
+const { priceCoupons, redeemCoupons, discountView } = require('./coupons');
+const { priceOrder, shippingOptions } = require('./pricing');
+const { toCents } = require('./money');
+
+const {
+  Order, OrderItem, OrderDiscount, OrderAddress, OrderStatusHistory, Product, ProductVariant,
+} = db.sequelize.models;
+
+/** Associations returned with a placed order */
+const ORDER_DETAIL = [OrderItem, OrderDiscount, OrderAddress];
+
+/**
+ * Describe a variant for error messages, e.g. 'Harbour at Dusk (A3, matte, framed)'
+ * @param {Object} variant - Variant instance with Product loaded
+ * @returns {string} Human-readable name
+ */
+const variantLabel = (variant) => {
+  const options = [variant.size, variant.finish, variant.framed ? 'framed' : null].filter(Boolean);
+  return options.length ? `${variant.Product.name} (${options.join(', ')})` : variant.Product.name;
+};
+
+/**
+ * Load and lock everything the requested lines refer to
+ * @param {Array<{prodId?: number, variantId?: number, quantity: number}>} items - Requested lines
+ * @param {Object} [transaction] - Active Sequelize transaction (rows are locked only within one)
+ * @returns {Promise<Array<Object>>} Resolved lines: prodId, variantId, quantity, unitPrice, lineCents, name, stock,
+ *   stockModel, shipped, weight (grams per unit), key (stockModel is null and shipped false for digital products)
+ * @throws {ApiError} 404 for unknown products/variants, 400 when a product with variants is ordered by prodId
+ */
+async function resolveLines(items, transaction) {
+  const variantIds = items.filter((i) => i.variantId).map((i) => i.variantId);
+  const prodIds = items.filter((i) => i.prodId).map((i) => i.prodId);
+
+  const variants = variantIds.length
+    ? await ProductVariant.findAll({
+      where: { variantId: variantIds },
+      include: [{ model: Product, attributes: ['prodId', 'name', 'weight'], required: true }], // Not deleted products
+      transaction,
+      lock: transaction?.LOCK.UPDATE,
+    })
+    : [];
+  const products = prodIds.length
+    ? await Product.findAll({
+      where: { prodId: prodIds },
+      include: [{ model: ProductVariant, attributes: ['variantId'] }],
+      transaction,
+      lock: transaction?.LOCK.UPDATE,
+    })
+    : [];
+  const variantById = new Map(variants.map((v) => [v.variantId, v]));
+  const productById = new Map(products.map((p) => [p.prodId, p]));
+
+  return items.map(({ prodId, variantId, quantity }) => {
+    if (variantId) {
+      const variant = variantById.get(variantId);
+      if (!variant) throw new ApiError(404, `Variant ${variantId} not found`);
+      return {
+        prodId: variant.prodId,
+        variantId,
+        quantity,
+        unitPrice: variant.price,
+        lineCents: toCents(variant.price) * quantity,
+        name: variantLabel(variant),
+        stock: variant.stock,
+        stockModel: ProductVariant,
+        shipped: true, // Only physical products have variants
+        weight: variant.weight ?? variant.Product.weight ?? 0,
+        key: { variantId },
+      };
+    }
+
+    const product = productById.get(prodId);
+    if (!product) throw new ApiError(404, `Product ${prodId} not found`);
+    if (product.ProductVariants.length) {
+      throw new ApiError(400, `${product.name} is sold in variants; order a variantId`, {
+        prodId,
+        variantIds: product.ProductVariants.map((v) => v.variantId),
+      });
+    }
+    return {
+      prodId,
+      variantId: null,
+      quantity,
+      unitPrice: product.price,
+      lineCents: toCents(product.price) * quantity,
+      name: product.name,
+      stock: product.stock,
+      stockModel: product.type === 'digital' ? null : Product,
+      shipped: product.type !== 'digital',
+      weight: product.weight ?? 0,
+      key: { prodId },
+    };
+  });
+}
+
+/**
+ * Create an order inside an existing transaction
+ * Used by placeOrder and by cart checkout, which empties the cart in the same transaction.
+ * @param {number} custId - ID of the customer placing the order
+ * @param {Array<{prodId?: number, variantId?: number, quantity: number}>} items - Requested lines
+ * @param {{id: number|null, role: string|null}} [actor] - User placing the order (for status history)
+ * @param {Object} transaction - Active Sequelize transaction
+ * @param {Object} [options]
+ * @param {string[]} [options.couponCodes] - Coupon codes to redeem on the order
+ * @param {number} [options.shippingMethodId] - Shipping method (required when physical items are ordered)
+ * @param {Object} [options.address] - Shipping address (required when physical items are ordered)
+ * @returns {Promise<number>} ID of the created order
+ * @throws {ApiError} 404 if a product/variant, coupon or shipping method does not exist, 400 if a variant
+ *   must be chosen, a coupon cannot be used or shipping details are missing, 409 if stock is insufficient
+ *   or a coupon's usage limit is reached
+ */
+async function createOrder(custId, items, actor, transaction, { couponCodes = [], shippingMethodId, address } = {}) {
+  // Load every requested variant/product, locking their stock rows
+  const lines = await resolveLines(items, transaction);
+
+  // Validate availability before pricing
+  for (const line of lines) {
+    if (line.stockModel && (line.stock ?? 0) < line.quantity) {
+      throw new ApiError(409, `Insufficient stock for ${line.name}`, {
+        ...line.key,
+        requested: line.quantity,
+        available: line.stock ?? 0,
+      });
+    }
+  }
+
+  // Compute the total from server-side prices, coupons, shipping and tax
+  const { discounts, discountCents } = await priceCoupons(couponCodes, lines, { custId, transaction });
+  const price = await priceOrder({ lines, discountCents, shippingMethodId, address }, transaction);
+
+  // Stocked lines are held until the reservation expires or the order is paid
+  const stocked = lines.filter((line) => line.stockModel);
+  const order = await Order.create(
+    {
+      custId,
+      status: 'pending',
+      subtotal: price.subtotalCents / 100,
+      discount: price.discountCents / 100,
+      shipping: price.shippingCents / 100,
+      tax: price.taxCents / 100,
+      taxRate: price.taxRule ? price.taxRule.rate : null,
+      taxInclusive: price.taxRule ? price.taxRule.inclusive : null,
+      total: price.totalCents / 100,
+      shippingMethodId: price.shippingMethod?.shippingMethodId ?? null,
+      reservedUntil: stocked.length ? reservationExpiry() : null,
+    },
+    { transaction }
+  );
+  if (address) await OrderAddress.create({ ...address, orderId: order.orderId }, { transaction });
+
+  for (const line of lines) {
+    if (line.stockModel) await reserveLine(line, order.orderId, actor, transaction);
+
+    await OrderItem.create(
+      {
+        orderId: order.orderId,
+        prodId: line.prodId,
+        variantId: line.variantId,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+      },
+      { transaction }
+    );
+  }
+  if (discounts.length) await redeemCoupons(discounts, order.orderId, transaction);
+
+  // First lifecycle entry: the customer created the order
+  await OrderStatusHistory.create(
+    {
+      orderId: order.orderId,
+      fromStatus: null,
+      toStatus: 'pending',
+      changedBy: actor?.id ?? null,
+      changedByRole: actor?.role ?? 'customer',
+    },
+    { transaction }
+  );
+
+  return order.orderId;
+}
+
+/**
+ * Place an order for a customer
+ * @param {number} custId - ID of the customer placing the order
+ * @param {Array<{prodId?: number, variantId?: number, quantity: number}>} items - Requested lines
+ * @param {{id: number|null, role: string|null}} [actor] - User placing the order (for status history)
+ * @param {Object} [options] - couponCodes, shippingMethodId, address (see createOrder)
+ * @returns {Promise<Object>} Created order including its line items, discounts and address
+ * @throws {ApiError} See createOrder
+ */
+async function placeOrder(custId, items, actor, options = {}) {
+  const orderId = await db.sequelize.transaction((transaction) =>
+    createOrder(custId, items, actor, transaction, options));
+
+  return Order.findByPk(orderId, { include: ORDER_DETAIL });
+}
+
+/**
+ * Price a prospective order without placing it
+ * Uses the same prices, coupon, shipping and tax rules as checkout; stock is not reserved or checked.
+ * Shipping is priced once a method and address are given; until then the
+ * shipping options for the address (or every active method) are listed.
+ * @param {Array<{prodId?: number, variantId?: number, quantity: number}>} items - Requested lines
+ * @param {Object} [options]
+ * @param {string[]} [options.couponCodes] - Coupon codes to apply
+ * @param {number} [options.shippingMethodId] - Shipping method to price
+ * @param {Object} [options.address] - Shipping address (decides shipping options and tax)
+ * @param {number|null} [options.custId] - Customer the quote is for (enables per-customer coupon limits)
+ * @returns {Promise<Object>} Quote: items (name, unitPrice, lineTotal), subtotal, discounts, discount,
+ *   shipping, tax, taxRate, taxInclusive, total and shippingOptions (null when nothing is shipped)
+ * @throws {ApiError} 404 if a product/variant, coupon or shipping method does not exist, 400 if a variant
+ *   must be chosen or a coupon cannot be used, 409 if a coupon's usage limit is reached
+ */
+async function quoteOrder(items, { couponCodes = [], shippingMethodId, address, custId = null } = {}) {
+  const lines = await resolveLines(items);
+  const { discounts, discountCents } = await priceCoupons(couponCodes, lines, { custId });
+
+  // Without a method and address, quote the items only and list the ways to ship them
+  const shipped = lines.some((l) => l.shipped);
+  const priceShipping = !shipped || (shippingMethodId && address);
+  const price = await priceOrder({
+    lines: priceShipping ? lines : lines.map((l) => ({ ...l, shipped: false })),
+    discountCents,
+    shippingMethodId,
+    address,
+  });
+  const goodsCents = price.subtotalCents - discountCents;
+
+  return {
+    items: lines.map((line) => ({
+      prodId: line.prodId,
+      variantId: line.variantId,
+      name: line.name,
+      quantity: line.quantity,
+      unitPrice: Number(line.unitPrice),
+      lineTotal: line.lineCents / 100,
+    })),
+    subtotal: price.subtotalCents / 100,
+    discounts: discountView(discounts),
+    discount: discountCents / 100,
+    shipping: priceShipping ? price.shippingCents / 100 : null,
+    shippingMethodId: price.shippingMethod?.shippingMethodId ?? null,
+    tax: price.taxCents / 100,
+    taxRate: price.taxRule ? Number(price.taxRule.rate) : null,
+    taxInclusive: price.taxRule ? price.taxRule.inclusive : null,
+    total: price.totalCents / 100,
+    shippingOptions: shipped ? await shippingOptions(lines, goodsCents, address?.country) : null,
+  };
+}
+
+module.exports = { placeOrder, createOrder, quoteOrder };
@@ -0,0 +1,384 @@
+/**
+ * Coupon Service
+ * Checks coupon codes against an order's lines and works out the discounts.
+ *
+ * A coupon applies to the eligible lines of an order: all of them, or only
+ * those whose product is in the coupon's products or categories. Percentage
+ * coupons are applied first, then fixed amounts, each to what the coupons
+ * before it left of the eligible lines (see models/coupons.js). All amounts
+ * are in integer cents.
+ *
+ * Usage is counted when an order is placed (timesUsed, and per customer by
+ * the order discounts recorded) and given back when the order is cancelled.
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const { ApiError } = require('../errors');
+const { toCents } = require('./money');
+
+const {
+  Coupon, CouponProduct, CouponCategory, Product, Category, ProductCategory, Order, OrderDiscount,
+} = db.sequelize.models;
+
+/**
+ * Normalize a coupon code as entered by a customer
+ * @param {string} code - Code (any case, surrounding spaces)
+ * @returns {string} Upper-case code
+ */
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// ---------- Loading ----------
+
+/**
+ * Load coupons by code, with the products and categories they are restricted to
+ * @param {string[]} codes - Coupon codes in the order given
+ * @param {Object} [transaction] - Active Sequelize transaction
+ * @returns {Promise<Object[]>} Coupons in the order given
+ * @throws {ApiError} 404 for unknown codes
+ */
+async function loadCoupons(codes, transaction) {
+  const wanted = [...new Set(codes.map(normalizeCode))];
+  const coupons = await Coupon.findAll({
+    where: { code: wanted },
+    include: [
+      { model: Product, attributes: ['prodId'], through: { attributes: [] } },
+      { model: Category, attributes: ['categoryId'], through: { attributes: [] } },
+    ],
+    transaction,
+  });
+  const byCode = new Map(coupons.map((c) => [c.code, c]));
+
+  return wanted.map((code) => {
+    const coupon = byCode.get(code);
+    if (!coupon) throw new ApiError(404, `Coupon code '${code}' not found`, { code });
+    return coupon;
+  });
+}
+
+/**
+ * Number of orders a customer has placed with a coupon (cancelled orders excluded)
+ * @param {number} couponId - Coupon ID
+ * @param {number} custId - Customer ID
+ * @param {Object} [transaction] - Active Sequelize transaction
+ * @returns {Promise<number>} Orders
+ */
+const customerUses = (couponId, custId, transaction) =>
+  OrderDiscount.count({
+    where: { couponId },
+    include: [{ model: Order, attributes: [], where: { custId, status: { [Op.ne]: 'cancelled' } } }],
+    transaction,
+  });
+
+// ---------- Rules ----------
+
+/**
+ * Check that a coupon can be used now, by this customer, on an order of this size
+ * @param {Object} coupon - Coupon instance
+ * @param {Object} context
+ * @param {number} context.subtotalCents - Order subtotal before discounts
+ * @param {number|null} context.custId - Customer placing the order (null: per-customer limit not checked)
+ * @param {Date} context.now - Current time
+ * @param {Object} [context.transaction] - Active Sequelize transaction
+ * @returns {Promise<void>}
+ * @throws {ApiError} 400 if the coupon is inactive, outside its validity window or the order is too small,
+ *   409 if a usage limit has been reached
+ */
+async function checkCoupon(coupon, { subtotalCents, custId, now, transaction }) {
+  const { code } = coupon;
+  if (!coupon.active) throw new ApiError(400, `Coupon ${code} is not active`, { code });
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new ApiError(400, `Coupon ${code} is not valid yet`, { code, startsAt: coupon.startsAt });
+  }
+  if (coupon.endsAt && coupon.endsAt < now) {
+    throw new ApiError(400, `Coupon ${code} has expired`, { code, endsAt: coupon.endsAt });
+  }
+  if (coupon.minOrderValue != null && subtotalCents < toCents(coupon.minOrderValue)) {
+    throw new ApiError(400, `Coupon ${code} needs an order of at least ${Number(coupon.minOrderValue).toFixed(2)}`, {
+      code,
+      minOrderValue: Number(coupon.minOrderValue),
+    });
+  }
+  if (coupon.maxUses != null && coupon.timesUsed >= coupon.maxUses) {
+    throw new ApiError(409, `Coupon ${code} has reached its usage limit`, { code });
+  }
+  if (custId && coupon.maxUsesPerCustomer != null
+    && (await customerUses(coupon.couponId, custId, transaction)) >= coupon.maxUsesPerCustomer) {
+    throw new ApiError(409, `Coupon ${code} has already been used the maximum number of times`, { code });
+  }
+}
+
+/**
+ * Stacking rule: a coupon that is not stackable must be the only one
+ * @param {Object[]} coupons - Coupons to combine
+ * @returns {void}
+ * @throws {ApiError} 400 if a non-stackable coupon is combined with another
+ */
+function checkStacking(coupons) {
+  if (coupons.length < 2) return;
+  const single = coupons.find((c) => !c.stackable);
+  if (single) {
+    throw new ApiError(400, `Coupon ${single.code} cannot be combined with other coupons`, { code: single.code });
+  }
+}
+
+/**
+ * Take an amount off the remaining value of the eligible lines, in line order
+ * @param {number} amountCents - Amount to take off
+ * @param {number[]} eligible - Indexes of the eligible lines
+ * @param {number[]} remaining - Remaining cents per line (updated in place)
+ * @returns {number} Amount actually taken off (no more than what remained)
+ */
+function allocate(amountCents, eligible, remaining) {
+  let left = amountCents;
+  for (const i of eligible) {
+    const taken = Math.min(remaining[i], left);
+    remaining[i] -= taken;
+    left -= taken;
+  }
+  return amountCents - left;
+}
+
+// ---------- Pricing ----------
+
+/**
+ * Work out the discounts a set of coupon codes gives on an order
+ * @param {string[]} codes - Coupon codes (duplicates are ignored)
+ * @param {Array<{prodId: number, lineCents: number}>} lines - Order lines with their price before discounts
+ * @param {Object} [options]
+ * @param {number|null} [options.custId] - Customer placing the order (for per-customer limits)
+ * @param {Object} [options.transaction] - Active Sequelize transaction
+ * @returns {Promise<{discounts: Array<Object>, discountCents: number}>} Discount lines
+ *   (couponId, code, description, amountCents) in the order applied, and their sum
+ * @throws {ApiError} 404 for unknown codes, 400 if a coupon cannot be used on this order,
+ *   409 if a usage limit has been reached
+ */
+async function priceCoupons(codes, lines, { custId = null, transaction } = {}) {
+  if (!codes?.length) return { discounts: [], discountCents: 0 };
+
+  const coupons = await loadCoupons(codes, transaction);
+  checkStacking(coupons);
+
+  const subtotalCents = lines.reduce((sum, line) => sum + line.lineCents, 0);
+  const now = new Date();
+  for (const coupon of coupons) await checkCoupon(coupon, { subtotalCents, custId, now, transaction });
+
+  // Categories of the ordered products, needed only for category-restricted coupons
+  const categoriesOf = new Map();
+  if (coupons.some((c) => c.Categories.length)) {
+    const links = await ProductCategory.findAll({
+      where: { prodId: [...new Set(lines.map((l) => l.prodId))] },
+      attributes: ['prodId', 'categoryId'],
+      transaction,
+    });
+    for (const { prodId, categoryId } of links) {
+      if (!categoriesOf.has(prodId)) categoriesOf.set(prodId, new Set());
+      categoriesOf.get(prodId).add(categoryId);
+    }
+  }
+
+  const remaining = lines.map((l) => l.lineCents);
+  const ordered = [...coupons.filter((c) => c.type === 'percentage'), ...coupons.filter((c) => c.type === 'fixed')];
+
+  const discounts = ordered.map((coupon) => {
+    const prodIds = new Set(coupon.Products.map((p) => p.prodId));
+    const categoryIds = coupon.Categories.map((c) => c.categoryId);
+    const restricted = prodIds.size > 0 || categoryIds.length > 0;
+
+    const eligible = lines
+      .map((line, i) => ({ line, i }))
+      .filter(({ line }) => !restricted
+        || prodIds.has(line.prodId)
+        || categoryIds.some((id) => categoriesOf.get(line.prodId)?.has(id)))
+      .map(({ i }) => i);
+    if (!eligible.length) {
+      throw new ApiError(400, `Coupon ${coupon.code} does not apply to any item in this order`, { code: coupon.code });
+    }
+
+    const base = eligible.reduce((sum, i) => sum + remaining[i], 0);
+    const wanted = coupon.type === 'percentage'
+      ? Math.round((base * Number(coupon.value)) / 100)
+      : toCents(coupon.value);
+
+    return {
+      couponId: coupon.couponId,
+      code: coupon.code,
+      description: coupon.description,
+      amountCents: allocate(wanted, eligible, remaining),
+    };
+  });
+
+  return { discounts, discountCents: discounts.reduce((sum, d) => sum + d.amountCents, 0) };
+}
+
+/**
+ * Count the coupons as used by an order and record its discount lines
+ * Call inside the checkout transaction, after priceCoupons.
+ * @param {Array<Object>} discounts - Discount lines from priceCoupons
+ * @param {number} orderId - Order the discounts belong to
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<void>}
+ * @throws {ApiError} 409 if a global usage limit was reached by a concurrent order
+ */
+async function redeemCoupons(discounts, orderId, transaction) {
+  for (const discount of discounts) {
+    // Conditional increment: two orders cannot both take the last use
+    const [updated] = await Coupon.update(
+      { timesUsed: db.sequelize.literal('timesUsed + 1') },
+      {
+        where: {
+          couponId: discount.couponId,
+          [Op.or]: [{ maxUses: null }, { timesUsed: { [Op.lt]: db.sequelize.col('maxUses') } }],
+        },
+        transaction,
+      }
+    );
+    if (!updated) throw new ApiError(409, `Coupon ${discount.code} has reached its usage limit`, { code: discount.code });
+  }
+
+  await OrderDiscount.bulkCreate(
+    discounts.map((d) => ({
+      orderId,
+      couponId: d.couponId,
+      code: d.code,
+      description: d.description,
+      amount: d.amountCents / 100,
+    })),
+    { transaction }
+  );
+}
+
+/**
+ * Give back the coupon uses of a cancelled order
+ * The order keeps its discount lines; they no longer count toward limits.
+ * @param {number} orderId - Cancelled order
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<void>}
+ */
+async function releaseCoupons(orderId, transaction) {
+  const used = await OrderDiscount.findAll({
+    where: { orderId, couponId: { [Op.ne]: null } },
+    attributes: ['couponId'],
+    transaction,
+  });
+  if (!used.length) return;
+
+  await Coupon.update(
+    { timesUsed: db.sequelize.literal('timesUsed - 1') },
+    { where: { couponId: used.map((d) => d.couponId), timesUsed: { [Op.gt]: 0 } }, transaction }
+  );
+}
+
+// ---------- Managing ----------
+
+/**
+ * Replace the products and/or categories a coupon is restricted to
+ * @param {number} couponId - Coupon ID
+ * @param {Object} targets
+ * @param {number[]} [targets.productIds] - Complete new product list (omit to keep)
+ * @param {number[]} [targets.categoryIds] - Complete new category list (omit to keep)
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<void>}
+ * @throws {ApiError} 400 if any product or category does not exist
+ */
+async function setCouponTargets(couponId, { productIds, categoryIds }, transaction) {
+  const lists = [
+    { ids: productIds, model: Product, key: 'prodId', join: CouponProduct, label: 'product' },
+    { ids: categoryIds, model: Category, key: 'categoryId', join: CouponCategory, label: 'category' },
+  ];
+  for (const { ids, model, key, join, label } of lists) {
+    if (!ids) continue;
+
+    const found = await model.findAll({ where: { [key]: ids }, attributes: [key], transaction });
+    const known = new Set(found.map((row) => row[key]));
+    const unknown = ids.filter((i) => !known.has(i));
+    if (unknown.length) throw new ApiError(400, `Unknown ${label}`, { unknown });
+
+    await join.destroy({ where: { couponId }, transaction });
+    await join.bulkCreate(ids.map((i) => ({ couponId, [key]: i })), { transaction });
+  }
+}
+
+/**
+ * Check rules that span fields a partial update may not all contain
+ * @param {Object} coupon - Coupon as it will be saved (existing values merged with the changes)
+ * @returns {void}
+ * @throws {ApiError} 400 for a percentage over 100 or a window ending before it starts
+ */
+function checkCouponFields({ type, value, startsAt, endsAt }) {
+  if (type === 'percentage' && Number(value) > 100) {
+    throw new ApiError(400, 'A percentage coupon cannot take off more than 100%');
+  }
+  if (startsAt && endsAt && new Date(endsAt) < new Date(startsAt)) {
+    throw new ApiError(400, 'Coupon cannot end before it starts');
+  }
+}
+
+/**
+ * Load a coupon with the products and categories it is restricted to
+ * @param {number} couponId - Coupon ID
+ * @returns {Promise<Object|null>} Coupon, or null if not found
+ */
+const findCoupon = (couponId) =>
+  Coupon.findByPk(couponId, {
+    include: [
+      { model: Product, attributes: ['prodId', 'name'], through: { attributes: [] } },
+      { model: Category, attributes: ['categoryId', 'name'], through: { attributes: [] } },
+    ],
+  });
+
+/**
+ * Create a coupon
+ * @param {Object} data - Validated coupon fields, plus optional productIds/categoryIds
+ * @returns {Promise<Object>} Created coupon with its restrictions
+ * @throws {ApiError} 400 for unknown products/categories (duplicate codes raise SequelizeUniqueConstraintError)
+ */
+async function createCoupon({ productIds, categoryIds, ...fields }) {
+  checkCouponFields(fields);
+  const couponId = await db.sequelize.transaction(async (transaction) => {
+    const coupon = await Coupon.create(fields, { transaction });
+    await setCouponTargets(coupon.couponId, { productIds, categoryIds }, transaction);
+    return coupon.couponId;
+  });
+  return findCoupon(couponId);
+}
+
+/**
+ * Update a coupon; productIds/categoryIds replace the restrictions when given
+ * @param {number} couponId - Coupon ID
+ * @param {Object} changes - Validated fields to change
+ * @returns {Promise<Object|null>} Updated coupon, or null if not found
+ * @throws {ApiError} 400 for invalid combinations or unknown products/categories
+ */
+async function updateCoupon(couponId, { productIds, categoryIds, ...fields }) {
+  const found = await db.sequelize.transaction(async (transaction) => {
+    const coupon = await Coupon.findByPk(couponId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!coupon) return false;
+
+    checkCouponFields({ ...coupon.get(), ...fields });
+    await coupon.update(fields, { transaction });
+    await setCouponTargets(couponId, { productIds, categoryIds }, transaction);
+    return true;
+  });
+  return found ? findCoupon(couponId) : null;
+}
+
+/**
+ * Shape discount lines for API responses
+ * @param {Array<Object>} discounts - Discount lines from priceCoupons
+ * @returns {Array<{code: string, description: string|null, amount: number}>} Public discount lines
+ */
+const discountView = (discounts) =>
+  discounts.map((d) => ({ code: d.code, description: d.description, amount: d.amountCents / 100 }));
+
+module.exports = {
+  normalizeCode,
+  loadCoupons,
+  priceCoupons,
+  redeemCoupons,
+  releaseCoupons,
+  discountView,
+  findCoupon,
+  createCoupon,
+  updateCoupon,
+};
@@ -0,0 +1,132 @@
+/**
+ * Digital Download Service
+ * Issues and redeems signed download links for purchased digital products.
+ *
+ * A link names an order line (orderId + prodId) and an expiry time, signed
+ * with HMAC-SHA256 so it cannot be altered or extended:
+ *
+ *   /api/v1/downloads/:orderId/:prodId?expires=<unix seconds>&sig=<hex>
+ *
+ * Links are only issued for orders in a paid status, and redeeming one checks
+ * the order again, so refunding or cancelling an order stops its downloads.
+ * Each purchased item may be downloaded a limited number of times.
+ */
+
+const crypto = require('node:crypto');
+const { Op } = require('sequelize');
+
+const config = require('../config/config');
+const db = require('../models');
+const { ApiError } = require('../errors');
+const { PAID_STATUSES } = require('../models/orderStatus');
+const { openDownloadFile } = require('./images');
+
+const { Order, OrderItem, Product } = db.sequelize.models;
+
+const SECRET = config.downloads.secret || 'dev_secret_change_me';
+
+/**
+ * Sign a download link
+ * @param {number} orderId - Order ID
+ * @param {number} prodId - Product ID
+ * @param {number} expires - Expiry as unix seconds
+ * @returns {string} Hex HMAC signature
+ */
+const sign = (orderId, prodId, expires) =>
+  crypto.createHmac('sha256', SECRET).update(`${orderId}:${prodId}:${expires}`).digest('hex');
+
+/**
+ * Check a signature in constant time
+ * @param {string} expected - Signature computed by the server
+ * @param {string} given - Signature from the request
+ * @returns {boolean} True if they match
+ */
+function signatureMatches(expected, given) {
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(String(given), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Issue download links for every digital item of a paid order
+ * Items whose download allowance is used up are listed without a URL.
+ * @param {number} orderId - Order ID (access must already be checked)
+ * @returns {Promise<Object[]>} One entry per digital item: prodId, name, downloads, maxDownloads, url, expiresAt
+ * @throws {ApiError} 404 if the order is missing, 409 if it is not in a paid status
+ */
+async function issueDownloadLinks(orderId) {
+  const order = await Order.findByPk(orderId, {
+    include: [{
+      model: OrderItem,
+      // Photos already bought stay downloadable after they leave the catalog
+      include: [{ model: Product, attributes: ['prodId', 'name', 'type'], paranoid: false }],
+    }],
+  });
+  if (!order) throw new ApiError(404, 'Order not found');
+  if (!PAID_STATUSES.includes(order.status)) {
+    throw new ApiError(409, 'Downloads are available once the order has been paid', { status: order.status });
+  }
+
+  const { linkTtlMinutes, maxDownloads } = config.downloads;
+  const expires = Math.floor(Date.now() / 1000) + linkTtlMinutes * 60;
+
+  return order.OrderItems
+    .filter((item) => item.Product?.type === 'digital')
+    .map((item) => {
+      const remaining = item.downloads < maxDownloads;
+      const query = new URLSearchParams({ expires: String(expires), sig: sign(orderId, item.prodId, expires) });
+      return {
+        prodId: item.prodId,
+        name: item.Product.name,
+        downloads: item.downloads,
+        maxDownloads,
+        url: remaining ? `/api/v1/downloads/${orderId}/${item.prodId}?${query}` : null,
+        expiresAt: remaining ? new Date(expires * 1000).toISOString() : null,
+      };
+    });
+}
+
+/**
+ * Redeem a download link: verify it, count the download and open the file
+ * @param {Object} link - Validated link parts
+ * @param {number} link.orderId - Order ID
+ * @param {number} link.prodId - Product ID
+ * @param {number} link.expires - Expiry as unix seconds
+ * @param {string} link.sig - Signature
+ * @returns {Promise<{stream: Object, contentType: string, filename: string}>} File to send
+ * @throws {ApiError} 403 for invalid links, unpaid orders or exhausted allowances, 410 for expired links,
+ *   404 if the file is missing
+ */
+async function redeemDownload({ orderId, prodId, expires, sig }) {
+  if (!signatureMatches(sign(orderId, prodId, expires), sig)) throw new ApiError(403, 'Invalid download link');
+  if (expires * 1000 < Date.now()) throw new ApiError(410, 'Download link has expired');
+
+  const item = await OrderItem.findOne({
+    where: { orderId, prodId },
+    include: [
+      { model: Order, attributes: ['status'], required: true }, // Deleted orders give no downloads
+      { model: Product, attributes: ['name', 'type'], paranoid: false },
+    ],
+  });
+  if (!item || item.Product?.type !== 'digital') throw new ApiError(403, 'Invalid download link');
+  if (!PAID_STATUSES.includes(item.Order.status)) {
+    throw new ApiError(403, 'Order is no longer eligible for downloads', { status: item.Order.status });
+  }
+
+  const file = await openDownloadFile(prodId);
+
+  // Conditional increment so concurrent requests cannot exceed the allowance
+  const [counted] = await OrderItem.update(
+    { downloads: db.sequelize.literal('downloads + 1') },
+    { where: { orderItemId: item.orderItemId, downloads: { [Op.lt]: config.downloads.maxDownloads } } }
+  );
+  if (!counted) {
+    file.stream.destroy();
+    throw new ApiError(403, 'Download limit reached', { maxDownloads: config.downloads.maxDownloads });
+  }
+
+  const base = item.Product.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || `photo-${prodId}`;
+  return { stream: file.stream, contentType: file.contentType, filename: `${base}.${file.ext}` };
+}
+
+module.exports = { issueDownloadLinks, redeemDownload };
@@ -0,0 +1,211 @@
+/**
+ * Email Token Service
+ * Password resets and email verification by emailed link. Each link carries
+ * a random token that is stored only as a SHA-256 hash, works once and
+ * expires (config.auth.passwordResetTtlMinutes / emailVerifyTtlHours).
+ * Asking for a new link replaces the account's unused links of the same kind.
+ *
+ * Requests naming an unknown (or already verified) email succeed silently,
+ * so they cannot be used to find out who has an account. For the same
+ * reason a mail that cannot be sent is logged rather than reported.
+ *
+ * A verification link confirms the address it was sent to: it stops working
+ * if the account's email has changed since. Resetting the password also
+ * confirms the email (the link was delivered to it) and ends every session.
+ */
+
+const crypto = require('node:crypto');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const db = require('../models');
+const config = require('../config/config');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { sendMail } = require('../mail');
+const { revokeAccountSessions } = require('./tokens');
+
+const { Account, AccountToken } = db.sequelize.models;
+
+/** Link lifetime by token purpose (see models/accountTokens.js) */
+const TTL_MS = {
+  password_reset: config.auth.passwordResetTtlMinutes * 60 * 1000,
+  email_verify: config.auth.emailVerifyTtlHours * 60 * 60 * 1000,
+};
+
+/** Message for tokens that are unknown, used, expired or out of date */
+const INVALID_MSG = 'Invalid or expired link';
+
+// ---------- Helpers ----------
+
+/**
+ * Hash a raw token for storage/lookup
+ * @param {string} raw - Token as sent in the link
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+const hashToken = (raw) => crypto.createHash('sha256').update(raw).digest('hex');
+
+/**
+ * Describe a lifetime for the email body
+ * @param {number} ms - Lifetime in milliseconds
+ * @returns {string} E.g. '60 minutes' or '48 hours'
+ */
+function describeTtl(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes % 60 !== 0) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = minutes / 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * Create a token for an account, replacing its unused tokens of the same purpose
+ * @param {Object} account - Account instance
+ * @param {string} purpose - 'password_reset' or 'email_verify'
+ * @returns {Promise<string>} Raw token (only ever sent by email)
+ */
+async function issueToken(account, purpose) {
+  const raw = crypto.randomBytes(32).toString('base64url');
+  await db.sequelize.transaction(async (transaction) => {
+    await AccountToken.destroy({ where: { accountId: account.accountId, purpose, usedAt: null }, transaction });
+    await AccountToken.create({
+      accountId: account.accountId,
+      purpose,
+      tokenHash: hashToken(raw),
+      email: account.email,
+      expiresAt: new Date(Date.now() + TTL_MS[purpose]),
+    }, { transaction });
+  });
+  return raw;
+}
+
+/**
+ * Use up a token so it can only be redeemed once
+ * @param {string} raw - Token from the link
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<{token: Object, account: Object}>} Claimed token and its account
+ * @throws {ApiError} 400 if the token is unknown, used, expired, or the account's email has changed
+ */
+async function claimToken(raw, purpose, transaction) {
+  const token = await AccountToken.findOne({ where: { tokenHash: hashToken(raw), purpose }, transaction });
+  if (!token) throw new ApiError(400, INVALID_MSG);
+
+  const [claimed] = await AccountToken.update(
+    { usedAt: new Date() },
+    { where: { accountTokenId: token.accountTokenId, usedAt: null, expiresAt: { [Op.gt]: new Date() } }, transaction }
+  );
+  if (!claimed) throw new ApiError(400, INVALID_MSG);
+
+  const account = await Account.findByPk(token.accountId, { transaction });
+  if (!account || account.email !== token.email) throw new ApiError(400, INVALID_MSG);
+
+  return { token, account };
+}
+
+/**
+ * Send a templated mail, logging instead of throwing on failure
+ * @param {string} to - Recipient
+ * @param {string} template - Template name (see mail/templates.js)
+ * @param {Object} vars - Template values
+ * @returns {Promise<boolean>} True if the mail was handed to the transport
+ */
+async function deliver(to, template, vars) {
+  try {
+    await sendMail(to, template, vars);
+    return true;
+  } catch (err) {
+    logger.error(`Could not send ${template} mail to ${to}: ${err.message}`);
+    return false;
+  }
+}
+
+// ---------- Email verification ----------
+
+/**
+ * Email an account a link confirming its address
+ * @param {Object} account - Account instance
+ * @returns {Promise<boolean>} True if the mail was sent
+ */
+async function sendVerificationEmail(account) {
+  const token = await issueToken(account, 'email_verify');
+  return deliver(account.email, 'verifyEmail', {
+    name: account.name,
+    email: account.email,
+    ttl: describeTtl(TTL_MS.email_verify),
+    link: `${config.mail.appUrl}/verify-email?token=${token}`,
+  });
+}
+
+/**
+ * Send a new verification link to an unverified account
+ * Unknown and already verified emails are ignored.
+ * @param {string} email - Account email (already normalized)
+ * @returns {Promise<void>}
+ */
+async function resendVerification(email) {
+  const account = await Account.findOne({ where: { email } });
+  if (!account || account.emailVerifiedAt) return;
+  await sendVerificationEmail(account);
+}
+
+/**
+ * Confirm an email address from a verification link
+ * @param {string} raw - Token from the link
+ * @returns {Promise<Object>} Verified account
+ * @throws {ApiError} 400 for invalid, used or expired links, or links sent to a previous email
+ */
+function verifyEmail(raw) {
+  return db.sequelize.transaction(async (transaction) => {
+    const { account } = await claimToken(raw, 'email_verify', transaction);
+    if (!account.emailVerifiedAt) await account.update({ emailVerifiedAt: new Date() }, { transaction });
+    return account;
+  });
+}
+
+// ---------- Password reset ----------
+
+/**
+ * Email a password reset link
+ * Unknown emails are ignored.
+ * @param {string} email - Account email (already normalized)
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  const account = await Account.findOne({ where: { email } });
+  if (!account) return;
+
+  const token = await issueToken(account, 'password_reset');
+  await deliver(account.email, 'passwordReset', {
+    name: account.name,
+    ttl: describeTtl(TTL_MS.password_reset),
+    link: `${config.mail.appUrl}/reset-password?token=${token}`,
+  });
+}
+
+/**
+ * Set a new password from a reset link
+ * Confirms the email (the link reached it) and logs out every session.
+ * @param {string} raw - Token from the link
+ * @param {string} password - New plain text password
+ * @returns {Promise<Object>} Updated account
+ * @throws {ApiError} 400 for invalid, used or expired links
+ */
+function resetPassword(raw, password) {
+  return db.sequelize.transaction(async (transaction) => {
+    const { account } = await claimToken(raw, 'password_reset', transaction);
+
+    await account.update({
+      password: await bcrypt.hash(password, 10),
+      emailVerifiedAt: account.emailVerifiedAt ?? new Date(),
+    }, { transaction });
+    await revokeAccountSessions(account.accountId, transaction);
+    return account;
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  resendVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+};
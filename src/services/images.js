@@ -0,0 +1,361 @@
+/**
+ * Product Image Service
+ * Validates uploaded photos, derives thumbnail/preview renditions with sharp
+ * and keeps product galleries and file storage in step.
+ *
+ * Uploads are identified by their magic bytes, never by the client-supplied
+ * filename or MIME type. Renditions are re-encoded as WebP with metadata
+ * (EXIF, GPS) stripped; the original is stored untouched and never served publicly.
+ * Renditions of digital products are downscaled and watermarked when served,
+ * since the photo itself is what the customer pays for.
+ */
+
+const crypto = require('node:crypto');
+const { Readable } = require('node:stream');
+const sharp = require('sharp');
+
+const config = require('../config/config');
+const db = require('../models');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { getStorage } = require('../storage');
+
+const { Product, ProductImage } = db.sequelize.models;
+
+/** Rendition sizes (longest edge, never enlarged) */
+const RENDITIONS = {
+  thumb: { size: 320, quality: 70 },
+  preview: { size: 1600, quality: 80 },
+};
+
+/** Accepted image formats and their magic bytes */
+const SIGNATURES = [
+  { type: 'image/jpeg', ext: 'jpg', matches: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    type: 'image/png',
+    ext: 'png',
+    matches: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    type: 'image/webp',
+    ext: 'webp',
+    matches: (b) => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP',
+  },
+  {
+    type: 'image/tiff',
+    ext: 'tif',
+    matches: (b) => b.length > 4 && ['49492a00', '4d4d002a'].includes(b.subarray(0, 4).toString('hex')),
+  },
+];
+
+/**
+ * Identify an image format from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {{type: string, ext: string}|null} Detected format, or null if not an accepted image
+ */
+function detectImageType(buffer) {
+  const match = SIGNATURES.find((s) => s.matches(buffer));
+  return match ? { type: match.type, ext: match.ext } : null;
+}
+
+/**
+ * Validate one upload and render its derivatives
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Promise<Object>} Detected format, dimensions and rendition buffers
+ * @throws {ApiError} 415 for unsupported formats, 422 for files that cannot be decoded
+ */
+async function processUpload(file) {
+  const kind = detectImageType(file.buffer);
+  if (!kind) {
+    throw new ApiError(415, 'Unsupported image type', {
+      file: file.originalname,
+      allowed: SIGNATURES.map((s) => s.type),
+    });
+  }
+
+  try {
+    const meta = await sharp(file.buffer).metadata();
+    const renditions = {};
+    for (const [name, { size, quality }] of Object.entries(RENDITIONS)) {
+      renditions[name] = await sharp(file.buffer)
+        .rotate() // Apply EXIF orientation before metadata is stripped
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality })
+        .toBuffer();
+    }
+    // EXIF orientations 5-8 swap width and height
+    const swapped = meta.orientation >= 5;
+    return {
+      ...kind,
+      width: swapped ? meta.height : meta.width,
+      height: swapped ? meta.width : meta.height,
+      renditions,
+    };
+  } catch (err) {
+    throw new ApiError(422, 'Image could not be decoded', { file: file.originalname });
+  }
+}
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) =>
+  String(text).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+/**
+ * Downscale a rendition and tile the watermark text across it
+ * @param {Buffer} buffer - Rendition (any format sharp reads)
+ * @returns {Promise<Buffer>} Watermarked WebP image
+ */
+async function watermark(buffer) {
+  const { text, maxSize } = config.watermark;
+  const { data, info } = await sharp(buffer)
+    .resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true })
+    .toBuffer({ resolveWithObject: true });
+
+  // Scale the text with the image so small thumbnails stay readable
+  const fontSize = Math.max(12, Math.round(Math.min(info.width, info.height) / 10));
+  const tileWidth = Math.ceil(fontSize * 0.6 * text.length) + fontSize * 2;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${info.width}" height="${info.height}">
+    <defs>
+      <pattern id="wm" width="${tileWidth}" height="${fontSize * 4}" patternUnits="userSpaceOnUse" patternTransform="rotate(-30)">
+        <text x="0" y="${fontSize}" font-family="sans-serif" font-size="${fontSize}" font-weight="bold"
+          fill="#fff" fill-opacity="0.45" stroke="#000" stroke-opacity="0.25">${escapeXml(text)}</text>
+      </pattern>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#wm)"/>
+  </svg>`;
+
+  return sharp(data).composite([{ input: Buffer.from(svg) }]).webp({ quality: 70 }).toBuffer();
+}
+
+/**
+ * Delete stored files, logging (not throwing) failures
+ * @param {string[]} keys - Storage keys
+ * @returns {Promise<void>}
+ */
+async function deleteKeys(keys) {
+  const storage = getStorage();
+  for (const key of keys) {
+    try {
+      await storage.delete(key);
+    } catch (err) {
+      logger.warn(`Could not delete stored file ${key}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Storage keys held by image rows
+ * @param {Object[]} images - ProductImage instances loaded with the 'withKeys' scope
+ * @returns {string[]} Keys
+ */
+const keysOf = (images) => images.flatMap((i) => [i.originalKey, i.thumbKey, i.previewKey]);
+
+/**
+ * List a product's gallery in display order
+ * @param {number} prodId - Product ID
+ * @returns {Promise<Object[]>} Images
+ * @throws {ApiError} 404 if the product does not exist
+ */
+async function listProductImages(prodId) {
+  const product = await Product.findByPk(prodId, { attributes: ['prodId'] });
+  if (!product) throw new ApiError(404, 'Product not found');
+  return ProductImage.findAll({ where: { prodId }, order: [['position', 'ASC'], ['imageId', 'ASC']] });
+}
+
+/**
+ * Add uploaded images to the end of a product's gallery
+ * @param {number} prodId - Product ID
+ * @param {Object[]} files - Multer files (memory storage)
+ * @param {Object} [options]
+ * @param {string} [options.altText] - Alt text applied to every uploaded image
+ * @returns {Promise<Object[]>} Created images
+ * @throws {ApiError} 400 without files, 404 for unknown products, 415/422 for invalid images
+ */
+async function addProductImages(prodId, files, { altText } = {}) {
+  if (!files || !files.length) throw new ApiError(400, 'No images uploaded');
+
+  const product = await Product.findByPk(prodId, { attributes: ['prodId'] });
+  if (!product) throw new ApiError(404, 'Product not found');
+
+  // Validate and render everything before writing anything
+  const processed = [];
+  for (const file of files) processed.push({ file, ...(await processUpload(file)) });
+
+  const storage = getStorage();
+  const written = [];
+  try {
+    const rows = [];
+    for (const { file, type, ext, width, height, renditions } of processed) {
+      const prefix = `products/${prodId}/${crypto.randomUUID()}`;
+      const keys = {
+        originalKey: `${prefix}/original.${ext}`,
+        thumbKey: `${prefix}/thumb.webp`,
+        previewKey: `${prefix}/preview.webp`,
+      };
+      await storage.put(keys.originalKey, file.buffer);
+      written.push(keys.originalKey);
+      await storage.put(keys.thumbKey, renditions.thumb);
+      written.push(keys.thumbKey);
+      await storage.put(keys.previewKey, renditions.preview);
+      written.push(keys.previewKey);
+
+      rows.push({ prodId, altText: altText || null, contentType: type, width, height, bytes: file.size, ...keys });
+    }
+
+    const ids = await db.sequelize.transaction(async (transaction) => {
+      const last = await ProductImage.max('position', { where: { prodId }, transaction });
+      const start = last == null ? 0 : last + 1;
+      const created = await ProductImage.bulkCreate(
+        rows.map((row, i) => ({ ...row, position: start + i })),
+        { transaction }
+      );
+      return created.map((c) => c.imageId);
+    });
+
+    return ProductImage.findAll({ where: { imageId: ids }, order: [['position', 'ASC']] });
+  } catch (err) {
+    await deleteKeys(written); // Do not leave orphaned files behind
+    throw err;
+  }
+}
+
+/**
+ * Reorder a product's gallery
+ * @param {number} prodId - Product ID
+ * @param {number[]} imageIds - Every image of the product, in the new order
+ * @returns {Promise<Object[]>} Images in the new order
+ * @throws {ApiError} 404 for unknown products, 400 unless imageIds lists each image exactly once
+ */
+async function reorderProductImages(prodId, imageIds) {
+  const current = await listProductImages(prodId);
+  const currentIds = current.map((i) => i.imageId).sort((a, b) => a - b);
+  const requested = [...imageIds].sort((a, b) => a - b);
+  if (currentIds.length !== requested.length || currentIds.some((id, i) => id !== requested[i])) {
+    throw new ApiError(400, 'imageIds must list every image of the product exactly once', {
+      imageIds: current.map((i) => i.imageId),
+    });
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    for (const [position, imageId] of imageIds.entries()) {
+      await ProductImage.update({ position }, { where: { imageId, prodId }, transaction });
+    }
+  });
+  return listProductImages(prodId);
+}
+
+/**
+ * Update an image's alt text
+ * @param {number} prodId - Product ID
+ * @param {number} imageId - Image ID
+ * @param {Object} changes - { altText }
+ * @returns {Promise<Object>} Updated image
+ * @throws {ApiError} 404 if the image does not belong to the product
+ */
+async function updateProductImage(prodId, imageId, { altText }) {
+  const image = await ProductImage.findOne({ where: { imageId, prodId } });
+  if (!image) throw new ApiError(404, 'Image not found');
+  await image.update({ altText: altText || null });
+  return image;
+}
+
+/**
+ * Remove an image from a product's gallery and delete its files
+ * @param {number} prodId - Product ID
+ * @param {number} imageId - Image ID
+ * @returns {Promise<Object>} Removed image
+ * @throws {ApiError} 404 if the image does not belong to the product
+ */
+async function deleteProductImage(prodId, imageId) {
+  const image = await ProductImage.scope('withKeys').findOne({ where: { imageId, prodId } });
+  if (!image) throw new ApiError(404, 'Image not found');
+  await image.destroy();
+  await deleteKeys(keysOf([image]));
+  return image;
+}
+
+/**
+ * Load the storage keys of every image of a product
+ * Call before purging the product; pass the result to removeImageFiles afterwards.
+ * @param {number} prodId - Product ID
+ * @returns {Promise<Object[]>} Images with storage keys
+ */
+function findImageFiles(prodId) {
+  return ProductImage.scope('withKeys').findAll({ where: { prodId } });
+}
+
+/**
+ * Delete the stored files of images whose rows are gone
+ * @param {Object[]} images - Result of findImageFiles
+ * @returns {Promise<void>}
+ */
+function removeImageFiles(images) {
+  return deleteKeys(keysOf(images));
+}
+
+/**
+ * Open a stored image file for streaming
+ * Renditions of digital products are watermarked on the fly.
+ * @param {number} prodId - Product ID
+ * @param {number} imageId - Image ID
+ * @param {string} variant - 'thumb', 'preview' or 'original'
+ * @returns {Promise<{stream: Object, contentType: string}>} File stream and MIME type
+ * @throws {ApiError} 404 if the image or its file is missing
+ */
+async function openImage(prodId, imageId, variant) {
+  const image = await ProductImage.scope('withKeys').findOne({
+    where: { imageId, prodId },
+    include: [{ model: Product, attributes: ['type'], required: true }], // Not deleted products
+  });
+  if (!image) throw new ApiError(404, 'Image not found');
+
+  const key = image[`${variant}Key`];
+  const storage = getStorage();
+  if (!key || !(await storage.exists(key))) throw new ApiError(404, 'Image file not found');
+
+  if (variant === 'original') return { stream: storage.createReadStream(key), contentType: image.contentType };
+  if (image.Product.type === 'digital') {
+    return { stream: Readable.from([await watermark(await storage.get(key))]), contentType: 'image/webp' };
+  }
+  return { stream: storage.createReadStream(key), contentType: 'image/webp' };
+}
+
+/**
+ * Open the full-resolution file of a digital product (the original of its first gallery image)
+ * @param {number} prodId - Product ID
+ * @returns {Promise<{stream: Object, contentType: string, ext: string}>} File stream, MIME type and extension
+ * @throws {ApiError} 404 if the product has no stored image
+ */
+async function openDownloadFile(prodId) {
+  const image = await ProductImage.scope('withKeys').findOne({
+    where: { prodId },
+    order: [['position', 'ASC'], ['imageId', 'ASC']],
+  });
+  const storage = getStorage();
+  if (!image || !(await storage.exists(image.originalKey))) {
+    throw new ApiError(404, 'No file is available for this product');
+  }
+  return {
+    stream: storage.createReadStream(image.originalKey),
+    contentType: image.contentType,
+    ext: image.originalKey.split('.').pop(),
+  };
+}
+
+module.exports = {
+  RENDITIONS,
+  detectImageType,
+  listProductImages,
+  addProductImages,
+  reorderProductImages,
+  updateProductImage,
+  deleteProductImage,
+  findImageFiles,
+  removeImageFiles,
+  openImage,
+  openDownloadFile,
+};
@@ -0,0 +1,316 @@
+/**
+ * Inventory Service
+ * Records every stock change as an InventoryMovement and keeps the cached
+ * Product.stock / ProductVariant.stock in step with the ledger.
+ *
+ * Stock belongs to a variant when one is given, otherwise to the product
+ * itself (physical products without variants). Digital products have no stock.
+ *
+ * Order lifecycle:
+ * - placing an order reserves its stock (reservation)
+ * - payment turns the reservation into a sale (release + sale)
+ * - cancelling a pending order releases the stock (release)
+ * - refunding a paid order that has not shipped returns the stock (return);
+ *   shipped goods are restocked when their return is approved (services/returns.js)
+ *
+ * When a change takes stock below its reorder level, a 'lowStock' event is
+ * emitted on inventoryEvents after the transaction commits.
+ */
+
+const { EventEmitter } = require('node:events');
+const { Op } = require('sequelize');
+
+const config = require('../config/config');
+const db = require('../models');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { UNSHIPPED_STATUSES } = require('../models/orderStatus');
+
+const { Product, ProductVariant, InventoryMovement } = db.sequelize.models;
+
+/**
+ * Inventory event bus
+ * Events: 'lowStock' ({ prodId, variantId, name, sku, stock, reorderLevel })
+ */
+const inventoryEvents = new EventEmitter();
+
+// Always leave a trace of low-stock events in the logs
+inventoryEvents.on('lowStock', (e) => {
+  const item = e.sku ? `${e.name} (${e.sku})` : e.name;
+  logger.warn(`Low stock: ${item} has ${e.stock} left (reorder level ${e.reorderLevel})`);
+});
+
+// ---------- Helper Functions ----------
+
+/**
+ * Model and key holding the stock of a product or variant
+ * @param {{prodId: number, variantId?: number|null}} target - Stock item
+ * @returns {{model: Object, where: Object}} Stock model and its where clause
+ */
+const stockOf = ({ prodId, variantId }) => (variantId
+  ? { model: ProductVariant, where: { variantId } }
+  : { model: Product, where: { prodId } });
+
+/**
+ * Effective reorder level of a product or variant
+ * @param {Object} row - Product or ProductVariant instance
+ * @returns {number} Threshold below which stock is low
+ */
+const reorderLevelOf = (row) => row.reorderLevel ?? config.inventory.reorderLevel;
+
+/**
+ * Check whether an order item (or cart/order line) draws on tracked stock
+ * @param {{variantId?: number|null}} item - Line with its Product loaded (type)
+ * @returns {boolean} True unless it is a digital product
+ */
+const isStocked = (item) => Boolean(item.variantId) || item.Product?.type !== 'digital';
+
+// ---------- Ledger ----------
+
+/**
+ * Record one stock movement and update the cached stock
+ * Negative movements never take stock below zero.
+ * @param {Object} movement - Movement to record
+ * @param {number} movement.prodId - Product ID
+ * @param {number|null} [movement.variantId] - Variant ID when the stock belongs to a variant
+ * @param {string} movement.type - Movement type (see models/inventory.js)
+ * @param {number} movement.quantity - Signed change in stock
+ * @param {number} [movement.orderId] - Related order
+ * @param {string} [movement.reason] - Free-text reason
+ * @param {{id: number|null, role: string|null}} [movement.actor] - User making the change (null: system)
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<{movement: Object, stock: number}>} Created movement and the new stock level
+ * @throws {ApiError} 409 if the change would make stock negative
+ */
+async function recordMovement({ prodId, variantId = null, type, quantity, orderId, reason, actor }, transaction) {
+  const { model, where } = stockOf({ prodId, variantId });
+  const delta = Number(quantity);
+
+  // Conditional update guards against concurrent changes taking stock below zero
+  const [updated] = await model.update(
+    { stock: db.sequelize.literal(`COALESCE(stock, 0) + ${delta}`) },
+    {
+      where: delta < 0 ? { ...where, [Op.and]: [db.sequelize.literal(`COALESCE(stock, 0) >= ${-delta}`)] } : where,
+      transaction,
+    }
+  );
+  if (!updated) {
+    const row = await model.findOne({ where, attributes: ['stock'], transaction });
+    if (!row) throw new ApiError(404, variantId ? `Variant ${variantId} not found` : `Product ${prodId} not found`);
+    throw new ApiError(409, 'Insufficient stock', { prodId, variantId, available: row.stock ?? 0, change: delta });
+  }
+
+  const movement = await InventoryMovement.create(
+    {
+      prodId,
+      variantId,
+      type,
+      quantity: delta,
+      orderId: orderId ?? null,
+      reason: reason || null,
+      createdBy: actor?.id ?? null,
+      createdByRole: actor?.role ?? null,
+    },
+    { transaction }
+  );
+
+  // Emit once the change is committed, and only when this movement crossed the threshold
+  const row = await model.findOne({
+    where,
+    include: variantId ? [{ model: Product, attributes: ['name'], paranoid: false }] : [],
+    transaction,
+  });
+  const level = reorderLevelOf(row);
+  if (delta < 0 && row.stock < level && row.stock - delta >= level) {
+    const event = {
+      prodId,
+      variantId,
+      name: variantId ? row.Product.name : row.name,
+      sku: variantId ? row.sku : null,
+      stock: row.stock,
+      reorderLevel: level,
+    };
+    transaction.afterCommit(() => inventoryEvents.emit('lowStock', event));
+  }
+
+  return { movement, stock: row.stock };
+}
+
+/**
+ * Post a manual receipt or adjustment
+ * @param {Object} entry - { prodId | variantId, type: 'receipt'|'adjustment', quantity, reason }
+ * @param {{id: number|null, role: string|null}} actor - User posting the movement
+ * @returns {Promise<{movement: Object, stock: number}>} Created movement and the new stock level
+ * @throws {ApiError} 404 for unknown items, 400 for digital products or products sold in variants,
+ *   409 if an adjustment would make stock negative
+ */
+async function postMovement({ prodId, variantId, type, quantity, reason }, actor) {
+  let target;
+  if (variantId) {
+    const variant = await ProductVariant.findByPk(variantId, { attributes: ['variantId', 'prodId'] });
+    if (!variant) throw new ApiError(404, `Variant ${variantId} not found`);
+    target = { prodId: variant.prodId, variantId };
+  } else {
+    const product = await Product.findByPk(prodId, {
+      attributes: ['prodId', 'name', 'type'],
+      include: [{ model: ProductVariant, attributes: ['variantId'] }],
+    });
+    if (!product) throw new ApiError(404, `Product ${prodId} not found`);
+    if (product.type === 'digital') throw new ApiError(400, 'Digital products have no stock');
+    if (product.ProductVariants.length) {
+      throw new ApiError(400, `${product.name} is stocked per variant; give a variantId`, {
+        variantIds: product.ProductVariants.map((v) => v.variantId),
+      });
+    }
+    target = { prodId, variantId: null };
+  }
+
+  return db.sequelize.transaction((transaction) =>
+    recordMovement({ ...target, type, quantity, reason, actor }, transaction));
+}
+
+/**
+ * Set stock to an absolute level by recording the difference as an adjustment
+ * Used when a product or variant is created or updated with a stock value.
+ * @param {{prodId: number, variantId?: number|null}} target - Stock item
+ * @param {number} level - Desired stock level
+ * @param {Object} options
+ * @param {string} [options.type='adjustment'] - Movement type ('receipt' for initial stock)
+ * @param {string} options.reason - Reason recorded on the movement
+ * @param {{id: number|null, role: string|null}} [options.actor] - User making the change
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<Object|null>} Created movement, or null if the level did not change
+ */
+async function setStockLevel(target, level, { type = 'adjustment', reason, actor }, transaction) {
+  const { model, where } = stockOf(target);
+  const row = await model.findOne({ where, attributes: ['stock'], transaction, lock: transaction.LOCK.UPDATE });
+  const delta = level - (row?.stock ?? 0);
+  if (!delta) return null;
+  const { movement } = await recordMovement({ ...target, type, quantity: delta, reason, actor }, transaction);
+  return movement;
+}
+
+// ---------- Order lifecycle ----------
+
+/**
+ * Reserve stock for one line of a new order
+ * @param {{prodId: number, variantId: number|null, quantity: number, name: string}} line - Order line
+ * @param {number} orderId - Order holding the reservation
+ * @param {{id: number|null, role: string|null}} [actor] - User placing the order
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<void>}
+ * @throws {ApiError} 409 if the stock was taken concurrently
+ */
+async function reserveLine(line, orderId, actor, transaction) {
+  try {
+    await recordMovement(
+      {
+        prodId: line.prodId,
+        variantId: line.variantId,
+        type: 'reservation',
+        quantity: -line.quantity,
+        orderId,
+        reason: `Order ${orderId} placed`,
+        actor,
+      },
+      transaction
+    );
+  } catch (err) {
+    if (err instanceof ApiError && err.status === 409) throw new ApiError(409, `Insufficient stock for ${line.name}`);
+    throw err;
+  }
+}
+
+/**
+ * Record the stock effect of an order status change
+ * @param {Object} order - Order with OrderItems (and their Product type) loaded
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - New status
+ * @param {{id: number|null, role: string|null}} [actor] - User making the change
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<void>}
+ */
+async function applyOrderTransition(order, fromStatus, toStatus, actor, transaction) {
+  let steps;
+  if (fromStatus === 'pending' && toStatus === 'paid') steps = [['release', 1], ['sale', -1]];
+  else if (fromStatus === 'pending' && toStatus === 'cancelled') steps = [['release', 1]];
+  else if (toStatus === 'refunded' && UNSHIPPED_STATUSES.includes(fromStatus)) steps = [['return', 1]];
+  else return;
+
+  const reason = `Order ${order.orderId} ${toStatus}`;
+  for (const item of order.OrderItems.filter(isStocked)) {
+    for (const [type, sign] of steps) {
+      await recordMovement(
+        {
+          prodId: item.prodId,
+          variantId: item.variantId,
+          type,
+          quantity: sign * item.quantity,
+          orderId: order.orderId,
+          reason,
+          actor,
+        },
+        transaction
+      );
+    }
+  }
+}
+
+/**
+ * Expiry time for the stock reservation of an order placed now
+ * @returns {Date} Reservation end
+ */
+const reservationExpiry = () => new Date(Date.now() + config.inventory.reservationMinutes * 60 * 1000);
+
+// ---------- Reporting ----------
+
+/**
+ * Products and variants whose stock is below their reorder level
+ * @returns {Promise<Object[]>} Items, lowest stock first: prodId, variantId, name, sku, stock, reorderLevel
+ */
+async function lowStockReport() {
+  const below = (table) => db.sequelize.literal(
+    `COALESCE(${table}.stock, 0) < COALESCE(${table}.reorderLevel, ${Number(config.inventory.reorderLevel)})`
+  );
+
+  const products = await Product.findAll({
+    where: {
+      type: 'physical',
+      [Op.and]: [
+        below('Product'),
+        db.sequelize.literal('Product.prodId NOT IN (SELECT prodId FROM ProductVariants)'),
+      ],
+    },
+    attributes: ['prodId', 'name', 'stock', 'reorderLevel'],
+  });
+  const variants = await ProductVariant.findAll({
+    where: below('ProductVariant'),
+    attributes: ['variantId', 'prodId', 'sku', 'stock', 'reorderLevel'],
+    include: [{ model: Product, attributes: ['name'], required: true }], // Skips deleted products
+  });
+
+  const item = (row, name, sku) => ({
+    prodId: row.prodId,
+    variantId: row.variantId ?? null,
+    name,
+    sku,
+    stock: row.stock ?? 0,
+    reorderLevel: reorderLevelOf(row),
+  });
+  return [
+    ...products.map((p) => item(p, p.name, null)),
+    ...variants.map((v) => item(v, v.Product.name, v.sku)),
+  ].sort((a, b) => a.stock - b.stock || a.prodId - b.prodId);
+}
+
+module.exports = {
+  inventoryEvents,
+  isStocked,
+  recordMovement,
+  postMovement,
+  setStockLevel,
+  reserveLine,
+  applyOrderTransition,
+  reservationExpiry,
+  lowStockReport,
+};
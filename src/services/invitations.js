@@ -0,0 +1,133 @@
+/**
+ * Invitation Service
+ * Admins invite people to staff/admin roles; registration for those roles only
+ * succeeds with a valid invitation. Invitations are single-use, expire, are
+ * bound to one email and role, and are stored as SHA-256 hashes.
+ */
+
+const crypto = require('node:crypto');
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+
+const db = require('../models');
+const config = require('../config/config');
+const { ApiError } = require('../errors');
+const { registerAccount, loadAccount } = require('./accounts');
+
+const { Account, AccountRole, Invitation } = db.sequelize.models;
+
+const INVITE_TTL_MS = config.auth.inviteTtlHours * 60 * 60 * 1000;
+
+/**
+ * Hash a raw invite token for storage/lookup
+ * @param {string} raw - Invite token as given to the invitee
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+const hashToken = (raw) => crypto.createHash('sha256').update(raw).digest('hex');
+
+/**
+ * Create an invitation
+ * @param {Object} data - Invitation details
+ * @param {string} data.email - Email the invitation is bound to (already normalized)
+ * @param {string} data.role - 'staff' or 'admin'
+ * @param {number|null} data.createdBy - accountId of the inviting admin
+ * @returns {Promise<{invitation: Object, token: string}>} Stored invitation and the raw token (shown once)
+ */
+async function createInvitation({ email, role, createdBy }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const created = await Invitation.create({
+    tokenHash: hashToken(token),
+    email,
+    role,
+    expiresAt: new Date(Date.now() + INVITE_TTL_MS),
+    createdBy: createdBy ?? null,
+  });
+
+  // Reload through the default scope so the hash is not returned
+  const invitation = await Invitation.findByPk(created.inviteId);
+  return { invitation, token };
+}
+
+/**
+ * Register (or promote) an account using an invitation
+ * A new email creates an account; an existing account gains the invited role
+ * after proving its password. Either way the email counts as verified.
+ * @param {string} role - Role being registered for ('staff' or 'admin')
+ * @param {Object} data - Registration body
+ * @param {string} data.inviteToken - Raw invite token
+ * @param {string} data.name - Display name (new accounts only)
+ * @param {string} data.email - Email (already normalized)
+ * @param {string} data.password - Plain text password
+ * @returns {Promise<Object>} Account with roles and profile loaded
+ * @throws {ApiError} 403 if the invitation is invalid, 400 on wrong password for an existing account
+ */
+async function acceptInvitation(role, { inviteToken, name, email, password }) {
+  return db.sequelize.transaction(async (transaction) => {
+    // Claim the invitation atomically so it can only be used once
+    const invitation = await Invitation.findOne({
+      where: { tokenHash: hashToken(inviteToken) },
+      transaction,
+    });
+    const valid = invitation
+      && invitation.role === role
+      && invitation.email === email
+      && !invitation.usedAt
+      && invitation.expiresAt > new Date();
+    if (!valid) throw new ApiError(403, 'Invalid or expired invitation');
+
+    const [claimed] = await Invitation.update(
+      { usedAt: new Date() },
+      { where: { inviteId: invitation.inviteId, usedAt: null }, transaction }
+    );
+    if (!claimed) throw new ApiError(403, 'Invalid or expired invitation');
+
+    let accountId;
+    const existing = await Account.scope(null).findOne({ where: { email }, transaction });
+    if (existing) {
+      // Existing account (e.g. a customer being promoted) must prove ownership
+      const ok = await bcrypt.compare(password, existing.password);
+      if (!ok) throw new ApiError(400, 'Invalid Credentials');
+      await AccountRole.findOrCreate({ where: { accountId: existing.accountId, role }, transaction });
+      accountId = existing.accountId;
+    } else {
+      const account = await registerAccount({ name, email, password, role }, transaction);
+      accountId = account.accountId;
+    }
+
+    await Invitation.update({ acceptedBy: accountId }, { where: { inviteId: invitation.inviteId }, transaction });
+
+    // The invitation was issued for this email, so it counts as confirming it
+    await Account.update(
+      { emailVerifiedAt: new Date() },
+      { where: { accountId, emailVerifiedAt: null }, transaction }
+    );
+    return loadAccount(accountId, { transaction });
+  });
+}
+
+/**
+ * List invitations, newest first
+ * @param {Object} [filter] - Optional filters
+ * @param {boolean} [filter.pending] - Only unused, unexpired invitations
+ * @returns {Promise<Object[]>} Invitations (without token hashes)
+ */
+function listInvitations({ pending } = {}) {
+  const where = pending ? { usedAt: null, expiresAt: { [Op.gt]: new Date() } } : {};
+  return Invitation.findAll({ where, order: [['inviteId', 'DESC']] });
+}
+
+/**
+ * Revoke an unused invitation
+ * @param {number} inviteId - Invitation ID
+ * @returns {Promise<Object>} Revoked invitation
+ * @throws {ApiError} 404 if missing, 409 if it has already been used
+ */
+async function revokeInvitation(inviteId) {
+  const invitation = await Invitation.findByPk(inviteId);
+  if (!invitation) throw new ApiError(404, 'Invitation not found');
+  if (invitation.usedAt) throw new ApiError(409, 'Invitation has already been used');
+  await invitation.destroy();
+  return invitation;
+}
+
+module.exports = { createInvitation, acceptInvitation, listInvitations, revokeInvitation };
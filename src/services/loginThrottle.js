@@ -0,0 +1,151 @@
+/**
+ * Login Throttle Service
+ * Slows down password guessing. Failed logins are counted per client IP and
+ * per email in the throttle store (see src/throttle). Emails are counted
+ * whether or not they have an account, so the responses do not reveal which
+ * ones do. With the defaults in config.loginThrottle:
+ *
+ * - An IP with ipMaxFailures failures is refused until windowMinutes have
+ *   passed without a failure.
+ * - After delayAfter failures for an email, each further attempt has to wait
+ *   a delay that doubles with every failure (delayBaseSeconds, at most
+ *   delayMaxSeconds).
+ * - At lockoutThreshold failures the email is refused for lockoutMinutes. An
+ *   existing account is also locked in the database (Account.lockedUntil),
+ *   so the lock survives a restart; admins can lift it with unlockAccount.
+ *
+ * Every failure is stored as a LoginAttempt. A successful login clears the
+ * email's counter but not the IP's.
+ */
+
+const config = require('../config/config');
+const db = require('../models');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { getThrottleStore } = require('../throttle');
+
+const { Account, LoginAttempt } = db.sequelize.models;
+
+const {
+  store: storeName,
+  windowMinutes,
+  ipMaxFailures,
+  delayAfter,
+  delayBaseSeconds,
+  delayMaxSeconds,
+  lockoutThreshold,
+  lockoutMinutes,
+} = config.loginThrottle;
+
+const WINDOW_MS = windowMinutes * 60 * 1000;
+const LOCKOUT_MS = lockoutMinutes * 60 * 1000;
+// An email's counter must outlive its lockout
+const EMAIL_WINDOW_MS = Math.max(WINDOW_MS, LOCKOUT_MS);
+
+// ---------- Helpers ----------
+
+/** Store key of an IP's failures */
+const ipKey = (ip) => `login:ip:${ip}`;
+
+/** Store key of an email's failures */
+const emailKey = (email) => `login:email:${email}`;
+
+/**
+ * Time an email has to wait after its latest failure
+ * @param {number} failures - Failures counted for the email
+ * @returns {number} Delay in milliseconds
+ */
+function delayAfterFailures(failures) {
+  if (failures >= lockoutThreshold) return LOCKOUT_MS;
+  if (failures < delayAfter) return 0;
+  return Math.min(delayBaseSeconds * 2 ** (failures - delayAfter), delayMaxSeconds) * 1000;
+}
+
+// ---------- Checks ----------
+
+/**
+ * How long a login attempt has to wait
+ * @param {string} ip - Client IP
+ * @param {string} [email] - Email being logged into (already normalized)
+ * @returns {Promise<number>} Seconds until an attempt is allowed (0: allowed now)
+ */
+async function loginRetryAfter(ip, email) {
+  const store = getThrottleStore(storeName);
+  const until = [];
+
+  const ipFailures = await store.get(ipKey(ip));
+  if (ipFailures && ipFailures.count >= ipMaxFailures) until.push(ipFailures.resetAt);
+
+  if (email) {
+    const failures = await store.get(emailKey(email));
+    if (failures) until.push(failures.lastAt + delayAfterFailures(failures.count));
+
+    const account = await Account.findOne({ where: { email }, attributes: ['accountId', 'lockedUntil'] });
+    if (account?.lockedUntil) until.push(account.lockedUntil.getTime());
+  }
+
+  const wait = Math.max(0, ...until) - Date.now();
+  return wait > 0 ? Math.ceil(wait / 1000) : 0;
+}
+
+// ---------- Recording ----------
+
+/**
+ * Count and store a failed login, locking the account at the threshold
+ * @param {Object} attempt
+ * @param {string} attempt.ip - Client IP
+ * @param {string} attempt.email - Email tried (already normalized)
+ * @param {string} [attempt.requestId] - X-Request-Id of the attempt
+ * @returns {Promise<void>}
+ */
+async function recordLoginFailure({ ip, email, requestId }) {
+  const store = getThrottleStore(storeName);
+  const ipFailures = await store.hit(ipKey(ip), WINDOW_MS);
+  const failures = await store.hit(emailKey(email), EMAIL_WINDOW_MS);
+
+  const account = await Account.findOne({ where: { email }, attributes: ['accountId', 'lockedUntil'] });
+  await LoginAttempt.create({ email, accountId: account?.accountId ?? null, ip, requestId: requestId ?? null });
+
+  if (account && failures.count >= lockoutThreshold) {
+    const lockedUntil = new Date(failures.lastAt + LOCKOUT_MS);
+    await account.update({ lockedUntil });
+    logger.warn(`Account ${account.accountId} locked until ${lockedUntil.toISOString()} after ${failures.count} failed logins`);
+  }
+  if (ipFailures.count === ipMaxFailures) {
+    logger.warn(`Logins from ${ip} refused after ${ipFailures.count} failures`);
+  }
+}
+
+/**
+ * Clear an email's failures after a successful login
+ * @param {string} email - Email logged into (already normalized)
+ * @returns {Promise<void>}
+ */
+async function recordLoginSuccess(email) {
+  await getThrottleStore(storeName).reset(emailKey(email));
+}
+
+// ---------- Unlock ----------
+
+/**
+ * Lift an account's lockout and forget its failures
+ * @param {number} accountId - Account ID
+ * @returns {Promise<{before: Object, account: Object}>} Lock state before, and the unlocked account
+ * @throws {ApiError} 404 if the account does not exist
+ */
+async function unlockAccount(accountId) {
+  const account = await Account.findByPk(accountId);
+  if (!account) throw new ApiError(404, 'Account not found');
+
+  const before = { lockedUntil: account.lockedUntil };
+  await account.update({ lockedUntil: null });
+  await getThrottleStore(storeName).reset(emailKey(account.email));
+  return { before, account };
+}
+
+module.exports = {
+  loginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+};
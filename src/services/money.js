@@ -0,0 +1,14 @@
+/**
+ * Money Helpers
+ * Prices are DECIMAL(10, 2) columns; arithmetic is done in integer cents to
+ * avoid floating point drift, and divided by 100 for storage and responses.
+ */
+
+/**
+ * Convert a decimal amount to integer cents
+ * @param {number|string} amount - Decimal amount (e.g. '129.99')
+ * @returns {number} Amount in cents
+ */
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+module.exports = { toCents };
@@ -0,0 +1,143 @@
+/**
+ * Order Status Service
+ * Moves orders through their lifecycle, enforcing the allowed transitions
+ * from models/orderStatus.js and recording each change in OrderStatusHistory.
+ * Cancelling an order also releases its stock and coupon uses and cancels
+ * any payment still in progress. Orders that have been paid are refunded
+ * instead (services/refunds.js), never cancelled.
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { ORDER_TRANSITIONS, PAID_STATUSES, canTransition } = require('../models/orderStatus');
+const { OPEN_PAYMENT_STATUSES, REFUNDABLE_PAYMENT_STATUSES } = require('../models/payments');
+const { getPaymentProvider } = require('../payments');
+const { applyOrderTransition } = require('./inventory');
+const { releaseCoupons } = require('./coupons');
+
+const { Order, OrderItem, OrderStatusHistory, Payment, Product } = db.sequelize.models;
+
+/**
+ * Cancel the payments of an order that have not gone through
+ * A provider that fails to cancel is logged, not fatal: should the customer
+ * still pay, the payment webhook reports it against the cancelled order.
+ * @param {number} orderId - Order being cancelled
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<void>}
+ */
+async function cancelOpenPayments(orderId, transaction) {
+  const payments = await Payment.findAll({ where: { orderId, status: OPEN_PAYMENT_STATUSES }, transaction });
+  for (const payment of payments) {
+    try {
+      await getPaymentProvider().cancel(payment.providerRef);
+    } catch (err) {
+      logger.warn(`Could not cancel payment ${payment.providerRef} of order ${orderId}: ${err.message}`);
+    }
+    await payment.update({ status: 'cancelled' }, { transaction });
+  }
+}
+
+/**
+ * Change an order's status
+ * @param {number} orderId - ID of the order to update
+ * @param {string} toStatus - Requested new status
+ * @param {Object} options - Change details
+ * @param {{id: number|null, role: string|null}} options.actor - User making the change
+ * @param {string} [options.note] - Optional free-text reason
+ * @param {string} [options.expectedStatus] - Only change the order if it is still in this status
+ * @param {Object} [options.transaction] - Run inside this transaction instead of a new one
+ * @returns {Promise<Object>} Updated order including line items
+ * @throws {ApiError} 404 if the order is missing, 409 if the transition is not allowed
+ *   (including cancelling an order that has been paid: it must be refunded)
+ */
+async function transitionOrder(orderId, toStatus, { actor, note, expectedStatus, transaction: outer } = {}) {
+  const change = async (transaction) => {
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: OrderItem, include: [{ model: Product, attributes: ['type'], paranoid: false }] }],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!order) throw new ApiError(404, 'Order not found');
+
+    const fromStatus = order.status;
+    if (expectedStatus && fromStatus !== expectedStatus) {
+      throw new ApiError(409, `Order is no longer '${expectedStatus}'`, { status: fromStatus });
+    }
+    // Cancelling would keep the customer's money: point staff at the refund instead
+    if (toStatus === 'cancelled') {
+      const settled = PAID_STATUSES.includes(fromStatus)
+        || (await Payment.count({ where: { orderId, status: REFUNDABLE_PAYMENT_STATUSES }, transaction })) > 0;
+      if (settled) {
+        throw new ApiError(409, "Paid orders cannot be cancelled; change the status to 'refunded' to refund the payment", {
+          status: fromStatus,
+        });
+      }
+    }
+    if (!canTransition(fromStatus, toStatus)) {
+      throw new ApiError(409, `Cannot change order status from '${fromStatus}' to '${toStatus}'`, {
+        allowed: ORDER_TRANSITIONS[fromStatus] || [],
+      });
+    }
+
+    // Reserved stock is sold on payment; cancelled and refunded orders give their stock back
+    await applyOrderTransition(order, fromStatus, toStatus, actor, transaction);
+
+    // A cancelled order no longer counts toward its coupons' usage limits, nor takes payment
+    if (toStatus === 'cancelled') {
+      await releaseCoupons(orderId, transaction);
+      await cancelOpenPayments(orderId, transaction);
+    }
+
+    // Leaving 'pending' ends the reservation
+    await order.update({ status: toStatus, reservedUntil: null }, { transaction });
+    await OrderStatusHistory.create(
+      {
+        orderId,
+        fromStatus,
+        toStatus,
+        changedBy: actor?.id ?? null,
+        changedByRole: actor?.role ?? null,
+        note: note || null,
+      },
+      { transaction }
+    );
+  };
+
+  if (outer) await change(outer);
+  else await db.sequelize.transaction(change);
+
+  return Order.findByPk(orderId, { include: [OrderItem], transaction: outer });
+}
+
+/**
+ * Cancel pending orders whose stock reservation has expired, releasing their stock
+ * Run periodically (see server.js). Orders changed concurrently are skipped.
+ * @returns {Promise<number[]>} IDs of the cancelled orders
+ */
+async function expireReservations() {
+  const expired = await Order.findAll({
+    where: { status: 'pending', reservedUntil: { [Op.lt]: new Date() } },
+    attributes: ['orderId'],
+  });
+
+  const cancelled = [];
+  for (const { orderId } of expired) {
+    try {
+      await transitionOrder(orderId, 'cancelled', {
+        actor: { id: null, role: 'system' },
+        note: 'Stock reservation expired',
+        expectedStatus: 'pending', // Paid in the meantime: keep it
+      });
+      cancelled.push(orderId);
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+      logger.warn(`Could not expire reservation of order ${orderId}: ${err.message}`);
+    }
+  }
+  if (cancelled.length) logger.info(`Expired stock reservations: cancelled order(s) ${cancelled.join(', ')}`);
+  return cancelled;
+}
+
+module.exports = { transitionOrder, expireReservations };
@@ -0,0 +1,211 @@
+/**
+ * Payment Service
+ * Takes payment for orders through the configured payment provider (see
+ * src/payments) and keeps Payment rows and order statuses in step with it.
+ *
+ * A customer starts a payment for a pending order and completes it with the
+ * provider using the returned client secret. The provider reports the
+ * outcome by webhook; a succeeded payment marks the order paid. With manual
+ * capture the payment is only authorized until staff capture it. Webhook
+ * events are recorded by id, so a redelivered event is acknowledged without
+ * being applied twice. Refunds are in services/refunds.js.
+ */
+
+const config = require('../config/config');
+const db = require('../models');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { getPaymentProvider } = require('../payments');
+const { OPEN_PAYMENT_STATUSES, WEBHOOK_EVENTS } = require('../models/payments');
+const { transitionOrder } = require('./orderStatus');
+const { toCents } = require('./money');
+
+const { Order, Payment, PaymentEvent } = db.sequelize.models;
+
+/** Actor recorded for changes made on the provider's word */
+const SYSTEM = { id: null, role: 'system' };
+
+// ---------- Helpers ----------
+
+/**
+ * Get the provider a payment was taken with
+ * @param {Object} payment - Payment instance
+ * @returns {Object} Payment provider
+ * @throws {ApiError} 409 if the configured provider has changed since
+ */
+function providerFor(payment) {
+  const provider = getPaymentProvider();
+  if (provider.name !== payment.provider) {
+    throw new ApiError(409, `Payment was taken with the '${payment.provider}' provider, which is not configured`);
+  }
+  return provider;
+}
+
+/**
+ * Lock and load a payment
+ * @param {number} paymentId - Payment ID
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<Object>} Payment instance
+ * @throws {ApiError} 404 if it does not exist
+ */
+async function lockPayment(paymentId, transaction) {
+  const payment = await Payment.findByPk(paymentId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!payment) throw new ApiError(404, 'Payment not found');
+  return payment;
+}
+
+/**
+ * Move an open payment to a new status, marking its order paid when it succeeds
+ * Events for payments that are no longer open (late or out-of-order deliveries) change nothing.
+ * @param {Object} payment - Locked Payment instance
+ * @param {string} status - New payment status
+ * @param {Object} options
+ * @param {{id: number|null, role: string|null}} options.actor - Who made the change
+ * @param {string} options.note - Order status history note
+ * @param {string} [options.failureReason] - Decline reason for failed payments
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<boolean>} True if the payment changed
+ */
+async function settlePayment(payment, status, { actor, note, failureReason }, transaction) {
+  if (!OPEN_PAYMENT_STATUSES.includes(payment.status) || payment.status === status) {
+    if (status === 'succeeded' && payment.status === 'cancelled') {
+      logger.warn(`Cancelled payment ${payment.providerRef} of order ${payment.orderId} succeeded; it should be refunded`);
+    }
+    return false;
+  }
+
+  await payment.update(
+    { status, failureReason: status === 'failed' ? failureReason || 'Payment declined' : null },
+    { transaction }
+  );
+  if (status !== 'succeeded') return true;
+
+  const order = await Order.findByPk(payment.orderId, { attributes: ['orderId', 'status'], transaction });
+  if (order.status === 'pending') {
+    await transitionOrder(order.orderId, 'paid', { actor, note, expectedStatus: 'pending', transaction });
+  } else {
+    // E.g. the order was cancelled when its reservation expired, then the customer paid
+    logger.warn(`Payment ${payment.providerRef} succeeded for order ${order.orderId}, which is '${order.status}'; `
+      + 'it should be refunded');
+  }
+  return true;
+}
+
+// ---------- Payments ----------
+
+/**
+ * Start (or resume) paying for a pending order
+ * An intent still in progress is returned again instead of creating another.
+ * @param {number} orderId - Order to pay for
+ * @returns {Promise<{payment: Object, created: boolean}>} Payment including its clientSecret
+ * @throws {ApiError} 404 if the order does not exist, 409 if it is not pending or has nothing to pay
+ */
+async function startPayment(orderId) {
+  const provider = getPaymentProvider();
+
+  return db.sequelize.transaction(async (transaction) => {
+    const order = await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!order) throw new ApiError(404, 'Order not found');
+    if (order.status !== 'pending') {
+      throw new ApiError(409, `Only pending orders can be paid; this order is '${order.status}'`);
+    }
+
+    const amountCents = toCents(order.total);
+    if (amountCents <= 0) throw new ApiError(409, 'Nothing to pay for this order');
+
+    const open = await Payment.unscoped().findOne({
+      where: { orderId, provider: provider.name, status: OPEN_PAYMENT_STATUSES },
+      order: [['paymentId', 'DESC']],
+      transaction,
+    });
+    if (open) return { payment: open, created: false };
+
+    const { captureMode, currency } = config.payments;
+    const intent = await provider.createIntent({ amountCents, currency, orderId, captureMode });
+    const payment = await Payment.create({
+      orderId,
+      provider: provider.name,
+      providerRef: intent.ref,
+      clientSecret: intent.clientSecret,
+      status: intent.status,
+      captureMode,
+      amount: amountCents / 100,
+      currency,
+    }, { transaction });
+    return { payment, created: true };
+  });
+}
+
+/**
+ * Capture an authorized payment (manual capture) and mark its order paid
+ * @param {number} paymentId - Payment ID
+ * @param {{id: number|null, role: string|null}} actor - Staff member capturing it
+ * @returns {Promise<Object>} Updated payment
+ * @throws {ApiError} 404 if the payment does not exist, 409 if it is not authorized
+ */
+async function capturePayment(paymentId, actor) {
+  return db.sequelize.transaction(async (transaction) => {
+    const payment = await lockPayment(paymentId, transaction);
+    if (payment.status !== 'authorized') {
+      throw new ApiError(409, `Only authorized payments can be captured; this payment is '${payment.status}'`);
+    }
+
+    const { status } = await providerFor(payment).capture(payment.providerRef, toCents(payment.amount));
+    await settlePayment(payment, status, { actor, note: 'Payment captured' }, transaction);
+    return payment;
+  });
+}
+
+// ---------- Webhooks ----------
+
+/**
+ * Handle a webhook delivery from the payment provider
+ * The event and its effect are stored in one transaction: if applying it
+ * fails, nothing is recorded and the provider's retry is applied afresh.
+ * @param {Buffer|string} rawBody - Exact request body (signatures cover the raw bytes)
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{duplicate: boolean, outcome: string}>} Whether the event was seen before,
+ *   and whether it was 'applied' or 'ignored' (unknown payment, type or stale status)
+ * @throws {ApiError} 400 if the signature does not verify
+ */
+async function handleWebhook(rawBody, headers) {
+  const provider = getPaymentProvider();
+  const event = provider.parseWebhook(rawBody, headers);
+
+  try {
+    return await db.sequelize.transaction(async (transaction) => {
+      const seen = await PaymentEvent.findOne({ where: { provider: provider.name, eventId: event.id }, transaction });
+      if (seen) return { duplicate: true, outcome: seen.outcome };
+
+      const payment = await Payment.findOne({
+        where: { provider: provider.name, providerRef: event.ref },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!payment) logger.warn(`Payment webhook ${event.id} (${event.type}) for unknown payment ${event.ref}`);
+
+      const status = WEBHOOK_EVENTS[event.type];
+      const applied = Boolean(payment && status) && await settlePayment(payment, status, {
+        actor: SYSTEM,
+        note: `Payment ${event.ref} ${status}`,
+        failureReason: event.failureReason,
+      }, transaction);
+
+      const outcome = applied ? 'applied' : 'ignored';
+      await PaymentEvent.create({
+        provider: provider.name,
+        eventId: event.id,
+        type: event.type,
+        paymentId: payment?.paymentId ?? null,
+        outcome,
+      }, { transaction });
+      return { duplicate: false, outcome };
+    });
+  } catch (err) {
+    // The same event delivered twice at once: the other delivery recorded it
+    if (err.name === 'SequelizeUniqueConstraintError') return { duplicate: true, outcome: 'ignored' };
+    throw err;
+  }
+}
+
+module.exports = { providerFor, lockPayment, startPayment, capturePayment, handleWebhook };
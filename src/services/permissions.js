@@ -0,0 +1,137 @@
+/**
+ * Permission Service
+ * Reads and updates the role → permission mapping stored in RolePermission.
+ * The mapping is cached in memory and reloaded after every change.
+ */
+
+const db = require('../models');
+const { ApiError } = require('../errors');
+const { ROLES } = require('../models/roles');
+const { PERMISSIONS } = require('../config/permissions');
+
+const { RolePermission } = db.sequelize.models;
+
+/** Permission that must stay with admins so the mapping can always be edited */
+const MANAGE_PERMISSION = 'permissions:manage';
+
+/** @type {Promise<Map<string, Set<string>>>|null} Cached mapping */
+let cache = null;
+
+/**
+ * Load the mapping from the database
+ * @returns {Promise<Map<string, Set<string>>>} Role → permission set
+ */
+async function load() {
+  const rows = await RolePermission.findAll();
+  const map = new Map(ROLES.map((role) => [role, new Set()]));
+  for (const { role, permission } of rows) {
+    if (!map.has(role)) map.set(role, new Set());
+    map.get(role).add(permission);
+  }
+  return map;
+}
+
+/**
+ * Get the cached mapping, loading it on first use
+ * @returns {Promise<Map<string, Set<string>>>} Role → permission set
+ */
+function getMapping() {
+  if (!cache) {
+    cache = load().catch((err) => {
+      cache = null; // Retry on next call
+      throw err;
+    });
+  }
+  return cache;
+}
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {Promise<Set<string>>} Granted permissions (empty for unknown roles)
+ */
+async function permissionsFor(role) {
+  const mapping = await getMapping();
+  return mapping.get(role) || new Set();
+}
+
+/**
+ * Check whether a decoded token user holds a permission
+ * @param {Object} user - Decoded JWT payload (req.user)
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>} True if granted
+ */
+async function hasPermission(user, permission) {
+  const role = user?.role ?? user?.user?.role;
+  if (!role) return false;
+  return (await permissionsFor(role)).has(permission);
+}
+
+/**
+ * Get the whole mapping as plain arrays
+ * @returns {Promise<Object<string, string[]>>} Role → sorted permission list
+ */
+async function listRolePermissions() {
+  const mapping = await getMapping();
+  const out = {};
+  for (const [role, perms] of mapping) out[role] = [...perms].sort();
+  return out;
+}
+
+/**
+ * Replace the permissions of a role
+ * @param {string} role - Role name
+ * @param {string[]} permissions - Complete new permission list
+ * @returns {Promise<string[]>} Permissions now granted to the role
+ * @throws {ApiError} 400 for unknown permissions, 409 when removing permissions:manage from admin
+ */
+async function setRolePermissions(role, permissions) {
+  const unknown = permissions.filter((p) => !PERMISSIONS[p]);
+  if (unknown.length) throw new ApiError(400, 'Unknown permission', { unknown });
+
+  if (role === 'admin' && !permissions.includes(MANAGE_PERMISSION)) {
+    throw new ApiError(409, `The admin role must keep '${MANAGE_PERMISSION}'`);
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    await RolePermission.destroy({ where: { role }, transaction });
+    await RolePermission.bulkCreate(
+      [...new Set(permissions)].map((permission) => ({ role, permission })),
+      { transaction }
+    );
+  });
+
+  cache = null;
+  return [...(await permissionsFor(role))].sort();
+}
+
+/**
+ * Grant a single permission to a role
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {Promise<string[]>} Permissions now granted to the role
+ */
+async function grantPermission(role, permission) {
+  const current = await permissionsFor(role);
+  return setRolePermissions(role, [...current, permission]);
+}
+
+/**
+ * Revoke a single permission from a role
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {Promise<string[]>} Permissions now granted to the role
+ */
+async function revokePermission(role, permission) {
+  const current = await permissionsFor(role);
+  return setRolePermissions(role, [...current].filter((p) => p !== permission));
+}
+
+module.exports = {
+  permissionsFor,
+  hasPermission,
+  listRolePermissions,
+  setRolePermissions,
+  grantPermission,
+  revokePermission,
+};
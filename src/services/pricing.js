@@ -0,0 +1,173 @@
+/**
+ * Pricing Service
+ * Shipping and tax for an order, on top of the item prices and coupon
+ * discounts worked out by checkout. All amounts are in integer cents.
+ *
+ * Shipping is charged only for physical items, by the chosen method's rate
+ * type (see models/shipping.js), and needs a shipping address. Tax follows
+ * the most specific active TaxRule for the destination: a rule for the
+ * address's region beats one for its whole country. Orders without an
+ * address (digital products only) are taxed by config.tax.defaultCountry.
+ *
+ * With an exclusive rule the tax is added to the total. With an inclusive
+ * rule the catalog prices (and shipping rates) already contain the tax, so
+ * the tax is only reported: amount × rate / (100 + rate).
+ */
+
+const config = require('../config/config');
+const db = require('../models');
+const { ApiError } = require('../errors');
+const { toCents } = require('./money');
+
+const { ShippingMethod, TaxRule } = db.sequelize.models;
+
+// ---------- Shipping ----------
+
+/**
+ * Check whether a shipping method delivers to a country
+ * @param {Object} method - ShippingMethod instance
+ * @param {string} country - ISO country code
+ * @returns {boolean} True if the method ships there
+ */
+const shipsTo = (method, country) => !method.countries || method.countries.includes(country);
+
+/**
+ * Price shipping for the physical lines of an order
+ * @param {Object} method - ShippingMethod instance
+ * @param {Array<{quantity: number, weight: number, shipped: boolean}>} lines - Order lines (weight in grams per unit)
+ * @param {number} goodsCents - Item total after discounts (for free shipping)
+ * @returns {number} Shipping cost in cents
+ */
+function shippingCost(method, lines, goodsCents) {
+  if (method.freeOver != null && goodsCents >= toCents(method.freeOver)) return 0;
+
+  const shipped = lines.filter((l) => l.shipped);
+  const base = toCents(method.baseRate);
+  const rate = toCents(method.rate);
+  switch (method.rateType) {
+    case 'weight': {
+      const grams = shipped.reduce((sum, l) => sum + l.weight * l.quantity, 0);
+      return base + rate * Math.ceil(grams / 1000);
+    }
+    case 'quantity':
+      return base + rate * shipped.reduce((sum, l) => sum + l.quantity, 0);
+    default:
+      return base;
+  }
+}
+
+/**
+ * Active shipping methods for a destination, each priced for the order
+ * @param {Array<Object>} lines - Order lines (see shippingCost)
+ * @param {number} goodsCents - Item total after discounts
+ * @param {string} [country] - Destination country (omit to list every method)
+ * @returns {Promise<Array<{shippingMethodId: number, name: string, description: string|null, price: number}>>}
+ *   Options, cheapest first
+ */
+async function shippingOptions(lines, goodsCents, country) {
+  const methods = await ShippingMethod.findAll({ where: { active: true }, order: [['shippingMethodId', 'ASC']] });
+  return methods
+    .filter((m) => !country || shipsTo(m, country))
+    .map((m) => ({
+      shippingMethodId: m.shippingMethodId,
+      name: m.name,
+      description: m.description,
+      price: shippingCost(m, lines, goodsCents) / 100,
+    }))
+    .sort((a, b) => a.price - b.price);
+}
+
+/**
+ * Resolve and check the shipping method chosen for an order
+ * @param {number} [shippingMethodId] - Chosen method
+ * @param {Object} [address] - Shipping address
+ * @param {Object} [transaction] - Active Sequelize transaction
+ * @returns {Promise<Object>} ShippingMethod instance
+ * @throws {ApiError} 400 without an address or method, or if the method does not ship there;
+ *   404 for unknown or inactive methods
+ */
+async function chooseShipping(shippingMethodId, address, transaction) {
+  if (!address) throw new ApiError(400, 'A shipping address is required for physical items');
+  if (!shippingMethodId) throw new ApiError(400, 'Choose a shipping method');
+
+  const method = await ShippingMethod.findByPk(shippingMethodId, { transaction });
+  if (!method || !method.active) throw new ApiError(404, 'Shipping method not found');
+  if (!shipsTo(method, address.country)) {
+    throw new ApiError(400, `${method.name} does not ship to ${address.country}`, { countries: method.countries });
+  }
+  return method;
+}
+
+// ---------- Tax ----------
+
+/**
+ * Find the tax rule for a destination
+ * @param {string|null} country - ISO country code
+ * @param {string} [region] - Region within the country
+ * @param {Object} [transaction] - Active Sequelize transaction
+ * @returns {Promise<Object|null>} Most specific active TaxRule, or null if untaxed
+ */
+async function findTaxRule(country, region, transaction) {
+  if (!country) return null;
+
+  const rules = await TaxRule.findAll({ where: { country, active: true }, transaction });
+  const wanted = region ? region.trim().toUpperCase() : null;
+  return rules.find((r) => r.region && wanted && r.region.toUpperCase() === wanted)
+    ?? rules.find((r) => !r.region)
+    ?? null;
+}
+
+/**
+ * Tax due under a rule
+ * @param {Object|null} rule - TaxRule instance
+ * @param {number} goodsCents - Item total after discounts
+ * @param {number} shippingCents - Shipping cost
+ * @returns {number} Tax in cents (contained in the amounts for inclusive rules, added to them otherwise)
+ */
+function taxOn(rule, goodsCents, shippingCents) {
+  if (!rule) return 0;
+  const base = goodsCents + (rule.appliesToShipping ? shippingCents : 0);
+  const rate = Number(rule.rate);
+  return Math.round(rule.inclusive ? (base * rate) / (100 + rate) : (base * rate) / 100);
+}
+
+// ---------- Order totals ----------
+
+/**
+ * Add shipping and tax to an order's items and discounts
+ * @param {Object} order
+ * @param {Array<Object>} order.lines - Order lines: lineCents, quantity, weight (grams per unit), shipped
+ * @param {number} order.discountCents - Coupon discounts
+ * @param {number} [order.shippingMethodId] - Chosen shipping method (needed when something is shipped)
+ * @param {Object} [order.address] - Shipping address (needed when something is shipped)
+ * @param {Object} [transaction] - Active Sequelize transaction
+ * @returns {Promise<Object>} Breakdown in cents (subtotalCents, discountCents, shippingCents, taxCents,
+ *   totalCents) with the shippingMethod and taxRule applied (either may be null)
+ * @throws {ApiError} See chooseShipping
+ */
+async function priceOrder({ lines, discountCents, shippingMethodId, address }, transaction) {
+  const subtotalCents = lines.reduce((sum, l) => sum + l.lineCents, 0);
+  const goodsCents = subtotalCents - discountCents;
+
+  const shippingMethod = lines.some((l) => l.shipped)
+    ? await chooseShipping(shippingMethodId, address, transaction)
+    : null;
+  const shippingCents = shippingMethod ? shippingCost(shippingMethod, lines, goodsCents) : 0;
+
+  const taxRule = address
+    ? await findTaxRule(address.country, address.region, transaction)
+    : await findTaxRule(config.tax.defaultCountry, null, transaction);
+  const taxCents = taxOn(taxRule, goodsCents, shippingCents);
+
+  return {
+    subtotalCents,
+    discountCents,
+    shippingCents,
+    taxCents,
+    totalCents: goodsCents + shippingCents + (taxRule?.inclusive ? 0 : taxCents),
+    shippingMethod,
+    taxRule,
+  };
+}
+
+module.exports = { shippingOptions, priceOrder };
@@ -0,0 +1,209 @@
+/**
+ * List Query Helpers
+ * Shared pagination, filtering and search for list endpoints.
+ *
+ * Every list responds with the same envelope:
+ *   { data: [...], meta: { total, limit, offset?, nextCursor } }
+ *
+ * Two pagination modes are supported:
+ * - offset: ?limit=20&offset=40 (simple, but slow and unstable on deep pages)
+ * - cursor: ?limit=20&cursor=<meta.nextCursor> (keyset; stable while rows are added)
+ *
+ * Cursors encode the sort values of the last row returned, so a cursor is
+ * only valid with the sort order it was issued for. Keyset conditions assume
+ * NULLs sort first in ascending order, as they do on SQLite and MySQL.
+ */
+
+const { Op, DataTypes, fn, col, where: whereFn } = require('sequelize');
+const { ApiError } = require('../errors');
+
+/** Default and maximum page sizes (mirrored by the Joi pagination schema) */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// ---------- Filters ----------
+
+/**
+ * Build a where clause from whitelisted filters
+ * Each filter maps a validated query key to a function returning a where
+ * fragment; keys absent from the query are skipped.
+ * @param {Object<string, Function>} filters - Query key → (value) => where fragment
+ * @param {Object} query - Validated query object (req.query)
+ * @param {Object} [base] - Conditions that always apply (e.g. ownership)
+ * @returns {Object} Sequelize where clause
+ *
+ * @example
+ * buildWhere({ minPrice: (v) => ({ price: { [Op.gte]: v } }) }, req.query);
+ */
+function buildWhere(filters, query, base = {}) {
+  const clauses = Object.entries(filters)
+    .filter(([key]) => query[key] !== undefined)
+    .map(([key, toWhere]) => toWhere(query[key]));
+  return clauses.length ? { [Op.and]: [base, ...clauses] } : base;
+}
+
+/**
+ * Case-insensitive substring search over one or more columns
+ * Uses INSTR rather than LIKE so '%' and '_' in the search text match literally.
+ * @param {string[]} fields - Column names to search
+ * @returns {Function} Filter function for buildWhere: (text) => where fragment
+ */
+const textSearch = (fields) => (text) => ({
+  [Op.or]: fields.map((field) =>
+    whereFn(fn('INSTR', fn('LOWER', col(field)), String(text).toLowerCase()), Op.gt, 0)),
+});
+
+/**
+ * Inclusive date range filter on a column (pair with 'from'/'to' query keys)
+ * @param {string} field - Date column
+ * @returns {{from: Function, to: Function}} Filter functions for buildWhere
+ */
+const dateRange = (field) => ({
+  from: (v) => ({ [field]: { [Op.gte]: v } }),
+  to: (v) => ({ [field]: { [Op.lte]: v } }),
+});
+
+// ---------- Cursors ----------
+
+/**
+ * Fingerprint of a sort order, stored in cursors to detect mismatches
+ * @param {Array<[string, string]>} order - [[field, 'ASC'|'DESC'], ...]
+ * @returns {string} e.g. 'createdAt:DESC,orderId:DESC'
+ */
+const orderKey = (order) => order.map(([field, dir]) => `${field}:${dir}`).join(',');
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {Object} row - Last row of the page (model instance)
+ * @param {Array<[string, string]>} order - Sort order of the page
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(row, order) {
+  const values = order.map(([field]) => row.get(field));
+  return Buffer.from(JSON.stringify({ o: orderKey(order), v: values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor issued for the same model and sort order
+ * @param {Object} model - Sequelize model
+ * @param {string} cursor - Cursor from meta.nextCursor
+ * @param {Array<[string, string]>} order - Sort order of the request
+ * @returns {Array<*>} Sort values of the last row already seen
+ * @throws {ApiError} 400 if the cursor is malformed or was issued for another sort order
+ */
+function decodeCursor(model, cursor, order) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ApiError(400, 'Invalid cursor');
+  }
+  if (!parsed || !Array.isArray(parsed.v)) throw new ApiError(400, 'Invalid cursor');
+  if (parsed.o !== orderKey(order) || parsed.v.length !== order.length) {
+    throw new ApiError(400, 'Cursor does not match the requested sort order');
+  }
+
+  // JSON turns dates into strings; restore them so they compare as dates
+  return parsed.v.map((value, i) => {
+    const attr = model.rawAttributes[order[i][0]];
+    return value != null && attr && attr.type instanceof DataTypes.DATE ? new Date(value) : value;
+  });
+}
+
+/**
+ * Where fragment for rows strictly after a value in one sort column
+ * @param {string} field - Column
+ * @param {string} dir - 'ASC' or 'DESC'
+ * @param {*} value - Value from the cursor
+ * @returns {Object|null} Where fragment, or null if no row can follow
+ */
+function after(field, dir, value) {
+  if (dir === 'ASC') {
+    return value === null ? { [field]: { [Op.ne]: null } } : { [field]: { [Op.gt]: value } };
+  }
+  // Descending: NULLs come last
+  return value === null ? null : { [Op.or]: [{ [field]: { [Op.lt]: value } }, { [field]: null }] };
+}
+
+/**
+ * Keyset condition selecting rows after the cursor position
+ * (a > x) OR (a = x AND b > y) OR ... for each sort column in turn.
+ * @param {Array<[string, string]>} order - Sort order
+ * @param {Array<*>} values - Sort values from the cursor
+ * @returns {Object} Where fragment
+ */
+function keysetWhere(order, values) {
+  const branches = [];
+  order.forEach(([field, dir], i) => {
+    const next = after(field, dir, values[i]);
+    if (!next) return;
+    const ties = order.slice(0, i).map(([f], j) => ({ [f]: values[j] }));
+    branches.push({ [Op.and]: [...ties, next] });
+  });
+  return { [Op.or]: branches };
+}
+
+// ---------- Paging ----------
+
+/**
+ * Append the primary key so the order is total (required for stable pages and cursors)
+ * @param {Object} model - Sequelize model
+ * @param {Array<[string, string]>} order - Requested sort order
+ * @returns {Array<[string, string]>} Sort order ending with the primary key
+ */
+function withTiebreaker(model, order) {
+  const pk = model.primaryKeyAttribute;
+  const normalized = order.map(([field, dir]) => [field, String(dir).toUpperCase() === 'DESC' ? 'DESC' : 'ASC']);
+  return normalized.some(([field]) => field === pk) ? normalized : [...normalized, [pk, 'ASC']];
+}
+
+/**
+ * Fetch one page of a model
+ * @param {Object} model - Sequelize model
+ * @param {Object} options - Query options
+ * @param {Object} [options.where] - Filter conditions (see buildWhere)
+ * @param {Array} [options.order] - Sort order as [[field, dir], ...]; the primary key is appended
+ * @param {Array} [options.include] - Associations to load with each row
+ * @param {Object} [options.attributes] - Attribute selection
+ * @param {boolean} [options.paranoid] - false to include soft-deleted rows
+ * @param {Object} page - Validated pagination query
+ * @param {number} [page.limit] - Page size
+ * @param {number} [page.offset] - Rows to skip (offset mode)
+ * @param {string} [page.cursor] - Cursor from a previous page (cursor mode)
+ * @returns {Promise<{data: Object[], meta: Object}>} Page envelope
+ * @throws {ApiError} 400 for invalid cursors
+ */
+async function findPage(model, { where = {}, order = [], include, attributes, paranoid } = {}, page = {}) {
+  const limit = Math.min(page.limit ?? DEFAULT_LIMIT, MAX_LIMIT);
+  const fullOrder = withTiebreaker(model, order);
+
+  let pageWhere = where;
+  let offset = page.offset ?? 0;
+  if (page.cursor) {
+    const values = decodeCursor(model, page.cursor, fullOrder);
+    pageWhere = { [Op.and]: [where, keysetWhere(fullOrder, values)] };
+    offset = 0;
+  }
+
+  // Fetch one extra row to learn whether another page exists
+  const [total, rows] = await Promise.all([
+    model.count({ where, paranoid }),
+    model.findAll({ where: pageWhere, order: fullOrder, include, attributes, paranoid, limit: limit + 1, offset }),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  const nextCursor = hasMore ? encodeCursor(data[data.length - 1], fullOrder) : null;
+
+  const meta = page.cursor ? { total, limit, nextCursor } : { total, limit, offset, nextCursor };
+  return { data, meta };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildWhere,
+  textSearch,
+  dateRange,
+  findPage,
+};
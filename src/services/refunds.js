@@ -0,0 +1,217 @@
+/**
+ * Refund Service
+ * Gives money back for orders and keeps Order.amountRefunded reconciled with
+ * the order total: refunds never add up to more than the customer paid.
+ *
+ * A refund goes back through the payment provider when the order was paid
+ * online (recorded as a PaymentRefund); an order paid some other way is
+ * refunded offline and only recorded here. Once the whole total has been
+ * refunded the order moves to refunded. Used by returns (services/returns.js),
+ * payment refunds and PATCH /orders/:id/status.
+ *
+ * The provider is never called inside a database transaction: the refund is
+ * recorded as pending (and counted as refunded) in the transaction, and
+ * settleRefund asks the provider once it has committed. A refund the provider
+ * refuses is marked failed and no longer counts; one the provider made but
+ * that cannot be recorded is logged for staff to settle by hand.
+ */
+
+const db = require('../models');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { ORDER_TRANSITIONS, PAID_STATUSES, canTransition } = require('../models/orderStatus');
+const { REFUNDABLE_PAYMENT_STATUSES } = require('../models/payments');
+const { transitionOrder } = require('./orderStatus');
+const { providerFor, lockPayment } = require('./payments');
+const { toCents } = require('./money');
+
+const { Order, OrderItem, Payment, PaymentRefund } = db.sequelize.models;
+
+/**
+ * Refund an amount of an order
+ * @param {number} orderId - Order to refund
+ * @param {number} amountCents - Amount to give back (more than zero)
+ * @param {Object} options
+ * @param {string} [options.reason] - Why the money is given back
+ * @param {{id: number|null, role: string|null}} options.actor - User issuing the refund
+ * @param {Object} [options.payment] - Locked payment to refund (default: the order's latest refundable payment)
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<Object|null>} Pending PaymentRefund (pass it to settleRefund after the commit),
+ *   or null for an offline refund
+ * @throws {ApiError} 404 if the order does not exist, 409 if it was never paid or is refunded in full,
+ *   400 if the amount exceeds what is left to refund on the order or the payment
+ */
+async function refundOrderAmount(orderId, amountCents, { reason, actor, payment }, transaction) {
+  const order = await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!order) throw new ApiError(404, 'Order not found');
+
+  const paid = payment ?? await Payment.findOne({
+    where: { orderId, status: REFUNDABLE_PAYMENT_STATUSES },
+    order: [['paymentId', 'DESC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+  if (!paid && !PAID_STATUSES.includes(order.status)) throw new ApiError(409, 'Order has not been paid');
+
+  const totalCents = toCents(order.total);
+  const leftCents = totalCents - toCents(order.amountRefunded);
+  if (leftCents <= 0) throw new ApiError(409, 'Order has already been refunded in full');
+  if (amountCents > leftCents) {
+    throw new ApiError(400, 'Refund exceeds the amount left to refund', { refundable: leftCents / 100 });
+  }
+
+  // Online payments are refunded through the provider, after the commit (see settleRefund)
+  let paymentRefund = null;
+  if (paid) {
+    providerFor(paid); // 409 now rather than after the commit if the provider has changed
+    const paidCents = toCents(paid.amount);
+    const paymentLeftCents = paidCents - toCents(paid.amountRefunded);
+    if (amountCents > paymentLeftCents) {
+      throw new ApiError(400, 'Refund exceeds the amount left on the payment', {
+        paymentId: paid.paymentId,
+        refundable: paymentLeftCents / 100,
+      });
+    }
+
+    paymentRefund = await PaymentRefund.create({
+      paymentId: paid.paymentId,
+      status: 'pending',
+      amount: amountCents / 100,
+      reason: reason || null,
+      createdBy: actor?.id ?? null,
+      createdByRole: actor?.role ?? null,
+    }, { transaction });
+
+    const refundedCents = paidCents - paymentLeftCents + amountCents;
+    await paid.update({
+      amountRefunded: refundedCents / 100,
+      status: refundedCents === paidCents ? 'refunded' : 'partially_refunded',
+    }, { transaction });
+  }
+
+  await order.update({ amountRefunded: (totalCents - leftCents + amountCents) / 100 }, { transaction });
+
+  // Refunded in full: the order is refunded (restocking goods not yet shipped, see services/inventory.js)
+  if (amountCents === leftCents && canTransition(order.status, 'refunded')) {
+    await transitionOrder(orderId, 'refunded', { actor, note: reason || 'Refunded in full', transaction });
+  }
+  return paymentRefund;
+}
+
+/**
+ * Take a refund the provider refused back off its payment and order
+ * @param {Object} paymentRefund - Pending PaymentRefund
+ * @returns {Promise<void>}
+ */
+async function releaseRefund(paymentRefund) {
+  await db.sequelize.transaction(async (transaction) => {
+    const payment = await lockPayment(paymentRefund.paymentId, transaction);
+    const order = await Order.findByPk(payment.orderId, { transaction, lock: transaction.LOCK.UPDATE });
+    const cents = toCents(paymentRefund.amount);
+
+    const paymentRefundedCents = toCents(payment.amountRefunded) - cents;
+    await payment.update({
+      amountRefunded: paymentRefundedCents / 100,
+      status: paymentRefundedCents > 0 ? 'partially_refunded' : 'succeeded',
+    }, { transaction });
+    await order.update({ amountRefunded: (toCents(order.amountRefunded) - cents) / 100 }, { transaction });
+    await paymentRefund.update({ status: 'failed' }, { transaction });
+
+    if (order.status === 'refunded') {
+      logger.error(`Order ${order.orderId} is marked refunded but refund ${paymentRefund.paymentRefundId} failed`);
+    }
+  });
+}
+
+/**
+ * Send a pending refund to the payment provider and record the outcome
+ * Call after the transaction that recorded the refund has committed.
+ * @param {Object|null} paymentRefund - Pending PaymentRefund from refundOrderAmount (null: nothing to do)
+ * @returns {Promise<Object|null>} The refund, now succeeded
+ * @throws {ApiError} 502 if the provider did not refund (the refund is marked failed and released)
+ */
+async function settleRefund(paymentRefund) {
+  if (!paymentRefund) return null;
+  const { paymentRefundId, paymentId } = paymentRefund;
+  const payment = await Payment.findByPk(paymentId);
+
+  let result;
+  try {
+    result = await providerFor(payment).refund(payment.providerRef, toCents(paymentRefund.amount), {
+      reason: paymentRefund.reason,
+    });
+  } catch (err) {
+    logger.error(`Refund ${paymentRefundId} of payment ${paymentId} was not made by the provider: ${err.message}`);
+    await releaseRefund(paymentRefund);
+    throw new ApiError(502, 'The payment provider did not make the refund', { paymentRefundId });
+  }
+
+  try {
+    return await paymentRefund.update({ status: 'succeeded', providerRef: result.ref });
+  } catch (err) {
+    // The money has gone back, so the refund is not released
+    logger.error(
+      `Refund ${paymentRefundId} of payment ${paymentId} was made by the provider (${result.ref}) `
+      + `but could not be marked succeeded; settle it by hand: ${err.message}`
+    );
+    throw err;
+  }
+}
+
+/**
+ * Refund whatever is left of an order and mark it refunded
+ * @param {number} orderId - Order to refund
+ * @param {Object} options
+ * @param {string} [options.note] - Reason, recorded in the status history
+ * @param {{id: number|null, role: string|null}} options.actor - User issuing the refund
+ * @returns {Promise<Object>} Updated order including line items
+ * @throws {ApiError} 404 if the order is missing, 409 if it cannot be refunded from its status,
+ *   502 if the provider did not make the refund (see settleRefund)
+ */
+async function refundOrder(orderId, { note, actor }) {
+  const pending = await db.sequelize.transaction(async (transaction) => {
+    const order = await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!order) throw new ApiError(404, 'Order not found');
+    if (!canTransition(order.status, 'refunded')) {
+      throw new ApiError(409, `Cannot change order status from '${order.status}' to 'refunded'`, {
+        allowed: ORDER_TRANSITIONS[order.status] || [],
+      });
+    }
+
+    const leftCents = toCents(order.total) - toCents(order.amountRefunded);
+    if (leftCents > 0) return refundOrderAmount(orderId, leftCents, { reason: note, actor }, transaction);
+    await transitionOrder(orderId, 'refunded', { actor, note, transaction });
+    return null;
+  });
+  await settleRefund(pending);
+
+  return Order.findByPk(orderId, { include: [OrderItem] });
+}
+
+/**
+ * Refund all or part of a payment
+ * @param {number} paymentId - Payment ID
+ * @param {Object} refund
+ * @param {number} [refund.amount] - Amount to refund (default: everything not yet refunded)
+ * @param {string} [refund.reason] - Why the money is given back
+ * @param {{id: number|null, role: string|null}} actor - User issuing the refund
+ * @returns {Promise<Object>} Updated payment including its refunds
+ * @throws {ApiError} 404 if the payment does not exist, 409 if it has not succeeded,
+ *   400 if the amount exceeds what is left to refund, 502 if the provider did not make the refund
+ */
+async function refundPayment(paymentId, { amount, reason } = {}, actor) {
+  const pending = await db.sequelize.transaction(async (transaction) => {
+    const payment = await lockPayment(paymentId, transaction);
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      throw new ApiError(409, `Only succeeded payments can be refunded; this payment is '${payment.status}'`);
+    }
+
+    const cents = amount == null ? toCents(payment.amount) - toCents(payment.amountRefunded) : toCents(amount);
+    return refundOrderAmount(payment.orderId, cents, { reason, actor, payment }, transaction);
+  });
+  await settleRefund(pending);
+
+  return Payment.findByPk(paymentId, { include: [PaymentRefund] });
+}
+
+module.exports = { refundOrderAmount, settleRefund, refundOrder, refundPayment };
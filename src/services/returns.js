@@ -0,0 +1,263 @@
+/**
+ * Returns Service
+ * Customer returns (RMA) of delivered orders.
+ *
+ * A customer opens a return for some or all of the physical items of a
+ * delivered order within config.returns.windowDays of delivery. Staff approve
+ * it, which puts the items back in stock (unless they are not resellable) and
+ * refunds the order through services/refunds.js, or reject it. Digital items
+ * cannot be returned.
+ *
+ * The suggested refund is the returned items' share of what was paid for the
+ * goods: their line value × goods paid / subtotal, where goods paid is the
+ * subtotal less discounts plus the tax on that (exclusive pricing only). Coupon
+ * discounts and tax are shared out in proportion; tax charged on shipping
+ * stays with the shipping. The return that brings back
+ * the last item refunds whatever is left, shipping included, so a fully
+ * returned order is refunded exactly its total. Staff may refund a different
+ * amount, never more than is left.
+ */
+
+const config = require('../config/config');
+const db = require('../models');
+const { ApiError } = require('../errors');
+const { RETURNABLE_ORDER_STATUSES } = require('../models/returns');
+const { isStocked, recordMovement } = require('./inventory');
+const { refundOrderAmount, settleRefund } = require('./refunds');
+const { toCents } = require('./money');
+
+const {
+  Order, OrderItem, OrderStatusHistory, Product, Return, ReturnItem,
+} = db.sequelize.models;
+
+/** Associations returned with a return */
+const RETURN_DETAIL = [
+  {
+    model: ReturnItem,
+    include: [{ model: OrderItem, attributes: ['orderItemId', 'prodId', 'variantId', 'quantity', 'unitPrice'] }],
+  },
+];
+
+// ---------- Helpers ----------
+
+/**
+ * Load an order with its lines and their product types
+ * @param {number} orderId - Order ID
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<Object|null>} Order instance
+ */
+const loadOrder = (orderId, transaction) => Order.findByPk(orderId, {
+  include: [{ model: OrderItem, include: [{ model: Product, attributes: ['prodId', 'name', 'type'], paranoid: false }] }],
+  transaction,
+  lock: transaction.LOCK.UPDATE,
+});
+
+/**
+ * When an order was delivered
+ * @param {Object} order - Order instance
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<Date>} Time of the latest 'delivered' status change (last update if none was recorded)
+ */
+async function deliveredAt(order, transaction) {
+  const entry = await OrderStatusHistory.findOne({
+    where: { orderId: order.orderId, toStatus: 'delivered' },
+    order: [['historyId', 'DESC']],
+    transaction,
+  });
+  return entry?.createdAt ?? order.updatedAt;
+}
+
+/**
+ * Units of each order line in returns still waiting for a decision
+ * @param {number} orderId - Order ID
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<Map<number, number>>} orderItemId → quantity
+ */
+async function requestedQuantities(orderId, transaction) {
+  const items = await ReturnItem.findAll({
+    include: [{ model: Return, attributes: [], where: { orderId, status: 'requested' } }],
+    transaction,
+  });
+  const totals = new Map();
+  for (const item of items) totals.set(item.orderItemId, (totals.get(item.orderItemId) ?? 0) + item.quantity);
+  return totals;
+}
+
+/**
+ * Suggested refund for a return (see the module description)
+ * @param {Object} order - Order with OrderItems, before the return's units are counted as returned
+ * @param {Array<{orderItemId: number, quantity: number}>} lines - Returned lines
+ * @returns {number} Refund in cents, capped at what is left to refund
+ */
+function suggestedRefund(order, lines) {
+  const leftCents = toCents(order.total) - toCents(order.amountRefunded);
+  const quantityOf = (item) => lines.find((l) => l.orderItemId === item.orderItemId)?.quantity ?? 0;
+
+  // The last items back: refund everything that is left
+  const allBack = order.OrderItems.every((item) => item.quantity - item.returned - quantityOf(item) === 0);
+  if (allBack) return Math.max(leftCents, 0);
+
+  const itemsCents = order.OrderItems.reduce((sum, item) => sum + toCents(item.unitPrice) * quantityOf(item), 0);
+  const subtotalCents = toCents(order.subtotal);
+  const goodsCents = subtotalCents - toCents(order.discount);
+  // Inclusive prices already contain their tax; exclusive tax is worked out on the goods alone
+  const rate = order.taxInclusive ? 0 : Number(order.taxRate ?? 0);
+  const goodsPaidCents = goodsCents + Math.round((goodsCents * rate) / 100);
+  const share = subtotalCents ? Math.round((goodsPaidCents * itemsCents) / subtotalCents) : 0;
+  return Math.max(Math.min(share, leftCents), 0);
+}
+
+// ---------- Returns ----------
+
+/**
+ * Find a return with its lines
+ * @param {number} returnId - Return ID
+ * @returns {Promise<Object|null>} Return, or null if not found
+ */
+const findReturn = (returnId) => Return.findByPk(returnId, { include: RETURN_DETAIL });
+
+/**
+ * Open a return for items of a delivered order
+ * @param {number} orderId - Order the items came from
+ * @param {Object} request
+ * @param {Array<{orderItemId: number, quantity: number}>} request.items - Lines and quantities to send back
+ * @param {string} request.reason - Customer's reason
+ * @returns {Promise<Object>} Created return with its lines
+ * @throws {ApiError} 404 if the order does not exist, 409 if it is not delivered, the return window
+ *   has closed or more units are returned than remain, 400 for lines not in the order or digital items
+ */
+async function openReturn(orderId, { items, reason }) {
+  const returnId = await db.sequelize.transaction(async (transaction) => {
+    const order = await loadOrder(orderId, transaction);
+    if (!order) throw new ApiError(404, 'Order not found');
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new ApiError(409, `Only delivered orders can be returned; this order is '${order.status}'`);
+    }
+
+    const closesAt = new Date((await deliveredAt(order, transaction)).getTime() + config.returns.windowDays * 86400000);
+    if (closesAt < new Date()) throw new ApiError(409, 'The return window for this order has closed', { closedAt: closesAt });
+
+    // Units already returned or waiting for a decision cannot be returned again
+    const requested = await requestedQuantities(orderId, transaction);
+    for (const line of items) {
+      const item = order.OrderItems.find((i) => i.orderItemId === line.orderItemId);
+      if (!item) throw new ApiError(400, `Order item ${line.orderItemId} is not part of this order`);
+      if (!isStocked(item)) {
+        throw new ApiError(400, `${item.Product.name} is a digital item and cannot be returned`);
+      }
+
+      const returnable = item.quantity - item.returned - (requested.get(item.orderItemId) ?? 0);
+      if (line.quantity > returnable) {
+        throw new ApiError(409, `Only ${returnable} of ${item.Product?.name ?? 'this item'} can be returned`, {
+          orderItemId: item.orderItemId,
+          returnable,
+        });
+      }
+    }
+
+    const ret = await Return.create({ orderId, custId: order.custId, reason }, { transaction });
+    await ReturnItem.bulkCreate(
+      items.map((line) => ({ returnId: ret.returnId, orderItemId: line.orderItemId, quantity: line.quantity })),
+      { transaction }
+    );
+    return ret.returnId;
+  });
+
+  return findReturn(returnId);
+}
+
+/**
+ * Approve a return: take the items back and refund the order
+ * @param {number} returnId - Return ID
+ * @param {Object} decision
+ * @param {number} [decision.refundAmount] - Amount to refund (default: the suggested refund; 0 for none)
+ * @param {boolean} [decision.restock=true] - Put the items back in stock (false for damaged goods)
+ * @param {string} [decision.note] - Staff note
+ * @param {{id: number|null, role: string|null}} actor - Staff member deciding
+ * @returns {Promise<Object>} Updated return with its lines
+ * @throws {ApiError} 404 if the return does not exist, 409 if it was already decided,
+ *   plus refund errors (see services/refunds.js; a 502 comes after the return is approved)
+ */
+async function approveReturn(returnId, { refundAmount, restock = true, note }, actor) {
+  const pending = await db.sequelize.transaction(async (transaction) => {
+    const ret = await Return.findByPk(returnId, {
+      include: [ReturnItem],
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!ret) throw new ApiError(404, 'Return not found');
+    if (ret.status !== 'requested') throw new ApiError(409, `Return has already been ${ret.status}`);
+
+    const order = await loadOrder(ret.orderId, transaction);
+    const cents = refundAmount == null ? suggestedRefund(order, ret.ReturnItems) : toCents(refundAmount);
+
+    // Count the units as returned first, so a full refund does not restock them again
+    for (const line of ret.ReturnItems) {
+      const item = order.OrderItems.find((i) => i.orderItemId === line.orderItemId);
+      await item.update({ returned: item.returned + line.quantity }, { transaction });
+      if (restock) {
+        await recordMovement(
+          {
+            prodId: item.prodId,
+            variantId: item.variantId,
+            type: 'return',
+            quantity: line.quantity,
+            orderId: order.orderId,
+            reason: `Return ${returnId} of order ${order.orderId}`,
+            actor,
+          },
+          transaction
+        );
+      }
+    }
+
+    const paymentRefund = cents > 0
+      ? await refundOrderAmount(order.orderId, cents, { reason: `Return ${returnId}`, actor }, transaction)
+      : null;
+
+    await ret.update({
+      status: 'approved',
+      note: note || null,
+      restocked: restock,
+      refundAmount: cents / 100,
+      paymentRefundId: paymentRefund?.paymentRefundId ?? null,
+      decidedBy: actor?.id ?? null,
+      decidedByRole: actor?.role ?? null,
+      decidedAt: new Date(),
+    }, { transaction });
+    return paymentRefund;
+  });
+  // The return stays approved if the provider refuses; the refund can be retried on its payment
+  await settleRefund(pending);
+
+  return findReturn(returnId);
+}
+
+/**
+ * Reject a return
+ * @param {number} returnId - Return ID
+ * @param {Object} decision
+ * @param {string} decision.note - Why it was rejected (shown to the customer)
+ * @param {{id: number|null, role: string|null}} actor - Staff member deciding
+ * @returns {Promise<Object>} Updated return with its lines
+ * @throws {ApiError} 404 if the return does not exist, 409 if it was already decided
+ */
+async function rejectReturn(returnId, { note }, actor) {
+  await db.sequelize.transaction(async (transaction) => {
+    const ret = await Return.findByPk(returnId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!ret) throw new ApiError(404, 'Return not found');
+    if (ret.status !== 'requested') throw new ApiError(409, `Return has already been ${ret.status}`);
+
+    await ret.update({
+      status: 'rejected',
+      note,
+      decidedBy: actor?.id ?? null,
+      decidedByRole: actor?.role ?? null,
+      decidedAt: new Date(),
+    }, { transaction });
+  });
+
+  return findReturn(returnId);
+}
+
+module.exports = { RETURN_DETAIL, findReturn, openReturn, approveReturn, rejectReturn };
@@ -0,0 +1,273 @@
+/**
+ * Token Service
+ * Issues short-lived access tokens (JWT) paired with database-backed refresh tokens,
+ * rotates refresh tokens, and handles server-side revocation.
+ *
+ * - Every login starts a new token "family" (session). The family id is carried
+ *   in the access token as the `fam` claim.
+ * - Refreshing marks the presented token as used and issues a successor in the
+ *   same family. Presenting a used token again is treated as theft: the whole
+ *   family is revoked.
+ * - Logout revokes the current access token (by jti) and its family.
+ * - Refresh tokens belong to an Account (userId = accountId) and remember the
+ *   role the session was opened with.
+ */
+
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+
+const db = require('../models');
+const config = require('../config/config');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { loadAccount, rolesOf, toTokenUser, resolveAccountId } = require('./accounts');
+
+const { RefreshToken, RevokedToken } = db.sequelize.models;
+
+// ---------- JWT Configuration ----------
+const JWT_SECRET     = config.auth.jwtSecret || 'dev_secret_change_me';
+const JWT_EXPIRES_IN = config.auth.jwtExpiresIn;
+const JWT_ISSUER     = config.auth.jwtIssuer;
+const JWT_AUDIENCE   = config.auth.jwtAudience;
+const REFRESH_TTL_MS = config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+
+// ---------- Helpers ----------
+
+/**
+ * Hash a raw refresh token for storage/lookup
+ * @param {string} raw - Refresh token as given to the client
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+const hashToken = (raw) => crypto.createHash('sha256').update(raw).digest('hex');
+
+/**
+ * Generate JWT access token with standard claims
+ * @param {Object} user - User object to embed in the token
+ * @param {Object} options - Additional options
+ * @param {string} [options.family] - Refresh token family (session) the token belongs to
+ * @returns {string} Signed JWT token
+ */
+function signAccessToken(user, { family } = {}) {
+  const payload = { user };
+  if (family) payload.fam = family;
+
+  return jwt.sign(payload, JWT_SECRET, {
+    algorithm: 'HS512',
+    expiresIn: JWT_EXPIRES_IN,
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE,
+    jwtid: uuidv4(), // Unique token ID, used for revocation
+    subject: String(user.accountId),
+  });
+}
+
+/**
+ * Verify an access token's signature, expiry, issuer and audience
+ * Does not check revocation (see isRevoked); the auth middleware does both.
+ * @param {string} token - Access token (JWT)
+ * @returns {Object} Decoded claims
+ * @throws {Error} If the token is invalid or expired
+ */
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET, {
+    algorithms: ['HS512'],
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE,
+  });
+}
+
+/**
+ * Create and store a new refresh token
+ * @param {Object} user - Token user payload
+ * @param {string} family - Family (session) id
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ * @returns {Promise<{raw: string, record: Object}>} Raw token for the client and its DB record
+ */
+async function createRefreshToken(user, family, transaction) {
+  const raw = crypto.randomBytes(48).toString('base64url');
+  const record = await RefreshToken.create(
+    {
+      tokenHash: hashToken(raw),
+      family,
+      userId: user.accountId,
+      role: user.role,
+      expiresAt: new Date(Date.now() + REFRESH_TTL_MS),
+    },
+    { transaction }
+  );
+  return { raw, record };
+}
+
+// ---------- Public API ----------
+
+/**
+ * Start a new session: issue an access token and a refresh token
+ * @param {Object} user - Token user payload (see accounts.toTokenUser)
+ * @returns {Promise<{token: string, refreshToken: string}>} Token pair
+ */
+async function issueTokens(user) {
+  const family = uuidv4();
+  const { raw } = await createRefreshToken(user, family);
+  return { token: signAccessToken(user, { family }), refreshToken: raw };
+}
+
+/**
+ * Revoke every refresh token in a family, ending that session
+ * @param {string} family - Family (session) id
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ * @returns {Promise<void>}
+ */
+async function revokeFamily(family, transaction) {
+  await RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { family, revokedAt: null }, transaction }
+  );
+}
+
+/**
+ * Revoke every refresh token of an account, ending all its sessions
+ * Access tokens of those sessions are rejected from then on (see isRevoked).
+ * @param {number} accountId - Account ID
+ * @param {Object} [transaction] - Optional Sequelize transaction
+ * @returns {Promise<void>}
+ */
+async function revokeAccountSessions(accountId, transaction) {
+  await RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { userId: accountId, revokedAt: null }, transaction }
+  );
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * @param {string} raw - Refresh token presented by the client
+ * @returns {Promise<{token: string, refreshToken: string, user: Object}>} New token pair and user
+ * @throws {ApiError} 401 if the token is unknown, expired, revoked or reused
+ */
+async function rotateRefreshToken(raw) {
+  const record = await RefreshToken.findOne({ where: { tokenHash: hashToken(raw) } });
+  if (!record) throw new ApiError(401, 'Invalid refresh token');
+
+  if (record.revokedAt) throw new ApiError(401, 'Refresh token has been revoked');
+
+  // A rotated token presented again means it was copied: end the whole session
+  if (record.usedAt) {
+    await revokeFamily(record.family);
+    logger.warn('Refresh token reuse detected; session revoked', {
+      family: record.family,
+      userId: record.userId,
+      role: record.role,
+    });
+    throw new ApiError(401, 'Refresh token reuse detected; please log in again');
+  }
+
+  if (record.expiresAt <= new Date()) throw new ApiError(401, 'Refresh token has expired');
+
+  // Reload the account so role/name changes apply and removed users are cut off
+  const account = await loadAccount(record.userId);
+  if (!account || !rolesOf(account).includes(record.role)) {
+    await revokeFamily(record.family);
+    throw new ApiError(401, 'User no longer exists');
+  }
+  const user = toTokenUser(account, record.role);
+
+  const raw2 = await db.sequelize.transaction(async (transaction) => {
+    // Mark as used only if no concurrent request rotated it first
+    const [updated] = await RefreshToken.update(
+      { usedAt: new Date() },
+      { where: { tokenId: record.tokenId, usedAt: null, revokedAt: null }, transaction }
+    );
+    if (!updated) throw new ApiError(401, 'Refresh token has already been used');
+
+    const next = await createRefreshToken(user, record.family, transaction);
+    await RefreshToken.update(
+      { replacedBy: next.record.tokenId },
+      { where: { tokenId: record.tokenId }, transaction }
+    );
+    return next.raw;
+  });
+
+  return { token: signAccessToken(user, { family: record.family }), refreshToken: raw2, user };
+}
+
+/**
+ * Revoke a single access token until it would have expired
+ * @param {Object} claims - Decoded access token claims (needs jti and exp)
+ * @returns {Promise<void>}
+ */
+async function revokeAccessToken(claims) {
+  if (!claims?.jti) return;
+
+  // Opportunistically prune denylist entries that have expired anyway
+  await RevokedToken.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+
+  const expiresAt = claims.exp ? new Date(claims.exp * 1000) : new Date(Date.now() + REFRESH_TTL_MS);
+  await RevokedToken.findOrCreate({ where: { jti: claims.jti }, defaults: { expiresAt } });
+}
+
+/**
+ * Log out the session an access token belongs to
+ * @param {Object} claims - Decoded access token claims
+ * @param {string} [rawRefreshToken] - Refresh token to revoke as well (if from another family)
+ * @returns {Promise<void>}
+ */
+async function logout(claims, rawRefreshToken) {
+  await revokeAccessToken(claims);
+  if (claims.fam) await revokeFamily(claims.fam);
+
+  if (rawRefreshToken) {
+    const accountId = await resolveAccountId(claims.user || claims);
+    const record = await RefreshToken.findOne({ where: { tokenHash: hashToken(rawRefreshToken) } });
+
+    // Only allow revoking refresh tokens that belong to the caller
+    if (record && accountId && record.userId === accountId) {
+      await revokeFamily(record.family);
+    }
+  }
+}
+
+/**
+ * Log out every session of a user
+ * @param {Object} claims - Decoded access token claims of the requesting user
+ * @returns {Promise<void>}
+ */
+async function logoutAll(claims) {
+  await revokeAccessToken(claims);
+
+  const accountId = await resolveAccountId(claims.user || claims);
+  if (!accountId) return;
+  await revokeAccountSessions(accountId);
+}
+
+/**
+ * Check whether an access token has been revoked
+ * A token is revoked if its jti is denylisted or its family has been revoked.
+ * @param {Object} claims - Decoded access token claims
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
+async function isRevoked(claims) {
+  if (claims.jti && (await RevokedToken.findByPk(claims.jti))) return true;
+
+  if (claims.fam) {
+    const revoked = await RefreshToken.count({
+      where: { family: claims.fam, revokedAt: { [Op.ne]: null } },
+    });
+    if (revoked > 0) return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAccountSessions,
+  logout,
+  logoutAll,
+  isRevoked,
+};
@@ -0,0 +1,148 @@
+/**
+ * TOTP Service
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1 over 30-second steps, 6 digits, secrets exchanged in base32.
+ * Codes from the step before and after the current one are accepted to allow
+ * for clock drift; the step a code matched is returned so callers can refuse
+ * to accept the same code twice.
+ */
+
+const crypto = require('node:crypto');
+
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+/** Steps accepted either side of the current one */
+const DRIFT_STEPS = 1;
+/** Secret length in bytes (160 bits, as RFC 4226 recommends) */
+const SECRET_BYTES = 20;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ---------- Base32 ----------
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @param {Buffer} buf - Bytes to encode
+ * @returns {string} Base32 text
+ */
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+/**
+ * Decode base32 text (case, spaces and padding are ignored)
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} On characters outside the base32 alphabet
+ */
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// ---------- Codes ----------
+
+/**
+ * Generate a new random secret
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Time step for a moment
+ * @param {number} [time=Date.now()] - Epoch milliseconds
+ * @returns {number} Step number
+ */
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+/**
+ * Code for one time step (HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 §5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current time
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number|null} [options.afterStep] - Only accept steps after this one (the last step used)
+ * @param {number} [options.time=Date.now()] - Epoch milliseconds to check against
+ * @returns {number|null} Matching step, or null if the code is wrong or already used
+ */
+function verifyCode(secret, code, { afterStep = null, time = Date.now() } = {}) {
+  const entered = String(code ?? '').replace(/\s/g, '');
+  if (entered.length !== DIGITS) return null;
+
+  const current = stepAt(time);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step += 1) {
+    if (afterStep != null && step <= afterStep) continue;
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(entered))) return step;
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Account label (the email)
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string} Provisioning URI
+ */
+function provisioningUri({ secret, account, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+  generateSecret,
+  codeAt,
+  stepAt,
+  verifyCode,
+  provisioningUri,
+};
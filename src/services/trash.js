@@ -0,0 +1,275 @@
+/**
+ * Trash Service
+ * Deletes, restores and purges customers, products and orders.
+ *
+ * These models are paranoid: destroy() only sets deletedAt and default
+ * queries skip the row. Deleting a customer deletes their orders with them
+ * (all must be finished) and removes the customer role from their account;
+ * restoring the customer brings all of it back. Deleting a product takes it
+ * out of the catalog and out of carts, while past orders still show it.
+ *
+ * Records deleted more than config.trash.retentionDays ago are purged by
+ * purgeExpired (run periodically from server.js). A purged customer's
+ * personal data is erased but the row stays, so their orders, payments and
+ * refunds remain for the books. Products are removed for good, except those
+ * an order still lists.
+ */
+
+const { Op } = require('sequelize');
+const config = require('../config/config');
+const db = require('../models');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { CLOSED_ORDER_STATUSES } = require('../models/trash');
+const { findImageFiles, removeImageFiles } = require('./images');
+const { findPage } = require('./query');
+
+const {
+  Account, AccountRole, Cart, CartItem, Customer, Order, OrderAddress, Product,
+} = db.sequelize.models;
+
+/** Model behind each record type */
+const MODELS = { customers: Customer, products: Product, orders: Order };
+
+/** Name shown for a purged customer, and on their orders' shipping addresses */
+const PURGED_NAME = 'Deleted customer';
+
+// ---------- Helpers ----------
+
+/**
+ * Find a deleted record
+ * @param {Object} model - Paranoid model
+ * @param {number} id - Primary key
+ * @param {string} label - Record name for error messages
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<Object>} Deleted record
+ * @throws {ApiError} 404 if it does not exist, 409 if it is not deleted
+ */
+async function findDeleted(model, id, label, transaction) {
+  const row = await model.findByPk(id, { paranoid: false, transaction, lock: transaction.LOCK.UPDATE });
+  if (!row) throw new ApiError(404, `${label} not found`);
+  if (!row.deletedAt) throw new ApiError(409, `${label} is not deleted`);
+  return row;
+}
+
+// ---------- Delete and restore ----------
+
+/**
+ * Delete a customer with their orders
+ * The account keeps its email (so the customer can be restored) but can no
+ * longer log in as a customer.
+ * @param {number} custId - Customer ID
+ * @returns {Promise<void>}
+ * @throws {ApiError} 404 if the customer does not exist, 409 if any of their orders is still in progress
+ */
+async function deleteCustomer(custId) {
+  await db.sequelize.transaction(async (transaction) => {
+    const customer = await Customer.findByPk(custId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!customer) throw new ApiError(404, 'Customer not found');
+
+    const open = await Order.findAll({
+      where: { custId, status: { [Op.notIn]: CLOSED_ORDER_STATUSES } },
+      attributes: ['orderId'],
+      transaction,
+    });
+    if (open.length) {
+      throw new ApiError(409, 'Customer has orders in progress', { orderIds: open.map((o) => o.orderId) });
+    }
+
+    await Order.destroy({ where: { custId }, transaction });
+    await customer.destroy({ transaction });
+    if (customer.accountId) {
+      await AccountRole.destroy({ where: { accountId: customer.accountId, role: 'customer' }, transaction });
+    }
+  });
+}
+
+/**
+ * Restore a deleted customer with their orders and customer role
+ * @param {number} custId - Customer ID
+ * @returns {Promise<Object>} Restored customer
+ * @throws {ApiError} 404 if the customer does not exist, 409 if it is not deleted or has been purged
+ */
+async function restoreCustomer(custId) {
+  await db.sequelize.transaction(async (transaction) => {
+    const customer = await findDeleted(Customer, custId, 'Customer', transaction);
+    if (customer.purgedAt) throw new ApiError(409, 'Customer has been purged');
+
+    await customer.restore({ transaction });
+    await Order.restore({ where: { custId }, transaction });
+    if (customer.accountId) {
+      await AccountRole.findOrCreate({
+        where: { accountId: customer.accountId, role: 'customer' },
+        transaction,
+      });
+    }
+  });
+
+  return Customer.findByPk(custId);
+}
+
+/**
+ * Delete a product: it leaves the catalog and every cart
+ * Variants, images and stock history stay with it until it is purged.
+ * @param {number} prodId - Product ID
+ * @returns {Promise<void>}
+ * @throws {ApiError} 404 if the product does not exist
+ */
+async function deleteProduct(prodId) {
+  await db.sequelize.transaction(async (transaction) => {
+    const product = await Product.findByPk(prodId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!product) throw new ApiError(404, 'Product not found');
+
+    await CartItem.destroy({ where: { prodId }, transaction });
+    await product.destroy({ transaction });
+  });
+}
+
+/**
+ * Restore a deleted product to the catalog
+ * @param {number} prodId - Product ID
+ * @returns {Promise<Object>} Restored product
+ * @throws {ApiError} 404 if the product does not exist, 409 if it is not deleted
+ */
+async function restoreProduct(prodId) {
+  await db.sequelize.transaction(async (transaction) => {
+    const product = await findDeleted(Product, prodId, 'Product', transaction);
+    await product.restore({ transaction });
+  });
+
+  return Product.findByPk(prodId);
+}
+
+/**
+ * Restore a deleted record by type
+ * @param {string} type - 'customers' or 'products' (orders come back with their customer)
+ * @param {number} id - Primary key
+ * @returns {Promise<Object>} Restored record
+ */
+const restoreRecord = (type, id) => (type === 'customers' ? restoreCustomer(id) : restoreProduct(id));
+
+// ---------- Listing and purging ----------
+
+/**
+ * When a record deleted now will be purged
+ * @param {Date} deletedAt - Deletion time
+ * @returns {Date} Purge time
+ */
+const purgeAfter = (deletedAt) => new Date(deletedAt.getTime() + config.trash.retentionDays * 86400000);
+
+/**
+ * List deleted records of a type, most recently deleted first
+ * Purged customers are left out; their orders are listed (with purgeAfter null) as they are kept.
+ * @param {string} type - 'customers', 'products' or 'orders'
+ * @param {Object} page - Validated pagination query (limit, offset | cursor)
+ * @returns {Promise<{data: Object[], meta: Object}>} Page envelope; each record carries purgeAfter
+ */
+async function listDeleted(type, page) {
+  const result = await findPage(MODELS[type], {
+    where: { deletedAt: { [Op.ne]: null }, ...(type === 'customers' && { purgedAt: null }) },
+    order: [['deletedAt', 'DESC']],
+    paranoid: false,
+  }, page);
+
+  return {
+    ...result,
+    data: result.data.map((row) => ({
+      ...row.toJSON(),
+      purgeAfter: type === 'orders' ? null : purgeAfter(row.deletedAt),
+    })),
+  };
+}
+
+/**
+ * Erase a deleted customer's personal data, keeping their orders and payments
+ * The customer row stays (orders reference it) with placeholder details; the
+ * shipping addresses copied onto their orders keep only the country and
+ * region the tax was worked out for. Their cart goes, and their account too
+ * when it holds no other role.
+ * @param {Object} customer - Deleted customer
+ * @param {Date} now - Purge time
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<void>}
+ */
+async function anonymiseCustomer(customer, now, transaction) {
+  const { custId, accountId } = customer;
+
+  const orders = await Order.findAll({ where: { custId }, attributes: ['orderId'], paranoid: false, transaction });
+  await OrderAddress.update(
+    { name: PURGED_NAME, line1: 'Removed', line2: null, city: 'Removed', postalCode: null, phone: null },
+    { where: { orderId: orders.map((o) => o.orderId) }, transaction }
+  );
+
+  const cart = await Cart.findOne({ where: { custId }, transaction });
+  if (cart) await cart.destroy({ transaction }); // Lines and coupons cascade
+
+  await Customer.update(
+    {
+      name: PURGED_NAME,
+      email: `deleted-${custId}@invalid`,
+      password: null,
+      address: null,
+      phone: null,
+      accountId: null,
+      purgedAt: now,
+    },
+    { where: { custId }, paranoid: false, transaction }
+  );
+
+  // Accounts left without any role are removed entirely
+  if (accountId) {
+    const remaining = await AccountRole.count({ where: { accountId }, transaction });
+    if (!remaining) await Account.destroy({ where: { accountId }, transaction });
+  }
+}
+
+/**
+ * Purge records deleted longer ago than the retention period
+ * Customers are anonymised (see anonymiseCustomer); their orders, payments,
+ * refunds and returns are kept. Products are removed for good with their
+ * image files, unless an order still lists them.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<{customers: number, products: number}>} Records purged
+ */
+async function purgeExpired(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.trash.retentionDays * 86400000);
+
+  const customers = await Customer.findAll({
+    where: { deletedAt: { [Op.lt]: cutoff }, purgedAt: null },
+    attributes: ['custId', 'accountId', 'deletedAt'],
+    paranoid: false,
+  });
+  for (const customer of customers) {
+    await db.sequelize.transaction((transaction) => anonymiseCustomer(customer, now, transaction));
+  }
+
+  const products = await Product.findAll({
+    where: {
+      deletedAt: { [Op.lt]: cutoff },
+      [Op.and]: [db.sequelize.literal('Product.prodId NOT IN (SELECT prodId FROM OrderItems)')],
+    },
+    attributes: ['prodId', 'deletedAt'],
+    paranoid: false,
+  });
+  for (const product of products) {
+    // Remember the image files before the rows are removed with the product
+    const imageFiles = await findImageFiles(product.prodId);
+    await product.destroy({ force: true });
+    await removeImageFiles(imageFiles);
+  }
+
+  if (customers.length || products.length) {
+    logger.info(`Purged deleted records: ${customers.length} customer(s), ${products.length} product(s)`);
+  }
+  return { customers: customers.length, products: products.length };
+}
+
+module.exports = {
+  deleteCustomer,
+  restoreCustomer,
+  deleteProduct,
+  restoreProduct,
+  restoreRecord,
+  listDeleted,
+  purgeExpired,
+};
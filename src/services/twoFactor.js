@@ -0,0 +1,386 @@
+/**
+ * Two-Factor Service
+ * TOTP two-factor authentication for accounts (codes: see services/totp.js).
+ *
+ * Enrolment: setup stores a new secret (encrypted with config.auth.twoFactorKey)
+ * and returns it as an otpauth:// URI and QR code. Two-factor authentication
+ * is only switched on once a code from the app has been confirmed, which also
+ * issues single-use recovery codes (stored as SHA-256 hashes, shown once).
+ *
+ * Login takes two steps when the account has it on, or when the role it logs
+ * in as requires it (RolePolicy): the password step returns a short-lived
+ * challenge token instead of session tokens, and a TOTP or recovery code
+ * exchanges the challenge for them. An account that must use it but has not
+ * set it up enrols with the challenge token first. Challenge tokens are signed
+ * with their own key, so they are never accepted as access tokens.
+ */
+
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { Op } = require('sequelize');
+const db = require('../models');
+const config = require('../config/config');
+const { ApiError } = require('../errors');
+const { ROLES } = require('../models/roles');
+const { generateSecret, verifyCode, provisioningUri } = require('./totp');
+
+const { Account, AccountRole, RecoveryCode, RolePolicy } = db.sequelize.models;
+
+/** Recovery codes issued at a time */
+const RECOVERY_CODE_COUNT = 10;
+
+// The server loads this module at startup, so it refuses to start in production without TWO_FACTOR_KEY
+if (!config.auth.twoFactorKey && process.env.NODE_ENV === 'production') {
+  throw new Error('TWO_FACTOR_KEY is not set');
+}
+const KEY_MATERIAL = config.auth.twoFactorKey || 'dev_secret_change_me';
+/** AES-256-GCM key for TOTP secrets at rest */
+const SECRET_KEY = crypto.createHash('sha256').update(`totp-secret:${KEY_MATERIAL}`).digest();
+/** HMAC key for login challenge tokens (distinct from the access token key) */
+const CHALLENGE_KEY = crypto.createHash('sha256').update(`two-factor-challenge:${KEY_MATERIAL}`).digest();
+const CHALLENGE_PURPOSE = 'two_factor';
+
+// ---------- Helpers ----------
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv.tag.ciphertext, base64url encoded
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', SECRET_KEY, iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value written by encryptSecret
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, data] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', SECRET_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Hash a recovery code for storage/lookup (dashes, spaces and case are ignored)
+ * @param {string} code - Recovery code
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+/**
+ * Load an account including its TOTP secret
+ * @param {number} accountId - Account ID
+ * @param {Object} [transaction] - Active Sequelize transaction
+ * @returns {Promise<Object>} Account instance
+ * @throws {ApiError} 404 if the account does not exist
+ */
+async function findAccount(accountId, transaction) {
+  const account = await Account.scope(null).findByPk(accountId, { transaction });
+  if (!account) throw new ApiError(404, 'Account not found');
+  return account;
+}
+
+/**
+ * Replace an account's recovery codes with new ones
+ * @param {number} accountId - Account ID
+ * @param {Object} transaction - Active Sequelize transaction
+ * @returns {Promise<string[]>} New codes (shown to the user once)
+ */
+async function replaceRecoveryCodes(accountId, transaction) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await RecoveryCode.destroy({ where: { accountId }, transaction });
+  await RecoveryCode.bulkCreate(
+    codes.map((code) => ({ accountId, codeHash: hashRecoveryCode(code) })),
+    { transaction }
+  );
+  return codes;
+}
+
+/**
+ * Accept a TOTP code once: it must be newer than the last code accepted
+ * @param {Object} account - Account instance with totpSecret
+ * @param {string} code - Code from the app
+ * @param {Object} [transaction] - Active Sequelize transaction
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ */
+async function acceptTotp(account, code, transaction) {
+  const step = verifyCode(decryptSecret(account.totpSecret), code, { afterStep: account.totpLastStep });
+  if (step == null) return false;
+
+  // Record the step only if no concurrent request used it (or a later one) first
+  const [updated] = await Account.update(
+    { totpLastStep: step },
+    {
+      where: {
+        accountId: account.accountId,
+        [Op.or]: [{ totpLastStep: null }, { totpLastStep: { [Op.lt]: step } }],
+      },
+      transaction,
+    }
+  );
+  return updated > 0;
+}
+
+/**
+ * Use up a recovery code
+ * @param {number} accountId - Account ID
+ * @param {string} code - Recovery code
+ * @param {Object} [transaction] - Active Sequelize transaction
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ */
+async function acceptRecoveryCode(accountId, code, transaction) {
+  const [claimed] = await RecoveryCode.update(
+    { usedAt: new Date() },
+    { where: { accountId, codeHash: hashRecoveryCode(code), usedAt: null }, transaction }
+  );
+  return claimed > 0;
+}
+
+// ---------- Role policies ----------
+
+/**
+ * Check whether a role must log in with two-factor authentication
+ * @param {string} role - Role name
+ * @returns {Promise<boolean>} True if required
+ */
+async function isTwoFactorRequired(role) {
+  const policy = await RolePolicy.findByPk(role);
+  return Boolean(policy?.requireTwoFactor);
+}
+
+/**
+ * Two-factor requirement of every role
+ * @returns {Promise<Array<{role: string, requireTwoFactor: boolean}>>} One entry per role
+ */
+async function listRolePolicies() {
+  const policies = await RolePolicy.findAll();
+  return ROLES.map((role) => ({
+    role,
+    requireTwoFactor: Boolean(policies.find((p) => p.role === role)?.requireTwoFactor),
+  }));
+}
+
+/**
+ * Require (or stop requiring) two-factor authentication for a role
+ * Takes effect at the next login of the role's accounts.
+ * @param {string} role - Role name
+ * @param {boolean} requireTwoFactor - New setting
+ * @returns {Promise<{before: Object, after: Object}>} Policy before and after
+ */
+async function setRoleTwoFactor(role, requireTwoFactor) {
+  const [policy] = await RolePolicy.findOrCreate({ where: { role } });
+  const before = { role, requireTwoFactor: policy.requireTwoFactor };
+  await policy.update({ requireTwoFactor });
+  return { before, after: { role, requireTwoFactor } };
+}
+
+// ---------- Status ----------
+
+/**
+ * Two-factor state of an account
+ * @param {number} accountId - Account ID
+ * @returns {Promise<Object>} enabled, enabledAt, setupPending, recoveryCodesLeft and
+ *   requiredFor (the account's roles that require it)
+ * @throws {ApiError} 404 if the account does not exist
+ */
+async function twoFactorStatus(accountId) {
+  const account = await findAccount(accountId);
+  const roles = (await AccountRole.findAll({ where: { accountId } })).map((r) => r.role);
+  const required = await RolePolicy.findAll({ where: { role: roles, requireTwoFactor: true } });
+  const recoveryCodesLeft = account.totpEnabledAt
+    ? await RecoveryCode.count({ where: { accountId, usedAt: null } })
+    : 0;
+
+  return {
+    enabled: Boolean(account.totpEnabledAt),
+    enabledAt: account.totpEnabledAt,
+    setupPending: Boolean(account.totpSecret && !account.totpEnabledAt),
+    recoveryCodesLeft,
+    requiredFor: required.map((p) => p.role),
+  };
+}
+
+// ---------- Enrolment ----------
+
+/**
+ * Start enrolment: create a secret for the account's authenticator app
+ * Replaces a previous, unconfirmed secret.
+ * @param {number} accountId - Account ID
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} Secret, provisioning
+ *   URI and the URI as a PNG data URL QR code
+ * @throws {ApiError} 404 if the account does not exist; 409 if two-factor authentication is already on
+ */
+async function startSetup(accountId) {
+  const account = await findAccount(accountId);
+  if (account.totpEnabledAt) throw new ApiError(409, 'Two-factor authentication is already enabled');
+
+  const secret = generateSecret();
+  await account.update({ totpSecret: encryptSecret(secret), totpLastStep: null });
+
+  const otpauthUrl = provisioningUri({ secret, account: account.email, issuer: config.auth.twoFactorIssuer });
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+/**
+ * Finish enrolment with a code from the app and issue recovery codes
+ * @param {number} accountId - Account ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<string[]>} Recovery codes (shown once)
+ * @throws {ApiError} 400 without a pending setup or for a wrong code; 409 if already enabled
+ */
+function enableTwoFactor(accountId, code) {
+  return db.sequelize.transaction(async (transaction) => {
+    const account = await findAccount(accountId, transaction);
+    if (account.totpEnabledAt) throw new ApiError(409, 'Two-factor authentication is already enabled');
+    if (!account.totpSecret) throw new ApiError(400, 'Set up two-factor authentication first');
+    if (!(await acceptTotp(account, code, transaction))) throw new ApiError(400, 'Invalid code');
+
+    await account.update({ totpEnabledAt: new Date() }, { transaction });
+    return replaceRecoveryCodes(accountId, transaction);
+  });
+}
+
+/**
+ * Check the second factor of a login (or of a sensitive change)
+ * @param {number} accountId - Account ID
+ * @param {Object} factor - Exactly one of:
+ * @param {string} [factor.code] - TOTP code
+ * @param {string} [factor.recoveryCode] - Unused recovery code (used up)
+ * @returns {Promise<{method: string, recoveryCodesLeft: number|null}>} 'totp' or 'recovery', and
+ *   the recovery codes left after using one
+ * @throws {ApiError} 400 for wrong or reused codes, or if two-factor authentication is off
+ */
+async function verifySecondFactor(accountId, { code, recoveryCode }) {
+  const account = await findAccount(accountId);
+  if (!account.totpEnabledAt) throw new ApiError(400, 'Two-factor authentication is not enabled');
+
+  if (recoveryCode) {
+    if (!(await acceptRecoveryCode(accountId, recoveryCode))) throw new ApiError(400, 'Invalid code');
+    const recoveryCodesLeft = await RecoveryCode.count({ where: { accountId, usedAt: null } });
+    return { method: 'recovery', recoveryCodesLeft };
+  }
+
+  if (!(await acceptTotp(account, code))) throw new ApiError(400, 'Invalid code');
+  return { method: 'totp', recoveryCodesLeft: null };
+}
+
+/**
+ * Issue a fresh set of recovery codes (the old ones stop working)
+ * @param {number} accountId - Account ID
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<string[]>} New recovery codes (shown once)
+ * @throws {ApiError} 400 for a wrong code or if two-factor authentication is off
+ */
+async function regenerateRecoveryCodes(accountId, code) {
+  await verifySecondFactor(accountId, { code });
+  return db.sequelize.transaction((transaction) => replaceRecoveryCodes(accountId, transaction));
+}
+
+/**
+ * Clear an account's secret and recovery codes
+ * @param {Object} account - Account instance
+ * @returns {Promise<void>}
+ */
+function clearTwoFactor(account) {
+  return db.sequelize.transaction(async (transaction) => {
+    await account.update({ totpSecret: null, totpEnabledAt: null, totpLastStep: null }, { transaction });
+    await RecoveryCode.destroy({ where: { accountId: account.accountId }, transaction });
+  });
+}
+
+/**
+ * Turn two-factor authentication off, confirmed with a current code
+ * @param {number} accountId - Account ID
+ * @param {Object} factor - { code } or { recoveryCode } (see verifySecondFactor)
+ * @returns {Promise<void>}
+ * @throws {ApiError} 400 for a wrong code; 409 if one of the account's roles requires it
+ */
+async function disableTwoFactor(accountId, factor) {
+  const { requiredFor } = await twoFactorStatus(accountId);
+  if (requiredFor.length) {
+    throw new ApiError(409, 'Two-factor authentication is required for your role', { roles: requiredFor });
+  }
+  await verifySecondFactor(accountId, factor);
+  await clearTwoFactor(await findAccount(accountId));
+}
+
+/**
+ * Remove an account's two-factor authentication (admin recovery for lost devices)
+ * The owner has to set it up again, at their next login if their role requires it.
+ * @param {number} accountId - Account ID
+ * @returns {Promise<Object>} Account as it was before the reset
+ * @throws {ApiError} 404 if the account does not exist
+ */
+async function resetTwoFactor(accountId) {
+  const account = await findAccount(accountId);
+  const before = { twoFactorEnabled: Boolean(account.totpEnabledAt) };
+  await clearTwoFactor(account);
+  return before;
+}
+
+// ---------- Login challenges ----------
+
+/**
+ * Issue the challenge token returned by the password step of a login
+ * @param {Object} account - Authenticated account
+ * @param {string} role - Role the session will act as
+ * @param {Object} [extra]
+ * @param {string} [extra.cartToken] - Guest cart to merge once the login completes
+ * @returns {{challengeToken: string, expiresIn: number}} Token and its lifetime in seconds
+ */
+function issueChallenge(account, role, { cartToken } = {}) {
+  const expiresIn = config.auth.twoFactorChallengeMinutes * 60;
+  const payload = { purpose: CHALLENGE_PURPOSE, role };
+  if (cartToken) payload.cartToken = cartToken;
+
+  const challengeToken = jwt.sign(payload, CHALLENGE_KEY, {
+    algorithm: 'HS512',
+    expiresIn,
+    issuer: config.auth.jwtIssuer,
+    subject: String(account.accountId),
+  });
+  return { challengeToken, expiresIn };
+}
+
+/**
+ * Read a challenge token
+ * @param {string} token - Challenge token from the password step
+ * @returns {{accountId: number, role: string, cartToken: string|undefined}} Pending login
+ * @throws {ApiError} 401 if the token is invalid or expired
+ */
+function readChallenge(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, CHALLENGE_KEY, { algorithms: ['HS512'], issuer: config.auth.jwtIssuer });
+  } catch {
+    throw new ApiError(401, 'Invalid or expired login challenge');
+  }
+  if (claims.purpose !== CHALLENGE_PURPOSE) throw new ApiError(401, 'Invalid or expired login challenge');
+  return { accountId: Number(claims.sub), role: claims.role, cartToken: claims.cartToken };
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  listRolePolicies,
+  setRoleTwoFactor,
+  twoFactorStatus,
+  startSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor,
+  issueChallenge,
+  readChallenge,
+};
@@ -0,0 +1,39 @@
+/**
+ * Storage Adapters
+ * Pluggable object storage for uploaded files. The adapter is chosen by
+ * config.storage.driver; every adapter implements the same interface:
+ *
+ *   put(key, buffer)         Store an object
+ *   get(key)                 Read an object into a Buffer
+ *   createReadStream(key)    Stream an object
+ *   exists(key)              Check for an object
+ *   delete(key)              Remove an object (missing objects are ignored)
+ *
+ * To add a backend (e.g. S3), implement the interface and register it in DRIVERS.
+ */
+
+const config = require('../config/config');
+const { createLocalStorage } = require('./local');
+
+/** Adapter factories by driver name */
+const DRIVERS = {
+  local: () => createLocalStorage({ root: config.storage.localRoot }),
+};
+
+let instance = null;
+
+/**
+ * Get the configured storage adapter (created on first use)
+ * @returns {Object} Storage adapter
+ * @throws {Error} If the configured driver is unknown
+ */
+function getStorage() {
+  if (!instance) {
+    const factory = DRIVERS[config.storage.driver];
+    if (!factory) throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+    instance = factory();
+  }
+  return instance;
+}
+
+module.exports = { getStorage };
@@ -0,0 +1,101 @@
+/**
+ * Local Filesystem Storage Adapter
+ * Stores objects as files below a root directory; keys map to relative paths
+ * (e.g. 'products/12/<uuid>/thumb.webp').
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a local storage adapter
+ * @param {Object} options
+ * @param {string} options.root - Directory holding stored files
+ * @returns {Object} Storage adapter (put, get, createReadStream, exists, delete)
+ */
+function createLocalStorage({ root }) {
+  const base = path.resolve(root);
+
+  /**
+   * Map a key to an absolute path inside the root
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   * @throws {Error} If the key would escape the root directory
+   */
+  const resolveKey = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Store an object, replacing any existing one
+     * @param {string} key - Storage key
+     * @param {Buffer} data - Contents
+     * @returns {Promise<void>}
+     */
+    async put(key, data) {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, data);
+    },
+
+    /**
+     * Read an object into memory
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer>} Contents
+     */
+    get(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    /**
+     * Open an object for streaming
+     * @param {string} key - Storage key
+     * @returns {ReadableStream} File stream
+     */
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    /**
+     * Check whether an object exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} True if present
+     */
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    /**
+     * Delete an object (missing objects are ignored) and prune empty folders
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+      const file = resolveKey(key);
+      await fs.promises.rm(file, { force: true });
+
+      // Remove now-empty parent directories up to the root
+      let dir = path.dirname(file);
+      while (dir.startsWith(base + path.sep)) {
+        try {
+          await fs.promises.rmdir(dir);
+        } catch {
+          break; // Not empty (or already gone)
+        }
+        dir = path.dirname(dir);
+      }
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
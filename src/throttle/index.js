@@ -0,0 +1,46 @@
+/**
+ * Throttle Stores
+ * Pluggable storage for the counters behind login throttling
+ * (config.loginThrottle.store) and the token buckets behind API rate limiting
+ * (config.rateLimit.store). Every store implements the same interface (times
+ * are epoch milliseconds):
+ *
+ *   hit(key, windowMs)  Count one event; the counter is forgotten after
+ *                       windowMs without events → { count, firstAt, lastAt, resetAt }
+ *   get(key)            Current counter → { count, firstAt, lastAt, resetAt } | null
+ *   reset(key)          Forget a counter or bucket
+ *   take(key, { capacity, refillPerSecond })
+ *                       Take one token from a bucket that starts full and refills
+ *                       continuously → { allowed, remaining, resetMs, retryAfterMs }
+ *
+ * 'memory' keeps counters in the process, which is enough for a single
+ * instance; instances behind a load balancer each count separately. A
+ * shared store (e.g. Redis) implements the interface and is registered in DRIVERS.
+ */
+
+const { createMemoryStore } = require('./memory');
+
+/** Store factories by name */
+const DRIVERS = {
+  memory: () => createMemoryStore(),
+};
+
+/** Stores created so far, by name (features configured with the same store share it) */
+const instances = new Map();
+
+/**
+ * Get a throttle store (created on first use)
+ * @param {string} name - Store name, e.g. config.rateLimit.store
+ * @returns {Object} Throttle store
+ * @throws {Error} If the store is unknown
+ */
+function getThrottleStore(name) {
+  if (!instances.has(name)) {
+    const factory = DRIVERS[name];
+    if (!factory) throw new Error(`Unknown throttle store: ${name}`);
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+module.exports = { getThrottleStore };
@@ -0,0 +1,112 @@
+/**
+ * Memory Throttle Store
+ * Keeps counters and token buckets in a Map in this process. Expired
+ * counters (and buckets that have refilled) are dropped when read and by a
+ * periodic sweep, so idle keys do not accumulate.
+ */
+
+/** How often expired counters are swept */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create an in-memory throttle store
+ * @param {Object} [options]
+ * @param {Function} [options.now=Date.now] - Clock (epoch milliseconds)
+ * @returns {Object} Throttle store (hit, get, reset, take)
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+  const counters = new Map();
+
+  /**
+   * Read a counter that has not expired
+   * @param {string} key - Counter key
+   * @returns {Object|undefined} Stored counter
+   */
+  const live = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= now()) {
+      counters.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const sweep = setInterval(() => {
+    const t = now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= t) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref(); // Never keeps the process alive
+
+  return {
+    name: 'memory',
+
+    /**
+     * Count one event
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Forget the counter after this long without events
+     * @returns {Promise<{count: number, firstAt: number, lastAt: number, resetAt: number}>} Updated counter
+     */
+    async hit(key, windowMs) {
+      const t = now();
+      const entry = live(key) ?? { count: 0, firstAt: t };
+      entry.count += 1;
+      entry.lastAt = t;
+      entry.resetAt = t + windowMs;
+      counters.set(key, entry);
+      return { ...entry };
+    },
+
+    /**
+     * Read a counter
+     * @param {string} key - Counter key
+     * @returns {Promise<Object|null>} Counter, or null if there is none
+     */
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    /**
+     * Forget a counter or bucket
+     * @param {string} key - Counter or bucket key
+     * @returns {Promise<void>}
+     */
+    async reset(key) {
+      counters.delete(key);
+    },
+
+    /**
+     * Take one token from a bucket
+     * A missing bucket is full; it is dropped again once it has refilled.
+     * @param {string} key - Bucket key
+     * @param {Object} bucket
+     * @param {number} bucket.capacity - Most tokens the bucket holds (burst size)
+     * @param {number} bucket.refillPerSecond - Tokens added per second
+     * @returns {Promise<{allowed: boolean, remaining: number, resetMs: number, retryAfterMs: number}>}
+     *   Whether a token was taken, whole tokens left, time until the bucket is full again,
+     *   and time until the next token (0 if allowed)
+     */
+    async take(key, { capacity, refillPerSecond }) {
+      const t = now();
+      const entry = live(key);
+      const refilled = entry ? entry.tokens + ((t - entry.lastAt) / 1000) * refillPerSecond : capacity;
+      let tokens = Math.min(capacity, refilled);
+
+      const allowed = tokens >= 1;
+      if (allowed) tokens -= 1;
+
+      const resetMs = Math.ceil(((capacity - tokens) / refillPerSecond) * 1000);
+      counters.set(key, { tokens, lastAt: t, resetAt: t + resetMs });
+      return {
+        allowed,
+        remaining: Math.floor(tokens),
+        resetMs,
+        retryAfterMs: allowed ? 0 : Math.ceil(((1 - tokens) / refillPerSecond) * 1000),
+      };
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
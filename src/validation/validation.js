@@ -5,6 +5,18 @@
  */
 
 const Joi = require('joi');
+const { ORDER_STATUSES } = require('../models/orderStatus');
+const { ROLES } = require('../models/roles');
+const { PRODUCT_TYPES } = require('../models/productTypes');
+const { MOVEMENT_TYPES, MANUAL_MOVEMENT_TYPES } = require('../models/inventory');
+const { COUPON_TYPES, MAX_COUPONS_PER_ORDER } = require('../models/coupons');
+const { SHIPPING_RATE_TYPES } = require('../models/shipping');
+const { PAYMENT_STATUSES, WEBHOOK_EVENTS } = require('../models/payments');
+const { RETURN_STATUSES } = require('../models/returns');
+const { TRASH_TYPES, RESTORABLE_TRASH_TYPES } = require('../models/trash');
+const { AUDIT_ACTIONS } = require('../models/audit');
+const { PERMISSIONS } = require('../config/permissions');
+const { SORT_FIELDS, parseSort } = require('../models/sorting');
 
 // ---------- Internal Helpers ----------
 
@@ -57,7 +69,12 @@ function validate(schema, { source = 'body', stripUnknown = true } = {}) {
     if (value.email) value.email = String(value.email).trim().toLowerCase();
 
     // Update request with validated/sanitized data
-    req[source] = value;
+    // (Express 5 exposes req.query as a getter, so it must be redefined rather than assigned)
+    if (source === 'query') {
+      Object.defineProperty(req, 'query', { value, writable: true, configurable: true, enumerable: true });
+    } else {
+      req[source] = value;
+    }
     req.validated = req.validated || {};
     req.validated[source] = value;
     
@@ -101,6 +118,76 @@ const phone = Joi.string().trim().max(40);
 const address = Joi.string().trim().max(120);
 const sortDir = Joi.string().insensitive().valid('ASC', 'DESC');
 
+// Pagination keys shared by list endpoints (see services/query.js)
+const pagination = {
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0),
+  cursor: Joi.string().trim().max(1000),
+};
+
+/**
+ * Build a list query schema: pagination plus whitelisted filters
+ * offset and cursor select different paging modes, so only one may be given.
+ * @param {Object} filters - Joi schemas for the filter keys
+ * @returns {Object} Joi object schema
+ */
+const listQuery = (filters) =>
+  Joi.object({ ...pagination, ...filters })
+    .oxor('offset', 'cursor')
+    .messages({ 'object.oxor': 'Use either "offset" or "cursor", not both' });
+
+/**
+ * Build a ?sort= schema for a model, e.g. sort=-price,name
+ * Fields must be in the model's whitelist (models/sorting.js); a leading '-'
+ * sorts descending. The validated value is a Sequelize order array.
+ * @param {string} model - Model name in SORT_FIELDS
+ * @returns {Object} Joi string schema
+ */
+const sortQuery = (model) =>
+  Joi.string()
+    .trim()
+    .max(200)
+    .custom((value, helpers) => {
+      const order = parseSort(value);
+      const fields = order.map(([field]) => field);
+      const unknown = fields.filter((field) => !SORT_FIELDS[model].includes(field));
+
+      if (!order.length) return helpers.error('sort.empty');
+      if (unknown.length) {
+        return helpers.error('sort.field', { fields: unknown.join(', '), allowed: SORT_FIELDS[model].join(', ') });
+      }
+      if (new Set(fields).size !== fields.length) return helpers.error('sort.duplicate');
+      return order;
+    })
+    .messages({
+      'sort.empty': '"sort" must name at least one field',
+      'sort.field': 'Cannot sort by {#fields}; allowed fields: {#allowed}',
+      'sort.duplicate': '"sort" must not repeat a field',
+    });
+
+/**
+ * Build /o/:field/:dir params schema for a model (deprecated sort routes)
+ * @param {string} model - Model name in SORT_FIELDS
+ * @returns {Object} Joi object schema
+ */
+const sortParams = (model) => Joi.object({
+  field: Joi.string().valid(...SORT_FIELDS[model]).required(),
+  dir: sortDir.required(),
+});
+
+/**
+ * Build /sort/two/:first/:second params schema for a model (deprecated sort routes)
+ * @param {string} model - Model name in SORT_FIELDS
+ * @returns {Object} Joi object schema
+ */
+const twoSortParams = (model) => Joi.object({
+  first: Joi.string().valid(...SORT_FIELDS[model]).required(),
+  second: Joi.string().valid(...SORT_FIELDS[model]).required(),
+});
+
+// Free-text search term
+const searchText = Joi.string().trim().min(1).max(100);
+
 // ---------- Auth Schemas ----------
 
 // Customer registration
@@ -113,22 +200,106 @@ const authCustomerRegister = Joi.object({
 });
 
 // Customer login
+// Guest cart token to merge into the customer's cart on login
+const cartToken = Joi.string().trim().max(100);
+
 const authCustomerLogin = Joi.object({
   email: email.required(),
   password: Joi.string().required(),
+  cartToken,
 });
 
-// Staff registration
+// Staff registration (requires an invitation issued by an admin)
 const authStaffRegister = Joi.object({
+  inviteToken: Joi.string().trim().max(200).required().messages({
+    'any.required': 'An invitation is required to register for this role',
+  }),
   name: name.required(),
   email: email.required(),
   password: strongPassword.required(),
 });
 
 // Reuse login schema for staff and admin
-const authStaffLogin = authCustomerLogin;
+const authStaffLogin = authCustomerLogin.fork(['cartToken'], (key) => key.forbidden());
 const authAdminRegister = authStaffRegister;
-const authAdminLogin = authCustomerLogin;
+const authAdminLogin = authStaffLogin;
+
+// Unified login (role optional: defaults to the account's highest role)
+const authLogin = Joi.object({
+  email: email.required(),
+  password: Joi.string().required(),
+  role: Joi.string().trim().lowercase().valid(...ROLES),
+  cartToken,
+});
+
+// Refresh token rotation
+const authRefresh = Joi.object({
+  refreshToken: Joi.string().trim().max(200).required(),
+});
+
+// Logout (refresh token optional; the access token identifies the session)
+const authLogout = Joi.object({
+  refreshToken: Joi.string().trim().max(200),
+});
+
+// Password reset and verification links (token from the emailed link)
+const linkToken = Joi.string().trim().max(200).required();
+
+const authForgotPassword = Joi.object({
+  email: email.required(),
+});
+
+const authResetPassword = Joi.object({
+  token: linkToken,
+  password: strongPassword.required(),
+});
+
+const authVerifyEmail = Joi.object({
+  token: linkToken,
+});
+
+const authResendVerification = authForgotPassword;
+
+// ---------- Invitation Schemas ----------
+
+// Create an invitation for an elevated role
+const invitationCreate = Joi.object({
+  email: email.required(),
+  role: Joi.string().trim().lowercase().valid('staff', 'admin').required(),
+});
+
+// List invitations
+const invitationListQuery = Joi.object({
+  pending: Joi.boolean().default(false),
+});
+
+// Generic positive integer :id parameter
+const idParam = Joi.object({ id: id.required() });
+
+// ---------- Permission Schemas ----------
+
+// Role and permission names
+const role = Joi.string().trim().lowercase().valid(...ROLES);
+const permission = Joi.string().trim().valid(...Object.keys(PERMISSIONS)).messages({
+  'any.only': 'Unknown permission',
+});
+
+// :role parameter
+const roleParam = Joi.object({ role: role.required() });
+
+// :role/:permission parameters
+const rolePermissionParams = Joi.object({
+  role: role.required(),
+  permission: permission.required(),
+});
+
+// Replace a role's permissions
+const rolePermissionsSet = Joi.object({
+  permissions: Joi.array().items(permission).unique().required(),
+});
+
+// Grant one permission
+const rolePermissionGrant = Joi.object({ permission: permission.required() });
 
 // ---------- Customer Schemas ----------
 
@@ -150,52 +321,628 @@ const customerUpdate = Joi.object({
   password: strongPassword,
 }).min(1);
 
+// List customers (pagination, sort, name/email search)
+const customerListQuery = listQuery({
+  sort: sortQuery('Customer'),
+  q: searchText,
+});
+
 // ---------- Product Schemas ----------
 
+// Product/category names: letters, digits, spaces and common punctuation
+// (e.g. "Golden Hour #3 – Limited Edition", "Mt. Cook (Aoraki)")
+const productName = Joi.string()
+  .trim()
+  .pattern(/^[\p{L}\p{N}\s'’&.,:!?#()/+–—-]+$/u, 'letters, digits, spaces and basic punctuation')
+  .min(2)
+  .max(120);
+
+// Product type (see models/productTypes.js)
+const productType = Joi.string().valid(...PRODUCT_TYPES);
+
+// Low-stock threshold (null: use the configured default)
+const reorderLevel = Joi.number().integer().min(0).allow(null);
+
+// Category IDs to assign to a product (replaces the current set)
+const categoryIds = Joi.array().items(id).unique().max(50);
+
+// Shipping weight in grams (null: unknown, ships as weightless)
+const weight = Joi.number().integer().min(0).max(1000000).allow(null);
+
 // Create product
 const productCreate = Joi.object({
-  name: Joi.string()
-    .trim()
-    .pattern(/^[A-Za-z\s]+$/, 'letters and spaces only')
-    .min(3)
-    .max(30)
-    .required(),
+  name: productName.required(),
+  type: productType.default('physical'),
   price: Joi.number().positive().precision(2).required(),
-  stock: Joi.number().integer().min(0).required(),
+  // Digital products are not stocked
+  stock: Joi.number().integer().min(0).when('type', { is: 'digital', then: Joi.optional(), otherwise: Joi.required() }),
+  reorderLevel,
+  weight,
+  categoryIds,
 });
 
 // Update product (all fields optional, but at least one required)
 const productUpdate = Joi.object({
-  name: Joi.string()
-    .trim()
-    .pattern(/^[A-Za-z\s]+$/, 'letters and spaces only')
-    .min(3)
-    .max(30),
+  name: productName,
+  type: productType,
+  price: Joi.number().positive().precision(2),
+  stock: Joi.number().integer().min(0),
+  reorderLevel,
+  weight,
+  categoryIds,
+}).min(1);
+
+// Single and two-field sort validation (deprecated /o/:field/:dir, /sort/two/:first/:second)
+const productSortParams = sortParams('Product');
+const productTwoSortParams = twoSortParams('Product');
+
+// List products (pagination, sort, name search, price range, availability, category)
+const productListQuery = listQuery({
+  sort: sortQuery('Product'),
+  q: searchText,
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number()
+    .min(0)
+    .when('minPrice', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minPrice')) })
+    .messages({ 'number.min': '"maxPrice" must be greater than or equal to "minPrice"' }),
+  inStock: Joi.boolean(),
+  categoryId: id,
+  type: productType,
+});
+
+// ---------- Variant Schemas ----------
+
+// Variant option fields
+const sku = Joi.string().trim().uppercase().pattern(/^[A-Z0-9][A-Z0-9_-]{1,63}$/, 'letters, digits, - and _');
+const printSize = Joi.string().trim().max(30);
+const finish = Joi.string().trim().lowercase().max(30);
+
+// Create variant
+const variantCreate = Joi.object({
+  sku: sku.required(),
+  size: printSize.allow(null),
+  finish: finish.allow(null),
+  framed: Joi.boolean().default(false),
+  price: Joi.number().positive().precision(2).required(),
+  stock: Joi.number().integer().min(0).default(0),
+  reorderLevel,
+  weight, // null: the product's weight
+});
+
+// Update variant (all fields optional, but at least one required)
+const variantUpdate = Joi.object({
+  sku,
+  size: printSize.allow(null),
+  finish: finish.allow(null),
+  framed: Joi.boolean(),
   price: Joi.number().positive().precision(2),
   stock: Joi.number().integer().min(0),
+  reorderLevel,
+  weight,
+}).min(1);
+
+// :id/variants/:variantId parameters
+const variantParams = Joi.object({
+  id: id.required(),
+  variantId: id.required(),
+});
+
+// ---------- Image Schemas ----------
+
+// Alt text describing an image for screen readers
+const altText = Joi.string().trim().max(200);
+
+// Upload images (multipart fields alongside the files)
+const imageUpload = Joi.object({
+  altText: altText.allow(''),
+});
+
+// Update image metadata
+const imageUpdate = Joi.object({
+  altText: altText.allow('', null).required(),
+});
+
+// Reorder a gallery: every image ID of the product, in display order
+const imageOrder = Joi.object({
+  imageIds: Joi.array().items(id).unique().min(1).required(),
+});
+
+// :id/images/:imageId parameters
+const imageParams = Joi.object({
+  id: id.required(),
+  imageId: id.required(),
+});
+
+// :id/images/:imageId/:rendition parameters (originals are not served publicly)
+const renditionParams = Joi.object({
+  id: id.required(),
+  imageId: id.required(),
+  rendition: Joi.string().valid('thumb', 'preview').required(),
+});
+
+// ---------- Download Schemas ----------
+
+// /downloads/:orderId/:prodId parameters
+const downloadParams = Joi.object({
+  orderId: id.required(),
+  prodId: id.required(),
+});
+
+// Signed link query (see services/downloads.js)
+const downloadQuery = Joi.object({
+  expires: Joi.number().integer().positive().required(),
+  sig: Joi.string().hex().length(64).required(),
+});
+
+// ---------- Category Schemas ----------
+
+// URL-friendly category slug
+const slug = Joi.string().trim().lowercase().max(80).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'lowercase words separated by -');
+
+// Create category (slug is derived from the name when omitted)
+const categoryCreate = Joi.object({
+  name: productName.max(60).required(),
+  slug,
+  description: Joi.string().trim().max(500).allow('', null),
+});
+
+// Update category (all fields optional, but at least one required)
+const categoryUpdate = Joi.object({
+  name: productName.max(60),
+  slug,
+  description: Joi.string().trim().max(500).allow('', null),
+}).min(1);
+
+// Replace a product's categories
+const productCategoriesSet = Joi.object({
+  categoryIds: categoryIds.required(),
+});
+
+// ---------- Coupon Schemas ----------
+
+// Coupon code (matched case-insensitively, stored upper case)
+const couponCode = Joi.string().trim().uppercase().pattern(/^[A-Z0-9][A-Z0-9_-]{2,39}$/, 'letters, digits, - and _');
+
+// Codes redeemed together on one order
+const couponCodes = Joi.array().items(couponCode).unique().max(MAX_COUPONS_PER_ORDER).messages({
+  'array.unique': 'Each coupon code may only be given once',
+});
+
+// Optional date bounds of a coupon's validity window
+const couponWindow = {
+  startsAt: Joi.date().iso().allow(null),
+  endsAt: Joi.date()
+    .iso()
+    .allow(null)
+    .when('startsAt', { is: Joi.date().required(), then: Joi.date().min(Joi.ref('startsAt')) })
+    .messages({ 'date.min': '"endsAt" must be on or after "startsAt"' }),
+};
+
+// Coupon fields shared by create and update
+const couponFields = {
+  description: Joi.string().trim().max(200).allow('', null),
+  minOrderValue: Joi.number().min(0).precision(2).allow(null),
+  ...couponWindow,
+  maxUses: Joi.number().integer().min(1).allow(null),
+  maxUsesPerCustomer: Joi.number().integer().min(1).allow(null),
+  productIds: Joi.array().items(id).unique().max(100),
+  categoryIds,
+};
+
+// Create coupon (percentages are capped at 100; amounts are checked against the order at checkout)
+const couponCreate = Joi.object({
+  code: couponCode.required(),
+  type: Joi.string().trim().lowercase().valid(...COUPON_TYPES).required(),
+  value: Joi.number()
+    .positive()
+    .precision(2)
+    .required()
+    .when('type', { is: 'percentage', then: Joi.number().max(100) }),
+  stackable: Joi.boolean().default(false),
+  active: Joi.boolean().default(true),
+  ...couponFields,
+});
+
+// Update coupon (all fields optional, but at least one required)
+const couponUpdate = Joi.object({
+  code: couponCode,
+  type: Joi.string().trim().lowercase().valid(...COUPON_TYPES),
+  value: Joi.number()
+    .positive()
+    .precision(2)
+    .when('type', { is: 'percentage', then: Joi.number().max(100) }),
+  stackable: Joi.boolean(),
+  active: Joi.boolean(),
+  ...couponFields,
 }).min(1);
 
+// List coupons (pagination, sort, code search, active flag)
+const couponListQuery = listQuery({
+  sort: sortQuery('Coupon'),
+  q: searchText,
+  active: Joi.boolean(),
+});
+
+// ---------- Tax and Shipping Schemas ----------
+
+// ISO 3166-1 alpha-2 country code
+const country = Joi.string().trim().uppercase().pattern(/^[A-Z]{2}$/, 'two-letter country code');
+
+// State, province or county (matched case-insensitively against tax rules)
+const region = Joi.string().trim().max(60);
+
+// Where an order's physical items are shipped (copied onto the order)
+const shippingAddress = Joi.object({
+  name: name.max(100).required(),
+  line1: Joi.string().trim().min(2).max(120).required(),
+  line2: Joi.string().trim().max(120).allow('', null),
+  city: Joi.string().trim().min(1).max(60).required(),
+  region: region.allow('', null),
+  postalCode: Joi.string().trim().max(20).allow('', null),
+  country: country.required(),
+  phone: phone.allow('', null),
+});
+
+// Tax rates are percentages, e.g. 20 or 8.875
+const taxRate = Joi.number().min(0).max(100).precision(3);
+
+// Create tax rule
+const taxRuleCreate = Joi.object({
+  name: Joi.string().trim().min(2).max(60).required(),
+  country: country.required(),
+  region: region.allow(null),
+  rate: taxRate.required(),
+  inclusive: Joi.boolean().default(false),
+  appliesToShipping: Joi.boolean().default(true),
+  active: Joi.boolean().default(true),
+});
+
+// Update tax rule (all fields optional, but at least one required)
+const taxRuleUpdate = Joi.object({
+  name: Joi.string().trim().min(2).max(60),
+  country,
+  region: region.allow(null),
+  rate: taxRate,
+  inclusive: Joi.boolean(),
+  appliesToShipping: Joi.boolean(),
+  active: Joi.boolean(),
+}).min(1);
+
+// List tax rules (pagination, sort, country, active)
+const taxRuleListQuery = listQuery({
+  sort: sortQuery('TaxRule'),
+  country,
+  active: Joi.boolean(),
+});
+
+// Shipping charges in currency units
+const shippingAmount = Joi.number().min(0).precision(2);
+
+// Countries a shipping method delivers to (null: everywhere)
+const shippingCountries = Joi.array().items(country).unique().min(1).max(100).allow(null);
+
+// Create shipping method
+const shippingMethodCreate = Joi.object({
+  name: Joi.string().trim().min(2).max(60).required(),
+  description: Joi.string().trim().max(200).allow('', null),
+  rateType: Joi.string().trim().lowercase().valid(...SHIPPING_RATE_TYPES).required(),
+  baseRate: shippingAmount.default(0),
+  rate: shippingAmount.default(0),
+  freeOver: shippingAmount.allow(null),
+  countries: shippingCountries,
+  active: Joi.boolean().default(true),
+});
+
+// Update shipping method (all fields optional, but at least one required)
+const shippingMethodUpdate = Joi.object({
+  name: Joi.string().trim().min(2).max(60),
+  description: Joi.string().trim().max(200).allow('', null),
+  rateType: Joi.string().trim().lowercase().valid(...SHIPPING_RATE_TYPES),
+  baseRate: shippingAmount,
+  rate: shippingAmount,
+  freeOver: shippingAmount.allow(null),
+  countries: shippingCountries,
+  active: Joi.boolean(),
+}).min(1);
+
+// List shipping methods (pagination, sort, active; active is forced on for the public)
+const shippingMethodListQuery = listQuery({
+  sort: sortQuery('ShippingMethod'),
+  active: Joi.boolean(),
+});
+
+// ---------- Cart Schemas ----------
+
+// Quantity of one cart line (same limit as an order line)
+const cartQuantity = Joi.number().integer().min(1).max(100);
+
+// Add a product or a variant to the cart
+const cartItemAdd = Joi.object({
+  prodId: id,
+  variantId: id,
+  quantity: cartQuantity.default(1),
+}).xor('prodId', 'variantId');
+
+// Change a cart line's quantity
+const cartItemUpdate = Joi.object({
+  quantity: cartQuantity.required(),
+});
+
+// /cart/items/:itemId parameters
+const cartItemParams = Joi.object({ itemId: id.required() });
+
+// Apply a coupon code to the cart
+const cartCouponAdd = Joi.object({ code: couponCode.required() });
+
+// /cart/coupons/:code parameters
+const cartCouponParams = Joi.object({ code: couponCode.required() });
+
+// Cart checkout: where and how to ship the cart's physical items
+const cartCheckout = Joi.object({
+  shippingMethodId: id,
+  address: shippingAddress,
+});
+
+// ---------- Inventory Schemas ----------
+
+// Post a stock receipt or manual adjustment for a product or variant
+const inventoryMovementCreate = Joi.object({
+  prodId: id,
+  variantId: id,
+  type: Joi.string().trim().lowercase().valid(...MANUAL_MOVEMENT_TYPES).default('adjustment'),
+  quantity: Joi.number()
+    .integer()
+    .min(-100000)
+    .max(100000)
+    .invalid(0)
+    .required()
+    .when('type', { is: 'receipt', then: Joi.number().positive() }),
+  reason: Joi.string().trim().min(3).max(500).required(),
+}).xor('prodId', 'variantId');
+
+// List stock movements (pagination, sort, item, type, order, date range)
+const inventoryMovementListQuery = listQuery({
+  sort: sortQuery('InventoryMovement'),
+  prodId: id,
+  variantId: id,
+  type: Joi.string().trim().lowercase().valid(...MOVEMENT_TYPES),
+  orderId: id,
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({ 'date.min': '"to" must be on or after "from"' }),
+});
+
 // ---------- Order Schemas ----------
 
 // Order ID parameter validation
 const orderIdParam = Joi.object({ id: id.required() });
 
-// Single field sort validation
-const orderSortParams = Joi.object({
-  field: Joi.string()
-    .valid('orderId', 'total', 'status', 'createdAt')
-    .required(),
-  dir: sortDir.required(),
+// Single field sort validation (deprecated /o/:field/:dir)
+const orderSortParams = sortParams('Order');
+
+// Order lines: each names a variant, or a product that has no variants
+const orderItems = Joi.array()
+  .items(
+    Joi.object({
+      prodId: id,
+      variantId: id,
+      quantity: Joi.number().integer().min(1).max(100).required(),
+    }).xor('prodId', 'variantId')
+  )
+  .min(1)
+  .max(50)
+  .unique((a, b) => (a.variantId ? a.variantId === b.variantId : a.prodId === b.prodId && !b.variantId))
+  .messages({
+    'array.min': 'Order must contain at least one item',
+    'array.unique': 'Each product or variant may only appear once per order',
+  });
+
+// Create order (checkout) - prices, discounts, shipping, tax and total are computed server-side
+// (shippingMethodId and address are required when physical items are ordered)
+const orderCreate = Joi.object({
+  items: orderItems.required(),
+  couponCodes,
+  shippingMethodId: id,
+  address: shippingAddress,
 });
 
-// Two-field sort validation
-const orderTwoSortParams = Joi.object({
-  first: Joi.string()
-    .valid('orderId', 'total', 'status', 'createdAt')
-    .required(),
-  second: Joi.string()
-    .valid('orderId', 'total', 'status', 'createdAt')
+// Price a prospective order: items, discounts, shipping options, tax and total
+const orderQuote = Joi.object({
+  items: orderItems.required(),
+  couponCodes,
+  shippingMethodId: id,
+  address: shippingAddress,
+});
+
+// Check coupon codes against a prospective order
+const couponValidate = Joi.object({
+  items: orderItems.required(),
+  couponCodes: couponCodes.min(1).required(),
+});
+
+// Change order status (transition rules are enforced by the order status service)
+const orderStatusUpdate = Joi.object({
+  status: Joi.string().trim().lowercase().valid(...ORDER_STATUSES).required(),
+  note: Joi.string().trim().max(500).allow('', null),
+});
+
+// List orders (pagination, sort, filters); custId is ignored on /orders/mine
+const orderListQuery = listQuery({
+  sort: sortQuery('Order'),
+  custId: id,
+  status: Joi.string().trim().lowercase().valid(...ORDER_STATUSES),
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({ 'date.min': '"to" must be on or after "from"' }),
+});
+
+// Two-field sort validation (deprecated /sort/two/:first/:second)
+const orderTwoSortParams = twoSortParams('Order');
+
+// ---------- Payment Schemas ----------
+
+// Refund all (amount omitted) or part of a payment
+const paymentRefundCreate = Joi.object({
+  amount: Joi.number().positive().precision(2),
+  reason: Joi.string().trim().max(500).allow('', null),
+});
+
+// List payments (pagination, sort, order, status)
+const paymentListQuery = listQuery({
+  sort: sortQuery('Payment'),
+  orderId: id,
+  status: Joi.string().trim().lowercase().valid(...PAYMENT_STATUSES),
+});
+
+// Simulate a provider event with the mock provider
+const mockPaymentEvent = Joi.object({
+  paymentId: id.required(),
+  type: Joi.string().trim().valid(...Object.keys(WEBHOOK_EVENTS)).required(),
+  eventId: Joi.string().trim().max(100), // Reuse an id to simulate a redelivery
+  failureReason: Joi.string().trim().max(200),
+});
+
+// ---------- Return Schemas ----------
+
+// Open a return: order lines and how many units of each go back
+const returnCreate = Joi.object({
+  items: Joi.array()
+    .items(
+      Joi.object({
+        orderItemId: id.required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .min(1)
+    .unique('orderItemId')
     .required(),
+  reason: Joi.string().trim().min(3).max(500).required(),
+});
+
+// Approve a return; refundAmount overrides the suggested refund (0 for none)
+const returnApprove = Joi.object({
+  refundAmount: Joi.number().min(0).precision(2),
+  restock: Joi.boolean(),
+  note: Joi.string().trim().max(500).allow('', null),
+});
+
+// Reject a return; the note tells the customer why
+const returnReject = Joi.object({
+  note: Joi.string().trim().min(3).max(500).required(),
+});
+
+// List returns (pagination, sort, filters)
+const returnListQuery = listQuery({
+  sort: sortQuery('Return'),
+  orderId: id,
+  custId: id,
+  status: Joi.string().trim().lowercase().valid(...RETURN_STATUSES),
+});
+
+// ---------- Trash Schemas ----------
+
+// Type of deleted records to list
+const trashTypeParam = Joi.object({
+  type: Joi.string().valid(...TRASH_TYPES).required(),
+});
+
+// Deleted record to restore (orders are restored with their customer)
+const trashRestoreParams = Joi.object({
+  type: Joi.string().valid(...RESTORABLE_TRASH_TYPES).required()
+    .messages({ 'any.only': 'Only customers and products are restored; orders come back with their customer' }),
+  id: id.required(),
+});
+
+// List deleted records (pagination only; most recently deleted first)
+const trashListQuery = listQuery({});
+
+// ---------- Audit Schemas ----------
+
+// Audit log filters, shared by the list and the export
+const auditFilters = {
+  actorId: id,
+  actorRole: Joi.string().trim().lowercase().valid(...ROLES),
+  action: Joi.string().trim().lowercase().valid(...AUDIT_ACTIONS),
+  entity: Joi.string().trim().max(40),
+  entityId: Joi.string().trim().max(64),
+  requestId: Joi.string().trim().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({ 'date.min': '"to" must be on or after "from"' }),
+};
+
+// Browse the audit log
+const auditListQuery = listQuery({ sort: sortQuery('AuditEvent'), ...auditFilters });
+
+// Export the audit log as JSON lines (every matching event, oldest first)
+const auditExportQuery = Joi.object(auditFilters);
+
+// ---------- Login Attempt Schemas ----------
+
+// Browse failed logins
+const loginAttemptListQuery = listQuery({
+  sort: sortQuery('LoginAttempt'),
+  email,
+  accountId: id,
+  ip: Joi.string().trim().max(64),
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({ 'date.min': '"to" must be on or after "from"' }),
+});
+
+// ---------- Two-Factor Schemas ----------
+
+// 6-digit code from an authenticator app
+const totpCode = Joi.string().trim().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': '"code" must be the 6-digit code from your authenticator app',
+});
+
+// Recovery code issued when two-factor authentication was enabled
+const recoveryCode = Joi.string().trim().max(20);
+
+// Challenge token returned by the password step of a login
+const challengeToken = Joi.string().trim().max(1000);
+
+// Second login step (a TOTP code or a recovery code)
+const authTwoFactorLogin = Joi.object({
+  challengeToken: challengeToken.required(),
+  code: totpCode,
+  recoveryCode,
+}).xor('code', 'recoveryCode');
+
+// Start enrolment (challenge token when setup is required at login)
+const twoFactorSetup = Joi.object({
+  challengeToken,
+});
+
+// Confirm enrolment
+const twoFactorEnable = Joi.object({
+  code: totpCode.required(),
+  challengeToken,
+});
+
+// Turn two-factor authentication off
+const twoFactorDisable = Joi.object({
+  code: totpCode,
+  recoveryCode,
+}).xor('code', 'recoveryCode');
+
+// Replace recovery codes
+const twoFactorRecoveryCodes = Joi.object({
+  code: totpCode.required(),
+});
+
+// Require (or stop requiring) two-factor authentication for a role
+const rolePolicyUpdate = Joi.object({
+  requireTwoFactor: Joi.boolean().required(),
 });
 
 // ---------- Exports ----------
@@ -211,15 +958,103 @@ module.exports = {
     authStaffLogin,
     authAdminRegister,
     authAdminLogin,
+    authLogin,
+    authRefresh,
+    authLogout,
+    authForgotPassword,
+    authResetPassword,
+    authVerifyEmail,
+    authResendVerification,
+    // Invitation schemas
+    invitationCreate,
+    invitationListQuery,
+    idParam,
+    // Permission schemas
+    roleParam,
+    rolePermissionParams,
+    rolePermissionsSet,
+    rolePermissionGrant,
     // Customer schemas
     customerCreate,
     customerUpdate,
+    customerListQuery,
     // Product schemas
     productCreate,
     productUpdate,
+    productListQuery,
+    productSortParams,
+    productTwoSortParams,
+    productCategoriesSet,
+    // Variant schemas
+    variantCreate,
+    variantUpdate,
+    variantParams,
+    // Image schemas
+    imageUpload,
+    imageUpdate,
+    imageOrder,
+    imageParams,
+    renditionParams,
+    // Download schemas
+    downloadParams,
+    downloadQuery,
+    // Category schemas
+    categoryCreate,
+    categoryUpdate,
+    // Cart schemas
+    cartItemAdd,
+    cartItemUpdate,
+    cartItemParams,
+    cartCouponAdd,
+    cartCouponParams,
+    cartCheckout,
+    // Coupon schemas
+    couponCreate,
+    couponUpdate,
+    couponListQuery,
+    couponValidate,
+    // Tax and shipping schemas
+    taxRuleCreate,
+    taxRuleUpdate,
+    taxRuleListQuery,
+    shippingMethodCreate,
+    shippingMethodUpdate,
+    shippingMethodListQuery,
+    // Inventory schemas
+    inventoryMovementCreate,
+    inventoryMovementListQuery,
     // Order schemas
     orderIdParam,
+    orderCreate,
+    orderQuote,
+    orderStatusUpdate,
+    orderListQuery,
     orderSortParams,
     orderTwoSortParams,
+    // Payment schemas
+    paymentRefundCreate,
+    paymentListQuery,
+    mockPaymentEvent,
+    // Return schemas
+    returnCreate,
+    returnApprove,
+    returnReject,
+    returnListQuery,
+    // Trash schemas
+    trashTypeParam,
+    trashRestoreParams,
+    trashListQuery,
+    // Audit schemas
+    auditListQuery,
+    auditExportQuery,
+    // Login attempt schemas
+    loginAttemptListQuery,
+    // Two-factor schemas
+    authTwoFactorLogin,
+    twoFactorSetup,
+    twoFactorEnable,
+    twoFactorDisable,
+    twoFactorRecoveryCodes,
+    rolePolicyUpdate,
   },
 };
\ No newline at end of file
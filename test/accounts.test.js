@@ -0,0 +1,40 @@
+/**
+ * Account tests: unified login
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+describe('accounts', () => {
+  before(h.setup);
+  after(h.teardown);
+
+  const login = (path, body) => h.request('POST', path, { body: { password: 'Passw0rd!', ...body } });
+
+  it('logs in through /auth/login as the account\'s role', async () => {
+    const staff = await h.createUser('staff');
+
+    const res = await login('/auth/login', { email: staff.email });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.user.role, 'staff');
+    assert.deepEqual(res.body.user.roles, ['staff']);
+  });
+
+  it('refuses a role the account does not hold', async () => {
+    const customer = await h.createUser('customer');
+
+    assert.equal((await login('/auth/staff/login', { email: customer.email })).status, 400);
+    assert.equal((await login('/auth/login', { email: customer.email, role: 'admin' })).status, 400);
+    assert.equal((await login('/auth/customer/login', { email: customer.email })).status, 200);
+  });
+
+  it('refuses a second account for the same email', async () => {
+    const staff = await h.createUser('staff');
+
+    const res = await h.request('POST', '/auth/customer/register', {
+      body: { name: 'Again', email: staff.email, password: 'Passw0rd!' },
+    });
+    assert.equal(res.status, 409);
+  });
+});
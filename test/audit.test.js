@@ -0,0 +1,106 @@
+/**
+ * Audit log tests: recorded changes, request ids, listing and export
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+const { recordAudit } = require('../src/services/audit');
+
+describe('audit log', () => {
+  let admin;
+
+  before(async () => {
+    await h.setup();
+    admin = await h.createUser('admin');
+  });
+
+  after(h.teardown);
+
+  /**
+   * Audit events of one record, oldest first
+   * @param {string} entity - Model name
+   * @param {number} entityId - Primary key
+   * @returns {Promise<Object[]>} Events
+   */
+  async function eventsOf(entity, entityId) {
+    const res = await h.request('GET', `/audit-events?entity=${entity}&entityId=${entityId}&sort=auditEventId`, {
+      token: admin.token,
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.data;
+  }
+
+  it('records who created, changed and deleted a product', async () => {
+    const created = await h.request('POST', '/products', {
+      token: admin.token,
+      headers: { 'X-Request-Id': 'audit-test-1' },
+      body: { name: 'Audited print', price: 15, stock: 3 },
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.headers.get('x-request-id'), 'audit-test-1');
+    const { prodId } = created.body;
+
+    await h.request('PUT', `/products/${prodId}`, { token: admin.token, body: { price: 18 } });
+    await h.request('DELETE', `/products/${prodId}`, { token: admin.token });
+
+    const events = await eventsOf('Product', prodId);
+    assert.deepEqual(events.map((e) => e.action), ['create', 'update', 'delete']);
+    assert.equal(events[0].actorId, admin.account.accountId);
+    assert.equal(events[0].actorRole, 'admin');
+    assert.equal(events[0].requestId, 'audit-test-1');
+    assert.equal(events[0].changes.after.name, 'Audited print');
+
+    // Updates keep only the fields that changed
+    assert.deepEqual(Object.keys(events[1].changes.after), ['price']);
+    assert.equal(Number(events[1].changes.before.price), 15);
+    assert.equal(Number(events[1].changes.after.price), 18);
+    assert.equal(events[2].changes.before.name, 'Audited print');
+  });
+
+  it('generates a request id when none or a malformed one is sent', async () => {
+    const res = await h.request('GET', '/audit-events', { token: admin.token, headers: { 'X-Request-Id': 'has spaces' } });
+    const id = res.headers.get('x-request-id');
+    assert.ok(id);
+    assert.notEqual(id, 'has spaces');
+  });
+
+  it('redacts password hashes and tokens but keeps the fact they changed', async () => {
+    const event = await recordAudit(
+      { user: admin.user, id: 'audit-test-2', ip: '127.0.0.1' },
+      'update',
+      'Account',
+      admin.account.accountId,
+      { before: { password: 'old-hash', name: 'A' }, after: { password: 'new-hash', name: 'A' } }
+    );
+    assert.deepEqual(event.changes, { before: { password: '[redacted]' }, after: { password: '[redacted]' } });
+  });
+
+  it('records order status changes as updates of the order', async () => {
+    const customer = await h.createUser('customer');
+    const { order } = await h.placeOrder(customer, { paid: false });
+    await h.request('PATCH', `/orders/${order.orderId}/status`, { token: admin.token, body: { status: 'cancelled' } });
+
+    const [event] = await eventsOf('Order', order.orderId);
+    assert.equal(event.action, 'update');
+    assert.equal(event.changes.after.status, 'cancelled');
+  });
+
+  it('exports matching events as JSON lines, oldest first', async () => {
+    const res = await h.request('GET', '/audit-events/export?entity=Product', { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/x-ndjson/);
+
+    const events = res.body.toString().trim().split('\n').map((line) => JSON.parse(line));
+    assert.ok(events.length >= 3);
+    assert.ok(events.every((e) => e.entity === 'Product'));
+    const ids = events.map((e) => e.auditEventId);
+    assert.deepEqual(ids, [...ids].sort((a, b) => a - b));
+  });
+
+  it('is for admins only', async () => {
+    const staff = await h.createUser('staff');
+    assert.equal((await h.request('GET', '/audit-events', { token: staff.token })).status, 403);
+    assert.equal((await h.request('GET', '/audit-events/export', { token: staff.token })).status, 403);
+  });
+});
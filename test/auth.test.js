@@ -0,0 +1,75 @@
+/**
+ * Session tests: refresh token rotation, logout and revocation
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+describe('auth sessions', () => {
+  before(h.setup);
+  after(h.teardown);
+
+  /**
+   * Log in as a customer
+   * @param {Object} customer - User from createUser
+   * @returns {Promise<{token: string, refreshToken: string}>} Tokens of a new session
+   */
+  async function login(customer) {
+    const res = await h.request('POST', '/auth/customer/login', {
+      body: { email: customer.email, password: 'Passw0rd!' },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  const refresh = (refreshToken) => h.request('POST', '/auth/refresh', { body: { refreshToken } });
+  const whoAmI = (token) => h.request('GET', '/orders/mine', { token });
+
+  it('rotates the refresh token', async () => {
+    const customer = await h.createUser('customer');
+
+    const res = await refresh(customer.refreshToken);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.notEqual(res.body.refreshToken, customer.refreshToken);
+    assert.equal((await whoAmI(res.body.token)).status, 200);
+    assert.equal((await refresh(res.body.refreshToken)).status, 200);
+  });
+
+  it('ends the session when a used refresh token is presented again', async () => {
+    const customer = await h.createUser('customer');
+    const rotated = await refresh(customer.refreshToken);
+
+    const reuse = await refresh(customer.refreshToken);
+    assert.equal(reuse.status, 401);
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+    assert.equal((await whoAmI(rotated.body.token)).status, 401);
+  });
+
+  it('revokes the access and refresh token on logout', async () => {
+    const customer = await h.createUser('customer');
+    const other = await login(customer);
+
+    const res = await h.request('POST', '/auth/logout', { token: customer.token, body: {} });
+    assert.equal(res.status, 204);
+    assert.equal((await whoAmI(customer.token)).status, 401);
+    assert.equal((await refresh(customer.refreshToken)).status, 401);
+
+    // Only that session ends
+    assert.equal((await whoAmI(other.token)).status, 200);
+  });
+
+  it('ends every session on logout-all', async () => {
+    const customer = await h.createUser('customer');
+    const other = await login(customer);
+
+    const res = await h.request('POST', '/auth/logout-all', { token: customer.token });
+    assert.equal(res.status, 204);
+    assert.equal((await refresh(other.refreshToken)).status, 401);
+    assert.equal((await refresh(customer.refreshToken)).status, 401);
+  });
+
+  it('rejects an unknown refresh token', async () => {
+    assert.equal((await refresh('not-a-refresh-token')).status, 401);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Cart tests: guest carts, merging on login, warnings and checkout
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+const db = require('../src/models');
+
+const { Product } = db.sequelize.models;
+
+describe('cart', () => {
+  before(h.setup);
+  after(h.teardown);
+
+  /**
+   * Add a product to a cart
+   * @param {Object} product - Product instance
+   * @param {number} quantity - Units
+   * @param {Object} who - { token } of a customer or { cartToken } of a guest (omit both for a new guest cart)
+   * @returns {Promise<Object>} Response (see request)
+   */
+  const add = (product, quantity, { token, cartToken } = {}) =>
+    h.request('POST', '/cart/items', {
+      token,
+      headers: cartToken ? { 'X-Cart-Token': cartToken } : {},
+      body: { prodId: product.prodId, quantity },
+    });
+
+  const quantities = (view) => Object.fromEntries(view.items.map((i) => [i.prodId, i.quantity]));
+
+  it('gives a guest a cart token on the first item', async () => {
+    const product = await h.createProduct(12);
+
+    const res = await add(product, 2);
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    const cartToken = res.headers.get('x-cart-token');
+    assert.ok(cartToken);
+    assert.equal(res.body.cartToken, cartToken);
+
+    const view = await h.request('GET', '/cart', { headers: { 'X-Cart-Token': cartToken } });
+    assert.equal(view.status, 200);
+    assert.equal(Number(view.body.subtotal), 24);
+    assert.equal(view.body.canCheckout, true);
+  });
+
+  it('merges a guest cart into the customer\'s cart on login', async () => {
+    const customer = await h.createUser('customer');
+    const print = await h.createProduct();
+    const frame = await h.createProduct();
+    await add(print, 1, { token: customer.token });
+
+    const guest = await add(print, 2);
+    const cartToken = guest.body.cartToken;
+    await add(frame, 1, { cartToken });
+
+    const login = await h.request('POST', '/auth/customer/login', {
+      body: { email: customer.email, password: 'Passw0rd!', cartToken },
+    });
+    assert.equal(login.status, 200, JSON.stringify(login.body));
+    assert.equal(login.body.cartMerged, true);
+
+    const view = await h.request('GET', '/cart', { token: login.body.token });
+    assert.deepEqual(quantities(view.body), { [print.prodId]: 3, [frame.prodId]: 1 });
+
+    // The guest cart is gone
+    assert.equal((await h.request('GET', '/cart', { headers: { 'X-Cart-Token': cartToken } })).status, 404);
+  });
+
+  it('merges through the X-Cart-Token header and ignores unknown tokens', async () => {
+    const customer = await h.createUser('customer');
+    const product = await h.createProduct();
+    const guest = await add(product, 1);
+
+    const merged = await h.request('POST', '/auth/login', {
+      headers: { 'X-Cart-Token': guest.body.cartToken },
+      body: { email: customer.email, password: 'Passw0rd!' },
+    });
+    assert.equal(merged.body.cartMerged, true);
+
+    const unknown = await h.request('POST', '/auth/login', {
+      body: { email: customer.email, password: 'Passw0rd!', cartToken: 'no-such-cart' },
+    });
+    assert.equal(unknown.status, 200);
+    assert.equal(unknown.body.cartMerged, false);
+  });
+
+  it('warns about short stock and checks out once it is resolved', async () => {
+    const customer = await h.createUser('customer');
+    const product = await h.createProduct(10, { stock: 2 });
+    const added = await add(product, 3, { token: customer.token });
+    assert.equal(added.body.items[0].warning, 'Only 2 left in stock');
+    assert.equal(added.body.canCheckout, false);
+    const shippingFields = await h.shipping();
+    const checkout = () => h.request('POST', '/cart/checkout', { token: customer.token, body: shippingFields });
+    assert.equal((await checkout()).status, 409);
+
+    const itemId = added.body.items[0].cartItemId;
+    await h.request('PUT', `/cart/items/${itemId}`, { token: customer.token, body: { quantity: 2 } });
+    const order = await checkout();
+    assert.equal(order.status, 201, JSON.stringify(order.body));
+    assert.equal(Number(order.body.total), 20);
+    assert.equal((await Product.findByPk(product.prodId)).stock, 0);
+
+    const view = await h.request('GET', '/cart', { token: customer.token });
+    assert.equal(view.body.items.length, 0);
+  });
+
+  it('has no cart for staff', async () => {
+    const staff = await h.createUser('staff');
+    assert.equal((await h.request('GET', '/cart', { token: staff.token })).status, 403);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Catalog tests: product variants and categories
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+const db = require('../src/models');
+
+const { Product, ProductVariant } = db.sequelize.models;
+
+describe('catalog', () => {
+  let admin;
+  let staff;
+  let customer;
+
+  before(async () => {
+    await h.setup();
+    admin = await h.createUser('admin');
+    staff = await h.createUser('staff');
+    customer = await h.createUser('customer');
+  });
+
+  after(h.teardown);
+
+  /**
+   * Add a variant to a product as the admin
+   * @param {Object} product - Product instance
+   * @param {Object} fields - Variant fields (sku, price, ...)
+   * @returns {Promise<Object>} Response (see request)
+   */
+  const addVariant = (product, fields) =>
+    h.request('POST', `/products/${product.prodId}/variants`, { token: admin.token, body: fields });
+
+  describe('variants', () => {
+    it('sells a variant at its own price and from its own stock', async () => {
+      const product = await h.createProduct(20, { stock: 10 });
+      const a4 = await addVariant(product, { sku: 'dusk-a4', size: 'A4', price: 30, stock: 5 });
+      assert.equal(a4.status, 201, JSON.stringify(a4.body));
+      assert.equal(a4.body.sku, 'DUSK-A4');
+      await addVariant(product, { sku: 'DUSK-A3', size: 'A3', framed: true, price: 55, stock: 2 });
+
+      const res = await h.request('POST', '/orders', {
+        token: customer.token,
+        body: { items: [{ variantId: a4.body.variantId, quantity: 2 }], ...(await h.shipping()) },
+      });
+      assert.equal(res.status, 201, JSON.stringify(res.body));
+      assert.equal(Number(res.body.total), 60);
+
+      assert.equal((await ProductVariant.findByPk(a4.body.variantId)).stock, 3);
+      assert.equal((await Product.findByPk(product.prodId)).stock, 10);
+    });
+
+    it('asks for a variant when a product with variants is ordered by prodId', async () => {
+      const product = await h.createProduct();
+      const variant = await addVariant(product, { sku: 'PIER-8X10', size: '8x10', price: 25, stock: 1 });
+
+      const res = await h.request('POST', '/orders', {
+        token: customer.token,
+        body: { items: [{ prodId: product.prodId, quantity: 1 }], ...(await h.shipping()) },
+      });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.details.variantIds, [variant.body.variantId]);
+    });
+
+    it('refuses a duplicate SKU and a variant for staff without products:write', async () => {
+      const product = await h.createProduct();
+      await addVariant(product, { sku: 'SKU-ONCE', price: 10 });
+
+      assert.equal((await addVariant(product, { sku: 'sku-once', price: 12 })).status, 409);
+
+      const res = await h.request('POST', `/products/${product.prodId}/variants`, {
+        token: staff.token,
+        body: { sku: 'SKU-STAFF', price: 10 },
+      });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('categories', () => {
+    it('derives the slug and filters products by category', async () => {
+      const created = await h.request('POST', '/products/categories', {
+        token: admin.token,
+        body: { name: 'Black & White Prints' },
+      });
+      assert.equal(created.status, 201, JSON.stringify(created.body));
+      assert.equal(created.body.slug, 'black-white-prints');
+      const { categoryId } = created.body;
+
+      const inCategory = await h.createProduct(20, { name: 'Mono Harbour' });
+      await h.createProduct(20, { name: 'Colour Harbour' });
+      const assigned = await h.request('PUT', `/products/${inCategory.prodId}/categories`, {
+        token: admin.token,
+        body: { categoryIds: [categoryId] },
+      });
+      assert.equal(assigned.status, 200, JSON.stringify(assigned.body));
+
+      const list = await h.request('GET', `/products?categoryId=${categoryId}`, { token: staff.token });
+      assert.deepEqual(list.body.data.map((p) => p.name), ['Mono Harbour']);
+
+      const shown = await h.request('GET', `/products/${inCategory.prodId}`);
+      assert.deepEqual(shown.body.Categories.map((c) => c.slug), ['black-white-prints']);
+    });
+
+    it('refuses an unknown category', async () => {
+      const product = await h.createProduct();
+      const res = await h.request('PUT', `/products/${product.prodId}/categories`, {
+        token: admin.token,
+        body: { categoryIds: [999999] },
+      });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.details.unknown, [999999]);
+    });
+  });
+});
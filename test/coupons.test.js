@@ -0,0 +1,155 @@
+/**
+ * Coupon tests: discounts, restrictions, usage limits and stacking
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+describe('coupons', () => {
+  let admin;
+  let staff;
+  let customer;
+  let seq = 0;
+
+  before(async () => {
+    await h.setup();
+    admin = await h.createUser('admin');
+    staff = await h.createUser('staff');
+    customer = await h.createUser('customer');
+  });
+
+  after(h.teardown);
+
+  // Digital products: no stock or shipping involved
+  const digital = (price) => h.createProduct(price, { type: 'digital', stock: null });
+
+  /**
+   * Create a coupon as the admin
+   * @param {Object} fields - Coupon fields; code defaults to a fresh one
+   * @returns {Promise<string>} Coupon code
+   */
+  async function coupon(fields) {
+    seq += 1;
+    const body = { code: `TEST${seq}`, ...fields };
+    const res = await h.request('POST', '/coupons', { token: admin.token, body });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.code;
+  }
+
+  /**
+   * Order products with coupon codes
+   * @param {Object[]} products - One unit of each
+   * @param {string[]} couponCodes - Codes to redeem
+   * @param {Object} [who=customer] - Ordering customer
+   * @returns {Promise<Object>} Response (see request)
+   */
+  const order = (products, couponCodes, who = customer) =>
+    h.request('POST', '/orders', {
+      token: who.token,
+      body: { items: products.map((p) => ({ prodId: p.prodId, quantity: 1 })), couponCodes },
+    });
+
+  describe('discounts', () => {
+    it('applies percentages before fixed amounts and records each discount', async () => {
+      const tenPercent = await coupon({ type: 'percentage', value: 10, stackable: true });
+      const fiveOff = await coupon({ type: 'fixed', value: 5, stackable: true });
+
+      // Given fixed first: the order of the codes does not matter
+      const res = await order([await digital(100)], [fiveOff, tenPercent]);
+      assert.equal(res.status, 201, JSON.stringify(res.body));
+      assert.equal(Number(res.body.total), 85);
+      assert.deepEqual(
+        res.body.OrderDiscounts.map((d) => [d.code, Number(d.amount)]).sort(),
+        [[tenPercent, 10], [fiveOff, 5]].sort()
+      );
+    });
+
+    it('never takes a total below zero', async () => {
+      const code = await coupon({ type: 'fixed', value: 50 });
+
+      const res = await order([await digital(20)], [code]);
+      assert.equal(res.status, 201, JSON.stringify(res.body));
+      assert.equal(Number(res.body.total), 0);
+    });
+
+    it('discounts only the products it is restricted to', async () => {
+      const included = await digital(10);
+      const other = await digital(20);
+      const code = await coupon({ type: 'percentage', value: 50, productIds: [included.prodId] });
+
+      const res = await order([included, other], [code]);
+      assert.equal(Number(res.body.total), 25);
+
+      assert.equal((await order([other], [code])).status, 400);
+    });
+
+    it('checks the minimum order value and validity window', async () => {
+      const minimum = await coupon({ type: 'fixed', value: 5, minOrderValue: 50 });
+      const expired = await coupon({ type: 'fixed', value: 5, endsAt: '2020-01-01T00:00:00Z' });
+      const product = await digital(20);
+
+      assert.equal((await order([product], [minimum])).status, 400);
+      assert.equal((await order([product], [expired])).status, 400);
+      assert.equal((await order([product], ['NO-SUCH-CODE'])).status, 404);
+    });
+
+    it('quotes an order without placing it', async () => {
+      const code = await coupon({ type: 'percentage', value: 25 });
+      const product = await digital(40);
+
+      const res = await h.request('POST', '/coupons/validate', {
+        body: { items: [{ prodId: product.prodId, quantity: 1 }], couponCodes: [code] },
+      });
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      assert.deepEqual([res.body.subtotal, res.body.discount, res.body.total], [40, 10, 30]);
+    });
+  });
+
+  describe('stacking', () => {
+    it('refuses to combine a coupon that is not stackable', async () => {
+      const single = await coupon({ type: 'percentage', value: 10 });
+      const stackable = await coupon({ type: 'fixed', value: 5, stackable: true });
+      const product = await digital(50);
+
+      const res = await order([product], [stackable, single]);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.details.code, single);
+
+      assert.equal((await order([product], [single])).status, 201);
+    });
+  });
+
+  describe('usage limits', () => {
+    it('stops at maxUses and gets a use back when an order is cancelled', async () => {
+      const code = await coupon({ type: 'fixed', value: 1, maxUses: 1 });
+      const other = await h.createUser('customer');
+
+      const first = await order([await digital()], [code]);
+      assert.equal(first.status, 201, JSON.stringify(first.body));
+      assert.equal((await order([await digital()], [code], other)).status, 409);
+
+      const cancelled = await h.request('PATCH', `/orders/${first.body.orderId}/status`, {
+        token: staff.token,
+        body: { status: 'cancelled' },
+      });
+      assert.equal(cancelled.status, 200);
+      assert.equal((await order([await digital()], [code], other)).status, 201);
+    });
+
+    it('stops at maxUsesPerCustomer for that customer only', async () => {
+      const code = await coupon({ type: 'fixed', value: 1, maxUsesPerCustomer: 1 });
+      const other = await h.createUser('customer');
+
+      assert.equal((await order([await digital()], [code])).status, 201);
+      assert.equal((await order([await digital()], [code])).status, 409);
+      assert.equal((await order([await digital()], [code], other)).status, 201);
+    });
+  });
+
+  it('lets only coupons:manage holders manage coupons', async () => {
+    const body = { code: 'STAFF-CODE', type: 'fixed', value: 5 };
+    assert.equal((await h.request('POST', '/coupons', { token: staff.token, body })).status, 403);
+    assert.equal((await h.request('GET', '/coupons', { token: customer.token })).status, 403);
+  });
+});
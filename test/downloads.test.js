@@ -0,0 +1,120 @@
+/**
+ * Digital download tests: watermarked previews and signed, capped download links
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const sharp = require('sharp');
+const h = require('./helpers');
+const config = require('../src/config/config');
+
+describe('digital downloads', () => {
+  let admin;
+  let staff;
+  let customer;
+  let photo;
+  let original;
+
+  before(async () => {
+    await h.setup();
+    admin = await h.createUser('admin');
+    staff = await h.createUser('staff');
+    customer = await h.createUser('customer');
+
+    photo = await h.createProduct(30, { type: 'digital', stock: null });
+    original = await sharp({ create: { width: 1200, height: 900, channels: 3, background: '#224466' } }).png().toBuffer();
+    const form = new FormData();
+    form.append('images', new Blob([original]), 'full.png');
+    const res = await h.request('POST', `/products/${photo.prodId}/images`, { token: admin.token, body: form });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+  });
+
+  after(h.teardown);
+
+  /**
+   * Order the digital photo as the customer
+   * @param {boolean} [paid=true] - Mark the order paid
+   * @returns {Promise<Object>} Created order
+   */
+  async function buy(paid = true) {
+    const res = await h.request('POST', '/orders', {
+      token: customer.token,
+      body: { items: [{ prodId: photo.prodId, quantity: 1 }] },
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    if (paid) {
+      const status = await h.request('PATCH', `/orders/${res.body.orderId}/status`, {
+        token: staff.token,
+        body: { status: 'paid' },
+      });
+      assert.equal(status.status, 200);
+    }
+    return res.body;
+  }
+
+  /**
+   * Get the download link of the order's photo
+   * @param {Object} order - Order
+   * @returns {Promise<Object>} Link entry
+   */
+  async function linkFor(order) {
+    const res = await h.request('GET', `/orders/${order.orderId}/downloads`, { token: customer.token });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body[0];
+  }
+
+  // Links are absolute paths; request() takes paths below /api/v1
+  const follow = (url) => h.request('GET', url.replace('/api/v1', ''));
+
+  it('watermarks and downsizes the public preview', async () => {
+    const [image] = (await h.request('GET', `/products/${photo.prodId}/images`)).body;
+    const preview = await h.request('GET', `/products/${photo.prodId}/images/${image.imageId}/preview`);
+    assert.equal(preview.status, 200);
+    assert.ok((await sharp(preview.body).metadata()).width <= config.watermark.maxSize);
+  });
+
+  it('streams the original through a signed link once paid', async () => {
+    const order = await buy();
+    const link = await linkFor(order);
+    assert.equal(link.prodId, photo.prodId);
+
+    const res = await follow(link.url);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /^attachment;/);
+    assert.ok(res.body.equals(original));
+  });
+
+  it('refuses altered and expired links', async () => {
+    const order = await buy();
+    const { url } = await linkFor(order);
+
+    assert.equal((await follow(url.replace(/sig=\w+/, `sig=${'0'.repeat(64)}`))).status, 403);
+
+    const expires = Math.floor(Date.now() / 1000) - 60;
+    const sig = crypto.createHmac('sha256', config.downloads.secret)
+      .update(`${order.orderId}:${photo.prodId}:${expires}`)
+      .digest('hex');
+    assert.equal((await follow(`/api/v1/downloads/${order.orderId}/${photo.prodId}?expires=${expires}&sig=${sig}`)).status, 410);
+  });
+
+  it('caps the number of downloads per purchase', async () => {
+    const order = await buy();
+    const { url } = await linkFor(order);
+
+    for (let i = 0; i < config.downloads.maxDownloads; i += 1) {
+      assert.equal((await follow(url)).status, 200);
+    }
+    assert.equal((await follow(url)).status, 403);
+    assert.equal((await linkFor(order)).url, null);
+  });
+
+  it('issues no links before payment or to other customers', async () => {
+    const unpaid = await buy(false);
+    assert.equal((await h.request('GET', `/orders/${unpaid.orderId}/downloads`, { token: customer.token })).status, 409);
+
+    const paid = await buy();
+    const other = await h.createUser('customer');
+    assert.equal((await h.request('GET', `/orders/${paid.orderId}/downloads`, { token: other.token })).status, 403);
+  });
+});
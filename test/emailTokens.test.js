@@ -0,0 +1,114 @@
+/**
+ * Password reset and email verification tests
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+const config = require('../src/config/config');
+const { getMailer } = require('../src/mail');
+
+describe('password reset and email verification', () => {
+  /** Messages handed to the mail transport */
+  const outbox = [];
+
+  before(async () => {
+    await h.setup();
+    // Keep the messages instead of logging them
+    getMailer().send = async (message) => {
+      outbox.push(message);
+      return { id: `test-${outbox.length}` };
+    };
+  });
+
+  beforeEach(() => {
+    outbox.length = 0;
+  });
+
+  after(h.teardown);
+
+  /**
+   * Token from the link in the latest message to an address
+   * @param {string} email - Recipient
+   * @returns {string} Raw token
+   */
+  function linkToken(email) {
+    const message = outbox.findLast((m) => m.to === email);
+    assert.ok(message, `no mail to ${email}`);
+    return message.text.match(/token=([\w-]+)/)[1];
+  }
+
+  const post = (url, body) => h.request('POST', url, { body });
+  const login = (email, password = 'Passw0rd!') => post('/auth/login', { email, password });
+
+  describe('password reset', () => {
+    it('sets a new password once and ends every session', async () => {
+      const customer = await h.createUser('customer');
+
+      assert.equal((await post('/auth/forgot-password', { email: customer.email })).status, 202);
+      const token = linkToken(customer.email);
+      assert.match(outbox.at(-1).html, /reset-password\?token=/);
+
+      const res = await post('/auth/reset-password', { token, password: 'N3wPassw0rd!' });
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      assert.equal((await login(customer.email)).status, 400);
+      assert.equal((await login(customer.email, 'N3wPassw0rd!')).status, 200);
+      assert.equal((await post('/auth/refresh', { refreshToken: customer.refreshToken })).status, 401);
+
+      const again = await post('/auth/reset-password', { token, password: 'An0therPass!' });
+      assert.equal(again.status, 400);
+      assert.ok(again.body.errors[0].msg);
+    });
+
+    it('answers the same for unknown emails and sends nothing', async () => {
+      const res = await post('/auth/forgot-password', { email: 'nobody@example.com' });
+      assert.equal(res.status, 202);
+      assert.equal(outbox.length, 0);
+    });
+
+    it('cancels the previous link when a new one is requested', async () => {
+      const customer = await h.createUser('customer');
+      await post('/auth/forgot-password', { email: customer.email });
+      const first = linkToken(customer.email);
+      await post('/auth/forgot-password', { email: customer.email });
+      const second = linkToken(customer.email);
+
+      assert.equal((await post('/auth/reset-password', { token: first, password: 'N3wPassw0rd!' })).status, 400);
+      assert.equal((await post('/auth/reset-password', { token: second, password: 'N3wPassw0rd!' })).status, 200);
+    });
+  });
+
+  describe('email verification', () => {
+    const register = (email) =>
+      post('/auth/customer/register', { name: 'New Customer', email, password: 'Passw0rd!' });
+
+    it('emails new customers a link that verifies their address once', async () => {
+      assert.equal((await register('verify.me@example.com')).status, 201);
+      const token = linkToken('verify.me@example.com');
+
+      assert.equal((await post('/auth/verify-email', { token })).status, 200);
+      assert.equal((await post('/auth/verify-email', { token })).status, 400);
+
+      // Verified accounts get no new link
+      assert.equal((await post('/auth/resend-verification', { email: 'verify.me@example.com' })).status, 202);
+      assert.equal(outbox.length, 1);
+    });
+
+    it('keeps unverified customers out when verification is required', async (t) => {
+      config.auth.requireVerifiedEmail = true;
+      t.after(() => {
+        config.auth.requireVerifiedEmail = false;
+      });
+
+      const registered = await register('must.verify@example.com');
+      assert.equal(registered.status, 201, JSON.stringify(registered.body));
+      assert.equal(registered.body.verificationRequired, true);
+      assert.equal(registered.body.token, undefined);
+      assert.equal((await login('must.verify@example.com')).status, 403);
+
+      await post('/auth/resend-verification', { email: 'must.verify@example.com' });
+      assert.equal((await post('/auth/verify-email', { token: linkToken('must.verify@example.com') })).status, 200);
+      assert.equal((await login('must.verify@example.com')).status, 200);
+    });
+  });
+});
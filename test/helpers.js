@@ -0,0 +1,198 @@
+/**
+ * Test Helpers
+ * Every test file runs in its own process (node --test), so each gets a
+ * fresh SQLite database and upload directory in the OS temp directory.
+ * Require this file before anything from src: it sets the environment the
+ * config is read from.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const DB_FILE = path.join(os.tmpdir(), `photostore-test-${process.pid}.sqlite`);
+const UPLOAD_ROOT = path.join(os.tmpdir(), `photostore-test-${process.pid}-uploads`);
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DB_DIALECT: 'sqlite',
+  DB_STORAGE: DB_FILE,
+  JWT_SECRET: 'test-secret',
+  PAYMENT_WEBHOOK_SECRET: 'test-webhook-secret',
+  STORAGE_LOCAL_ROOT: UPLOAD_ROOT,
+  MAIL_TRANSPORT: 'console',
+  // Test files fire requests faster than any client would; rateLimit.test.js turns it on
+  RATE_LIMIT_ENABLED: process.env.RATE_LIMIT_ENABLED ?? 'false',
+});
+
+const logger = require('../src/logger');
+const db = require('../src/models');
+const migrator = require('../src/migrator');
+const app = require('../src/server');
+const { registerAccount, toTokenUser } = require('../src/services/accounts');
+const { issueTokens } = require('../src/services/tokens');
+const { getPaymentProvider } = require('../src/payments');
+
+// Keep test runs out of logs/
+logger.silent = true;
+
+const { Product, ShippingMethod } = db.sequelize.models;
+
+/** Delivery address for orders with physical items */
+const ADDRESS = { name: 'Test Customer', line1: '1 Harbour Street', city: 'Bristol', postalCode: 'BS1 4RN', country: 'GB' };
+
+let server = null;
+let baseUrl = null;
+let seq = 0;
+let delivery = null;
+
+/**
+ * Migrate a fresh test database and start the app on a free port
+ * @returns {Promise<void>}
+ */
+async function setup() {
+  fs.rmSync(DB_FILE, { force: true });
+  await migrator.up();
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+}
+
+/**
+ * Stop the app and delete the test database and uploads
+ * @returns {Promise<void>}
+ */
+async function teardown() {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  await db.sequelize.close();
+  fs.rmSync(DB_FILE, { force: true });
+  fs.rmSync(UPLOAD_ROOT, { recursive: true, force: true });
+}
+
+/**
+ * Call the API
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below /api/v1, e.g. '/orders/1'
+ * @param {Object} [options]
+ * @param {string} [options.token] - Access token
+ * @param {Object|string|FormData} [options.body] - JSON body (strings and FormData are sent as they are)
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Promise<{status: number, body: *, headers: Headers}>} Response; binary
+ *   bodies are returned as a Buffer
+ */
+async function request(method, url, { token, body, headers: extra } = {}) {
+  const raw = body === undefined || typeof body === 'string' || body instanceof FormData;
+  // fetch sets the multipart boundary itself
+  const headers = body instanceof FormData ? { ...extra } : { 'Content-Type': 'application/json', ...extra };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: raw ? body : JSON.stringify(body),
+  });
+  // Images and downloads come back as a Buffer
+  const type = res.headers.get('content-type');
+  if (type && !/json|text|html/.test(type)) {
+    return { status: res.status, body: Buffer.from(await res.arrayBuffer()), headers: res.headers };
+  }
+  const text = await res.text();
+  let parsed = text;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch {
+    // Not JSON (e.g. Express's HTML 404 page)
+  }
+  return { status: res.status, body: parsed, headers: res.headers };
+}
+
+/**
+ * Create an account holding one role and start a session for it
+ * Staff and admin registration needs an invitation, so accounts are created
+ * through the service rather than the API.
+ * @param {string} role - 'customer', 'staff' or 'admin'
+ * @param {Object} [fields] - Overrides for name, email and password
+ * @returns {Promise<{account: Object, user: Object, token: string, refreshToken: string, email: string}>}
+ *   Account, token user, tokens and email
+ */
+async function createUser(role, fields = {}) {
+  seq += 1;
+  const account = await registerAccount({
+    name: `Test ${role} ${seq}`,
+    email: `${role}${seq}@example.com`,
+    password: 'Passw0rd!',
+    role,
+    ...fields,
+  });
+  const user = toTokenUser(account, role);
+  const { token, refreshToken } = await issueTokens(user);
+  return { account, user, token, refreshToken, email: account.email };
+}
+
+/**
+ * Create a product in stock
+ * @param {number} [price=20] - Price
+ * @param {Object} [fields] - Overrides, e.g. { stock: 0 }
+ * @returns {Promise<Object>} Product instance
+ */
+function createProduct(price = 20, fields = {}) {
+  seq += 1;
+  return Product.create({ name: `Test photo ${seq}`, price, stock: 10, ...fields });
+}
+
+/**
+ * Shipping fields for an order with physical items: a free flat-rate method
+ * (created on first use) and ADDRESS
+ * @returns {Promise<{shippingMethodId: number, address: Object}>} Fields to spread into an order body
+ */
+async function shipping() {
+  delivery ??= await ShippingMethod.create({ name: 'Test delivery', rateType: 'flat', baseRate: 0 });
+  return { shippingMethodId: delivery.shippingMethodId, address: ADDRESS };
+}
+
+/**
+ * Send the provider's signed webhook for a payment to POST /payments/webhook
+ * @param {Object} payment - Payment (paymentId and providerRef)
+ * @param {string} [type='payment.succeeded'] - Event type
+ * @param {Object} [options] - buildWebhook options, e.g. { eventId }
+ * @returns {Promise<Object>} Response (see request)
+ */
+function deliverWebhook(payment, type = 'payment.succeeded', options = {}) {
+  const { headers, body } = getPaymentProvider().buildWebhook(type, payment.providerRef, options);
+  return request('POST', '/payments/webhook', { headers, body });
+}
+
+/**
+ * Place an order for one digital item and start paying for it
+ * @param {Object} customer - User from createUser('customer')
+ * @param {Object} [options]
+ * @param {number} [options.price=20] - Price of the item
+ * @param {boolean} [options.paid=true] - Deliver the succeeded webhook (order becomes 'paid')
+ * @returns {Promise<{order: Object, payment: Object}>} Order and payment as the API returned them
+ */
+async function placeOrder(customer, { price = 20, paid = true } = {}) {
+  const product = await createProduct(price, { type: 'digital', stock: null });
+  const order = await request('POST', '/orders', {
+    token: customer.token,
+    body: { items: [{ prodId: product.prodId, quantity: 1 }] },
+  });
+  assert.equal(order.status, 201, JSON.stringify(order.body));
+
+  const started = await request('POST', `/orders/${order.body.orderId}/payments`, { token: customer.token });
+  assert.equal(started.status, 201, JSON.stringify(started.body));
+  if (paid) assert.equal((await deliverWebhook(started.body)).status, 200);
+
+  return { order: order.body, payment: started.body };
+}
+
+module.exports = {
+  setup,
+  teardown,
+  request,
+  createUser,
+  createProduct,
+  shipping,
+  deliverWebhook,
+  placeOrder,
+};
@@ -0,0 +1,88 @@
+/**
+ * Product image tests: uploads, renditions and gallery order
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const h = require('./helpers');
+
+describe('product images', () => {
+  let admin;
+
+  before(async () => {
+    await h.setup();
+    admin = await h.createUser('admin');
+  });
+
+  after(h.teardown);
+
+  /**
+   * Render a solid-colour PNG
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {Promise<Buffer>} PNG file
+   */
+  const png = (width, height) =>
+    sharp({ create: { width, height, channels: 3, background: '#336699' } }).png().toBuffer();
+
+  /**
+   * Upload files to a product's gallery as the admin
+   * @param {Object} product - Product instance
+   * @param {Array<{name: string, data: Buffer}>} files - Files to send in "images"
+   * @returns {Promise<Object>} Response (see request)
+   */
+  function upload(product, files) {
+    const form = new FormData();
+    for (const { name, data } of files) form.append('images', new Blob([data]), name);
+    return h.request('POST', `/products/${product.prodId}/images`, { token: admin.token, body: form });
+  }
+
+  it('stores an upload and serves WebP renditions publicly', async () => {
+    const product = await h.createProduct();
+
+    const res = await upload(product, [{ name: 'harbour.png', data: await png(800, 600) }]);
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    const [image] = res.body;
+    assert.equal(image.width, 800);
+
+    const thumb = await h.request('GET', `/products/${product.prodId}/images/${image.imageId}/thumb`);
+    assert.equal(thumb.status, 200);
+    assert.equal(thumb.headers.get('content-type'), 'image/webp');
+    const meta = await sharp(thumb.body).metadata();
+    assert.deepEqual([meta.width, meta.height], [320, 240]);
+
+    const original = `/products/${product.prodId}/images/${image.imageId}/original`;
+    assert.equal((await h.request('GET', original)).status, 401);
+    assert.equal((await h.request('GET', original, { token: admin.token })).status, 200);
+  });
+
+  it('identifies images by content, not by file name', async () => {
+    const product = await h.createProduct();
+
+    const res = await upload(product, [{ name: 'notes.jpg', data: Buffer.from('not an image at all') }]);
+    assert.equal(res.status, 415);
+  });
+
+  it('reorders the gallery and removes images', async () => {
+    const product = await h.createProduct();
+    const res = await upload(product, [
+      { name: 'a.png', data: await png(40, 40) },
+      { name: 'b.png', data: await png(50, 50) },
+    ]);
+    const [first, second] = res.body.map((i) => i.imageId);
+
+    const reordered = await h.request('PUT', `/products/${product.prodId}/images/order`, {
+      token: admin.token,
+      body: { imageIds: [second, first] },
+    });
+    assert.equal(reordered.status, 200, JSON.stringify(reordered.body));
+
+    const gallery = await h.request('GET', `/products/${product.prodId}/images`);
+    assert.deepEqual(gallery.body.map((i) => i.imageId), [second, first]);
+
+    const removed = await h.request('DELETE', `/products/${product.prodId}/images/${second}`, { token: admin.token });
+    assert.equal(removed.status, 204);
+    assert.equal((await h.request('GET', `/products/${product.prodId}/images/${second}/thumb`)).status, 404);
+  });
+});
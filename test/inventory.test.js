@@ -0,0 +1,112 @@
+/**
+ * Inventory tests: stock ledger, reservations and low-stock alerts
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+const db = require('../src/models');
+const { inventoryEvents } = require('../src/services/inventory');
+const { expireReservations } = require('../src/services/orderStatus');
+
+const { Order, Product } = db.sequelize.models;
+
+describe('inventory', () => {
+  let customer;
+  let staff;
+
+  before(async () => {
+    await h.setup();
+    customer = await h.createUser('customer');
+    staff = await h.createUser('staff');
+  });
+
+  after(h.teardown);
+
+  /**
+   * Place an order for the customer
+   * @param {Object} product - Product to order
+   * @param {number} quantity - Units
+   * @returns {Promise<Object>} Created order
+   */
+  async function place(product, quantity) {
+    const res = await h.request('POST', '/orders', {
+      token: customer.token,
+      body: { items: [{ prodId: product.prodId, quantity }], ...(await h.shipping()) },
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  const setStatus = (orderId, status) =>
+    h.request('PATCH', `/orders/${orderId}/status`, { token: staff.token, body: { status } });
+
+  /**
+   * Ledger entries of an order as [type, quantity] pairs, oldest first
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Array<[string, number]>>} Movements
+   */
+  async function ledger(orderId) {
+    const res = await h.request('GET', `/inventory/movements?orderId=${orderId}&sort=movementId`, { token: staff.token });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.data.map((m) => [m.type, m.quantity]);
+  }
+
+  const stock = async (product) => (await Product.findByPk(product.prodId)).stock;
+
+  it('reserves stock on order and turns it into a sale on payment', async () => {
+    const product = await h.createProduct(10, { stock: 8 });
+    const order = await place(product, 3);
+    assert.equal(await stock(product), 5);
+
+    assert.equal((await setStatus(order.orderId, 'paid')).status, 200);
+    assert.deepEqual(await ledger(order.orderId), [['reservation', -3], ['release', 3], ['sale', -3]]);
+    assert.equal(await stock(product), 5);
+  });
+
+  it('releases the reservation of an order left unpaid', async () => {
+    const product = await h.createProduct(10, { stock: 4 });
+    const order = await place(product, 4);
+    await Order.update({ reservedUntil: new Date(Date.now() - 1000) }, { where: { orderId: order.orderId } });
+
+    assert.deepEqual(await expireReservations(), [order.orderId]);
+    assert.equal((await Order.findByPk(order.orderId)).status, 'cancelled');
+    assert.deepEqual(await ledger(order.orderId), [['reservation', -4], ['release', 4]]);
+    assert.equal(await stock(product), 4);
+  });
+
+  it('posts receipts and adjustments, never below zero', async () => {
+    const product = await h.createProduct(10, { stock: 2 });
+    const post = (body) => h.request('POST', '/inventory/movements', { token: staff.token, body });
+
+    const receipt = await post({ prodId: product.prodId, type: 'receipt', quantity: 10, reason: 'Delivery' });
+    assert.equal(receipt.status, 201, JSON.stringify(receipt.body));
+    assert.equal(await stock(product), 12);
+
+    assert.equal((await post({ prodId: product.prodId, type: 'adjustment', quantity: -13, reason: 'Stocktake' })).status, 409);
+    assert.equal((await post({ prodId: product.prodId, type: 'sale', quantity: -1, reason: 'By hand' })).status, 400);
+    assert.equal(await stock(product), 12);
+  });
+
+  it('alerts once when stock falls below the reorder level', async () => {
+    const product = await h.createProduct(10, { stock: 7, reorderLevel: 5 });
+    const alerts = [];
+    const listener = (event) => alerts.push(event);
+    inventoryEvents.on('lowStock', listener);
+    try {
+      await place(product, 2);
+      await place(product, 1);
+      await place(product, 1);
+    } finally {
+      inventoryEvents.off('lowStock', listener);
+    }
+    assert.deepEqual(alerts.map((a) => a.stock), [4]);
+
+    const report = await h.request('GET', '/inventory/low-stock', { token: staff.token });
+    assert.ok(report.body.some((i) => i.prodId === product.prodId && i.stock === 3));
+  });
+
+  it('keeps the ledger from customers', async () => {
+    assert.equal((await h.request('GET', '/inventory/movements', { token: customer.token })).status, 403);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Invitation tests: staff/admin registration by invitation only
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+describe('invitations', () => {
+  let admin;
+
+  before(async () => {
+    await h.setup();
+    admin = await h.createUser('admin');
+  });
+
+  after(h.teardown);
+
+  /**
+   * Invite an email to a role as the admin
+   * @param {string} email - Invitee email
+   * @param {string} [role='staff'] - Invited role
+   * @returns {Promise<Object>} Invitation including the raw token
+   */
+  async function invite(email, role = 'staff') {
+    const res = await h.request('POST', '/invitations', { token: admin.token, body: { email, role } });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  const register = (role, body) =>
+    h.request('POST', `/auth/${role}/register`, { body: { name: 'Invitee', password: 'Passw0rd!', ...body } });
+
+  it('registers staff with an invitation, once', async () => {
+    const { token } = await invite('new.staff@example.com');
+
+    const res = await register('staff', { email: 'new.staff@example.com', inviteToken: token });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    assert.equal(res.body.user.role, 'staff');
+
+    const again = await register('staff', { email: 'other.staff@example.com', inviteToken: token });
+    assert.equal(again.status, 403);
+  });
+
+  it('refuses registration without a matching invitation', async () => {
+    const { token } = await invite('bound@example.com', 'staff');
+
+    assert.equal((await register('staff', { email: 'bound@example.com' })).status, 400);
+    assert.equal((await register('staff', { email: 'someone@example.com', inviteToken: token })).status, 403);
+    assert.equal((await register('admin', { email: 'bound@example.com', inviteToken: token })).status, 403);
+  });
+
+  it('promotes an existing account that proves its password', async () => {
+    const customer = await h.createUser('customer');
+    const { token } = await invite(customer.email);
+
+    const wrong = await register('staff', { email: customer.email, inviteToken: token, password: 'Wr0ngPass!' });
+    assert.equal(wrong.status, 400);
+
+    // A failed attempt does not use up the invitation
+    const res = await register('staff', { email: customer.email, inviteToken: token });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    assert.deepEqual(res.body.user.roles.sort(), ['customer', 'staff']);
+  });
+
+  it('revokes an unused invitation', async () => {
+    const invitation = await invite('revoked@example.com');
+
+    const res = await h.request('DELETE', `/invitations/${invitation.inviteId}`, { token: admin.token });
+    assert.equal(res.status, 204);
+    assert.equal((await register('staff', { email: 'revoked@example.com', inviteToken: invitation.token })).status, 403);
+  });
+
+  it('is for admins only', async () => {
+    const staff = await h.createUser('staff');
+    const body = { email: 'x@example.com', role: 'admin' };
+
+    assert.equal((await h.request('POST', '/invitations', { token: staff.token, body })).status, 403);
+    assert.equal((await h.request('GET', '/invitations', { token: staff.token })).status, 403);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * List endpoint tests: pagination, sorting, filters and search
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+describe('list endpoints', () => {
+  let staff;
+
+  before(async () => {
+    await h.setup();
+    staff = await h.createUser('staff');
+    await h.createProduct(5, { name: 'Sunset Print', stock: 0 });
+    await h.createProduct(15, { name: 'Sunrise Canvas' });
+    await h.createProduct(25, { name: 'Forest Print' });
+    await h.createProduct(35, { name: 'Harbour Frame' });
+    await h.createProduct(45, { name: 'Night Sky Print', stock: 2 });
+  });
+
+  after(h.teardown);
+
+  const products = (query) => h.request('GET', `/products?${query}`, { token: staff.token });
+  const names = (res) => res.body.data.map((p) => p.name);
+
+  it('pages with limit and offset and reports the total', async () => {
+    const res = await products('limit=2&offset=2');
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(names(res), ['Forest Print', 'Harbour Frame']);
+    assert.equal(res.body.meta.total, 5);
+    assert.equal(res.body.meta.offset, 2);
+    assert.ok(res.body.meta.nextCursor);
+  });
+
+  it('walks every row once with cursors', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const res = await products(`limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      seen.push(...names(res));
+      cursor = res.body.meta.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, ['Sunset Print', 'Sunrise Canvas', 'Forest Print', 'Harbour Frame', 'Night Sky Print']);
+  });
+
+  it('filters by search text, price range and availability', async () => {
+    assert.deepEqual(names(await products('q=print')), ['Sunset Print', 'Forest Print', 'Night Sky Print']);
+    assert.deepEqual(names(await products('minPrice=15&maxPrice=35')), ['Sunrise Canvas', 'Forest Print', 'Harbour Frame']);
+
+    const inStock = await products('q=print&inStock=true');
+    assert.deepEqual(names(inStock), ['Forest Print', 'Night Sky Print']);
+    assert.equal(inStock.body.meta.total, 2);
+  });
+
+  it('rejects contradictory or malformed paging', async () => {
+    assert.equal((await products('offset=1&cursor=abc')).status, 400);
+    assert.equal((await products('cursor=not-a-cursor')).status, 400);
+    assert.equal((await products('minPrice=30&maxPrice=10')).status, 400);
+    assert.equal((await products('limit=101')).status, 400);
+  });
+
+  it('sorts by several fields, descending with a leading -', async () => {
+    await h.createProduct(25, { name: 'Desert Print' });
+
+    const res = await products('sort=-price,name&maxPrice=30');
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(names(res), ['Desert Print', 'Forest Print', 'Sunrise Canvas', 'Sunset Print']);
+  });
+
+  it('refuses fields outside the whitelist and cursors from another sort', async () => {
+    const unknown = await products('sort=description');
+    assert.equal(unknown.status, 400);
+
+    const first = await products('sort=-price&limit=1');
+    const mismatched = await products(`sort=price&cursor=${first.body.meta.nextCursor}`);
+    assert.equal(mismatched.status, 400);
+    assert.equal((await products(`sort=-price&cursor=${first.body.meta.nextCursor}`)).status, 200);
+  });
+
+  it('keeps the old sort routes, marked deprecated', async () => {
+    const res = await h.request('GET', '/products/o/price/desc');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('deprecation'), 'true');
+    assert.equal(res.headers.get('link'), '</api/v1/products?sort=-price>; rel="successor-version"');
+    assert.equal(Number(res.body[0].price), 45);
+
+    assert.equal((await h.request('GET', '/products/o/description/asc')).status, 400);
+  });
+
+  it('lets guests follow the deprecation link to the catalog fields', async () => {
+    const old = await h.request('GET', '/products/sort/two/price/name');
+    const successor = old.headers.get('link').match(/<\/api\/v1(.*)>/)[1];
+    const res = await h.request('GET', successor);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body.data.map((p) => p.prodId), old.body.map((p) => p.prodId));
+    assert.equal(res.body.data[0].reorderLevel, undefined);
+    assert.ok('reorderLevel' in (await products('limit=1')).body.data[0]);
+  });
+
+  it('returns only the first page from the old sort routes', async () => {
+    for (let i = 0; i < 20; i += 1) await h.createProduct(50 + i, { name: `Extra ${i}` });
+
+    const res = await h.request('GET', '/products/o/price/asc');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 20);
+    assert.equal(Number(res.body[0].price), 5);
+  });
+
+  it('searches customers by name or email', async () => {
+    const match = await h.createUser('customer', { name: 'Ada Lovelace' });
+    await h.createUser('customer');
+
+    const byName = await h.request('GET', '/customers?q=lovelace', { token: staff.token });
+    assert.equal(byName.status, 200, JSON.stringify(byName.body));
+    assert.deepEqual(byName.body.data.map((c) => c.email), [match.email]);
+
+    const byEmail = await h.request('GET', `/customers?q=${encodeURIComponent(match.email)}`, { token: staff.token });
+    assert.equal(byEmail.body.meta.total, 1);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Login throttling tests: progressive delays, lockout and admin unlock
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Small limits, set before the config is read: delays start after 2 failures, lockout at 5
+Object.assign(process.env, {
+  LOGIN_DELAY_AFTER: '2',
+  LOGIN_DELAY_BASE_SECONDS: '30',
+  LOGIN_DELAY_MAX_SECONDS: '60',
+  LOGIN_LOCKOUT_THRESHOLD: '5',
+  LOGIN_LOCKOUT_MINUTES: '15',
+  LOGIN_IP_MAX_FAILURES: '40',
+});
+
+const h = require('./helpers');
+const db = require('../src/models');
+const { recordLoginFailure } = require('../src/services/loginThrottle');
+
+const { Account, LoginAttempt } = db.sequelize.models;
+
+describe('login throttling', () => {
+  let admin;
+
+  before(async () => {
+    await h.setup();
+    admin = await h.createUser('admin');
+  });
+
+  after(h.teardown);
+
+  const login = (email, password = 'Passw0rd!') => h.request('POST', '/auth/login', { body: { email, password } });
+
+  /**
+   * Lock an account by recording failures up to the lockout threshold
+   * @param {string} email - Account email
+   * @returns {Promise<void>}
+   */
+  async function lockOut(email) {
+    for (let i = 0; i < 5; i += 1) await recordLoginFailure({ ip: '203.0.113.7', email });
+  }
+
+  it('makes an email wait after repeated failures, even with the right password', async () => {
+    const customer = await h.createUser('customer');
+    assert.equal((await login(customer.email, 'Wr0ngPass!')).status, 400);
+    assert.equal((await login(customer.email, 'Wr0ngPass!')).status, 400);
+
+    const res = await login(customer.email);
+    assert.equal(res.status, 429);
+    const retryAfter = Number(res.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 30, `Retry-After ${retryAfter}`);
+    assert.ok(res.body.errors[0].msg);
+  });
+
+  it('throttles unknown emails like real ones', async () => {
+    const email = 'nobody@example.com';
+    assert.equal((await login(email)).status, 400);
+    assert.equal((await login(email)).status, 400);
+    assert.equal((await login(email)).status, 429);
+  });
+
+  it('clears an email\'s failures on a successful login', async () => {
+    const customer = await h.createUser('customer');
+    assert.equal((await login(customer.email, 'Wr0ngPass!')).status, 400);
+    assert.equal((await login(customer.email)).status, 200);
+    assert.equal((await login(customer.email, 'Wr0ngPass!')).status, 400);
+    assert.equal((await login(customer.email)).status, 200);
+  });
+
+  it('locks the account at the threshold until an admin unlocks it', async () => {
+    const customer = await h.createUser('customer');
+    await lockOut(customer.email);
+
+    const { lockedUntil } = await Account.findByPk(customer.account.accountId);
+    assert.ok(lockedUntil > new Date());
+    const refused = await login(customer.email);
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers.get('retry-after')) > 14 * 60);
+
+    const locked = await h.request('GET', '/accounts/locked', { token: admin.token });
+    assert.equal(locked.status, 200, JSON.stringify(locked.body));
+    assert.ok(locked.body.some((a) => a.accountId === customer.account.accountId));
+
+    const unlocked = await h.request('POST', `/accounts/${customer.account.accountId}/unlock`, { token: admin.token });
+    assert.equal(unlocked.status, 200, JSON.stringify(unlocked.body));
+    assert.equal((await login(customer.email)).status, 200);
+
+    const audit = await h.request('GET', `/audit-events?entity=Account&entityId=${customer.account.accountId}`, {
+      token: admin.token,
+    });
+    assert.equal(audit.body.data[0].action, 'update');
+  });
+
+  it('lists failed logins for admins only', async () => {
+    const customer = await h.createUser('customer');
+    await h.request('POST', '/auth/login', {
+      headers: { 'X-Request-Id': 'throttle-test-1' },
+      body: { email: customer.email, password: 'Wr0ngPass!' },
+    });
+
+    const res = await h.request('GET', `/accounts/login-attempts?email=${customer.email}`, { token: admin.token });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.data.length, 1);
+    assert.equal(res.body.data[0].accountId, customer.account.accountId);
+    assert.equal(res.body.data[0].requestId, 'throttle-test-1');
+    assert.ok(res.body.data[0].ip);
+
+    const staff = await h.createUser('staff');
+    assert.equal((await h.request('GET', '/accounts/login-attempts', { token: staff.token })).status, 403);
+    assert.equal((await h.request('GET', '/accounts/locked', { token: staff.token })).status, 403);
+  });
+
+  // Last: it refuses every further login from the test client's IP
+  it('refuses an IP with too many failures, whatever the email', async () => {
+    const { ip } = await LoginAttempt.findOne({ order: [['loginAttemptId', 'DESC']] });
+    const failed = await LoginAttempt.count({ where: { ip } });
+    for (let i = failed; i < 40; i += 1) await recordLoginFailure({ ip, email: `guess${i}@example.com` });
+
+    const customer = await h.createUser('customer');
+    const res = await login(customer.email);
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+  });
+});
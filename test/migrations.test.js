@@ -0,0 +1,78 @@
+/**
+ * Migration tests: versioned schema migrations and the move onto accounts
+ * Runs the migrator by hand instead of through setup() so legacy rows can be
+ * written before 005-accounts.js.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const h = require('./helpers');
+const db = require('../src/models');
+const migrator = require('../src/migrator');
+const { authenticate } = require('../src/services/accounts');
+const { permissionsFor } = require('../src/services/permissions');
+
+const { Account, AccountRole, Customer } = db.sequelize.models;
+
+describe('migrations', () => {
+  before(() => migrator.up({ to: '004-auth-tokens.js' }));
+  after(h.teardown);
+
+  it('moves legacy users onto accounts, one per email', async () => {
+    const qi = db.sequelize.getQueryInterface();
+    const password = await bcrypt.hash('Legacy0rd!', 10);
+    const now = new Date();
+    const legacy = { name: 'Sam', password, createdAt: now, updatedAt: now };
+    await qi.bulkInsert('Staffs', [{ ...legacy, email: 'Sam@Legacy.example.com', role: 'staff' }]);
+    await qi.bulkInsert('Customers', [{ ...legacy, email: 'sam@legacy.example.com', role: 'customer' }]);
+    // Same email as a customer, another password: someone else's self-registered admin row
+    await qi.bulkInsert('Customers', [{ ...legacy, email: 'pat@legacy.example.com', role: 'customer' }]);
+    await qi.bulkInsert('Admins', [{
+      ...legacy, email: 'pat@legacy.example.com', password: await bcrypt.hash('Other0rd!', 10), role: 'admin',
+    }]);
+
+    await migrator.up();
+    assert.deepEqual(await migrator.pending(), []);
+
+    const account = await Account.findOne({ where: { email: 'sam@legacy.example.com' }, include: AccountRole });
+    assert.deepEqual(account.AccountRoles.map((r) => r.role).sort(), ['customer', 'staff']);
+    assert.equal((await Customer.findOne({ where: { email: 'sam@legacy.example.com' } })).accountId, account.accountId);
+
+    // The legacy password logs in, as the highest role by default
+    const login = await authenticate('sam@legacy.example.com', 'Legacy0rd!');
+    assert.equal(login.role, 'staff');
+  });
+
+  it('leaves rows whose password differs from the customer\'s unmerged', async () => {
+    const account = await Account.findOne({ where: { email: 'pat@legacy.example.com' }, include: AccountRole });
+    assert.deepEqual(account.AccountRoles.map((r) => r.role), ['customer']);
+
+    assert.equal((await authenticate('pat@legacy.example.com', 'Legacy0rd!')).role, 'customer');
+    await assert.rejects(authenticate('pat@legacy.example.com', 'Other0rd!'), { status: 400 });
+  });
+
+  it('writes the default permissions', async () => {
+    assert.ok((await permissionsFor('staff')).has('orders:write'));
+    assert.ok(!(await permissionsFor('staff')).has('products:delete'));
+  });
+
+  it('rolls back and re-applies the latest migrations', async () => {
+    const before = (await migrator.status()).filter((m) => m.executed).map((m) => m.name);
+
+    const reverted = await migrator.down({ steps: 2 });
+    assert.deepEqual(reverted, before.slice(-2).reverse());
+    assert.deepEqual(await migrator.pending(), before.slice(-2));
+
+    assert.deepEqual(await migrator.up(), before.slice(-2));
+    assert.deepEqual(await migrator.pending(), []);
+  });
+
+  it('keeps the refunds\' payment reference cascading through the pending refunds rebuild', async () => {
+    const keys = await db.sequelize.query('PRAGMA foreign_key_list("PaymentRefunds")', { type: 'SELECT' });
+    assert.deepEqual(keys.map((k) => [k.table, k.on_delete]), [['Payments', 'CASCADE']]);
+    const columns = await db.sequelize.getQueryInterface().describeTable('PaymentRefunds');
+    assert.equal(columns.providerRef.allowNull, true);
+    assert.equal(columns.status.defaultValue, 'succeeded');
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Order tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+const db = require('../src/models');
+
+const { Product } = db.sequelize.models;
+
+describe('orders', () => {
+  let customer;
+  let staff;
+  let admin;
+
+  before(async () => {
+    await h.setup();
+    customer = await h.createUser('customer');
+    staff = await h.createUser('staff');
+    admin = await h.createUser('admin');
+  });
+
+  after(h.teardown);
+
+  /**
+   * Place an order for the customer
+   * @param {Object} product - Product to order
+   * @param {number} [quantity=1] - Units
+   * @returns {Promise<Object>} Created order
+   */
+  async function place(product, quantity = 1) {
+    const res = await h.request('POST', '/orders', {
+      token: customer.token,
+      body: { items: [{ prodId: product.prodId, quantity }], ...(await h.shipping()) },
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  /**
+   * Change an order's status as staff
+   * @param {number} orderId - Order ID
+   * @param {string} status - New status
+   * @param {string} [note] - Reason
+   * @returns {Promise<Object>} Response (see request)
+   */
+  const setStatus = (orderId, status, note) =>
+    h.request('PATCH', `/orders/${orderId}/status`, { token: staff.token, body: { status, note } });
+
+  const getPayment = async (payment) =>
+    (await h.request('GET', `/payments/${payment.paymentId}`, { token: admin.token })).body;
+
+  describe('POST /orders', () => {
+    it('prices the lines from the catalog and takes the stock', async () => {
+      const print = await h.createProduct(12.5, { stock: 3 });
+      const frame = await h.createProduct(40);
+
+      const res = await h.request('POST', '/orders', {
+        token: customer.token,
+        body: { items: [{ prodId: print.prodId, quantity: 2 }, { prodId: frame.prodId, quantity: 1 }], ...(await h.shipping()) },
+      });
+      assert.equal(res.status, 201, JSON.stringify(res.body));
+      assert.equal(res.body.status, 'pending');
+      assert.equal(Number(res.body.total), 65);
+      assert.equal(res.body.OrderItems.length, 2);
+      assert.equal(Number(res.body.OrderItems.find((i) => i.prodId === print.prodId).unitPrice), 12.5);
+
+      assert.equal((await Product.findByPk(print.prodId)).stock, 1);
+    });
+
+    it('refuses more than is in stock and takes nothing', async () => {
+      const print = await h.createProduct(10, { stock: 5 });
+      const scarce = await h.createProduct(10, { stock: 1 });
+
+      const res = await h.request('POST', '/orders', {
+        token: customer.token,
+        body: { items: [{ prodId: print.prodId, quantity: 2 }, { prodId: scarce.prodId, quantity: 2 }], ...(await h.shipping()) },
+      });
+      assert.equal(res.status, 409);
+      assert.equal((await Product.findByPk(print.prodId)).stock, 5);
+    });
+
+    it('answers 404 for an unknown product', async () => {
+      const res = await h.request('POST', '/orders', {
+        token: customer.token,
+        body: { items: [{ prodId: 999999, quantity: 1 }], ...(await h.shipping()) },
+      });
+      assert.equal(res.status, 404);
+    });
+
+    it('rejects the same product twice', async () => {
+      const print = await h.createProduct();
+      const res = await h.request('POST', '/orders', {
+        token: customer.token,
+        body: { items: [{ prodId: print.prodId, quantity: 1 }, { prodId: print.prodId, quantity: 1 }], ...(await h.shipping()) },
+      });
+      assert.equal(res.status, 400);
+    });
+
+    it('only lets customers place orders', async () => {
+      const print = await h.createProduct();
+      const body = { items: [{ prodId: print.prodId, quantity: 1 }] };
+
+      assert.equal((await h.request('POST', '/orders', { body })).status, 401);
+      assert.equal((await h.request('POST', '/orders', { token: staff.token, body })).status, 403);
+    });
+  });
+
+  describe('PATCH /orders/:id/status', () => {
+    it('follows the lifecycle and records each change', async () => {
+      const order = await place(await h.createProduct());
+
+      assert.equal((await setStatus(order.orderId, 'paid')).status, 200);
+      const res = await setStatus(order.orderId, 'processing', 'Printing');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'processing');
+
+      const history = await h.request('GET', `/orders/${order.orderId}/history`, { token: staff.token });
+      assert.equal(history.status, 200);
+      assert.deepEqual(
+        history.body.map((e) => [e.fromStatus, e.toStatus]),
+        [[null, 'pending'], ['pending', 'paid'], ['paid', 'processing']]
+      );
+      assert.equal(history.body[0].changedByRole, 'customer');
+      assert.equal(history.body[2].note, 'Printing');
+      assert.equal(history.body[2].changedByRole, 'staff');
+    });
+
+    it('refuses a transition the lifecycle does not allow', async () => {
+      const order = await place(await h.createProduct());
+
+      const res = await setStatus(order.orderId, 'shipped');
+      assert.equal(res.status, 409);
+      assert.deepEqual(res.body.details.allowed, ['paid', 'cancelled']);
+    });
+
+    it('puts the stock back when an order is cancelled', async () => {
+      const product = await h.createProduct(10, { stock: 4 });
+      const order = await place(product, 3);
+      assert.equal((await Product.findByPk(product.prodId)).stock, 1);
+
+      assert.equal((await setStatus(order.orderId, 'cancelled')).status, 200);
+      assert.equal((await Product.findByPk(product.prodId)).stock, 4);
+      assert.equal((await setStatus(order.orderId, 'paid')).status, 409);
+    });
+
+    it('cancels an unpaid order and its payment in progress', async () => {
+      const { order, payment } = await h.placeOrder(customer, { paid: false });
+
+      const res = await setStatus(order.orderId, 'cancelled');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'cancelled');
+      assert.equal((await getPayment(payment)).status, 'cancelled');
+    });
+
+    it('refuses to cancel a paid order', async () => {
+      const { order, payment } = await h.placeOrder(customer);
+
+      const res = await h.request('PATCH', `/orders/${order.orderId}/status`, {
+        token: admin.token,
+        body: { status: 'cancelled' },
+      });
+      assert.equal(res.status, 409);
+      assert.match(res.body.msg, /refunded/);
+      assert.equal((await getPayment(payment)).status, 'succeeded');
+    });
+
+    it('refunds the payment when a paid order is refunded', async () => {
+      const { order, payment } = await h.placeOrder(customer, { price: 12.5 });
+
+      const res = await h.request('PATCH', `/orders/${order.orderId}/status`, {
+        token: admin.token,
+        body: { status: 'refunded' },
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'refunded');
+      assert.equal(Number(res.body.amountRefunded), Number(res.body.total));
+
+      const refunded = await getPayment(payment);
+      assert.equal(refunded.status, 'refunded');
+      assert.equal(Number(refunded.amountRefunded), Number(refunded.amount));
+    });
+
+    it('is for staff only', async () => {
+      const order = await place(await h.createProduct());
+      const res = await h.request('PATCH', `/orders/${order.orderId}/status`, {
+        token: customer.token,
+        body: { status: 'cancelled' },
+      });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('customer order history', () => {
+    let buyer;
+    let other;
+
+    before(async () => {
+      buyer = await h.createUser('customer');
+      other = await h.createUser('customer');
+    });
+
+    /**
+     * Place an order for a customer
+     * @param {Object} who - User from createUser
+     * @returns {Promise<Object>} Created order
+     */
+    async function placeFor(who) {
+      const product = await h.createProduct();
+      const res = await h.request('POST', '/orders', {
+        token: who.token,
+        body: { items: [{ prodId: product.prodId, quantity: 1 }], ...(await h.shipping()) },
+      });
+      assert.equal(res.status, 201, JSON.stringify(res.body));
+      return res.body;
+    }
+
+    it('lists only the customer\'s own orders, newest first and paged', async () => {
+      const first = await placeFor(buyer);
+      const second = await placeFor(buyer);
+      await placeFor(other);
+
+      const res = await h.request('GET', '/orders/mine?limit=1', { token: buyer.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.meta.total, 2);
+      assert.deepEqual(res.body.data.map((o) => o.orderId), [second.orderId]);
+
+      const next = await h.request('GET', '/orders/mine?limit=1&offset=1', { token: buyer.token });
+      assert.deepEqual(next.body.data.map((o) => o.orderId), [first.orderId]);
+    });
+
+    it('filters by status', async () => {
+      const order = await placeFor(buyer);
+      assert.equal((await setStatus(order.orderId, 'cancelled')).status, 200);
+
+      const res = await h.request('GET', '/orders/mine?status=cancelled', { token: buyer.token });
+      assert.deepEqual(res.body.data.map((o) => o.orderId), [order.orderId]);
+    });
+
+    it('shows an order and its history to its owner only', async () => {
+      const order = await placeFor(buyer);
+
+      assert.equal((await h.request('GET', `/orders/${order.orderId}`, { token: buyer.token })).status, 200);
+      assert.equal((await h.request('GET', `/orders/${order.orderId}/history`, { token: buyer.token })).status, 200);
+      assert.equal((await h.request('GET', `/orders/${order.orderId}`, { token: other.token })).status, 403);
+      assert.equal((await h.request('GET', `/orders/${order.orderId}`, { token: staff.token })).status, 200);
+    });
+
+    it('is not for staff', async () => {
+      assert.equal((await h.request('GET', '/orders/mine', { token: staff.token })).status, 403);
+    });
+  });
+
+  describe('DELETE /orders/:id', () => {
+    it('cancels an unpaid order', async () => {
+      const { order } = await h.placeOrder(customer, { paid: false });
+
+      const res = await h.request('DELETE', `/orders/${order.orderId}`, { token: staff.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'cancelled');
+      assert.ok(res.headers.get('deprecation'));
+    });
+
+    it('refuses a paid order and leaves its payment alone', async () => {
+      const { order, payment } = await h.placeOrder(customer);
+
+      const res = await h.request('DELETE', `/orders/${order.orderId}`, { token: staff.token });
+      assert.equal(res.status, 409);
+
+      const kept = await h.request('GET', `/orders/${order.orderId}`, { token: staff.token });
+      assert.equal(kept.body.status, 'paid');
+      assert.equal((await getPayment(payment)).status, 'succeeded');
+    });
+  });
+});
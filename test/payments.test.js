@@ -0,0 +1,244 @@
+/**
+ * Payment tests: payment intents, signed webhooks, captures and refunds
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const h = require('./helpers');
+const config = require('../src/config/config');
+const db = require('../src/models');
+const { getPaymentProvider } = require('../src/payments');
+
+const { PaymentRefund } = db.sequelize.models;
+
+describe('payments', () => {
+  let customer;
+  let staff;
+
+  before(async () => {
+    await h.setup();
+    customer = await h.createUser('customer');
+    staff = await h.createUser('staff');
+  });
+
+  after(h.teardown);
+
+  const orderStatus = async (order) =>
+    (await h.request('GET', `/orders/${order.orderId}`, { token: customer.token })).body.status;
+
+  describe('POST /orders/:id/payments', () => {
+    it('returns the payment in progress instead of starting another', async () => {
+      const { order, payment } = await h.placeOrder(customer, { paid: false });
+      assert.ok(payment.clientSecret);
+
+      const again = await h.request('POST', `/orders/${order.orderId}/payments`, { token: customer.token });
+      assert.equal(again.body.paymentId, payment.paymentId);
+    });
+
+    it('is for the owning customer and pending orders only', async () => {
+      const { order } = await h.placeOrder(customer);
+      const other = await h.createUser('customer');
+
+      assert.equal((await h.request('POST', `/orders/${order.orderId}/payments`, { token: other.token })).status, 403);
+      assert.equal((await h.request('POST', `/orders/${order.orderId}/payments`, { token: customer.token })).status, 409);
+    });
+  });
+
+  describe('POST /payments/webhook', () => {
+    it('marks the order paid on a signed payment.succeeded event', async () => {
+      const { order } = await h.placeOrder(customer);
+      assert.equal(await orderStatus(order), 'paid');
+    });
+
+    it('applies a redelivered event only once', async () => {
+      const { payment } = await h.placeOrder(customer, { paid: false });
+
+      const first = await h.deliverWebhook(payment, 'payment.succeeded', { eventId: 'evt_once' });
+      assert.equal(first.status, 200);
+      const again = await h.deliverWebhook(payment, 'payment.succeeded', { eventId: 'evt_once' });
+      assert.equal(again.status, 200);
+      assert.equal(again.body.duplicate, true);
+    });
+
+    it('leaves the order pending when the payment fails', async () => {
+      const { order, payment } = await h.placeOrder(customer, { paid: false });
+
+      assert.equal((await h.deliverWebhook(payment, 'payment.failed')).status, 200);
+      assert.equal(await orderStatus(order), 'pending');
+      const failed = await h.request('GET', `/payments/${payment.paymentId}`, { token: staff.token });
+      assert.equal(failed.body.status, 'failed');
+    });
+
+    it('rejects a delivery whose signature does not match the body', async () => {
+      const { payment } = await h.placeOrder(customer, { paid: false });
+      const { headers, body } = getPaymentProvider().buildWebhook('payment.succeeded', payment.providerRef);
+      const tampered = body.replace('payment.succeeded', 'payment.failed');
+
+      const res = await h.request('POST', '/payments/webhook', { headers, body: tampered });
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects a delivery without a signature', async () => {
+      const res = await h.request('POST', '/payments/webhook', { body: { type: 'payment.succeeded' } });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('POST /payments/:id/refunds', () => {
+    it('moves the order to refunded once everything is refunded', async () => {
+      const { order, payment } = await h.placeOrder(customer, { price: 30 });
+      const refund = (body) =>
+        h.request('POST', `/payments/${payment.paymentId}/refunds`, { token: staff.token, body });
+
+      const partial = await refund({ amount: 10, reason: 'Late delivery' });
+      assert.equal(partial.status, 201, JSON.stringify(partial.body));
+      assert.equal(await orderStatus(order), 'paid');
+
+      assert.equal((await refund({ amount: 25 })).status, 400);
+      assert.equal((await refund({})).status, 201);
+      assert.equal(await orderStatus(order), 'refunded');
+    });
+
+    it('records the refund as pending and asks the provider once it is committed', async (t) => {
+      const { payment } = await h.placeOrder(customer, { price: 30 });
+      const provider = getPaymentProvider();
+      const { refund } = provider;
+      t.after(() => {
+        provider.refund = refund;
+      });
+      const seen = [];
+      provider.refund = async (...args) => {
+        seen.push(await PaymentRefund.findOne({ where: { paymentId: payment.paymentId } }));
+        return refund(...args);
+      };
+
+      const res = await h.request('POST', `/payments/${payment.paymentId}/refunds`, { token: staff.token, body: {} });
+      assert.equal(res.status, 201, JSON.stringify(res.body));
+      assert.equal(seen[0].status, 'pending');
+      assert.equal(res.body.PaymentRefunds[0].status, 'succeeded');
+      assert.ok(res.body.PaymentRefunds[0].providerRef);
+    });
+
+    it('takes a refund the provider refuses back off the payment and order', async (t) => {
+      const { order, payment } = await h.placeOrder(customer, { price: 30 });
+      const provider = getPaymentProvider();
+      const { refund } = provider;
+      t.after(() => {
+        provider.refund = refund;
+      });
+      provider.refund = async () => {
+        throw new Error('Card account closed');
+      };
+      const send = () =>
+        h.request('POST', `/payments/${payment.paymentId}/refunds`, { token: staff.token, body: { amount: 10 } });
+
+      const res = await send();
+      assert.equal(res.status, 502, JSON.stringify(res.body));
+      const failed = await PaymentRefund.findByPk(res.body.details.paymentRefundId);
+      assert.equal(failed.status, 'failed');
+      const kept = await h.request('GET', `/payments/${payment.paymentId}`, { token: staff.token });
+      assert.equal(kept.body.status, 'succeeded');
+      assert.equal(Number(kept.body.amountRefunded), 0);
+      const orderNow = await h.request('GET', `/orders/${order.orderId}`, { token: staff.token });
+      assert.equal(Number(orderNow.body.amountRefunded), 0);
+
+      provider.refund = refund;
+      assert.equal((await send()).status, 201);
+    });
+
+    it('is for holders of orders:refund', async () => {
+      const { payment } = await h.placeOrder(customer);
+      const res = await h.request('POST', `/payments/${payment.paymentId}/refunds`, { token: customer.token, body: {} });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('POST /payments/mock/events', () => {
+    afterEach(() => {
+      config.payments.mockEvents = false;
+    });
+
+    it('is not found unless PAYMENT_MOCK_EVENTS is on', async () => {
+      const { payment } = await h.placeOrder(customer, { paid: false });
+      const res = await h.request('POST', '/payments/mock/events', {
+        token: staff.token,
+        body: { paymentId: payment.paymentId, type: 'payment.succeeded' },
+      });
+      assert.equal(res.status, 404);
+    });
+
+    it('requires a signed-in user with orders:write', async () => {
+      config.payments.mockEvents = true;
+      const { payment } = await h.placeOrder(customer, { paid: false });
+      const body = { paymentId: payment.paymentId, type: 'payment.succeeded' };
+
+      assert.equal((await h.request('POST', '/payments/mock/events', { body })).status, 401);
+      assert.equal((await h.request('POST', '/payments/mock/events', { token: customer.token, body })).status, 403);
+
+      const res = await h.request('POST', '/payments/mock/events', { token: staff.token, body });
+      assert.equal(res.status, 200);
+      const paid = await h.request('GET', `/payments/${payment.paymentId}`, { token: staff.token });
+      assert.equal(paid.body.status, 'succeeded');
+    });
+
+    it('records who simulated which event in the audit log', async () => {
+      config.payments.mockEvents = true;
+      const admin = await h.createUser('admin');
+      const { payment } = await h.placeOrder(customer, { paid: false });
+      const send = (type) => h.request('POST', '/payments/mock/events', {
+        token: staff.token,
+        body: { paymentId: payment.paymentId, type },
+      });
+      assert.equal((await send('payment.succeeded')).status, 200);
+      // Changes nothing, still recorded
+      assert.equal((await send('payment.failed')).status, 200);
+
+      const audit = await h.request('GET', `/audit-events?entity=Payment&entityId=${payment.paymentId}`, {
+        token: admin.token,
+      });
+      assert.equal(audit.status, 200, JSON.stringify(audit.body));
+      const events = audit.body.data.map((e) => [e.actorId, e.actorRole, e.changes.after.mockEvent]);
+      assert.deepEqual(events.sort((a, b) => a[2].localeCompare(b[2])), [
+        [staff.account.accountId, 'staff', 'payment.failed'],
+        [staff.account.accountId, 'staff', 'payment.succeeded'],
+      ]);
+      const succeeded = audit.body.data.find((e) => e.changes.after.mockEvent === 'payment.succeeded');
+      assert.equal(succeeded.changes.after.status, 'succeeded');
+    });
+  });
+
+  describe('provider configuration', () => {
+    /**
+     * Create the payment provider in a fresh process, as the server does at startup
+     * @param {Object} env - Environment overrides (undefined removes a variable)
+     * @returns {{status: number, stderr: string}} Exit status and error output
+     */
+    function createProvider(env) {
+      const merged = { ...process.env, ...env };
+      for (const [name, value] of Object.entries(env)) if (value === undefined) delete merged[name];
+      return spawnSync(process.execPath, ['-e', "require('./src/payments').getPaymentProvider()"], {
+        cwd: path.join(__dirname, '..'),
+        env: merged,
+        encoding: 'utf8',
+      });
+    }
+
+    it('starts the mock provider outside production with a webhook secret', () => {
+      assert.equal(createProvider({}).status, 0);
+    });
+
+    it('refuses the mock provider in production', () => {
+      const res = createProvider({ NODE_ENV: 'production' });
+      assert.notEqual(res.status, 0);
+      assert.match(res.stderr, /mock payment provider cannot be used in production/);
+    });
+
+    it('refuses to run without PAYMENT_WEBHOOK_SECRET, whatever JWT_SECRET is', () => {
+      const res = createProvider({ PAYMENT_WEBHOOK_SECRET: undefined });
+      assert.notEqual(res.status, 0);
+      assert.match(res.stderr, /PAYMENT_WEBHOOK_SECRET is not set/);
+    });
+  });
+});
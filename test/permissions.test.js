@@ -0,0 +1,64 @@
+/**
+ * Permission tests: configurable role → permission mapping
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+describe('permissions', () => {
+  let admin;
+  let staff;
+
+  before(async () => {
+    await h.setup();
+    admin = await h.createUser('admin');
+    staff = await h.createUser('staff');
+  });
+
+  after(h.teardown);
+
+  const deleteProduct = async (token) => {
+    const product = await h.createProduct();
+    return h.request('DELETE', `/products/${product.prodId}`, { token });
+  };
+
+  it('starts from the default mapping', async () => {
+    const res = await h.request('GET', '/permissions/staff', { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.permissions.includes('orders:write'));
+    assert.ok(!res.body.permissions.includes('products:delete'));
+
+    assert.equal((await deleteProduct(staff.token)).status, 403);
+    assert.equal((await deleteProduct(admin.token)).status, 204);
+  });
+
+  it('applies a granted or revoked permission straight away', async () => {
+    const granted = await h.request('POST', '/permissions/staff', {
+      token: admin.token,
+      body: { permission: 'products:delete' },
+    });
+    assert.equal(granted.status, 200, JSON.stringify(granted.body));
+    assert.equal((await deleteProduct(staff.token)).status, 204);
+
+    const revoked = await h.request('DELETE', '/permissions/staff/products:delete', { token: admin.token });
+    assert.equal(revoked.status, 200);
+    assert.equal((await deleteProduct(staff.token)).status, 403);
+  });
+
+  it('refuses unknown permissions and keeps permissions:manage with admins', async () => {
+    const unknown = await h.request('PUT', '/permissions/staff', {
+      token: admin.token,
+      body: { permissions: ['orders:read', 'orders:fly'] },
+    });
+    assert.equal(unknown.status, 400);
+
+    const lockout = await h.request('DELETE', '/permissions/admin/permissions:manage', { token: admin.token });
+    assert.equal(lockout.status, 409);
+  });
+
+  it('is for holders of permissions:manage only', async () => {
+    assert.equal((await h.request('GET', '/permissions', { token: staff.token })).status, 403);
+    assert.equal((await h.request('GET', '/permissions')).status, 401);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tax and shipping tests: rate types, free shipping, tax rules and order totals
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+
+describe('tax and shipping', () => {
+  let admin;
+  let customer;
+
+  const ADDRESS = { name: 'Ada', line1: '1 Quay Street', city: 'Bristol', country: 'GB' };
+
+  before(async () => {
+    await h.setup();
+    admin = await h.createUser('admin');
+    customer = await h.createUser('customer');
+  });
+
+  after(h.teardown);
+
+  /**
+   * Create a record through a pricing:manage route as the admin
+   * @param {string} path - '/shipping-methods' or '/tax-rules'
+   * @param {Object} body - Fields
+   * @returns {Promise<Object>} Created record
+   */
+  async function create(path, body) {
+    const res = await h.request('POST', path, { token: admin.token, body });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  /**
+   * Quote one line for an address
+   * @param {Object} product - Product instance
+   * @param {number} quantity - Units
+   * @param {Object} [extra] - shippingMethodId, address, couponCodes
+   * @returns {Promise<Object>} Response (see request)
+   */
+  const quote = (product, quantity, extra = {}) =>
+    h.request('POST', '/orders/quote', {
+      body: { items: [{ prodId: product.prodId, quantity }], address: ADDRESS, ...extra },
+    });
+
+  it('prices weight, per-item and flat shipping and offers what ships to the address', async () => {
+    const byWeight = await create('/shipping-methods', { name: 'Courier', rateType: 'weight', baseRate: 2, rate: 1.5 });
+    const perItem = await create('/shipping-methods', { name: 'Letter', rateType: 'quantity', baseRate: 1, rate: 0.5 });
+    await create('/shipping-methods', { name: 'US Freight', rateType: 'flat', baseRate: 3, countries: ['US'] });
+    const product = await h.createProduct(10, { weight: 700 });
+
+    // 2 x 700 g = 1.4 kg: two started kilograms
+    const res = await quote(product, 2, { shippingMethodId: byWeight.shippingMethodId });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.shipping, 5);
+    assert.deepEqual(
+      res.body.shippingOptions.map((o) => [o.name, o.price]),
+      [['Letter', 2], ['Courier', 5]]
+    );
+
+    const letter = await quote(product, 2, { shippingMethodId: perItem.shippingMethodId });
+    assert.equal(letter.body.shipping, 2);
+  });
+
+  it('ships free once the discounted items reach freeOver', async () => {
+    const method = await create('/shipping-methods', { name: 'Free Over 50', rateType: 'flat', baseRate: 4, freeOver: 50 });
+    const product = await h.createProduct(25);
+
+    assert.equal((await quote(product, 1, { shippingMethodId: method.shippingMethodId })).body.shipping, 4);
+    assert.equal((await quote(product, 2, { shippingMethodId: method.shippingMethodId })).body.shipping, 0);
+  });
+
+  it('adds exclusive tax, the regional rule taking precedence', async () => {
+    const method = await create('/shipping-methods', { name: 'Flat Five', rateType: 'flat', baseRate: 5 });
+    await create('/tax-rules', { name: 'US base', country: 'US', rate: 4 });
+    await create('/tax-rules', { name: 'New York', country: 'US', region: 'NY', rate: 10, appliesToShipping: false });
+    const product = await h.createProduct(100);
+    const ny = { ...ADDRESS, city: 'New York', region: 'NY', country: 'US' };
+
+    const res = await quote(product, 1, { shippingMethodId: method.shippingMethodId, address: ny });
+    assert.deepEqual(
+      [res.body.subtotal, res.body.shipping, res.body.tax, res.body.total],
+      [100, 5, 10, 115]
+    );
+
+    const elsewhere = await quote(product, 1, { shippingMethodId: method.shippingMethodId, address: { ...ny, region: 'NJ' } });
+    assert.deepEqual([elsewhere.body.tax, elsewhere.body.total], [4.2, 109.2]);
+  });
+
+  it('reports inclusive tax without adding it and stores the breakdown on the order', async () => {
+    const method = await create('/shipping-methods', { name: 'Royal Mail', rateType: 'flat', baseRate: 6, countries: ['GB'] });
+    await create('/tax-rules', { name: 'UK VAT', country: 'GB', rate: 20, inclusive: true });
+    const product = await h.createProduct(54);
+
+    const res = await h.request('POST', '/orders', {
+      token: customer.token,
+      body: { items: [{ prodId: product.prodId, quantity: 1 }], shippingMethodId: method.shippingMethodId, address: ADDRESS },
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    assert.deepEqual(
+      [res.body.subtotal, res.body.shipping, res.body.tax, res.body.total].map(Number),
+      [54, 6, 10, 60]
+    );
+  });
+
+  it('needs an address and a method that ships there for physical items', async () => {
+    const method = await create('/shipping-methods', { name: 'Only Ireland', rateType: 'flat', baseRate: 1, countries: ['IE'] });
+    const product = await h.createProduct(10);
+    const place = (extra) =>
+      h.request('POST', '/orders', {
+        token: customer.token,
+        body: { items: [{ prodId: product.prodId, quantity: 1 }], ...extra },
+      });
+
+    assert.equal((await place({})).status, 400);
+    assert.equal((await place({ shippingMethodId: method.shippingMethodId, address: ADDRESS })).status, 400);
+
+    const digital = await h.createProduct(10, { type: 'digital', stock: null });
+    const download = await h.request('POST', '/orders', {
+      token: customer.token,
+      body: { items: [{ prodId: digital.prodId, quantity: 1 }] },
+    });
+    assert.equal(download.status, 201, JSON.stringify(download.body));
+  });
+});
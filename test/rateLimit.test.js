@@ -0,0 +1,77 @@
+/**
+ * Rate limit tests: token buckets per client, role and route group
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Small buckets, set before the config is read: guests get 3 requests, refilled one per 10s
+Object.assign(process.env, {
+  RATE_LIMIT_ENABLED: 'true',
+  RATE_LIMIT_GUEST_PER_MINUTE: '6',
+  RATE_LIMIT_GUEST_BURST: '3',
+  RATE_LIMIT_CUSTOMER_PER_MINUTE: '6',
+  RATE_LIMIT_CUSTOMER_BURST: '5',
+  RATE_LIMIT_AUTH_PER_MINUTE: '6',
+  RATE_LIMIT_AUTH_BURST: '2',
+});
+
+const h = require('./helpers');
+
+describe('rate limits', () => {
+  before(h.setup);
+  after(h.teardown);
+
+  /**
+   * Send requests until one is refused
+   * @param {Function} send - Sends one request
+   * @param {number} max - Give up after this many
+   * @returns {Promise<{allowed: number, refused: Object|null}>} Requests let through and the refused response
+   */
+  async function drain(send, max = 20) {
+    for (let allowed = 0; allowed < max; allowed += 1) {
+      const res = await send();
+      if (res.status === 429) return { allowed, refused: res };
+    }
+    return { allowed: max, refused: null };
+  }
+
+  it('lets a guest burst, then answers 429 with Retry-After', async () => {
+    const first = await h.request('GET', '/products/categories');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '3');
+    assert.equal(first.headers.get('ratelimit-remaining'), '2');
+    assert.equal(first.headers.get('ratelimit-policy'), '3;w=30');
+
+    const { allowed, refused } = await drain(() => h.request('GET', '/products/categories'));
+    assert.equal(allowed, 2);
+    assert.equal(refused.headers.get('ratelimit-remaining'), '0');
+    const retryAfter = Number(refused.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 10, `Retry-After ${retryAfter}`);
+    assert.ok(refused.body.msg);
+  });
+
+  it('counts logged-in clients by account and role, apart from their IP', async () => {
+    const customer = await h.createUser('customer');
+    const { allowed } = await drain(() => h.request('GET', '/orders/mine', { token: customer.token }));
+    assert.equal(allowed, 5);
+
+    // Another customer from the same IP has a bucket of their own
+    const other = await h.createUser('customer');
+    assert.equal((await h.request('GET', '/orders/mine', { token: other.token })).status, 200);
+  });
+
+  it('keeps a separate, smaller bucket for the auth routes', async () => {
+    // The guest's default bucket is empty after the first test
+    const { allowed } = await drain(() => h.request('POST', '/auth/refresh', { body: { refreshToken: 'unknown' } }));
+    assert.equal(allowed, 2);
+  });
+
+  it('never limits payment webhooks', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      const res = await h.request('POST', '/payments/webhook', { body: '{}' });
+      assert.notEqual(res.status, 429);
+      assert.equal(res.headers.get('ratelimit-limit'), null);
+    }
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Return tests: opening, approving and rejecting returns, order refunds
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+const db = require('../src/models');
+
+const { Product, ShippingMethod, TaxRule } = db.sequelize.models;
+
+describe('returns', () => {
+  let customer;
+  let admin;
+  let shippingMethodId;
+
+  before(async () => {
+    await h.setup();
+    customer = await h.createUser('customer');
+    admin = await h.createUser('admin');
+    ({ shippingMethodId } = await ShippingMethod.create({ name: 'Test post', rateType: 'flat', baseRate: 5 }));
+  });
+
+  after(h.teardown);
+
+  /**
+   * Place and pay for an order, then move it through the given statuses as admin
+   * @param {Object[]} products - One line per product, quantity 1
+   * @param {Object} [options]
+   * @param {string[]} [options.statuses] - Statuses after 'paid'
+   * @param {Object} [options.address] - Delivery address (default: the helpers' GB address)
+   * @returns {Promise<Object>} Order with its OrderItems
+   */
+  async function paidOrder(products, { statuses = ['processing', 'shipped', 'delivered'], address } = {}) {
+    const placed = await h.request('POST', '/orders', {
+      token: customer.token,
+      body: {
+        items: products.map(({ prodId }) => ({ prodId, quantity: 1 })),
+        shippingMethodId,
+        address: address ?? (await h.shipping()).address,
+      },
+    });
+    assert.equal(placed.status, 201, JSON.stringify(placed.body));
+
+    const orderId = placed.body.orderId;
+    const payment = await h.request('POST', `/orders/${orderId}/payments`, { token: customer.token });
+    assert.equal((await h.deliverWebhook(payment.body)).status, 200);
+    for (const status of statuses) {
+      const res = await h.request('PATCH', `/orders/${orderId}/status`, { token: admin.token, body: { status } });
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+    }
+    return (await h.request('GET', `/orders/${orderId}`, { token: admin.token })).body;
+  }
+
+  /**
+   * Deliver an order of physical products with five in stock each
+   * @param {number[]} prices - One line per price, quantity 1
+   * @param {Object} [address] - Delivery address
+   * @returns {Promise<Object>} Delivered order with its OrderItems
+   */
+  async function deliveredOrder(prices, address) {
+    const products = await Promise.all(prices.map((price) => h.createProduct(price, { stock: 5 })));
+    return paidOrder(products, { address });
+  }
+
+  /**
+   * Open a return as the customer
+   * @param {Object} order - Order with its OrderItems
+   * @param {Object[]} lines - Order lines to send back, one unit each
+   * @returns {Promise<Object>} Response (see request)
+   */
+  const openReturn = (order, lines) => h.request('POST', `/orders/${order.orderId}/returns`, {
+    token: customer.token,
+    body: { items: lines.map(({ orderItemId }) => ({ orderItemId, quantity: 1 })), reason: 'Changed mind' },
+  });
+
+  const decide = (returnId, decision, body = {}) =>
+    h.request('POST', `/returns/${returnId}/${decision}`, { token: admin.token, body });
+  const orderOf = async (order) => (await h.request('GET', `/orders/${order.orderId}`, { token: admin.token })).body;
+  const stockOf = async (item) => (await Product.findByPk(item.prodId)).stock;
+
+  it('restocks the items and refunds their share on approval', async () => {
+    const order = await deliveredOrder([10, 20]);
+    assert.equal(Number(order.total), 35);
+    const line = order.OrderItems.find((item) => Number(item.unitPrice) === 10);
+    assert.equal(await stockOf(line), 4);
+
+    const opened = await openReturn(order, [line]);
+    assert.equal(opened.status, 201, JSON.stringify(opened.body));
+    assert.equal(opened.body.status, 'requested');
+
+    const approved = await decide(opened.body.returnId, 'approve');
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    assert.equal(approved.body.status, 'approved');
+    assert.equal(approved.body.restocked, true);
+    assert.equal(Number(approved.body.refundAmount), 10);
+
+    assert.equal(await stockOf(line), 5);
+    const updated = await orderOf(order);
+    assert.equal(updated.status, 'delivered');
+    assert.equal(Number(updated.amountRefunded), 10);
+  });
+
+  it('suggests the items plus their own tax when shipping is taxed', async () => {
+    // 10% added on top, shipping taxed too
+    await TaxRule.create({ name: 'Test VAT', country: 'FR', rate: 10, inclusive: false, appliesToShipping: true });
+    const order = await deliveredOrder([10, 20], { name: 'Ann Buyer', line1: '1 Rue Haute', city: 'Lyon', country: 'FR' });
+    // 30.00 goods + 5.00 shipping + 10% of 35.00
+    assert.equal(Number(order.total), 38.5);
+
+    const line = order.OrderItems.find((item) => Number(item.unitPrice) === 10);
+    const opened = await openReturn(order, [line]);
+    assert.equal((await decide(opened.body.returnId, 'approve')).status, 200);
+
+    // 10.00 + 10% tax, none of the shipping or its tax
+    assert.equal(Number((await orderOf(order)).amountRefunded), 11);
+  });
+
+  it('refunds everything left, shipping included, with the last item', async () => {
+    const order = await deliveredOrder([10, 20]);
+
+    const opened = await openReturn(order, order.OrderItems);
+    assert.equal(opened.status, 201, JSON.stringify(opened.body));
+    assert.equal((await decide(opened.body.returnId, 'approve')).status, 200);
+
+    const updated = await orderOf(order);
+    assert.equal(updated.status, 'refunded');
+    assert.equal(Number(updated.amountRefunded), 35);
+  });
+
+  it('takes a refund amount and leaves items that are not resellable out of stock', async () => {
+    const order = await deliveredOrder([10, 20]);
+    const line = order.OrderItems[0];
+
+    const opened = await openReturn(order, [line]);
+    const approved = await decide(opened.body.returnId, 'approve', { refundAmount: 2.5, restock: false });
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    assert.equal(approved.body.restocked, false);
+
+    assert.equal(await stockOf(line), 4);
+    assert.equal(Number((await orderOf(order)).amountRefunded), 2.5);
+  });
+
+  it('rejects a return without refunding or restocking', async () => {
+    const order = await deliveredOrder([10]);
+    const line = order.OrderItems[0];
+    const opened = await openReturn(order, [line]);
+
+    assert.equal((await decide(opened.body.returnId, 'reject')).status, 400);
+    const rejected = await decide(opened.body.returnId, 'reject', { note: 'Item was used' });
+    assert.equal(rejected.status, 200, JSON.stringify(rejected.body));
+    assert.equal(rejected.body.status, 'rejected');
+    assert.equal(rejected.body.note, 'Item was used');
+
+    assert.equal((await decide(opened.body.returnId, 'approve')).status, 409);
+    assert.equal(await stockOf(line), 4);
+    assert.equal(Number((await orderOf(order)).amountRefunded), 0);
+
+    // The units can be sent back again
+    assert.equal((await openReturn(order, [line])).status, 201);
+  });
+
+  it('refuses units already on their way back', async () => {
+    const order = await deliveredOrder([10]);
+    assert.equal((await openReturn(order, order.OrderItems)).status, 201);
+    assert.equal((await openReturn(order, order.OrderItems)).status, 409);
+  });
+
+  it('refuses orders that have not been delivered and digital items', async () => {
+    const physical = await h.createProduct(10, { stock: 5 });
+    const shipped = await paidOrder([physical], { statuses: ['processing', 'shipped'] });
+    assert.equal((await openReturn(shipped, shipped.OrderItems)).status, 409);
+
+    const digital = await h.createProduct(5, { type: 'digital', stock: null });
+    const mixed = await paidOrder([physical, digital]);
+    const download = mixed.OrderItems.find((item) => item.prodId === digital.prodId);
+    assert.equal((await openReturn(mixed, [download])).status, 400);
+  });
+
+  it('refuses returns once the return window has closed', async () => {
+    const order = await deliveredOrder([10]);
+    await db.sequelize.query(
+      'UPDATE "OrderStatusHistory" SET "createdAt" = :longAgo WHERE "orderId" = :orderId',
+      { replacements: { longAgo: new Date(Date.now() - 60 * 24 * 3600 * 1000), orderId: order.orderId } }
+    );
+
+    const res = await openReturn(order, order.OrderItems);
+    assert.equal(res.status, 409);
+    assert.ok(res.body.details.closedAt);
+  });
+
+  it('refunds the rest of the order when staff mark it refunded', async () => {
+    const order = await deliveredOrder([10, 20]);
+    const opened = await openReturn(order, [order.OrderItems[0]]);
+    await decide(opened.body.returnId, 'approve');
+
+    const res = await h.request('PATCH', `/orders/${order.orderId}/status`, {
+      token: admin.token,
+      body: { status: 'refunded', note: 'Goodwill' },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.status, 'refunded');
+    assert.equal(Number((await orderOf(order)).amountRefunded), 35);
+  });
+
+  it('restocks on refund only while the goods have not shipped', async () => {
+    const delivered = await deliveredOrder([10]);
+    const [sent] = delivered.OrderItems;
+    const refund = (order) => h.request('PATCH', `/orders/${order.orderId}/status`, {
+      token: admin.token,
+      body: { status: 'refunded' },
+    });
+
+    assert.equal((await refund(delivered)).status, 200);
+    assert.equal(await stockOf(sent), 4);
+
+    const processing = await paidOrder([await h.createProduct(10, { stock: 5 })], { statuses: ['processing'] });
+    const [kept] = processing.OrderItems;
+    assert.equal(await stockOf(kept), 4);
+    assert.equal((await refund(processing)).status, 200);
+    assert.equal(await stockOf(kept), 5);
+  });
+
+  it('lists returns for staff only', async () => {
+    const order = await deliveredOrder([10]);
+    const opened = await openReturn(order, order.OrderItems);
+
+    const res = await h.request('GET', '/returns?status=requested', { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.some((r) => r.returnId === opened.body.returnId));
+    assert.equal((await h.request('GET', '/returns', { token: customer.token })).status, 403);
+  });
+
+  it('cancels rather than deletes an order on DELETE /orders/:id', async () => {
+    const product = await h.createProduct(10, { stock: 5 });
+    const placed = await h.request('POST', '/orders', {
+      token: customer.token,
+      body: { items: [{ prodId: product.prodId, quantity: 1 }], ...(await h.shipping()) },
+    });
+
+    const res = await h.request('DELETE', `/orders/${placed.body.orderId}`, { token: admin.token });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.status, 'cancelled');
+    assert.ok(res.headers.get('deprecation'));
+    assert.equal((await Product.findByPk(product.prodId)).stock, 5);
+    assert.equal((await orderOf(placed.body)).status, 'cancelled');
+  });
+});
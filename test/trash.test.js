@@ -0,0 +1,153 @@
+/**
+ * Soft delete, restore and purge tests
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers');
+const config = require('../src/config/config');
+const db = require('../src/models');
+const { purgeExpired } = require('../src/services/trash');
+
+const {
+  Account, Customer, Order, Payment, PaymentRefund, Product,
+} = db.sequelize.models;
+
+/** A purge run just after the retention period of a record deleted now */
+const afterRetention = () => new Date(Date.now() + (config.trash.retentionDays + 1) * 86400000);
+
+describe('trash', () => {
+  let admin;
+
+  before(async () => {
+    await h.setup();
+    admin = await h.createUser('admin');
+  });
+
+  after(h.teardown);
+
+  const login = (customer) => h.request('POST', '/auth/customer/login', {
+    body: { email: customer.email, password: 'Passw0rd!' },
+  });
+
+  /**
+   * A customer with one paid and refunded order, then deleted
+   * @returns {Promise<{customer: Object, order: Object, payment: Object}>} Deleted customer and their order
+   */
+  async function deletedCustomerWithOrder() {
+    const customer = await h.createUser('customer');
+    const { order, payment } = await h.placeOrder(customer);
+    const refunded = await h.request('PATCH', `/orders/${order.orderId}/status`, {
+      token: admin.token,
+      body: { status: 'refunded' },
+    });
+    assert.equal(refunded.status, 200, JSON.stringify(refunded.body));
+
+    const res = await h.request('DELETE', `/customers/${customer.user.custId}`, { token: admin.token });
+    assert.equal(res.status, 204, JSON.stringify(res.body));
+    return { customer, order, payment };
+  }
+
+  it('refuses to delete a customer with orders in progress', async () => {
+    const customer = await h.createUser('customer');
+    const { order } = await h.placeOrder(customer);
+
+    const res = await h.request('DELETE', `/customers/${customer.user.custId}`, { token: admin.token });
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.details.orderIds, [order.orderId]);
+  });
+
+  it('hides a deleted customer and their orders until restored', async () => {
+    const { customer, order } = await deletedCustomerWithOrder();
+    const { custId } = customer.user;
+
+    assert.notEqual((await login(customer)).status, 200);
+    assert.equal(await Order.findByPk(order.orderId), null);
+
+    const listed = await h.request('GET', '/trash/customers', { token: admin.token });
+    assert.equal(listed.status, 200);
+    const entry = listed.body.data.find((c) => c.custId === custId);
+    assert.ok(entry.purgeAfter);
+    const orders = await h.request('GET', '/trash/orders', { token: admin.token });
+    assert.ok(orders.body.data.some((o) => o.orderId === order.orderId));
+
+    const res = await h.request('POST', `/trash/customers/${custId}/restore`, { token: admin.token });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.ok(await Order.findByPk(order.orderId));
+    assert.equal((await login(customer)).status, 200);
+
+    const again = await h.request('POST', `/trash/customers/${custId}/restore`, { token: admin.token });
+    assert.equal(again.status, 409);
+  });
+
+  it('takes a deleted product out of the catalog and carts until restored', async () => {
+    const customer = await h.createUser('customer');
+    const product = await h.createProduct();
+    await h.request('POST', '/cart/items', { token: customer.token, body: { prodId: product.prodId, quantity: 1 } });
+
+    const res = await h.request('DELETE', `/products/${product.prodId}`, { token: admin.token });
+    assert.equal(res.status, 204);
+    assert.equal((await h.request('GET', `/products/${product.prodId}`, { token: admin.token })).status, 404);
+    const cart = await h.request('GET', '/cart', { token: customer.token });
+    assert.ok(!cart.body.items.some((i) => i.prodId === product.prodId));
+
+    const restored = await h.request('POST', `/trash/products/${product.prodId}/restore`, { token: admin.token });
+    assert.equal(restored.status, 200, JSON.stringify(restored.body));
+    assert.equal((await h.request('GET', `/products/${product.prodId}`, { token: admin.token })).status, 200);
+  });
+
+  it('keeps deleted records inside the retention period', async () => {
+    const { customer } = await deletedCustomerWithOrder();
+
+    await purgeExpired();
+    const kept = await Customer.findByPk(customer.user.custId, { paranoid: false });
+    assert.equal(kept.purgedAt, null);
+    assert.equal(kept.email, customer.account.email);
+  });
+
+  it('erases personal data on purge but keeps orders and payments', async () => {
+    const { customer, order, payment } = await deletedCustomerWithOrder();
+    const { custId } = customer.user;
+
+    await purgeExpired(afterRetention());
+
+    const purged = await Customer.findByPk(custId, { paranoid: false });
+    assert.ok(purged.purgedAt);
+    assert.equal(purged.name, 'Deleted customer');
+    assert.notEqual(purged.email, customer.account.email);
+    assert.equal(purged.accountId, null);
+    assert.equal(await Account.findByPk(customer.account.accountId), null);
+
+    const kept = await Order.findByPk(order.orderId, { paranoid: false });
+    assert.equal(kept.custId, custId);
+    assert.equal(kept.status, 'refunded');
+    const keptPayment = await Payment.findByPk(payment.paymentId);
+    assert.equal(keptPayment.status, 'refunded');
+    assert.equal(await PaymentRefund.count({ where: { paymentId: payment.paymentId } }), 1);
+
+    // Gone from the trash and no longer restorable
+    const listed = await h.request('GET', '/trash/customers', { token: admin.token });
+    assert.ok(!listed.body.data.some((c) => c.custId === custId));
+    const restore = await h.request('POST', `/trash/customers/${custId}/restore`, { token: admin.token });
+    assert.equal(restore.status, 409);
+  });
+
+  it('keeps deleted products that an order still lists', async () => {
+    const customer = await h.createUser('customer');
+    const { order } = await h.placeOrder(customer);
+    const [ordered] = (await h.request('GET', `/orders/${order.orderId}`, { token: admin.token })).body.OrderItems;
+    const unsold = await h.createProduct();
+    for (const prodId of [ordered.prodId, unsold.prodId]) {
+      assert.equal((await h.request('DELETE', `/products/${prodId}`, { token: admin.token })).status, 204);
+    }
+
+    await purgeExpired(afterRetention());
+    assert.ok(await Product.findByPk(ordered.prodId, { paranoid: false }));
+    assert.equal(await Product.findByPk(unsold.prodId, { paranoid: false }), null);
+  });
+
+  it('is for admins only', async () => {
+    const staff = await h.createUser('staff');
+    assert.equal((await h.request('GET', '/trash/customers', { token: staff.token })).status, 403);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Two-factor authentication tests: enrolment, two-step login, recovery codes, role requirement
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const h = require('./helpers');
+const db = require('../src/models');
+const { codeAt, stepAt } = require('../src/services/totp');
+
+const { Account, AccountRole } = db.sequelize.models;
+
+describe('two-factor login', () => {
+  /**
+   * A customer with two-factor authentication enabled
+   * The enabling code uses the current time step, so the next step is still free for a login.
+   * @returns {Promise<Object>} User (see createUser) plus secret and recoveryCodes
+   */
+  async function enrolledCustomer() {
+    const customer = await h.createUser('customer');
+    const setup = await h.request('POST', '/auth/two-factor/setup', { token: customer.token, body: {} });
+    assert.equal(setup.status, 200, JSON.stringify(setup.body));
+
+    const { secret } = setup.body;
+    const enabled = await h.request('POST', '/auth/two-factor/enable', {
+      token: customer.token,
+      body: { code: codeAt(secret, stepAt()) },
+    });
+    assert.equal(enabled.status, 200, JSON.stringify(enabled.body));
+    return { ...customer, secret, recoveryCodes: enabled.body.recoveryCodes };
+  }
+
+  /**
+   * First login step: email and password
+   * @param {Object} customer - User from enrolledCustomer
+   * @returns {Promise<string>} Challenge token
+   */
+  async function challenge(customer) {
+    const res = await h.request('POST', '/auth/customer/login', {
+      body: { email: customer.account.email, password: 'Passw0rd!' },
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.twoFactorRequired, true);
+    assert.equal(res.body.token, undefined);
+    return res.body.challengeToken;
+  }
+
+  const secondStep = (body) => h.request('POST', '/auth/login/two-factor', { body });
+
+  before(h.setup);
+  after(h.teardown);
+
+  it('issues tokens for a valid code and refuses to replay it', async () => {
+    const customer = await enrolledCustomer();
+    const code = codeAt(customer.secret, stepAt() + 1);
+
+    const wrong = await secondStep({ challengeToken: await challenge(customer), code: code === '000000' ? '111111' : '000000' });
+    assert.equal(wrong.status, 400);
+
+    const ok = await secondStep({ challengeToken: await challenge(customer), code });
+    assert.equal(ok.status, 200, JSON.stringify(ok.body));
+    assert.ok(ok.body.token);
+    assert.equal((await h.request('GET', '/auth/two-factor', { token: ok.body.token })).status, 200);
+
+    const replay = await secondStep({ challengeToken: await challenge(customer), code });
+    assert.equal(replay.status, 400);
+  });
+
+  it('does not accept the challenge token as an access token', async () => {
+    const customer = await enrolledCustomer();
+    const res = await h.request('GET', '/auth/two-factor', { token: await challenge(customer) });
+    assert.equal(res.status, 401);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const customer = await enrolledCustomer();
+    const [recoveryCode] = customer.recoveryCodes;
+
+    const ok = await secondStep({ challengeToken: await challenge(customer), recoveryCode: recoveryCode.toUpperCase() });
+    assert.equal(ok.status, 200, JSON.stringify(ok.body));
+    assert.equal(ok.body.recoveryCodesLeft, customer.recoveryCodes.length - 1);
+
+    const again = await secondStep({ challengeToken: await challenge(customer), recoveryCode });
+    assert.equal(again.status, 400);
+  });
+
+  it('refuses a challenge whose account has been deleted', async () => {
+    const customer = await enrolledCustomer();
+    const challengeToken = await challenge(customer);
+    await Account.destroy({ where: { accountId: customer.account.accountId } });
+
+    const res = await secondStep({ challengeToken, code: codeAt(customer.secret, stepAt() + 1) });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.errors[0].msg, 'Invalid or expired challenge');
+  });
+
+  it('refuses a challenge whose account has lost the role', async () => {
+    const customer = await enrolledCustomer();
+    const challengeToken = await challenge(customer);
+    await AccountRole.destroy({ where: { accountId: customer.account.accountId, role: 'customer' } });
+
+    const res = await secondStep({ challengeToken, code: codeAt(customer.secret, stepAt() + 1) });
+    assert.equal(res.status, 401);
+  });
+
+  it('refuses a forged challenge token', async () => {
+    const res = await secondStep({ challengeToken: 'not.a.challenge', code: '123456' });
+    assert.equal(res.status, 401);
+  });
+
+  it('replaces the recovery codes and turns two-factor off', async () => {
+    const customer = await enrolledCustomer();
+    const code = codeAt(customer.secret, stepAt() + 1);
+
+    const renewed = await h.request('POST', '/auth/two-factor/recovery-codes', { token: customer.token, body: { code } });
+    assert.equal(renewed.status, 200, JSON.stringify(renewed.body));
+    assert.equal(renewed.body.recoveryCodes.length, customer.recoveryCodes.length);
+    const [oldCode] = customer.recoveryCodes;
+    const [newCode] = renewed.body.recoveryCodes;
+
+    const stale = await h.request('POST', '/auth/two-factor/disable', { token: customer.token, body: { recoveryCode: oldCode } });
+    assert.equal(stale.status, 400);
+    const off = await h.request('POST', '/auth/two-factor/disable', { token: customer.token, body: { recoveryCode: newCode } });
+    assert.equal(off.status, 204);
+
+    const status = await h.request('GET', '/auth/two-factor', { token: customer.token });
+    assert.equal(status.body.enabled, false);
+    const login = await h.request('POST', '/auth/customer/login', {
+      body: { email: customer.account.email, password: 'Passw0rd!' },
+    });
+    assert.ok(login.body.token);
+  });
+
+  describe('required per role', () => {
+    let admin;
+
+    before(async () => {
+      admin = await h.createUser('admin');
+      const res = await h.request('PUT', '/accounts/two-factor/roles/staff', {
+        token: admin.token,
+        body: { requireTwoFactor: true },
+      });
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+    });
+
+    it('makes staff enrol before their first login completes', async () => {
+      const staff = await h.createUser('staff');
+      const login = await h.request('POST', '/auth/staff/login', { body: { email: staff.email, password: 'Passw0rd!' } });
+      assert.equal(login.status, 200, JSON.stringify(login.body));
+      assert.equal(login.body.setupRequired, true);
+      assert.equal(login.body.token, undefined);
+      const { challengeToken } = login.body;
+
+      const setup = await h.request('POST', '/auth/two-factor/setup', { body: { challengeToken } });
+      assert.equal(setup.status, 200, JSON.stringify(setup.body));
+      assert.match(setup.body.qrCode, /^data:image\/png;base64,/);
+
+      const enabled = await h.request('POST', '/auth/two-factor/enable', {
+        body: { challengeToken, code: codeAt(setup.body.secret, stepAt()) },
+      });
+      assert.equal(enabled.status, 200, JSON.stringify(enabled.body));
+      assert.ok(enabled.body.token);
+      assert.ok(enabled.body.recoveryCodes.length);
+
+      // Cannot be turned off while the role requires it
+      const off = await h.request('POST', '/auth/two-factor/disable', {
+        token: enabled.body.token,
+        body: { recoveryCode: enabled.body.recoveryCodes[0] },
+      });
+      assert.equal(off.status, 409);
+    });
+
+    it('lets admins see the policies and reset an account', async () => {
+      const policies = await h.request('GET', '/accounts/two-factor/roles', { token: admin.token });
+      assert.equal(policies.status, 200);
+      assert.equal(policies.body.find((p) => p.role === 'staff').requireTwoFactor, true);
+
+      const customer = await enrolledCustomer();
+      const reset = await h.request('POST', `/accounts/${customer.account.accountId}/two-factor/reset`, {
+        token: admin.token,
+      });
+      assert.equal(reset.status, 200, JSON.stringify(reset.body));
+      const status = await h.request('GET', '/auth/two-factor', { token: customer.token });
+      assert.equal(status.body.enabled, false);
+
+      const staff = await h.createUser('staff');
+      assert.equal((await h.request('GET', '/accounts/two-factor/roles', { token: staff.token })).status, 403);
+    });
+  });
+
+  describe('key', () => {
+    /**
+     * Load the two-factor service in a fresh process, as the server does at startup
+     * @param {Object} env - Environment overrides
+     * @returns {{status: number, stderr: string}} Exit status and error output
+     */
+    const load = (env) => spawnSync(process.execPath, ['-e', "require('./src/services/twoFactor')"], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, TWO_FACTOR_KEY: '', ...env },
+      encoding: 'utf8',
+    });
+
+    it('refuses to start in production without TWO_FACTOR_KEY, whatever JWT_SECRET is', () => {
+      const res = load({ NODE_ENV: 'production' });
+      assert.notEqual(res.status, 0);
+      assert.match(res.stderr, /TWO_FACTOR_KEY is not set/);
+      assert.equal(load({ NODE_ENV: 'production', TWO_FACTOR_KEY: 'a-long-random-key' }).status, 0);
+    });
+  });
+});